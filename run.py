@@ -1,18 +1,29 @@
 import os
+import re
+import ast
 import json
 import time
+import contextlib
+import zlib
+import hashlib
+import secrets
 import sys
 import io
+import shutil
+import signal
 import sqlite3
+import tempfile
+import threading
+import subprocess
 from pathlib import Path
-from typing import List, Optional, Dict, Any
+from typing import List, Optional, Dict, Any, Tuple
 
 from dotenv import load_dotenv
 import google.generativeai as genai
 from google.api_core import exceptions
 
 from fastapi import FastAPI, Request, HTTPException, Depends, status
-from fastapi.responses import JSONResponse, Response, HTMLResponse
+from fastapi.responses import JSONResponse, Response, HTMLResponse, StreamingResponse
 from fastapi.middleware.cors import CORSMiddleware
 from fastapi.staticfiles import StaticFiles
 from fastapi.templating import Jinja2Templates
@@ -25,10 +36,12 @@ load_dotenv()
 # 2. SETUP FASTAPI APP
 app = FastAPI(title="CodeStatic API")
 
-# Configure CORS
+# Configure CORS. Sessions ride on a cookie, so only origins listed in
+# CORS_ORIGINS (comma-separated) may call the API from another site.
+CORS_ORIGINS = [o.strip() for o in os.getenv("CORS_ORIGINS", "").split(",") if o.strip()]
 app.add_middleware(
     CORSMiddleware,
-    allow_origins=["*"],
+    allow_origins=CORS_ORIGINS,
     allow_credentials=True,
     allow_methods=["*"],
     allow_headers=["*"],
@@ -49,6 +62,92 @@ app.mount("/static", StaticFiles(directory=str(BASE_DIR / "templates")), name="s
 # --------------------------------------------------------------------
 DB_PATH = BASE_DIR / "app.db"
 
+# Millisecond timestamps for projects.updated_at, which doubles as the
+# version token for offline conflict detection
+NOW_MS = "strftime('%Y-%m-%d %H:%M:%f', 'now')"
+
+# Auto-save snapshots: edits within the window update the latest snapshot
+# instead of adding rows; pruning keeps the table bounded.
+HISTORY_COALESCE_SECONDS = int(os.getenv("HISTORY_COALESCE_SECONDS", "120"))
+HISTORY_MAX_SNAPSHOTS = int(os.getenv("HISTORY_MAX_SNAPSHOTS", "200"))
+HISTORY_MAX_AGE_DAYS = int(os.getenv("HISTORY_MAX_AGE_DAYS", "30"))
+
+# Project tags: user-defined labels for filtering the projects panel
+MAX_PROJECT_TAGS = 20
+MAX_TAG_LENGTH = 30
+# Bundles larger than this are refused by /import-projects
+MAX_IMPORT_PROJECTS = 200
+
+# Interview rubrics: each criterion is scored 0..RUBRIC_MAX_POINTS and
+# weighted. "source" names the AI finding shown next to it, if any.
+RUBRIC_MAX_POINTS = 5
+INTERVIEW_STATUSES = ("open", "completed")
+DEFAULT_RUBRIC = [
+    {"key": "quality", "label": "Code quality", "weight": 30, "source": "quality_score"},
+    {"key": "correctness", "label": "Correctness & error handling", "weight": 30, "source": "error_table"},
+    {"key": "efficiency", "label": "Time/space efficiency", "weight": 20, "source": "complexity"},
+    {"key": "communication", "label": "Communication & reasoning", "weight": 20, "source": None},
+]
+
+# Assessment profiles pick which checklist categories go into the prompt,
+# weight the model's per-category scores into quality_score, and set the
+# lowest severity kept in the error table. The items are the original
+# 23-point validation protocol, grouped.
+CHECKLIST_CATEGORIES = [
+    {"key": "syntax", "label": "Syntax & compilation", "items": [
+        "SYNTAX & COMPILATION (CRITICAL) - Semicolons, Brackets, Typos.",
+        "MANDATORY INDENTATION (Python Only)"]},
+    {"key": "logic", "label": "Logic & algorithms", "items": [
+        "LOGIC & SEMANTIC ERRORS - Infinite Loops, Unreachable Code, Bad Assignments.",
+        "MATH & ALGORITHMIC ACCURACY",
+        "INTENT vs IMPLEMENTATION",
+        "Floating Point Precision"]},
+    {"key": "types", "label": "Types & casting", "items": ["TYPE & CASTING ERRORS"]},
+    {"key": "runtime", "label": "Runtime & exceptions", "items": [
+        "RUNTIME & EXCEPTION PREDICTION - Null Pointer, Division by Zero.",
+        "Exception Handling (Empty catch)"]},
+    {"key": "apis", "label": "Linker & API usage", "items": [
+        "LINKER & API ERRORS - Missing Imports, Wrong Signatures.",
+        "Deprecated API Usage"]},
+    {"key": "resources", "label": "Memory & resources", "items": [
+        "MEMORY & RESOURCE MANAGEMENT - Leaks, Unclosed Files.",
+        "Hardware/Driver Issues"]},
+    {"key": "oop", "label": "OOP integrity", "items": ["OOP INTEGRITY - Encapsulation, Inheritance, Class Structure."]},
+    {"key": "dsa", "label": "Data structures", "items": ["DSA INTEGRITY (Data Structures) - Linked Lists, Arrays (Bounds), Stacks."]},
+    {"key": "security", "label": "Security", "items": ["SECURITY RISKS - Buffer Overflow, Injection, Secrets."]},
+    {"key": "concurrency", "label": "Concurrency", "items": ["CONCURRENCY (Thread Safety)", "Race Conditions"]},
+    {"key": "io", "label": "I/O, database & network", "items": [
+        "I/O & FILE HANDLING",
+        "Database Errors",
+        "Network Socket Failures"]},
+    {"key": "config", "label": "Configuration & environment", "items": ["CONFIGURATION & ENVIRONMENT - Global Namespace Pollution."]},
+    {"key": "docs", "label": "Comments & documentation", "items": ["Misleading Comments"]},
+]
+SEVERITY_RANK = {"info": 0, "warning": 1, "error": 2}
+# Tables whose rows carry the id of the user who owns them
+OWNED_TABLES = ("projects", "code_history", "chat_threads", "assessments",
+                "candidates", "interview_questions", "interview_sessions")
+# Shared settings: rows without an owner are built-ins every account can use
+SETTINGS_TABLES = ("rubrics", "assessment_profiles")
+DEFAULT_PROFILE = {
+    "categories": [c["key"] for c in CHECKLIST_CATEGORIES],
+    "weights": {c["key"]: 10 for c in CHECKLIST_CATEGORIES},
+    "severity_threshold": "info",
+    "plagiarism_check": True,
+}
+SECURITY_PROFILE = {
+    "categories": ["security", "runtime", "io", "config", "apis", "concurrency"],
+    "weights": {"security": 40, "runtime": 15, "io": 15, "config": 10, "apis": 10, "concurrency": 10},
+    "severity_threshold": "warning",
+    "plagiarism_check": False,
+}
+
+def ensure_column(cur, table, column, decl):
+    # SQLite has no ADD COLUMN IF NOT EXISTS
+    cur.execute(f"PRAGMA table_info({table})")
+    if column not in [row[1] for row in cur.fetchall()]:
+        cur.execute(f"ALTER TABLE {table} ADD COLUMN {column} {decl}")
+
 def init_db():
     try:
         conn = sqlite3.connect(str(DB_PATH))
@@ -74,7 +173,191 @@ def init_db():
             is_favorite INTEGER DEFAULT 0,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP
         );
+        CREATE TABLE IF NOT EXISTS project_revisions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            project_id INTEGER,
+            code TEXT,
+            language TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS idx_revisions_project ON project_revisions(project_id);
+        CREATE TABLE IF NOT EXISTS assessments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            candidate_id TEXT,
+            project_id INTEGER,
+            model TEXT,
+            target_lang TEXT,
+            detected_language TEXT,
+            quality_score INTEGER,
+            error_count INTEGER,
+            input_code TEXT,
+            result_json TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS idx_assessments_candidate ON assessments(candidate_id);
+        CREATE TABLE IF NOT EXISTS candidates (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            candidate_code TEXT,
+            name TEXT,
+            email TEXT,
+            notes TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS interview_questions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            title TEXT,
+            statement TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS rubrics (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT,
+            criteria_json TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS interview_sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            candidate_id INTEGER,
+            question_id INTEGER,
+            rubric_id INTEGER,
+            assessment_id INTEGER,
+            scores_json TEXT,
+            total_score REAL,
+            notes TEXT,
+            status TEXT DEFAULT 'open',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS idx_sessions_question ON interview_sessions(question_id);
+        CREATE TABLE IF NOT EXISTS assessment_profiles (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT,
+            config_json TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS report_shares (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            token TEXT UNIQUE,
+            assessment_id INTEGER,
+            expires_at DATETIME,
+            revoked_at DATETIME,
+            view_count INTEGER DEFAULT 0,
+            last_viewed_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS idx_shares_assessment ON report_shares(assessment_id);
+        CREATE TABLE IF NOT EXISTS chat_threads (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            title TEXT,
+            project_id INTEGER,
+            assessment_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT UNIQUE COLLATE NOCASE,
+            password_hash TEXT,
+            team_id INTEGER,
+            role TEXT DEFAULT 'member',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS teams (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT,
+            invite_code TEXT UNIQUE,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS user_sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            token_hash TEXT UNIQUE,
+            user_id INTEGER,
+            expires_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS similarity_fingerprints (
+            kind TEXT NOT NULL,
+            source_id INTEGER NOT NULL,
+            hash INTEGER NOT NULL,
+            PRIMARY KEY (kind, source_id, hash)
+        );
+        CREATE INDEX IF NOT EXISTS idx_similarity_hash ON similarity_fingerprints(hash);
+        """)
+
+        # --- MIGRATIONS (columns added after the first release) ---
+        ensure_column(cur, "projects", "updated_at", "DATETIME")
+        cur.execute("UPDATE projects SET updated_at = created_at WHERE updated_at IS NULL")
+        ensure_column(cur, "code_history", "updated_at", "DATETIME")
+        # Multi-file workspaces: files_json holds [{name, code}], code keeps a
+        # bundled copy for anything that only understands one blob
+        ensure_column(cur, "projects", "files_json", "TEXT")
+        ensure_column(cur, "project_revisions", "files_json", "TEXT")
+        ensure_column(cur, "code_history", "files_json", "TEXT")
+        ensure_column(cur, "assessments", "input_files_json", "TEXT")
+        ensure_column(cur, "ai_chat", "thread_id", "INTEGER")
+        ensure_column(cur, "projects", "tags_json", "TEXT")
+        # Edit timeline recorded while the submission was written (see SESSION RECORDING)
+        ensure_column(cur, "assessments", "recording_json", "TEXT")
+        # Similarity index bookkeeping: which version of the code is in similarity_fingerprints
+        ensure_column(cur, "projects", "fingerprinted_at", "DATETIME")
+        ensure_column(cur, "projects", "fingerprint_count", "INTEGER")
+        ensure_column(cur, "assessments", "fingerprint_count", "INTEGER")
+        cur.execute("CREATE INDEX IF NOT EXISTS idx_chat_thread ON ai_chat(thread_id)")
+        # Chat from before threads existed becomes one unscoped thread, before owners are
+        # assigned below so it goes to the first account like everything else
+        cur.execute("SELECT COUNT(*), MIN(created_at), MAX(created_at) FROM ai_chat WHERE thread_id IS NULL")
+        legacy_count, first_at, last_at = cur.fetchone()
+        if legacy_count:
+            cur.execute("INSERT INTO chat_threads (title, created_at, updated_at) VALUES (?, ?, ?)",
+                        ("Earlier conversation", first_at, last_at))
+            cur.execute("UPDATE ai_chat SET thread_id = ? WHERE thread_id IS NULL", (cur.lastrowid,))
+
+        # Owners: rows from before accounts existed stay NULL until the
+        # first account is created and claims them
+        for table in OWNED_TABLES + SETTINGS_TABLES:
+            ensure_column(cur, table, "user_id", "INTEGER")
+            cur.execute(f"CREATE INDEX IF NOT EXISTS idx_{table}_user ON {table}(user_id)")
+        # Tables that gained an owner after accounts existed go to the first account
+        for table in OWNED_TABLES:
+            cur.execute(f"UPDATE {table} SET user_id = (SELECT MIN(id) FROM users) WHERE user_id IS NULL")
+        # Candidate codes were unique across the server; they are unique per owner now
+        cur.execute("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'candidates'")
+        if "UNIQUE" in cur.fetchone()[0]:
+            cur.execute("ALTER TABLE candidates RENAME TO candidates_old")
+            cur.execute("""
+                CREATE TABLE candidates (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    candidate_code TEXT,
+                    name TEXT,
+                    email TEXT,
+                    notes TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    user_id INTEGER
+                )
+            """)
+            cur.execute("""
+                INSERT INTO candidates (id, candidate_code, name, email, notes, created_at, user_id)
+                SELECT id, candidate_code, name, email, notes, created_at, user_id FROM candidates_old
+            """)
+            cur.execute("DROP TABLE candidates_old")
+            cur.execute("CREATE INDEX IF NOT EXISTS idx_candidates_user ON candidates(user_id)")
+        cur.execute("CREATE UNIQUE INDEX IF NOT EXISTS idx_candidates_owner_code ON candidates(user_id, candidate_code)")
+
+        # Projects saved before revisions existed get their current code as revision 1
+        cur.execute("""
+            INSERT INTO project_revisions (project_id, code, language, created_at)
+            SELECT id, code, language, created_at FROM projects
+            WHERE id NOT IN (SELECT project_id FROM project_revisions)
         """)
+
+        cur.execute("SELECT COUNT(*) FROM rubrics")
+        if cur.fetchone()[0] == 0:
+            cur.execute("INSERT INTO rubrics (name, criteria_json) VALUES (?, ?)", ("Standard", json.dumps(DEFAULT_RUBRIC)))
+        cur.execute("SELECT COUNT(*) FROM assessment_profiles")
+        if cur.fetchone()[0] == 0:
+            cur.executemany("INSERT INTO assessment_profiles (name, config_json) VALUES (?, ?)",
+                            [("Standard", json.dumps(DEFAULT_PROFILE)), ("Security review", json.dumps(SECURITY_PROFILE))])
         conn.commit()
         conn.close()
         print(f"✅ Database connected and initialized at: {DB_PATH}")
@@ -96,33 +379,182 @@ def get_db():
 # --------------------------------------------------------------------
 # 🔹 PYDANTIC MODELS (Input Validation)
 # --------------------------------------------------------------------
+class SourceFile(BaseModel):
+    name: str
+    code: str
+
 class CodeData(BaseModel):
     code: str
     language: str
+    files: Optional[List[SourceFile]] = None
 
 class ProjectData(BaseModel):
     projectName: str
     code: str
     language: str
+    files: Optional[List[SourceFile]] = None
+
+class ProjectUpdateData(BaseModel):
+    id: int
+    code: str
+    language: str
+    files: Optional[List[SourceFile]] = None
+    projectName: Optional[str] = None
+    # updated_at the client last saw; a mismatch means someone else saved since
+    base_updated_at: Optional[str] = None
+
+class RestoreRevisionData(BaseModel):
+    project_id: int
+    revision_id: int
 
 class FavoriteData(BaseModel):
     id: int
     fav: bool | int
 
+class ProjectTagsData(BaseModel):
+    id: int
+    tags: List[str]
+
+class ImportedProject(BaseModel):
+    # Same keys as a project in GET /projects, so an export imports as-is
+    project_name: str
+    code: str = ""
+    language: Optional[str] = None
+    files: Optional[List[SourceFile]] = None
+    tags: List[str] = []
+    is_favorite: bool | int = 0
+
+class ProjectImportData(BaseModel):
+    projects: List[ImportedProject]
+
 class DeleteData(BaseModel):
     id: int
 
+class AccountData(BaseModel):
+    username: str
+    password: str
+
+class TeamData(BaseModel):
+    name: Optional[str] = None          # create a team
+    invite_code: Optional[str] = None   # or join one
+
+class TeamRoleData(BaseModel):
+    user_id: int
+    role: str   # member | reviewer | none (remove from the team)
+
+class CandidateData(BaseModel):
+    id: Optional[int] = None
+    candidate_code: str
+    name: Optional[str] = ""
+    email: Optional[str] = ""
+    notes: Optional[str] = ""
+
+class QuestionData(BaseModel):
+    id: Optional[int] = None
+    title: str
+    statement: Optional[str] = ""
+
+class RubricCriterion(BaseModel):
+    key: str
+    label: str
+    weight: float = 1
+    source: Optional[str] = None    # quality_score | error_table | complexity
+
+class RubricData(BaseModel):
+    id: Optional[int] = None
+    name: str
+    criteria: List[RubricCriterion]
+
+class AssessmentProfileData(BaseModel):
+    id: Optional[int] = None
+    name: str
+    categories: List[str]
+    weights: Dict[str, float] = {}
+    severity_threshold: str = "info"    # info | warning | error
+    plagiarism_check: bool = True
+
+class InterviewSessionData(BaseModel):
+    id: Optional[int] = None
+    candidate_id: int
+    question_id: Optional[int] = None
+    rubric_id: int
+    assessment_id: Optional[int] = None
+    scores: Dict[str, Optional[float]] = {}
+    notes: Optional[str] = ""
+    status: Optional[str] = "open"
+
+class CodeSelection(BaseModel):
+    file: Optional[str] = None
+    start_line: int
+    end_line: int
+    code: str
+
 class ChatData(BaseModel):
     message: str
     code_context: Optional[str] = ""
+    # Highlighted range of the editor the question is about
+    selection: Optional[CodeSelection] = None
+    stream: Optional[bool] = False
+    # No thread_id starts a new thread scoped to the project / assessment
+    thread_id: Optional[int] = None
+    project_id: Optional[int] = None
+    assessment_id: Optional[int] = None
+
+class ChatThreadData(BaseModel):
+    id: Optional[int] = None
+    title: Optional[str] = None
+    project_id: Optional[int] = None
+    assessment_id: Optional[int] = None
 
 class ProcessCodeData(BaseModel):
     code: str
     target_lang: str
+    stream: Optional[bool] = False
+    request_id: Optional[str] = None
+    candidate_id: Optional[str] = None
+    project_id: Optional[int] = None
+    # Multi-file submission; code is then the bundled text
+    files: Optional[List[SourceFile]] = None
+    # Assessment profile; None uses DEFAULT_PROFILE
+    profile_id: Optional[int] = None
+    # Editor session recording: {started_at, duration_ms, files: {name: text}, events: [...]}
+    recording: Optional[Dict[str, Any]] = None
+
+class SimilarityData(BaseModel):
+    code: Optional[str] = ""
+    files: Optional[List[SourceFile]] = None
+    project_id: Optional[int] = None
+    candidate_id: Optional[str] = None
+    exclude_assessment_id: Optional[int] = None
+
+class ShareData(BaseModel):
+    assessment_id: int
+    expires_in_days: Optional[int] = None    # None = never expires
+
+class CancelData(BaseModel):
+    request_id: str
+
+class TestCaseData(BaseModel):
+    kind: str = "stdin"             # stdin (compare output) | assert (expression == expected)
+    stdin: Optional[str] = ""
+    expression: Optional[str] = ""
+    expected: Optional[str] = ""
+
+class RunTestsData(BaseModel):
+    code: Optional[str] = ""
+    files: Optional[List[SourceFile]] = None
+    cases: List[TestCaseData]
+
+class BenchmarkData(BaseModel):
+    code: Optional[str] = ""
+    files: Optional[List[SourceFile]] = None
+    input: str = "rand_list(n)"      # builds the argument for size n (not timed)
+    call: str                        # timed expression over that argument, x
 
 # For PDF generation, the input is a complex dict (the report)
 class ReportData(BaseModel):
     target_lang: Optional[str] = "N/A"
+    candidate_id: Optional[str] = None
     quality_score: Optional[Any] = 0
     compliance_status: Optional[str] = "N/A"
     integrity_check: Optional[str] = "N/A"
@@ -133,6 +565,28 @@ class ReportData(BaseModel):
     time_analysis: Optional[str] = ""
     space_analysis: Optional[str] = ""
     explanation_text: Optional[str] = ""
+    # Side-by-side diff rows built by the front end (only when requested)
+    diff: Optional[Dict[str, Any]] = None
+    # Interview session whose rubric scores and notes go in the report
+    interview_session_id: Optional[int] = None
+    # Multi-file submissions: [{name, code}] in, [{name, source, code}] out
+    files: Optional[List[Dict[str, Any]]] = None
+    final_files: Optional[List[Dict[str, Any]]] = None
+    # Test-case run: {original, fixed: {language, passed, total} | None, cases: [{label, original, fixed}]}
+    test_results: Optional[Dict[str, Any]] = None
+    # Benchmark of the fixed code: {language, input, call, n_min, n_max,
+    # time: {measured, claimed, verdict}, space: {...} | None}
+    empirical_complexity: Optional[Dict[str, Any]] = None
+    # Schema check of the AI reply: {repaired, problems, fields: {name: missing | invalid | defaulted}}
+    validation: Optional[Dict[str, Any]] = None
+    # Fingerprint match against stored submissions: {score, level, compared, matches: [...]}
+    similarity: Optional[Dict[str, Any]] = None
+    # Assessment profile the result was produced with, and whether
+    # quality_score is its weighted category mean or the model's own score
+    profile: Optional[Dict[str, Any]] = None
+    score_basis: Optional[str] = None
+    # Summary of the editor session recording (see summarize_recording)
+    session_recording: Optional[Dict[str, Any]] = None
     # Allow extra fields without validation error
     class Config:
         extra = "allow"
@@ -141,7 +595,7 @@ class ReportData(BaseModel):
 # 🔹 GEMINI CONFIGURATION
 # --------------------------------------------------------------------
 api_key = os.getenv("GEMINI_API_KEY")
-if not api_key:
+if not api_key and "gemini" in os.getenv("AI_PROVIDERS", "gemini").lower():
     print("❌ WARNING: API Key not found! Check your .env file.")
 
 if api_key:
@@ -192,6 +646,183 @@ MODEL_ROSTER = [
     'models/nano-banana-pro-preview' 
 ]
 
+# --------------------------------------------------------------------
+# 🔹 AI PROVIDERS
+# --------------------------------------------------------------------
+# AI_PROVIDERS is the fallback order, e.g. "gemini", "mock" or "gemini,mock".
+# GEMINI_MODELS (comma separated) overrides the roster above.
+AI_PROVIDERS = [p.strip().lower() for p in os.getenv("AI_PROVIDERS", "gemini").split(",") if p.strip()]
+AI_CALL_TIMEOUT_SECONDS = float(os.getenv("AI_CALL_TIMEOUT_SECONDS", "90"))
+MOCK_CHUNK_DELAY_SECONDS = float(os.getenv("MOCK_CHUNK_DELAY_SECONDS", "0.03"))
+
+class ProviderError(Exception):
+    """
+    A failed model call, normalised across providers.
+    reason: quota | timeout | auth | unsupported | unavailable | blocked | error
+    """
+    def __init__(self, reason: str, message: str, provider: Optional[str] = None, model: Optional[str] = None):
+        super().__init__(message)
+        self.reason = reason
+        self.message = message
+        self.provider = provider
+        self.model = model
+
+    def as_dict(self) -> Dict[str, Any]:
+        return {"provider": self.provider, "model": self.model, "reason": self.reason, "message": self.message[:200]}
+
+class AIProvider:
+    """
+    One model backend. contents is either a prompt string or a list of
+    {"role": "user" | "model", "parts": [text]} turns. context carries the
+    raw request (source code, chat message) for providers that want it.
+    """
+    name = ""
+
+    def __init__(self, models: List[str]):
+        self.models = models
+
+    def stream(self, model: str, contents, timeout: float, context: Optional[Dict[str, Any]] = None):
+        """Yields text chunks; raises ProviderError on failure."""
+        raise NotImplementedError
+
+class GeminiProvider(AIProvider):
+    name = "gemini"
+
+    def stream(self, model, contents, timeout, context=None):
+        try:
+            response = genai.GenerativeModel(model).generate_content(
+                contents, stream=True, request_options={"timeout": timeout})
+            for chunk in response:
+                if chunk.text:
+                    yield chunk.text
+        except exceptions.ResourceExhausted as e:
+            raise ProviderError("quota", f"Quota exceeded: {e}") from e
+        except exceptions.DeadlineExceeded as e:
+            raise ProviderError("timeout", f"No reply within {timeout:g}s") from e
+        except (exceptions.PermissionDenied, exceptions.Unauthenticated) as e:
+            raise ProviderError("auth", f"Rejected credentials: {e}") from e
+        except (exceptions.NotFound, exceptions.InvalidArgument) as e:
+            raise ProviderError("unsupported", f"Model not available for this request: {e}") from e
+        except (exceptions.ServiceUnavailable, exceptions.InternalServerError) as e:
+            raise ProviderError("unavailable", f"Service unavailable: {e}") from e
+        except ValueError as e:
+            # chunk.text raises when the reply was blocked or has no text part
+            raise ProviderError("blocked", f"Reply blocked or empty: {e}") from e
+
+class MockProvider(AIProvider):
+    """
+    Offline stand-in: canned, schema-valid replies built from the request,
+    streamed in small chunks so the progressive UI paths still run.
+    """
+    name = "mock"
+
+    def stream(self, model, contents, timeout, context=None):
+        context = context or {}
+        if context.get("task") == "assessment":
+            text = json.dumps(self.assessment(context), indent=2)
+        else:
+            text = self.chat_reply(contents, context)
+        for start in range(0, len(text), 80):
+            if MOCK_CHUNK_DELAY_SECONDS:
+                time.sleep(MOCK_CHUNK_DELAY_SECONDS)
+            yield text[start:start + 80]
+
+    @staticmethod
+    def assessment(context: Dict[str, Any]) -> Dict[str, Any]:
+        source = context.get("source_code") or ""
+        target_lang = context.get("target_lang") or "Python"
+        files = context.get("files") if context.get("files") and len(context["files"]) > 1 else None
+        first = files[0]["code"] if files else source
+        lines = first.split("\n")
+        first_line = next((i for i, l in enumerate(lines, start=1) if l.strip()), 1)
+
+        finding = {"line": first_line, "severity": "info", "error": "[Mock] Canned finding from the offline mock provider."}
+        if files:
+            finding["file"] = files[0]["name"]
+        explanation = [
+            {"line": i, "code": l.strip(), "explanation": "[Mock] Placeholder explanation."}
+            for i, l in enumerate(lines, start=1) if l.strip()
+        ][:5]
+        result = {
+            "detected_language": detect_source_language(first),
+            "quality_score": 70,
+            "integrity_check": "[Mock] No integrity analysis was performed.",
+            "plagiarism_check": "Low Match (Mock provider, no check performed)",
+            "maintainability_index": 50,
+            "readability_score": 75,
+            "target_complexity": "O(N)",
+            "error_table": [finding],
+            "final_code": "" if files else source,
+            "code_explanation": explanation,
+            "complexity": {
+                "time": {"best": "O(1)", "average": "O(N)", "worst": "O(N)", "desc": "[Mock] Placeholder estimate."},
+                "space": {"best": "O(1)", "average": "O(1)", "worst": "O(N)", "desc": "[Mock] Placeholder estimate."}
+            },
+            "status": "success",
+            "target_lang": target_lang
+        }
+        if files:
+            result["final_files"] = [{"name": f["name"], "source": f["name"], "code": f["code"]} for f in files]
+        profile = context.get("profile") or DEFAULT_PROFILE
+        result["category_scores"] = {key: 70 for key in profile.get("categories") or []}
+        if not profile.get("plagiarism_check", True):
+            result["plagiarism_check"] = PLAGIARISM_DISABLED
+        return result
+
+    @staticmethod
+    def chat_reply(contents, context: Dict[str, Any]) -> str:
+        earlier = (len(contents) - 1) // 2 if isinstance(contents, list) else 0
+        message = context.get("message") or ""
+        return (
+            "**Mock reply** from the offline provider.\n\n"
+            f"You asked: _{message.strip()[:200]}_\n\n"
+            f"This thread has {earlier} earlier exchange(s).\n\n"
+            "```python\nprint(\"mock\")\n```\n"
+        )
+
+def build_ai_roster() -> List[tuple]:
+    """(provider, model) pairs in the order they are tried."""
+    roster = []
+    for name in AI_PROVIDERS:
+        if name == "gemini":
+            if not api_key:
+                print("⚠️ Skipping gemini provider: no GEMINI_API_KEY. Set AI_PROVIDERS=mock to work offline.")
+                continue
+            models = [m.strip() for m in os.getenv("GEMINI_MODELS", "").split(",") if m.strip()] or MODEL_ROSTER
+            provider = GeminiProvider(models)
+        elif name == "mock":
+            provider = MockProvider(["mock-1"])
+        else:
+            print(f"⚠️ Unknown AI provider '{name}' ignored.")
+            continue
+        roster.extend((provider, model) for model in provider.models)
+    return roster
+
+AI_ROSTER = build_ai_roster()
+
+def provider_stream(provider: AIProvider, model: str, contents, context: Optional[Dict[str, Any]] = None):
+    """provider.stream() under the per-call deadline, with every failure as a ProviderError."""
+    deadline = time.monotonic() + AI_CALL_TIMEOUT_SECONDS
+    try:
+        for text in provider.stream(model, contents, AI_CALL_TIMEOUT_SECONDS, context):
+            if time.monotonic() > deadline:
+                raise ProviderError("timeout", f"Reply not finished within {AI_CALL_TIMEOUT_SECONDS:g}s")
+            yield text
+    except ProviderError as e:
+        e.provider, e.model = provider.name, model
+        raise
+    except Exception as e:
+        raise ProviderError("error", str(e), provider.name, model) from e
+
+def no_provider_message(errors: List[Dict[str, Any]]) -> str:
+    if not AI_ROSTER:
+        return "No AI provider is configured (check AI_PROVIDERS and GEMINI_API_KEY)."
+    reasons = {}
+    for err in errors:
+        reasons[err["reason"]] = reasons.get(err["reason"], 0) + 1
+    summary = ", ".join(f"{reason} x{count}" for reason, count in reasons.items())
+    return f"All {len(errors)} model attempts failed ({summary}). Last error: {errors[-1]['message']}"
+
 # --------------------------------------------------------------------
 # 🔹 PDF CLASS
 # --------------------------------------------------------------------
@@ -236,6 +867,12 @@ class CodeReportPDF(FPDF):
         self.multi_cell(0, 6, val_str, 0, align='L')
         self.ln(2)
 
+    def file_title(self, name):
+        self.set_font('Courier', 'B', 10)
+        self.set_text_color(50, 50, 50)
+        self.cell(0, 6, self.sanitize_text(str(name or "")), 0, new_x=XPos.LMARGIN, new_y=YPos.NEXT)
+        self.set_text_color(0, 0, 0)
+
     def code_block(self, code_text):
         self.set_font('Courier', '', 9)
         self.set_fill_color(250, 250, 250)
@@ -251,6 +888,114 @@ class CodeReportPDF(FPDF):
         self.multi_cell(width, 5, text, border=1, align='L', fill=True)
         self.ln(5)
 
+    def diff_block(self, diff):
+        """
+        Renders side-by-side diff rows: original on the left, fixed on the right.
+        Long lines are truncated to the column width.
+        """
+        fills = {
+            'removed': ((253, 226, 226), (255, 255, 255)),
+            'added': ((255, 255, 255), (220, 252, 231)),
+            'modified': ((253, 226, 226), (220, 252, 231)),
+            'equal': ((255, 255, 255), (255, 255, 255)),
+        }
+        stats = diff.get('stats') or {}
+        mode = 'Per-function pairing (translated code)' if diff.get('mode') == 'structural' else 'Line diff'
+        self.status_field("Diff Mode:", mode)
+        self.status_field("Changes:", f"+{stats.get('added', 0)} added, -{stats.get('removed', 0)} removed, ~{stats.get('modified', 0)} modified")
+
+        num_w = 9
+        code_w = (self.epw - 2 * num_w) / 2
+        self.set_font('Courier', '', 7)
+        self.set_draw_color(200, 200, 200)
+        max_chars = int(code_w / self.get_string_width('M')) - 1
+
+        def fit(text):
+            text = self.sanitize_text(str(text or '').replace('\t', '    '))
+            return text if len(text) <= max_chars else text[:max_chars - 3] + '...'
+
+        for row in diff.get('rows') or []:
+            kind = row.get('type', 'equal')
+            if kind == 'header':
+                self.set_font('Courier', 'B', 7)
+                self.set_fill_color(235, 235, 245)
+                self.cell(num_w + code_w, 5, fit(row.get('left')), border=1, fill=True, new_x=XPos.RIGHT, new_y=YPos.TOP)
+                self.cell(num_w + code_w, 5, fit(row.get('right')), border=1, fill=True, new_x=XPos.LMARGIN, new_y=YPos.NEXT)
+                self.set_font('Courier', '', 7)
+                continue
+
+            left_fill, right_fill = fills.get(kind, fills['equal'])
+            self.set_fill_color(245, 245, 245)
+            self.cell(num_w, 4, str(row.get('leftNo') or ''), border='L', align='R', fill=True, new_x=XPos.RIGHT, new_y=YPos.TOP)
+            self.set_fill_color(*left_fill)
+            self.cell(code_w, 4, fit(row.get('left')), border='R', fill=True, new_x=XPos.RIGHT, new_y=YPos.TOP)
+            self.set_fill_color(245, 245, 245)
+            self.cell(num_w, 4, str(row.get('rightNo') or ''), align='R', fill=True, new_x=XPos.RIGHT, new_y=YPos.TOP)
+            self.set_fill_color(*right_fill)
+            self.cell(code_w, 4, fit(row.get('right')), border='R', fill=True, new_x=XPos.LMARGIN, new_y=YPos.NEXT)
+        self.ln(5)
+
+    def interview_block(self, interview):
+        self.status_field("Candidate:", interview.get("candidate") or "N/A")
+        self.status_field("Question:", interview.get("question") or "N/A")
+        self.status_field("Rubric:", interview.get("rubric_name") or "N/A")
+        total = interview.get("total_score")
+        self.status_field("Rubric Score:", f"{total} / 100" if total is not None else "Not scored")
+        self.status_field("Session Status:", (interview.get("status") or "open").capitalize())
+        self.ln(2)
+
+        criteria = interview.get("criteria") or []
+        if criteria:
+            widths = (self.epw * 0.34, self.epw * 0.12, self.epw * 0.38, self.epw * 0.16)
+            self.set_font('Helvetica', 'B', 9)
+            self.set_fill_color(240, 240, 240)
+            self.set_draw_color(200, 200, 200)
+            for width, heading in zip(widths, ("Criterion", "Weight", "AI Finding", "Score")):
+                self.cell(width, 6, heading, border=1, fill=True, new_x=XPos.RIGHT, new_y=YPos.TOP)
+            self.ln(6)
+
+            self.set_font('Helvetica', '', 9)
+            max_points = interview.get("max_points") or RUBRIC_MAX_POINTS
+            for c in criteria:
+                score = c.get("score")
+                cells = (c.get("label"), f"{c.get('weight', '')}", c.get("ai_finding") or "-",
+                         f"{score:g} / {max_points}" if isinstance(score, (int, float)) else "-")
+                for width, text in zip(widths, cells):
+                    self.cell(width, 6, self.sanitize_text(str(text or ""))[:60], border=1, new_x=XPos.RIGHT, new_y=YPos.TOP)
+                self.ln(6)
+            self.ln(3)
+
+        self.set_font('Helvetica', 'B', 10)
+        self.cell(0, 6, "Interviewer Notes:", 0, new_x=XPos.LMARGIN, new_y=YPos.NEXT)
+        self.code_block(interview.get("notes") or "No notes recorded.")
+
+    def test_results_block(self, results):
+        def summary(run):
+            if not run:
+                return "Not run"
+            if run.get("skipped"):
+                return f"Not run ({run['skipped']})"
+            return f"{run.get('passed', 0)} / {run.get('total', 0)} passed ({run.get('language') or '?'})"
+        self.status_field("Original Code:", summary(results.get("original")))
+        self.status_field("Fixed Code:", summary(results.get("fixed")))
+        self.ln(2)
+
+        widths = (self.epw * 0.08, self.epw * 0.56, self.epw * 0.18, self.epw * 0.18)
+        self.set_font('Helvetica', 'B', 9)
+        self.set_fill_color(240, 240, 240)
+        self.set_draw_color(200, 200, 200)
+        for width, heading in zip(widths, ("#", "Case", "Original", "Fixed")):
+            self.cell(width, 6, heading, border=1, fill=True, new_x=XPos.RIGHT, new_y=YPos.TOP)
+        self.ln(6)
+
+        self.set_font('Helvetica', '', 9)
+        for i, case in enumerate(results.get("cases") or [], start=1):
+            cells = (str(i), case.get("label") or "", (case.get("original") or "-").upper(), (case.get("fixed") or "-").upper())
+            for width, text in zip(widths, cells):
+                self.cell(width, 6, self.sanitize_text(str(text))[:70], border=1, new_x=XPos.RIGHT, new_y=YPos.TOP)
+            self.ln(6)
+        self.ln(3)
+
     # --- NEW HELPER METHOD ---
     def sanitize_text(self, text):
         """
@@ -273,383 +1018,3408 @@ async def logic_probe(request: Request):
     # Renders the Assessment Tool
     return templates.TemplateResponse("tool.html", {"request": request})
 
+@app.get("/report/{token}", response_class=HTMLResponse)
+def shared_report(request: Request, token: str, db: sqlite3.Connection = Depends(get_db)):
+    # Read-only report behind a share link; no editor, no API access
+    headers = {"Cache-Control": "no-store", "Referrer-Policy": "no-referrer", "X-Robots-Tag": "noindex"}
+    cur = db.cursor()
+    cur.execute("SELECT *, expires_at <= datetime('now') AS expired FROM report_shares WHERE token = ?", (token,))
+    share = cur.fetchone()
+    problem = None
+    if not share:
+        problem = (404, "This report link does not exist.")
+    elif share["revoked_at"]:
+        problem = (410, "This report link has been revoked.")
+    elif share["expired"]:
+        problem = (410, "This report link has expired.")
+    else:
+        cur.execute("""
+            SELECT a.*, p.project_name FROM assessments a
+            LEFT JOIN projects p ON p.id = a.project_id
+            WHERE a.id = ?
+        """, (share["assessment_id"],))
+        row = cur.fetchone()
+        if not row:
+            problem = (404, "The assessment behind this link was deleted.")
+    if problem:
+        return templates.TemplateResponse("report.html", {"request": request, "report": None, "message": problem[1]},
+                                          status_code=problem[0], headers=headers)
+
+    cur.execute("UPDATE report_shares SET view_count = view_count + 1, last_viewed_at = CURRENT_TIMESTAMP WHERE id = ?",
+                (share["id"],))
+    db.commit()
+    return templates.TemplateResponse("report.html", {"request": request, "report": shared_report_view(row),
+                                                      "expires_at": share["expires_at"]}, headers=headers)
+
 # --------------------------------------------------------------------
-# 🔹 PROJECT & DATABASE API ENDPOINTS
+# 🔹 USER ACCOUNTS, SESSIONS & TEAMS
 # --------------------------------------------------------------------
+# The session is an opaque token in an HttpOnly, SameSite=Lax cookie and
+# only its hash is stored. Projects, code history, chat and assessments
+# belong to one user; a team reviewer also sees the team's assessments.
+SESSION_COOKIE = "codestatic_session"
+SESSION_DAYS = int(os.getenv("SESSION_DAYS", "14"))
+SESSION_COOKIE_SECURE = os.getenv("SESSION_COOKIE_SECURE", "false").lower() == "true"
+ALLOW_SIGNUP = os.getenv("ALLOW_SIGNUP", "false").lower() == "true"
+PASSWORD_ITERATIONS = 240000
+MIN_PASSWORD_LENGTH = 8
+USERNAME_PATTERN = re.compile(r"^[A-Za-z0-9_.@-]{3,40}$")
+TEAM_ROLES = ("member", "reviewer")
 
-@app.post("/save-code")
-def save_code(data: CodeData, db: sqlite3.Connection = Depends(get_db)):
+USER_SELECT = """
+    SELECT u.id, u.username, u.team_id, u.role, t.name AS team_name
+    FROM users u LEFT JOIN teams t ON t.id = u.team_id
+"""
+
+def hash_password(password: str, salt: Optional[bytes] = None, iterations: int = PASSWORD_ITERATIONS) -> str:
+    salt = salt or secrets.token_bytes(16)
+    digest = hashlib.pbkdf2_hmac("sha256", password.encode("utf-8"), salt, iterations)
+    return f"pbkdf2_sha256${iterations}${salt.hex()}${digest.hex()}"
+
+def verify_password(password: str, stored: Optional[str]) -> bool:
     try:
+        _, iterations, salt, _ = (stored or "").split("$")
+        return secrets.compare_digest(hash_password(password, bytes.fromhex(salt), int(iterations)), stored)
+    except ValueError:
+        return False
+
+def session_token_hash(token: str) -> str:
+    return hashlib.sha256(token.encode("utf-8")).hexdigest()
+
+def load_user(cur, user_id: int) -> Dict[str, Any]:
+    cur.execute(USER_SELECT + " WHERE u.id = ?", (user_id,))
+    return dict(cur.fetchone())
+
+def current_user(request: Request, db: sqlite3.Connection = Depends(get_db)) -> Dict[str, Any]:
+    """Dependency: the signed-in user as {id, username, team_id, role, team_name}, or 401."""
+    token = request.cookies.get(SESSION_COOKIE)
+    if token:
         cur = db.cursor()
-        cur.execute("INSERT INTO code_history (code, language) VALUES (?, ?)", (data.code, data.language))
-        db.commit()
-        return {"status": "success", "id": cur.lastrowid}
-    except Exception as e:
-        raise HTTPException(status_code=500, detail=str(e))
+        cur.execute(USER_SELECT + """
+            JOIN user_sessions s ON s.user_id = u.id
+            WHERE s.token_hash = ? AND s.expires_at > datetime('now')
+        """, (session_token_hash(token),))
+        row = cur.fetchone()
+        if row:
+            return dict(row)
+    raise HTTPException(status_code=401, detail="Sign in required")
 
-@app.get("/load-last-code")
-def load_last_code(db: sqlite3.Connection = Depends(get_db)):
+def start_session(db: sqlite3.Connection, response: Response, user_id: int):
+    token = secrets.token_urlsafe(32)
+    cur = db.cursor()
+    cur.execute("DELETE FROM user_sessions WHERE expires_at <= datetime('now')")
+    cur.execute("INSERT INTO user_sessions (token_hash, user_id, expires_at) VALUES (?, ?, datetime('now', ?))",
+                (session_token_hash(token), user_id, f"+{SESSION_DAYS} days"))
+    db.commit()
+    response.set_cookie(SESSION_COOKIE, token, max_age=SESSION_DAYS * 86400, httponly=True,
+                        samesite="lax", secure=SESSION_COOKIE_SECURE)
+
+def assessment_scope(user: Dict[str, Any], alias: str = "a"):
+    """(sql, params) matching the assessments a user may see: their own, plus the team's for reviewers."""
+    if user["team_id"] and user["role"] == "reviewer":
+        return (f"({alias}.user_id = ? OR {alias}.user_id IN (SELECT id FROM users WHERE team_id = ?))",
+                [user["id"], user["team_id"]])
+    return f"{alias}.user_id = ?", [user["id"]]
+
+def owned_project(cur, project_id: int, user: Dict[str, Any]) -> sqlite3.Row:
+    cur.execute("SELECT * FROM projects WHERE id = ? AND user_id = ?", (project_id, user["id"]))
+    row = cur.fetchone()
+    if not row:
+        raise HTTPException(status_code=404, detail="Project not found")
+    return row
+
+def visible_row(cur, table: str, row_id: int, user: Dict[str, Any], label: str) -> sqlite3.Row:
+    """A candidate, question or interview session the user may see (same rule as assessments), or 404."""
+    scope, params = assessment_scope(user, "t")
+    cur.execute(f"SELECT t.* FROM {table} t WHERE t.id = ? AND {scope}", [row_id] + params)
+    row = cur.fetchone()
+    if not row:
+        raise HTTPException(status_code=404, detail=f"{label} not found")
+    return row
+
+def settings_scope(user: Dict[str, Any], alias: str = "s"):
+    """(sql, params) matching shared settings a user may use: built-ins, their own and their team's."""
+    if user["team_id"]:
+        return (f"({alias}.user_id IS NULL OR {alias}.user_id = ? OR {alias}.user_id IN (SELECT id FROM users WHERE team_id = ?))",
+                [user["id"], user["team_id"]])
+    return f"({alias}.user_id IS NULL OR {alias}.user_id = ?)", [user["id"]]
+
+def editable_setting(cur, table: str, row_id: Optional[int], user: Dict[str, Any]) -> bool:
+    """Whether the user may change a shared-settings row in place: their own, or the team's for reviewers."""
+    if not row_id:
+        return False
+    scope, params = assessment_scope(user, "s")
+    cur.execute(f"SELECT 1 FROM {table} s WHERE s.id = ? AND {scope}", [row_id] + params)
+    return cur.fetchone() is not None
+
+def check_thread_scope(cur, project_id: Optional[int], assessment_id: Optional[int], user: Dict[str, Any]):
+    """A new thread may only be scoped to a project the user owns and an assessment they can see (else 404)."""
+    if project_id:
+        owned_project(cur, project_id, user)
+    if assessment_id:
+        visible_assessment(cur, assessment_id, user)
+
+def owned_thread(cur, thread_id: int, user: Dict[str, Any]) -> sqlite3.Row:
+    cur.execute("SELECT * FROM chat_threads WHERE id = ? AND user_id = ?", (thread_id, user["id"]))
+    row = cur.fetchone()
+    if not row:
+        raise HTTPException(status_code=404, detail="Chat thread not found")
+    return row
+
+def ensure_team_has_reviewer(cur, team_id: Optional[int]):
+    """A team with members must keep at least one reviewer to manage it."""
+    if not team_id:
+        return
+    cur.execute("SELECT COUNT(*), SUM(role = 'reviewer') FROM users WHERE team_id = ?", (team_id,))
+    members, reviewers = cur.fetchone()
+    if members and not reviewers:
+        raise HTTPException(status_code=409, detail="Make someone else a reviewer first; the team needs one")
+
+@app.post("/register")
+def register(data: AccountData, response: Response, db: sqlite3.Connection = Depends(get_db)):
     try:
+        username = data.username.strip()
+        if not USERNAME_PATTERN.match(username):
+            raise HTTPException(status_code=400, detail="Usernames are 3-40 letters, digits or . _ @ -")
+        if len(data.password) < MIN_PASSWORD_LENGTH:
+            raise HTTPException(status_code=400, detail=f"Passwords need at least {MIN_PASSWORD_LENGTH} characters")
         cur = db.cursor()
-        cur.execute("SELECT * FROM code_history ORDER BY id DESC LIMIT 1")
-        row = cur.fetchone()
-        if not row:
-            return {"status": "success", "data": None}
-        return {"status": "success", "data": dict(row)}
+        cur.execute("SELECT COUNT(*) FROM users")
+        first_account = cur.fetchone()[0] == 0
+        if not first_account and not ALLOW_SIGNUP:
+            raise HTTPException(status_code=403, detail="Sign-up is disabled on this server")
+        cur.execute("SELECT id FROM users WHERE username = ?", (username,))
+        if cur.fetchone():
+            raise HTTPException(status_code=409, detail=f"Username '{username}' is taken")
+
+        cur.execute("INSERT INTO users (username, password_hash) VALUES (?, ?)", (username, hash_password(data.password)))
+        user_id = cur.lastrowid
+        # Everything stored before accounts existed goes to the first account
+        if first_account:
+            for table in OWNED_TABLES:
+                cur.execute(f"UPDATE {table} SET user_id = ? WHERE user_id IS NULL", (user_id,))
+        db.commit()
+        start_session(db, response, user_id)
+        return {"status": "success", "user": load_user(cur, user_id)}
+    except HTTPException:
+        raise
     except Exception as e:
         raise HTTPException(status_code=500, detail=str(e))
 
-@app.get("/load-chat")
-def load_chat(db: sqlite3.Connection = Depends(get_db)):
+@app.post("/login")
+def login(data: AccountData, response: Response, db: sqlite3.Connection = Depends(get_db)):
     try:
         cur = db.cursor()
-        cur.execute("SELECT * FROM ai_chat ORDER BY id ASC")
-        rows = cur.fetchall()
-        return {"status": "success", "chat": [dict(r) for r in rows]}
+        cur.execute("SELECT id, password_hash FROM users WHERE username = ?", (data.username.strip(),))
+        row = cur.fetchone()
+        if not row or not verify_password(data.password, row["password_hash"]):
+            raise HTTPException(status_code=401, detail="Wrong username or password")
+        start_session(db, response, row["id"])
+        return {"status": "success", "user": load_user(cur, row["id"])}
+    except HTTPException:
+        raise
     except Exception as e:
         raise HTTPException(status_code=500, detail=str(e))
 
-@app.post("/save-project")
-def save_project(data: ProjectData, db: sqlite3.Connection = Depends(get_db)):
+@app.post("/logout")
+def logout(request: Request, response: Response, db: sqlite3.Connection = Depends(get_db)):
+    token = request.cookies.get(SESSION_COOKIE)
+    if token:
+        db.execute("DELETE FROM user_sessions WHERE token_hash = ?", (session_token_hash(token),))
+        db.commit()
+    response.delete_cookie(SESSION_COOKIE)
+    return {"status": "success"}
+
+@app.get("/me")
+def me(user: Dict[str, Any] = Depends(current_user)):
+    return {"status": "success", "user": user}
+
+@app.get("/team")
+def get_team(user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
     try:
+        if not user["team_id"]:
+            return {"status": "success", "team": None, "members": []}
         cur = db.cursor()
-        cur.execute("INSERT INTO projects (project_name, code, language) VALUES (?, ?, ?)",
-                        (data.projectName, data.code, data.language))
-        db.commit()
-        return {"status": "success", "id": cur.lastrowid}
+        cur.execute("SELECT * FROM teams WHERE id = ?", (user["team_id"],))
+        team = dict(cur.fetchone())
+        # Only reviewers hand out the invite code
+        if user["role"] != "reviewer":
+            team.pop("invite_code")
+        cur.execute("SELECT id, username, role, created_at FROM users WHERE team_id = ? ORDER BY username COLLATE NOCASE",
+                    (user["team_id"],))
+        return {"status": "success", "team": team, "members": [dict(r) for r in cur.fetchall()]}
     except Exception as e:
         raise HTTPException(status_code=500, detail=str(e))
 
-@app.get("/projects")
-def get_projects(db: sqlite3.Connection = Depends(get_db)):
+@app.post("/save-team")
+def save_team(data: TeamData, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    """Creates a team; its creator becomes the first reviewer."""
     try:
+        name = (data.name or "").strip()[:80]
+        if not name:
+            raise HTTPException(status_code=400, detail="Team name is required")
         cur = db.cursor()
-        cur.execute("SELECT * FROM projects ORDER BY created_at DESC")
-        rows = cur.fetchall()
-        return {"status": "success", "projects": [dict(r) for r in rows]}
+        cur.execute("INSERT INTO teams (name, invite_code) VALUES (?, ?)", (name, secrets.token_urlsafe(9)))
+        cur.execute("UPDATE users SET team_id = ?, role = 'reviewer' WHERE id = ?", (cur.lastrowid, user["id"]))
+        ensure_team_has_reviewer(cur, user["team_id"])
+        db.commit()
+        return {"status": "success", "user": load_user(cur, user["id"])}
+    except HTTPException:
+        raise
     except Exception as e:
         raise HTTPException(status_code=500, detail=str(e))
 
-@app.post("/favorite-project")
-def favorite_project(data: FavoriteData, db: sqlite3.Connection = Depends(get_db)):
+@app.post("/join-team")
+def join_team(data: TeamData, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
     try:
-        val = 1 if data.fav else 0
         cur = db.cursor()
-        cur.execute("UPDATE projects SET is_favorite = ? WHERE id = ?", (val, data.id))
-        db.commit()
-        return {"status": "success"}
+        cur.execute("SELECT id FROM teams WHERE invite_code = ?", ((data.invite_code or "").strip(),))
+        team = cur.fetchone()
+        if not team:
+            raise HTTPException(status_code=404, detail="No team has that invite code")
+        if team["id"] != user["team_id"]:
+            cur.execute("UPDATE users SET team_id = ?, role = 'member' WHERE id = ?", (team["id"], user["id"]))
+            ensure_team_has_reviewer(cur, user["team_id"])
+            db.commit()
+        return {"status": "success", "user": load_user(cur, user["id"])}
+    except HTTPException:
+        raise
     except Exception as e:
         raise HTTPException(status_code=500, detail=str(e))
 
-@app.post("/delete-project")
-def delete_project(data: DeleteData, db: sqlite3.Connection = Depends(get_db)):
+@app.post("/team-role")
+def set_team_role(data: TeamRoleData, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    """Reviewers change roles or remove members; anyone may remove themselves ('none')."""
     try:
+        if data.role not in TEAM_ROLES + ("none",):
+            raise HTTPException(status_code=400, detail=f"Unknown role '{data.role}'")
+        leaving = data.user_id == user["id"] and data.role == "none"
+        if not user["team_id"] or (user["role"] != "reviewer" and not leaving):
+            raise HTTPException(status_code=403, detail="Only team reviewers can change roles")
         cur = db.cursor()
-        cur.execute("DELETE FROM projects WHERE id = ?", (data.id,))
+        if data.role == "none":
+            cur.execute("UPDATE users SET team_id = NULL, role = 'member' WHERE id = ? AND team_id = ?",
+                        (data.user_id, user["team_id"]))
+        else:
+            cur.execute("UPDATE users SET role = ? WHERE id = ? AND team_id = ?", (data.role, data.user_id, user["team_id"]))
+        if cur.rowcount == 0:
+            raise HTTPException(status_code=404, detail="Not a member of your team")
+        ensure_team_has_reviewer(cur, user["team_id"])
         db.commit()
         return {"status": "success"}
+    except HTTPException:
+        raise
     except Exception as e:
         raise HTTPException(status_code=500, detail=str(e))
 
 # --------------------------------------------------------------------
-# 🔹 CORE FUNCTIONALITY (PDF & AI)
+# 🔹 PROJECT & DATABASE API ENDPOINTS
 # --------------------------------------------------------------------
 
-@app.post("/generate_pdf")
-def generate_pdf(data: ReportData):
-    try:
-        if not data.final_code:
-            raise HTTPException(status_code=400, detail="Missing required report data (run assessment first).")
-        
-        pdf = CodeReportPDF()
-        pdf.alias_nb_pages()
-        pdf.add_page()
-        
-        # 1. METADATA SECTION
-        pdf.set_font('Helvetica', '', 10)
-        pdf.cell(0, 6, f"Target Language: {data.target_lang}", 0, new_x=XPos.LMARGIN, new_y=YPos.NEXT)
-        pdf.cell(0, 6, f"Date: {time.strftime('%Y-%m-%d')}", 0, new_x=XPos.LMARGIN, new_y=YPos.NEXT)
-        pdf.ln(5)
-        
-        # 2. STATUS SUMMARY
-        pdf.chapter_title("2. Compliance & Integrity Status")
-        # --- QUALITY SCORE SUPPORT ---
-        pdf.status_field("Quality Score:", str(data.quality_score) + " / 100")
-        pdf.status_field("Compliance Status:", str(data.compliance_status))
-        pdf.status_field("Integrity Check:", str(data.integrity_check))
-        pdf.status_field("Plagiarism Check:", str(data.plagiarism_check))
-        pdf.ln(5)
+def bundle_files(files: List[Dict[str, Any]]) -> str:
+    """One text blob for a file set; a single file is just its code."""
+    if len(files) == 1:
+        return files[0]["code"]
+    return "\n\n".join(f"=== FILE: {f['name']} ===\n{f['code']}" for f in files)
 
-        # 3. ORIGINAL CODE
-        pdf.chapter_title("3. Candidate Submission (Original Code)")
-        pdf.code_block(data.original_code if data.original_code else 'No code provided.')
+def files_payload(files: Optional[List[SourceFile]], code: str):
+    """(files_json, code) to store. With files, code becomes their bundle."""
+    if not files:
+        return None, code
+    file_dicts = [f.dict() for f in files]
+    return json.dumps(file_dicts), bundle_files(file_dicts)
 
-        # 4. FIXED CODE
-        pdf.chapter_title("4. Standardized & Fixed Code")
-        pdf.code_block(data.final_code if data.final_code else 'Analysis failed.')
+def with_files(row, column: str = "files_json", key: str = "files") -> Dict[str, Any]:
+    """Row as a dict with the JSON file list parsed (None for old single-code rows)."""
+    item = dict(row)
+    raw = item.pop(column, None)
+    item[key] = json.loads(raw) if raw else None
+    return item
 
-        # 5. CRITICAL ERROR LOG
-        pdf.chapter_title("5. Critical Error Log")
-        pdf.code_block(data.error_log_text if data.error_log_text else 'No critical errors found.')
-        
-        # 6. COMPLEXITY
-        pdf.chapter_title("6. Complexity Analysis")
-        pdf.code_block(data.time_analysis if data.time_analysis else 'N/A')
-        pdf.code_block(data.space_analysis if data.space_analysis else 'N/A')
+def project_view(row) -> Dict[str, Any]:
+    """Project row with its files and tags parsed."""
+    item = with_files(row)
+    item["tags"] = json.loads(item.pop("tags_json", None) or "[]")
+    return item
 
-        # 7. EXPLANATION
-        pdf.chapter_title("7. Line-by-Line Explanation")
-        pdf.code_block(data.explanation_text if data.explanation_text else 'No detailed explanation provided.')
-        
-        # Output PDF to a buffer
-        pdf_bytes = pdf.output()
-        pdf_buffer = io.BytesIO(pdf_bytes)
-        
-        # Send the PDF as a file download
-        download_filename = f"CodeStatic_Report_{time.strftime('%Y%m%d%H%M%S')}.pdf"
-        
-        return Response(
-            content=pdf_buffer.getvalue(),
-            media_type="application/pdf",
-            headers={"Content-Disposition": f"attachment; filename={download_filename}"}
-        )
+def normalize_tags(tags: List[str]) -> List[str]:
+    """Trimmed, single-spaced, de-duplicated (case-insensitively) and capped."""
+    seen, cleaned = set(), []
+    for tag in tags:
+        tag = " ".join(str(tag).split())[:MAX_TAG_LENGTH]
+        if tag and tag.lower() not in seen:
+            seen.add(tag.lower())
+            cleaned.append(tag)
+    return cleaned[:MAX_PROJECT_TAGS]
 
-    except Exception as e:
-        print(f"PDF Generation Error (Fpdf2): {e}")
-        raise HTTPException(status_code=500, detail=f"PDF Generation Failed: {str(e)}")
+def add_project_revision(cur, project_id, code, language, files_json=None):
+    """
+    Appends a revision unless it would duplicate the latest one.
+    Returns the id of the newest revision either way.
+    """
+    cur.execute("SELECT id, code, language, files_json FROM project_revisions WHERE project_id = ? ORDER BY id DESC LIMIT 1",
+                (project_id,))
+    latest = cur.fetchone()
+    if latest and latest[1] == code and latest[2] == language and latest[3] == files_json:
+        return latest[0]
+    cur.execute("INSERT INTO project_revisions (project_id, code, language, files_json) VALUES (?, ?, ?, ?)",
+                (project_id, code, language, files_json))
+    return cur.lastrowid
 
-@app.post("/ai_chat")
-def ai_chat(data: ChatData, db: sqlite3.Connection = Depends(get_db)):
+def prune_code_history(cur, user_id: int):
+    """Retention, per user: drop snapshots past the age limit, then keep only the newest N."""
+    cur.execute("DELETE FROM code_history WHERE user_id = ? AND created_at < datetime('now', ?)",
+                (user_id, f"-{HISTORY_MAX_AGE_DAYS} days"))
+    cur.execute("""
+        DELETE FROM code_history WHERE user_id = ? AND id NOT IN (
+            SELECT id FROM code_history WHERE user_id = ? ORDER BY id DESC LIMIT ?
+        )
+    """, (user_id, user_id, HISTORY_MAX_SNAPSHOTS))
+
+@app.post("/save-code")
+def save_code(data: CodeData, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
     try:
-        user_message = data.message
-        current_code = data.code_context
-        
-        if not user_message:
-            raise HTTPException(status_code=400, detail="No message provided")
+        files_json, code = files_payload(data.files, data.code)
+        cur = db.cursor()
+        cur.execute("""
+            SELECT id, code, language,
+                   (julianday('now') - julianday(created_at)) * 86400 AS age_seconds
+            FROM code_history WHERE user_id = ? ORDER BY id DESC LIMIT 1
+        """, (user["id"],))
+        latest = cur.fetchone()
 
-        # Chat Prompt - Helpful Assistant
-        prompt = f"""
-        ACT AS: An Expert AI Coding Assistant for the CodeStatic platform.
-        YOUR GOAL: Help the user understand logic, syntax, or concepts. Be concise, friendly, and accurate. Use **only** standard Markdown (like bold, italics, code blocks, or lists) for formatting. DO NOT use special Unicode symbols, emojis, or custom stylistic characters.
-        
-        USER'S CURRENT CODE CONTEXT (For reference only):
-        ```{current_code}```
-        
-        USER QUESTION: "{user_message}"
-        
-        RESPONSE: Provide a direct, helpful answer.
-        """
-        
-        # Simple Round Robin for Chat
-        for model_name in MODEL_ROSTER:
-            try:
-                current_model = genai.GenerativeModel(model_name)
-                response = current_model.generate_content(prompt)
-                ai_reply = response.text
+        # Nothing changed since the last snapshot
+        if latest and latest["code"] == code and latest["language"] == data.language:
+            return {"status": "success", "id": latest["id"], "action": "unchanged"}
 
-                # --- SAVE TO DB ---
-                try:
-                    cur = db.cursor()
-                    cur.execute("INSERT INTO ai_chat (user_message, ai_response) VALUES (?, ?)", (user_message, ai_reply))
-                    db.commit()
-                except Exception as db_err:
-                    print(f"⚠️ Failed to save chat to DB: {db_err}")
-
-                return {"status": "success", "reply": ai_reply}
-            except:
-                continue 
-        
-        return JSONResponse(status_code=429, content={"status": "error", "message": "AI services busy."})
+        # Same editing burst: fold into the latest snapshot
+        if latest and latest["age_seconds"] is not None and latest["age_seconds"] < HISTORY_COALESCE_SECONDS:
+            cur.execute("UPDATE code_history SET code = ?, language = ?, files_json = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+                        (code, data.language, files_json, latest["id"]))
+            db.commit()
+            return {"status": "success", "id": latest["id"], "action": "coalesced"}
 
+        cur.execute("INSERT INTO code_history (code, language, files_json, user_id, updated_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)",
+                    (code, data.language, files_json, user["id"]))
+        snapshot_id = cur.lastrowid
+        prune_code_history(cur, user["id"])
+        db.commit()
+        return {"status": "success", "id": snapshot_id, "action": "created"}
     except Exception as e:
         raise HTTPException(status_code=500, detail=str(e))
 
-@app.post("/process_code")
-def process_code(data: ProcessCodeData):
+@app.get("/code-history")
+def list_code_history(limit: int = 100, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
     try:
-        source_code = data.code
-        target_lang = data.target_lang
-        
-        if not source_code or not target_lang:
-            raise HTTPException(status_code=400, detail="Missing code or target language")
-
-        lines = source_code.split('\n')
-        numbered_code = "\n".join([f"{i+1} | {line}" for i, line in enumerate(lines)])
+        cur = db.cursor()
+        # Listing stays light: size and first line only, full code via /code-history/{id}
+        cur.execute("""
+            SELECT id, language, created_at, updated_at,
+                   length(code) AS size,
+                   length(code) - length(replace(code, char(10), '')) + 1 AS line_count,
+                   substr(ltrim(code), 1, 80) AS preview
+            FROM code_history WHERE user_id = ? ORDER BY id DESC LIMIT ?
+        """, (user["id"], max(1, min(limit, 500))))
+        rows = cur.fetchall()
+        return {"status": "success", "snapshots": [dict(r) for r in rows]}
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
 
-        # --------------------------------------------------------------------------------
-        #  SUPREME CODE ARCHITECT & ADVANCED PLAGIARISM FORENSICS MODULE
-        # --------------------------------------------------------------------------------
-        prompt = f"""
-        ACT AS: The "Supreme Code Architect" and Forensic Debugger.
-        TASK: Perform a deep-scan code audit, ruthlessly identify ALL errors, and generate a 100% CORRECT, COMPILABLE solution in {target_lang}.
-        
-        *** CRITICAL INSTRUCTION ON LINE NUMBERS ***
-        The "CANDIDATE INPUT CODE" provided below is PRE-NUMBERED (Format: "LineNumber | Code").
-        Use the EXPLICIT line number printed at the start of the line for the error table.
-        
-        CANDIDATE INPUT CODE:
-        ```{numbered_code}```
-        
-        TARGET LANGUAGE: {target_lang}
-        
-        ------------------------------------------------------------------------
-        MODULE 1: FORENSIC PLAGIARISM & AI DETECTION (ADVANCED SUPERVISED CHECK)
-        ------------------------------------------------------------------------
-        You are a highly supervised detection engine. Analyze the code for:
+@app.get("/code-history/{snapshot_id}")
+def get_code_snapshot(snapshot_id: int, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        cur = db.cursor()
+        cur.execute("SELECT * FROM code_history WHERE id = ? AND user_id = ?", (snapshot_id, user["id"]))
+        row = cur.fetchone()
+        if not row:
+            raise HTTPException(status_code=404, detail="Snapshot not found")
+        return {"status": "success", "snapshot": with_files(row)}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.get("/load-last-code")
+def load_last_code(user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        cur = db.cursor()
+        cur.execute("SELECT * FROM code_history WHERE user_id = ? ORDER BY id DESC LIMIT 1", (user["id"],))
+        row = cur.fetchone()
+        if not row:
+            return {"status": "success", "data": None}
+        return {"status": "success", "data": with_files(row)}
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.get("/load-chat")
+def load_chat(thread_id: int, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        cur = db.cursor()
+        owned_thread(cur, thread_id, user)
+        cur.execute("SELECT * FROM ai_chat WHERE thread_id = ? ORDER BY id ASC", (thread_id,))
+        rows = cur.fetchall()
+        return {"status": "success", "chat": [dict(r) for r in rows]}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.get("/chat-threads")
+def list_chat_threads(project_id: Optional[int] = None, assessment_id: Optional[int] = None,
+                      user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    """
+    Threads of a project and/or assessment, newest activity first.
+    With neither, the threads that belong to no project (the scratch buffer).
+    """
+    try:
+        cur = db.cursor()
+        if project_id is None and assessment_id is None:
+            where, params = "t.project_id IS NULL AND t.assessment_id IS NULL", []
+        else:
+            where, params = "t.project_id = ? OR t.assessment_id = ?", [project_id, assessment_id]
+        cur.execute(f"""
+            SELECT t.*, COUNT(c.id) AS message_count
+            FROM chat_threads t LEFT JOIN ai_chat c ON c.thread_id = t.id
+            WHERE t.user_id = ? AND ({where})
+            GROUP BY t.id
+            ORDER BY t.updated_at DESC, t.id DESC
+        """, [user["id"]] + params)
+        return {"status": "success", "threads": [dict(r) for r in cur.fetchall()]}
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.post("/save-chat-thread")
+def save_chat_thread(data: ChatThreadData, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    """Creates a thread, or renames one when id is given."""
+    try:
+        cur = db.cursor()
+        title = (data.title or "").strip()[:120] or None
+        if data.id:
+            cur.execute("UPDATE chat_threads SET title = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?",
+                        (title, data.id, user["id"]))
+            if cur.rowcount == 0:
+                raise HTTPException(status_code=404, detail="Thread not found")
+            thread_id = data.id
+        else:
+            check_thread_scope(cur, data.project_id, data.assessment_id, user)
+            cur.execute("INSERT INTO chat_threads (title, project_id, assessment_id, user_id) VALUES (?, ?, ?, ?)",
+                        (title, data.project_id, data.assessment_id, user["id"]))
+            thread_id = cur.lastrowid
+        db.commit()
+        cur.execute("SELECT * FROM chat_threads WHERE id = ?", (thread_id,))
+        return {"status": "success", "thread": dict(cur.fetchone())}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.post("/clear-chat-thread")
+def clear_chat_thread(data: DeleteData, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    """Drops a thread's messages but keeps the thread."""
+    try:
+        cur = db.cursor()
+        owned_thread(cur, data.id, user)
+        cur.execute("DELETE FROM ai_chat WHERE thread_id = ?", (data.id,))
+        cur.execute("UPDATE chat_threads SET updated_at = CURRENT_TIMESTAMP WHERE id = ?", (data.id,))
+        db.commit()
+        return {"status": "success"}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.post("/delete-chat-thread")
+def delete_chat_thread(data: DeleteData, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        cur = db.cursor()
+        owned_thread(cur, data.id, user)
+        cur.execute("DELETE FROM ai_chat WHERE thread_id = ?", (data.id,))
+        cur.execute("DELETE FROM chat_threads WHERE id = ?", (data.id,))
+        db.commit()
+        return {"status": "success"}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.post("/save-project")
+def save_project(data: ProjectData, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        files_json, code = files_payload(data.files, data.code)
+        cur = db.cursor()
+        cur.execute(f"INSERT INTO projects (project_name, code, language, files_json, user_id, updated_at) VALUES (?, ?, ?, ?, ?, {NOW_MS})",
+                        (data.projectName, code, data.language, files_json, user["id"]))
+        project_id = cur.lastrowid
+        add_project_revision(cur, project_id, code, data.language, files_json)
+        db.commit()
+        cur.execute("SELECT updated_at FROM projects WHERE id = ?", (project_id,))
+        return {"status": "success", "id": project_id, "updated_at": cur.fetchone()[0]}
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.get("/projects")
+def get_projects(user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        cur = db.cursor()
+        cur.execute("SELECT * FROM projects WHERE user_id = ? ORDER BY created_at DESC", (user["id"],))
+        rows = cur.fetchall()
+        return {"status": "success", "projects": [project_view(r) for r in rows]}
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.get("/projects/{project_id}")
+def get_project(project_id: int, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        return {"status": "success", "project": project_view(owned_project(db.cursor(), project_id, user))}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.post("/update-project")
+def update_project(data: ProjectUpdateData, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        cur = db.cursor()
+        existing = owned_project(cur, data.id, user)
+
+        # Saved elsewhere since the client loaded it: hand back the server copy
+        if data.base_updated_at and existing["updated_at"] != data.base_updated_at:
+            return JSONResponse(status_code=409, content={"status": "conflict", "project": project_view(existing)})
+
+        files_json, code = files_payload(data.files, data.code)
+        cur.execute(f"""
+            UPDATE projects
+            SET code = ?, language = ?, files_json = ?, project_name = COALESCE(?, project_name), updated_at = {NOW_MS}
+            WHERE id = ?
+        """, (code, data.language, files_json, data.projectName, data.id))
+        revision_id = add_project_revision(cur, data.id, code, data.language, files_json)
+        db.commit()
+        cur.execute("SELECT updated_at FROM projects WHERE id = ?", (data.id,))
+        return {"status": "success", "id": data.id, "revision_id": revision_id, "updated_at": cur.fetchone()[0]}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.get("/projects/{project_id}/revisions")
+def list_project_revisions(project_id: int, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        cur = db.cursor()
+        owned_project(cur, project_id, user)
+        cur.execute("SELECT * FROM project_revisions WHERE project_id = ? ORDER BY id DESC", (project_id,))
+        rows = cur.fetchall()
+        return {"status": "success", "revisions": [with_files(r) for r in rows]}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.post("/restore-revision")
+def restore_revision(data: RestoreRevisionData, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        cur = db.cursor()
+        owned_project(cur, data.project_id, user)
+        cur.execute("SELECT * FROM project_revisions WHERE id = ? AND project_id = ?", (data.revision_id, data.project_id))
+        revision = cur.fetchone()
+        if not revision:
+            raise HTTPException(status_code=404, detail="Revision not found")
+
+        # Restoring is itself a new revision, so it can be undone the same way
+        cur.execute(f"UPDATE projects SET code = ?, language = ?, files_json = ?, updated_at = {NOW_MS} WHERE id = ?",
+                    (revision["code"], revision["language"], revision["files_json"], data.project_id))
+        add_project_revision(cur, data.project_id, revision["code"], revision["language"], revision["files_json"])
+        db.commit()
+
+        cur.execute("SELECT * FROM projects WHERE id = ?", (data.project_id,))
+        return {"status": "success", "project": project_view(cur.fetchone())}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.post("/favorite-project")
+def favorite_project(data: FavoriteData, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        val = 1 if data.fav else 0
+        cur = db.cursor()
+        cur.execute("UPDATE projects SET is_favorite = ? WHERE id = ? AND user_id = ?", (val, data.id, user["id"]))
+        db.commit()
+        return {"status": "success"}
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.post("/tag-project")
+def tag_project(data: ProjectTagsData, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        tags = normalize_tags(data.tags)
+        cur = db.cursor()
+        cur.execute("UPDATE projects SET tags_json = ? WHERE id = ? AND user_id = ?", (json.dumps(tags), data.id, user["id"]))
+        if cur.rowcount == 0:
+            raise HTTPException(status_code=404, detail="Project not found")
+        db.commit()
+        return {"status": "success", "tags": tags}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.post("/import-projects")
+def import_projects(data: ProjectImportData, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    """
+    Creates one project per bundle entry (each with a first revision).
+    A name already in use gets a numbered suffix instead of replacing anything.
+    """
+    try:
+        if not data.projects:
+            raise HTTPException(status_code=400, detail="The bundle has no projects")
+        if len(data.projects) > MAX_IMPORT_PROJECTS:
+            raise HTTPException(status_code=400, detail=f"At most {MAX_IMPORT_PROJECTS} projects per import")
+        cur = db.cursor()
+        cur.execute("SELECT project_name FROM projects WHERE user_id = ?", (user["id"],))
+        taken = {(r[0] or "").lower() for r in cur.fetchall()}
+
+        ids = []
+        for item in data.projects:
+            base = item.project_name.strip() or "Imported project"
+            name, n = base, 2
+            while name.lower() in taken:
+                name, n = f"{base} ({n})", n + 1
+            taken.add(name.lower())
+
+            files_json, code = files_payload(item.files, item.code)
+            cur.execute(f"""
+                INSERT INTO projects (project_name, code, language, files_json, tags_json, is_favorite, user_id, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, {NOW_MS})
+            """, (name, code, item.language, files_json, json.dumps(normalize_tags(item.tags)),
+                  1 if item.is_favorite else 0, user["id"]))
+            project_id = cur.lastrowid
+            add_project_revision(cur, project_id, code, item.language, files_json)
+            ids.append(project_id)
+        db.commit()
+        return {"status": "success", "ids": ids}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.post("/delete-project")
+def delete_project(data: DeleteData, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        cur = db.cursor()
+        owned_project(cur, data.id, user)
+        cur.execute("DELETE FROM projects WHERE id = ?", (data.id,))
+        cur.execute("DELETE FROM project_revisions WHERE project_id = ?", (data.id,))
+        cur.execute("DELETE FROM similarity_fingerprints WHERE kind = 'project' AND source_id = ?", (data.id,))
+        cur.execute("DELETE FROM ai_chat WHERE thread_id IN (SELECT id FROM chat_threads WHERE project_id = ?)", (data.id,))
+        cur.execute("DELETE FROM chat_threads WHERE project_id = ?", (data.id,))
+        db.commit()
+        return {"status": "success"}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+# --------------------------------------------------------------------
+# 🔹 CORE FUNCTIONALITY (PDF & AI)
+# --------------------------------------------------------------------
+
+@app.post("/generate_pdf")
+def generate_pdf(data: ReportData, user: Dict[str, Any] = Depends(current_user)):
+    try:
+        if not data.final_code:
+            raise HTTPException(status_code=400, detail="Missing required report data (run assessment first).")
         
-        1. **AI FINGERPRINT ANALYSIS:**
-           - **ChatGPT Style:** Look for "Here is the code", generic variable names (foo, bar, example), or overly verbose comment structures typical of GPT-3.5/4.
-           - **Gemini Style:** Look for Google-specific coding patterns, concise "solution-first" structures, or markers typical of PaLM/Gemini training data.
-           - **Perplexity/Search AI:** Look for synthesized code that combines multiple distinct styles abruptly (indicating search aggregation).
-           
-        2. **TOP PROGRAMMING PLATFORM MATCHING:**
-           - **LeetCode / HackerRank / GFG / Stack Overflow / Codeforces / CodeChef:** Check logic against the "Canonical Solutions" for known algorithms.
-           - **StackOverflow:** Check for "Copy-Paste" patterns (e.g., keeping specific, irrelevant comments or variable names from popular threads).
-           
-        **PLAGIARISM OUTPUT INSTRUCTION:**
-        In the JSON output `plagiarism_check` field, you MUST return a structured detailed string.
-        - IF AI GENERATED: "High Match (AI Detected: [Model Name] Pattern)"
-        - IF LEETCODE/GFG: "High Match (90%+ Similarity to [Site Name] Standard Solution)"
-        - IF ORIGINAL: "Low Match (Original Logic / Custom Implementation)"
-
-        ------------------------------------------------------------------------
-        MODULE 2: 23-POINT VALIDATION PROTOCOL
-        ------------------------------------------------------------------------
-        1. **SYNTAX & COMPILATION (CRITICAL)**
-           - Semicolons, Brackets, Typos.
-        2. **LOGIC & SEMANTIC ERRORS**
-           - Infinite Loops, Unreachable Code, Bad Assignments.
-        3. **TYPE & CASTING ERRORS**
-        4. **RUNTIME & EXCEPTION PREDICTION**
-           - Null Pointer, Division by Zero.
-        5. **LINKER & API ERRORS**
-           - Missing Imports, Wrong Signatures.
-        6. **MEMORY & RESOURCE MANAGEMENT**
-           - Leaks, Unclosed Files.
-        7. **OOP INTEGRITY**
-           - Encapsulation, Inheritance, Class Structure.
-        8. **DSA INTEGRITY (Data Structures)**
-           - Linked Lists, Arrays (Bounds), Stacks.
-        9. **SECURITY RISKS**
-           - Buffer Overflow, Injection, Secrets.
-        10. **CONCURRENCY (Thread Safety)**
-        11. **I/O & FILE HANDLING**
-        12. **CONFIGURATION & ENVIRONMENT**
-            - Global Namespace Pollution.
-        13. **MATH & ALGORITHMIC ACCURACY**
-        14. **INTENT vs IMPLEMENTATION**
-        15. **MANDATORY INDENTATION (Python Only)**
-        16. **Database Errors**
-        17. **Exception Handling (Empty catch)**
-        18. **Hardware/Driver Issues**
-        19. **Network Socket Failures**
-        20. **Deprecated API Usage**
-        21. **Race Conditions**
-        22. **Floating Point Precision**
-        23. **Misleading Comments**
+        pdf = CodeReportPDF()
+        pdf.alias_nb_pages()
+        pdf.add_page()
         
-        INSTRUCTIONS:
-        1. **DETECT**: Identify source language.
-
-        2. **ASSESS (Forensic Scan)**: 
-           - **MENTAL COMPILATION**: Mentally compile the code. 
-           - **ERROR MAPPING**: Populate the `error_table` with EVERY SINGLE issue found.
-           - **Score**: Assign a strict quality score to the *INPUT* code (likely low) from 0 to 100.
-           - **Plagiarism**: SIMULATE a check against known online solutions. Set `plagiarism_check` to: "High Match (e.g., LeetCode/GFG solution)" if the code is structured like a direct copy, or "Low Match (Original Logic)" otherwise.
+        # 1. METADATA SECTION
+        pdf.set_font('Helvetica', '', 10)
+        pdf.cell(0, 6, f"Target Language: {data.target_lang}", 0, new_x=XPos.LMARGIN, new_y=YPos.NEXT)
+        if data.candidate_id and data.candidate_id != "N/A":
+            pdf.cell(0, 6, f"Candidate ID: {data.candidate_id}", 0, new_x=XPos.LMARGIN, new_y=YPos.NEXT)
+        pdf.cell(0, 6, f"Date: {time.strftime('%Y-%m-%d')}", 0, new_x=XPos.LMARGIN, new_y=YPos.NEXT)
+        pdf.ln(5)
         
-        3. **MANDATORY PRE-FLIGHT CHECK (Internal)**:
-           - "Does this code solve all 23 checklist items?"
-           - "Is the fixed code translated correctly to {target_lang}?"
-           - "Is the score of my fixed code 95/100 or higher?"
-           -  If NO, refine it immediately until it is perfect.
+        # 2. STATUS SUMMARY
+        pdf.chapter_title("2. Compliance & Integrity Status")
+        # --- QUALITY SCORE SUPPORT ---
+        quality = "Not provided" if data.quality_score is None else str(data.quality_score) + " / 100"
+        if data.quality_score is not None and data.score_basis == "weighted":
+            quality += " (weighted by profile categories)"
+        pdf.status_field("Quality Score:", quality)
+        if data.profile:
+            profile_note = f"{data.profile.get('name') or 'Unnamed'} (severity >= {data.profile.get('severity_threshold') or 'info'}"
+            profile_note += ", plagiarism check off)" if data.profile.get("plagiarism_check") is False else ")"
+            pdf.status_field("Assessment Profile:", profile_note)
+            labels = {c["key"]: c["label"] for c in CHECKLIST_CATEGORIES}
+            weights = data.profile.get("weights") or {}
+            pdf.status_field("Checklist:", ", ".join(
+                f"{labels.get(key, key)} x{weights.get(key, 0):g}" for key in data.profile.get("categories") or []))
+        pdf.status_field("Compliance Status:", str(data.compliance_status))
+        pdf.status_field("Integrity Check:", str(data.integrity_check))
+        similarity = data.similarity or {}
+        if similarity.get("score") is not None:
+            top = similarity.get("matches") or []
+            note = f"{similarity['score']}% ({similarity.get('level') or 'low'}) against {similarity.get('compared', 0)} stored submissions"
+            if top:
+                note += "; top: " + ", ".join(f"{m.get('label')} {m.get('score')}%" for m in top[:3])
+            pdf.status_field("Code Similarity:", note)
+        pdf.status_field("AI Plagiarism Verdict:", str(data.plagiarism_check))
+        recording = data.session_recording
+        if recording:
+            note = f"{recording.get('paste_share', 0)}% pasted from outside the app ({recording.get('level') or 'low'})"
+            kinds = [s.get("kind") for s in recording.get("segments") or []]
+            note += f"; {kinds.count('paste')} large paste(s), {kinds.count('burst')} typing burst(s)"
+            if recording.get("matches_submission") is False:
+                note += "; submission differs from the recording"
+            pdf.status_field("Session Recording:", note)
+        flagged = (data.validation or {}).get("fields") or {}
+        if flagged:
+            pdf.status_field("AI Response Check:", "; ".join(f"{name} {status}" for name, status in flagged.items()))
+        elif (data.validation or {}).get("repaired"):
+            pdf.status_field("AI Response Check:", "Passed after a repair request")
+        pdf.ln(5)
+
+        # 3. ORIGINAL CODE
+        pdf.chapter_title("3. Candidate Submission (Original Code)")
+        if data.files and len(data.files) > 1:
+            for f in data.files:
+                pdf.file_title(f.get("name"))
+                pdf.code_block(f.get("code") or '(empty file)')
+        else:
+            pdf.code_block(data.original_code if data.original_code else 'No code provided.')
+
+        # 4. FIXED CODE
+        pdf.chapter_title("4. Standardized & Fixed Code")
+        if data.final_files and len(data.final_files) > 1:
+            for f in data.final_files:
+                name = f.get("name") or f.get("source") or "file"
+                pdf.file_title(name if not f.get("source") or f.get("source") == name else f"{name} (from {f['source']})")
+                pdf.code_block(f.get("code") or '(empty file)')
+        else:
+            pdf.code_block(data.final_code if data.final_code else 'Analysis failed.')
+
+        # 5. CRITICAL ERROR LOG
+        pdf.chapter_title("5. Critical Error Log")
+        pdf.code_block(data.error_log_text if data.error_log_text else 'No critical errors found.')
         
-        4. **FIX (Supreme Correction & TRANSLATION - Target 100/100)**: 
-           - **MANDATORY TRANSLATION**: The `final_code` MUST be written in **{target_lang}**.
-           - Rewrite the code to be **100% ERROR-FREE**.
-           - The fixed code MUST address EVERY item in the checklist above.
-           - **Guarantee**: The result must compile and run immediately without modification.
-           - Add ALL missing imports/headers.
-           - Fix ALL logic.
+        # 6. COMPLEXITY
+        pdf.chapter_title("6. Complexity Analysis")
+        pdf.code_block(data.time_analysis if data.time_analysis else 'N/A')
+        pdf.code_block(data.space_analysis if data.space_analysis else 'N/A')
+        if data.empirical_complexity:
+            pdf.code_block(empirical_complexity_text(data.empirical_complexity))
+
+        # 7. EXPLANATION
+        pdf.chapter_title("7. Line-by-Line Explanation")
+        pdf.code_block(data.explanation_text if data.explanation_text else 'No detailed explanation provided.')
+
+        # 8. DIFF (optional)
+        section = 8
+        if data.diff and data.diff.get('rows'):
+            pdf.chapter_title(f"{section}. Original vs Fixed Code (Diff)")
+            pdf.diff_block(data.diff)
+            section += 1
+
+        # 9. INTERVIEW EVALUATION (optional)
+        if data.interview_session_id:
+            db = sqlite3.connect(str(DB_PATH))
+            db.row_factory = sqlite3.Row
+            try:
+                interview = interview_report(db.cursor(), data.interview_session_id, user)
+            finally:
+                db.close()
+            if interview:
+                pdf.chapter_title(f"{section}. Interview Evaluation")
+                pdf.interview_block(interview)
+                section += 1
+
+        # 10. TEST CASES (optional)
+        if data.test_results and data.test_results.get("cases"):
+            pdf.chapter_title(f"{section}. Test Case Results")
+            pdf.test_results_block(data.test_results)
+            section += 1
+
+        # 11. SESSION RECORDING (optional)
+        if data.session_recording:
+            pdf.chapter_title(f"{section}. Session Recording")
+            pdf.code_block("\n".join(recording_summary_lines(data.session_recording)))
         
-        5. **EXPLAIN (STRICT FILTERING)**: 
-           - Provide a line-by-line explanation of the **FIXED FINAL CODE**.
-           - **STRICT EXCLUSION RULE**: Do NOT generate an explanation object for:
-             a. Lines that are empty or whitespace only.
-             b. Lines that contain ONLY comments (starting with //, #, /*).
-             c. Lines that contain ONLY closing braces '}}' or keywords like 'end' (unless critical logic).
-           - **CRITICAL**: The 'code' field MUST contain the ACTUAL CODE SNIPPET from the 'final_code'.
-           - Explain *what* the code does and *why* specific fixes were made.
+        # Output PDF to a buffer
+        pdf_bytes = pdf.output()
+        pdf_buffer = io.BytesIO(pdf_bytes)
         
-        6. **COMPLEXITY**: 
-           - Analyze Best, Average, and Worst Case Time Complexity.
-           - Analyze Best, Average, and Worst Case Space Complexity.
-           - Accuracy Check: Ensure the complexity analysis accurately reflects the efficiency of the provided solution and accounts for any recursive stacks or auxiliary structures.     
+        # Send the PDF as a file download
+        download_filename = f"CodeStatic_Report_{time.strftime('%Y%m%d%H%M%S')}.pdf"
         
-        OUTPUT FORMAT (Strict JSON):
-        {{
-            "detected_language": "String",
-            "quality_score": Integer,
-            "integrity_check": "String (Summary of critical failures found in original code)",
-            "plagiarism_check": "String (DETAILED finding from Module 1)", 
-            "maintainability_index": Integer,
-            "readability_score": Integer,
-            "target_complexity": "String (e.g., O(N log N))",
-            "error_table": [ {{ "line": 5, "error": "Detailed error description" }} ],
-            "final_code": "String (The 100% CORRECTED, COMPLETE, and COMPILABLE code in {target_lang})",
-            "code_explanation": [ 
-                {{ "line": 1, "code": "import os", "explanation": "Imports standard library..." }}
-            ],
-            "complexity": {{
-                "time": {{ "best": "O(1)", "average": "O(n)", "worst": "O(n)", "desc": "Explanation..." }},
-                "space": {{ "best": "O(1)", "average": "O(1)", "worst": "O(n)", "desc": "Explanation..." }}
-            }},
-            "status": "success",
-            "target_lang": "{target_lang}" 
-        }}
-        """
+        return Response(
+            content=pdf_buffer.getvalue(),
+            media_type="application/pdf",
+            headers={"Content-Disposition": f"attachment; filename={download_filename}"}
+        )
+
+    except HTTPException:
+        raise
+    except Exception as e:
+        print(f"PDF Generation Error (Fpdf2): {e}")
+        raise HTTPException(status_code=500, detail=f"PDF Generation Failed: {str(e)}")
+
+def empirical_complexity_text(check: Dict[str, Any]) -> str:
+    """Benchmark result as it appears under the model's complexity claims."""
+    lines = [f"EMPIRICAL CHECK ({check.get('language', '?')}, x = {check.get('input', '?')}, "
+             f"timed {check.get('call', '?')}, n = {check.get('n_min', '?')}..{check.get('n_max', '?')}):"]
+    for kind in ("time", "space"):
+        part = check.get(kind)
+        if not part:
+            lines.append(f"  {kind.capitalize()}: not measured")
+            continue
+        verdict = {"agree": "agrees", "close": "close (hard to tell apart by measurement)",
+                   "disagree": "DISAGREES"}.get(part.get("verdict"), "not compared")
+        lines.append(f"  {kind.capitalize()}: measured {part.get('measured') or 'inconclusive'}; "
+                     f"claimed {part.get('claimed') or '?'} - {verdict}")
+    return "\n".join(lines)
+
+# Earlier exchanges sent along with each chat message
+CHAT_HISTORY_TURNS = 20
+
+def build_chat_prompt(user_message: str, current_code: str, selection: Optional[CodeSelection] = None) -> str:
+    focus = ""
+    if selection and selection.code.strip():
+        where = f"{selection.file}, " if selection.file else ""
+        focus = f"""
+    THE QUESTION IS ABOUT THIS SELECTION ({where}lines {selection.start_line}-{selection.end_line}); focus on it and use the full code only for context:
+    ```{selection.code}```
+    """
+    # Chat Prompt - Helpful Assistant
+    return f"""
+    ACT AS: An Expert AI Coding Assistant for the CodeStatic platform.
+    YOUR GOAL: Help the user understand logic, syntax, or concepts. Be concise, friendly, and accurate. Use **only** standard Markdown (like bold, italics, code blocks, or lists) for formatting. Always tag fenced code blocks with their language. DO NOT use special Unicode symbols, emojis, or custom stylistic characters.
+    Earlier turns of this conversation come before this message; stay consistent with them.
+    When you suggest a change to the user's code, give each changed region as one fenced code block holding the complete new
+    version of that function, block or selection (not a diff and without "..." placeholders), keeping its first line and
+    indentation as in the user's code, so it can be applied to the editor as a patch.
+    
+    USER'S CURRENT CODE CONTEXT (For reference only):
+    ```{current_code}```
+    {focus}
+    USER QUESTION: "{user_message}"
+    
+    RESPONSE: Provide a direct, helpful answer.
+    """
+
+def ensure_chat_thread(db: sqlite3.Connection, data: ChatData, user: Dict[str, Any]) -> int:
+    """The user's thread to post into; a new one (scoped like the request) when none is given."""
+    cur = db.cursor()
+    if data.thread_id:
+        owned_thread(cur, data.thread_id, user)
+        return data.thread_id
+    check_thread_scope(cur, data.project_id, data.assessment_id, user)
+    cur.execute("INSERT INTO chat_threads (project_id, assessment_id, user_id) VALUES (?, ?, ?)",
+                (data.project_id, data.assessment_id, user["id"]))
+    db.commit()
+    return cur.lastrowid
+
+def build_chat_contents(db: sqlite3.Connection, thread_id: int, prompt: str) -> List[Dict[str, Any]]:
+    """Multi-turn request: the thread's latest exchanges, then the new prompt."""
+    cur = db.cursor()
+    cur.execute("""
+        SELECT user_message, ai_response FROM (
+            SELECT id, user_message, ai_response FROM ai_chat WHERE thread_id = ? ORDER BY id DESC LIMIT ?
+        ) ORDER BY id ASC
+    """, (thread_id, CHAT_HISTORY_TURNS))
+    contents = []
+    for user_message, ai_response in cur.fetchall():
+        if not user_message or not ai_response:
+            continue
+        contents.append({"role": "user", "parts": [user_message]})
+        contents.append({"role": "model", "parts": [ai_response]})
+    contents.append({"role": "user", "parts": [prompt]})
+    return contents
+
+def save_chat_message(db: sqlite3.Connection, thread_id: int, user_message: str, ai_reply: str):
+    # --- SAVE TO DB ---
+    try:
+        cur = db.cursor()
+        cur.execute("INSERT INTO ai_chat (thread_id, user_message, ai_response) VALUES (?, ?, ?)", (thread_id, user_message, ai_reply))
+        # Untitled threads are named after their first question
+        cur.execute("""
+            UPDATE chat_threads SET updated_at = CURRENT_TIMESTAMP,
+                   title = COALESCE(NULLIF(title, ''), ?)
+            WHERE id = ?
+        """, (" ".join(user_message.split())[:60], thread_id))
+        db.commit()
+    except Exception as db_err:
+        print(f"⚠️ Failed to save chat to DB: {db_err}")
+
+def stream_chat_reply(contents: List[Dict[str, Any]], thread_id: int, user_message: str):
+    """
+    Yields NDJSON events: thread (id being posted to), token (text delta), done, or error.
+    Falls through the roster only until the first token has been sent;
+    after that a failure is reported instead of restarting the reply.
+    Opens its own connection, since it outlives the request's get_db().
+    """
+    yield json.dumps({"type": "thread", "thread_id": thread_id}) + "\n"
+    errors = []
+    context = {"task": "chat", "message": user_message}
+    for provider, model_name in AI_ROSTER:
+        ai_reply = ""
+        try:
+            for text in provider_stream(provider, model_name, contents, context):
+                ai_reply += text
+                yield json.dumps({"type": "token", "text": text}) + "\n"
+
+            db = sqlite3.connect(str(DB_PATH))
+            try:
+                save_chat_message(db, thread_id, user_message, ai_reply)
+            finally:
+                db.close()
+            yield json.dumps({"type": "done", "provider": provider.name, "model": model_name}) + "\n"
+            return
+        except ProviderError as e:
+            errors.append(e.as_dict())
+            if ai_reply:
+                yield json.dumps({"type": "error", "message": f"Reply interrupted: {e.message}", "errors": errors}) + "\n"
+                return
+            continue
+
+    yield json.dumps({"type": "error", "message": no_provider_message(errors), "errors": errors}) + "\n"
+
+@app.post("/ai_chat")
+def ai_chat(data: ChatData, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        user_message = data.message
+        current_code = data.code_context
         
-        # --- ROUND ROBIN GENERATION STRATEGY ---
-        last_error = None
+        if not user_message:
+            raise HTTPException(status_code=400, detail="No message provided")
+
+        thread_id = ensure_chat_thread(db, data, user)
+        contents = build_chat_contents(db, thread_id, build_chat_prompt(user_message, current_code, data.selection))
+
+        if data.stream:
+            return StreamingResponse(stream_chat_reply(contents, thread_id, user_message), media_type="application/x-ndjson")
         
-        for model_name in MODEL_ROSTER:
+        # Simple Round Robin for Chat
+        errors = []
+        context = {"task": "chat", "message": user_message}
+        for provider, model_name in AI_ROSTER:
             try:
-                current_model = genai.GenerativeModel(model_name)
-                response = current_model.generate_content(prompt)
-                
-                clean_text = response.text.replace('```json', '').replace('```', '').strip()
-                json_response = json.loads(clean_text)
-                
-                # Manually inject dummy metrics to prevent JS crash
-                json_response["maintainability_index"] = json_response.get("maintainability_index", 50)
-                json_response["readability_score"] = json_response.get("readability_score", 75)
-                json_response["target_complexity"] = json_response.get("target_complexity", "O(N log N)")
-                
-                # Default Fallback for Quality Score
-                json_response["quality_score"] = json_response.get("quality_score", 0)
-
-                print(f"✅ Success using: {model_name}") 
-                return json_response
-
-            except exceptions.ResourceExhausted:
-                print(f"⚠️ Quota exceeded for {model_name}. Switching to next...")
-                last_error = "Daily Quota Exceeded on all models."
-                continue 
-            
-            except Exception as e:
-                last_error = str(e)
-                continue 
+                ai_reply = "".join(provider_stream(provider, model_name, contents, context))
 
-        return JSONResponse(
-            status_code=429,
-            content={
-                "status": "error", 
-                "message": f"All available models are busy or out of quota. Last error: {last_error}"
-            }
-        )
+                save_chat_message(db, thread_id, user_message, ai_reply)
+                return {"status": "success", "reply": ai_reply, "thread_id": thread_id, "model": model_name}
+            except ProviderError as e:
+                errors.append(e.as_dict())
+                continue 
+        
+        return JSONResponse(status_code=429, content={"status": "error", "message": no_provider_message(errors),
+                                                      "errors": errors, "thread_id": thread_id})
 
+    except HTTPException:
+        raise
     except Exception as e:
         raise HTTPException(status_code=500, detail=str(e))
 
+# --------------------------------------------------------------------
+# 🔹 LOCAL STATIC ANALYSIS (RULE-BASED PRE-CHECK)
+# --------------------------------------------------------------------
+
+# Weighted fingerprints used to guess the submission's language.
+# Only needs to be good enough to pick which local rules apply.
+LANGUAGE_SIGNATURES = {
+    "Python": [r"^\s*def \w+\s*\(.*:\s*$", r"^\s*(from [\w.]+ )?import \w+", r"^\s*(elif|except|with)\b.*:\s*$",
+               r"\bself\b", r"^\s*(if|for|while|class)\b[^{]*:\s*$"],
+    "JavaScript": [r"\bfunction\b", r"\b(const|let|var)\s+\w+\s*=", r"=>", r"console\.log", r"\brequire\(", r"\bdocument\."],
+    "TypeScript": [r"\b\w+\s*:\s*(number|string|boolean|any|void)\b", r"\binterface\s+\w+\s*\{", r"^\s*type\s+\w+\s*="],
+    "Java": [r"\bpublic\s+(static\s+)?(final\s+)?(class|void)\b", r"System\.out\.print", r"\bimport\s+java\.", r"String\[\]\s+args"],
+    "C#": [r"\busing\s+System", r"Console\.Write", r"\bnamespace\s+\w+", r"\bstatic\s+void\s+Main\b"],
+    "C++": [r"#include\s*<(iostream|vector|string|bits/stdc\+\+\.h|algorithm|map|unordered_map)>", r"\bstd::", r"\bcout\s*<<", r"using\s+namespace\s+std"],
+    "C": [r"#include\s*<(stdio|stdlib|string|math)\.h>", r"\bprintf\s*\(", r"\bscanf\s*\(", r"\bmalloc\s*\("],
+    "Go": [r"^package\s+\w+", r"\bfunc\s+(\(\w+ \*?\w+\)\s*)?\w+\s*\(", r":=", r"\bfmt\.\w+"],
+    "Rust": [r"\bfn\s+\w+\s*\(", r"\blet\s+mut\b", r"\w+!\(", r"\bimpl\b", r"\bVec<"],
+    "Kotlin": [r"\bfun\s+\w+\s*\(", r"\bval\s+\w+", r"\bprintln\("],
+    "Swift": [r"\bfunc\s+\w+\s*\(", r"\bimport\s+(Foundation|UIKit|SwiftUI)", r"\bguard\s+let\b", r"\blet\s+\w+\s*:\s*[A-Z]\w*"],
+    "PHP": [r"<\?php", r"\$\w+\s*=", r"\becho\b"],
+    "Ruby": [r"^\s*def\s+\w+[^:{]*$", r"^\s*end\s*$", r"\bputs\b", r"\bdo\s*\|\w+\|"],
+    "Dart": [r"\bvoid\s+main\s*\(\s*\)", r"\bfinal\s+\w+\s*=", r"\bList<\w+>"],
+}
+
+HASH_COMMENT_LANGS = {"Python", "Ruby", "Shell", "Perl", "R", "Elixir"}
+MULTILINE_QUOTES = {
+    "Python": ['"""', "'''"],
+    "JavaScript": ["`"], "TypeScript": ["`"], "Go": ["`"],
+    "Kotlin": ['"""'], "Swift": ['"""'], "Dart": ['"""', "'''"],
+}
+BRACE_LANGS = {"JavaScript", "TypeScript", "Java", "C#", "C++", "C", "Go", "Rust", "Kotlin", "Swift", "PHP", "Dart"}
+
+# Declarations whose name we check for a second use
+DECLARATION_PATTERNS = {
+    "JavaScript": [r"\b(?:let|const|var)\s+([A-Za-z_$][\w$]*)\s*(?:=|;|$)"],
+    "TypeScript": [r"\b(?:let|const|var)\s+([A-Za-z_$][\w$]*)\s*(?:=|;|:|$)"],
+    "Go": [r"(?:^|[\s;])([A-Za-z_]\w*)\s*:=", r"\bvar\s+([A-Za-z_]\w*)\b"],
+    "Rust": [r"\blet\s+(?:mut\s+)?([A-Za-z_]\w*)\b"],
+    "Kotlin": [r"\b(?:val|var)\s+([A-Za-z_]\w*)\b"],
+    "Swift": [r"\b(?:let|var)\s+([A-Za-z_]\w*)\b"],
+    "PHP": [r"(\$[A-Za-z_]\w*)\s*=[^=>]"],
+}
+C_FAMILY_DECLARATION = r"\b(?:int|long|short|float|double|char|bool|boolean|byte|String|string|auto|var|size_t|final\s+\w+)\s+([A-Za-z_]\w*)\s*(?:=[^=]|;)"
+for _lang in ("Java", "C#", "C++", "C", "Dart"):
+    DECLARATION_PATTERNS[_lang] = [C_FAMILY_DECLARATION]
+
+
+def detect_source_language(code: str) -> str:
+    scores = {}
+    for lang, patterns in LANGUAGE_SIGNATURES.items():
+        scores[lang] = sum(min(len(re.findall(p, code, re.MULTILINE)), 3) for p in patterns)
+    # TypeScript is JavaScript plus annotations
+    if scores["TypeScript"] and scores["JavaScript"]:
+        scores["TypeScript"] += scores["JavaScript"]
+    # Every C++ file looks a bit like C
+    if scores["C++"]:
+        scores["C++"] += scores["C"]
+    ranked = sorted(scores, key=scores.get, reverse=True)
+    best, runner_up = ranked[0], ranked[1]
+    if scores[best] >= 2 or (scores[best] == 1 and scores[runner_up] == 0):
+        return best
+    return "Unknown"
+
+
+def _finding(line: int, severity: str, rule: str, message: str) -> Dict[str, Any]:
+    return {"line": line, "severity": severity, "error": message, "source": "local", "rule": rule}
+
+
+def mask_code(code: str, lang: str):
+    """
+    Blanks out comments and string contents (keeping newlines and quote
+    characters) so the lexical rules only see real code. Also reports
+    strings that run into the end of a line.
+    """
+    out = list(code)
+    findings = []
+    hash_comments = lang in HASH_COMMENT_LANGS or lang == "PHP"
+    slash_comments = lang not in HASH_COMMENT_LANGS
+    long_quotes = MULTILINE_QUOTES.get(lang, [])
+    i, n, line = 0, len(code), 1
+
+    def blank(start, end):
+        for k in range(start, end):
+            if out[k] != "\n":
+                out[k] = " "
+
+    while i < n:
+        ch = code[i]
+        if ch == "\n":
+            line += 1
+            i += 1
+        elif slash_comments and code.startswith("//", i) or hash_comments and ch == "#" and not code.startswith("#include", i):
+            end = code.find("\n", i)
+            end = n if end == -1 else end
+            blank(i, end)
+            i = end
+        elif slash_comments and code.startswith("/*", i):
+            end = code.find("*/", i + 2)
+            end = n if end == -1 else end + 2
+            line += code.count("\n", i, end)
+            blank(i, end)
+            i = end
+        elif any(code.startswith(q, i) for q in long_quotes):
+            quote = next(q for q in long_quotes if code.startswith(q, i))
+            end = i + len(quote)
+            while end < n and not code.startswith(quote, end):
+                end += 2 if code[end] == "\\" and quote != "`" else 1
+            if end >= n:
+                findings.append(_finding(line, "error", "unterminated-string", f"Unterminated {quote} string literal"))
+            blank(i + len(quote), min(end, n))
+            line += code.count("\n", i, min(end, n))
+            i = end + len(quote)
+        elif ch in "\"'":
+            # Rust lifetimes ('a) are not char literals
+            if ch == "'" and lang == "Rust" and not re.match(r"'(\\.|[^\\'])'", code[i:i + 4]):
+                i += 1
+                continue
+            end = i + 1
+            while end < n and code[end] not in (ch, "\n"):
+                end += 2 if code[end] == "\\" else 1
+            if end >= n or code[end] == "\n":
+                findings.append(_finding(line, "error", "unterminated-string", f"Unterminated string literal (missing closing {ch})"))
+                end = min(end, n)
+                blank(i + 1, end)
+                i = end
+                continue
+            blank(i + 1, end)
+            i = end + 1
+        else:
+            i += 1
+
+    return "".join(out), findings
+
+
+def check_bracket_balance(masked: str) -> List[Dict[str, Any]]:
+    pairs = {")": "(", "]": "[", "}": "{"}
+    stack, findings = [], []
+    for line_no, text in enumerate(masked.split("\n"), start=1):
+        for ch in text:
+            if ch in "([{":
+                stack.append((ch, line_no))
+            elif ch in pairs:
+                if stack and stack[-1][0] == pairs[ch]:
+                    stack.pop()
+                elif stack:
+                    opener, open_line = stack.pop()
+                    findings.append(_finding(line_no, "error", "bracket-mismatch",
+                                             f"'{ch}' does not match '{opener}' opened on line {open_line}"))
+                else:
+                    findings.append(_finding(line_no, "error", "bracket-unopened", f"Unexpected '{ch}' with no matching opener"))
+    for opener, open_line in stack:
+        findings.append(_finding(open_line, "error", "bracket-unclosed", f"'{opener}' is never closed"))
+    return findings
+
+
+def check_zero_division(masked: str) -> List[Dict[str, Any]]:
+    return [
+        _finding(masked.count("\n", 0, match.start()) + 1, "error", "division-by-zero", "Division by literal zero")
+        for match in re.finditer(r"(?<![/*])[/%]=?\s*0+(?:\.0*)?(?![\w.])", masked)
+    ]
+
+
+def check_brace_language(masked: str, lang: str) -> List[Dict[str, Any]]:
+    findings = []
+    lines = masked.split("\n")
+    line_of = lambda pos: masked.count("\n", 0, pos) + 1
+
+    # Unreachable statement directly after return / throw / break / continue
+    jump = re.compile(r"^\s*(return\b.*|throw\b.*|break|continue)\s*;?\s*$")
+    for idx, text in enumerate(lines):
+        if not jump.match(text) or text.count("(") != text.count(")"):
+            continue
+        prev = next((l.strip() for l in reversed(lines[:idx]) if l.strip()), "")
+        if prev.endswith(")") or prev.endswith("else") or prev.endswith("=>"):
+            continue  # braceless if/else body
+        nxt_idx = next((j for j in range(idx + 1, len(lines)) if lines[j].strip()), None)
+        if nxt_idx is None:
+            continue
+        nxt = lines[nxt_idx].strip()
+        if nxt.startswith(("}", "case ", "default", "#", "else")) or nxt.endswith(":"):
+            continue
+        findings.append(_finding(nxt_idx + 1, "warning", "unreachable-code",
+                                 f"Unreachable code after '{text.strip().split()[0].rstrip(';')}' on line {idx + 1}"))
+
+    for match in re.finditer(r"\bcatch\b\s*(\([^)]*\))?\s*\{\s*\}", masked):
+        findings.append(_finding(line_of(match.start()), "warning", "empty-catch", "Empty catch block silently swallows errors"))
+
+    if lang not in ("Go", "Rust", "Kotlin", "Swift"):
+        for match in re.finditer(r"\b(if|while)\s*\(\s*[A-Za-z_$][\w$.]*\s*=[^=]", masked):
+            findings.append(_finding(line_of(match.start()), "warning", "assignment-in-condition",
+                                     f"Assignment inside '{match.group(1)}' condition; did you mean '=='?"))
+
+    for pattern in DECLARATION_PATTERNS.get(lang, []):
+        seen = set()
+        for match in re.finditer(pattern, masked, re.MULTILINE):
+            name = match.group(1)
+            if name in seen or name.lstrip("$").startswith("_"):
+                continue
+            seen.add(name)
+            uses = len(re.findall(r"(?<![\w$])" + re.escape(name) + r"(?![\w$])", masked))
+            if uses == 1:
+                findings.append(_finding(line_of(match.start(1)), "warning", "unused-variable",
+                                         f"Variable '{name}' is declared but never used"))
+    return findings
+
+
+class PythonRuleVisitor(ast.NodeVisitor):
+    """AST rules for Python; only runs once the code parses."""
+    def __init__(self):
+        self.findings = []
+
+    def check_body(self, body):
+        for stmt, nxt in zip(body, body[1:]):
+            if isinstance(stmt, (ast.Return, ast.Raise, ast.Break, ast.Continue)):
+                keyword = type(stmt).__name__.lower()
+                self.findings.append(_finding(nxt.lineno, "warning", "unreachable-code",
+                                              f"Unreachable code after '{keyword}' on line {stmt.lineno}"))
+                break
+
+    def generic_visit(self, node):
+        for field in ("body", "orelse", "finalbody"):
+            body = getattr(node, field, None)
+            if isinstance(body, list) and body and isinstance(body[0], ast.stmt):
+                self.check_body(body)
+        super().generic_visit(node)
+
+    def visit_FunctionDef(self, node):
+        for default in node.args.defaults + [d for d in node.args.kw_defaults if d is not None]:
+            if isinstance(default, (ast.List, ast.Dict, ast.Set)):
+                self.findings.append(_finding(node.lineno, "warning", "mutable-default",
+                                              f"Mutable default argument in '{node.name}' is shared between calls"))
+        self.check_unused(node)
+        self.generic_visit(node)
+
+    visit_AsyncFunctionDef = visit_FunctionDef
+
+    def check_unused(self, func):
+        stored, loaded, declared = {}, set(), set()
+        # Loop counters ("for i in range(n)") are idiomatic even when unused
+        loop_targets = {id(name) for node in ast.walk(func)
+                        if isinstance(node, (ast.For, ast.AsyncFor, ast.comprehension))
+                        for name in ast.walk(node.target)}
+        for node in ast.walk(func):
+            if id(node) in loop_targets:
+                continue
+            if isinstance(node, ast.Name):
+                if isinstance(node.ctx, ast.Store):
+                    stored.setdefault(node.id, node.lineno)
+                else:
+                    loaded.add(node.id)
+            elif isinstance(node, (ast.Global, ast.Nonlocal)):
+                declared.update(node.names)
+        for name, lineno in stored.items():
+            if name not in loaded and name not in declared and not name.startswith("_"):
+                self.findings.append(_finding(lineno, "warning", "unused-variable",
+                                              f"Variable '{name}' is assigned but never used"))
+
+    def visit_ExceptHandler(self, node):
+        if all(isinstance(s, ast.Pass) or (isinstance(s, ast.Expr) and isinstance(s.value, ast.Constant)) for s in node.body):
+            self.findings.append(_finding(node.lineno, "warning", "empty-catch", "Empty except block silently swallows errors"))
+        elif node.type is None:
+            self.findings.append(_finding(node.lineno, "info", "bare-except", "Bare 'except:' also catches SystemExit and KeyboardInterrupt"))
+        self.generic_visit(node)
+
+    def check_zero_division(self, node, op, right):
+        if isinstance(op, (ast.Div, ast.FloorDiv, ast.Mod)) and isinstance(right, ast.Constant) \
+                and not isinstance(right.value, bool) and right.value == 0:
+            self.findings.append(_finding(node.lineno, "error", "division-by-zero", "Division by literal zero"))
+
+    def visit_BinOp(self, node):
+        self.check_zero_division(node, node.op, node.right)
+        self.generic_visit(node)
+
+    def visit_AugAssign(self, node):
+        self.check_zero_division(node, node.op, node.value)
+        self.generic_visit(node)
+
+    def visit_Compare(self, node):
+        for op, comparator in zip(node.ops, node.comparators):
+            if isinstance(op, (ast.Eq, ast.NotEq)) and isinstance(comparator, ast.Constant) and comparator.value is None:
+                self.findings.append(_finding(node.lineno, "info", "none-comparison", "Compare with None using 'is' / 'is not'"))
+        self.generic_visit(node)
+
+
+def analyze_python(code: str) -> List[Dict[str, Any]]:
+    try:
+        tree = ast.parse(code)
+    except SyntaxError as e:
+        kind = "Indentation error" if isinstance(e, IndentationError) else "Syntax error"
+        findings = [_finding(e.lineno or 1, "error", "syntax", f"{kind}: {e.msg}")]
+        # One parser error hides the rest; the lexical pass can still spot unbalanced brackets/quotes
+        masked, string_findings = mask_code(code, "Python")
+        extra = string_findings + check_bracket_balance(masked)
+        return findings + [f for f in extra if f["line"] != findings[0]["line"]]
+
+    visitor = PythonRuleVisitor()
+    visitor.visit(tree)
+    return visitor.findings
+
+
+def run_local_analysis(source_code: str) -> Dict[str, Any]:
+    """
+    Deterministic checks that need no model: bracket/quote balance, Python
+    syntax and indentation, unreachable code, unused variables, empty
+    catch blocks, division by literal zero and a few common slips.
+    """
+    language = detect_source_language(source_code)
+    if language == "Python":
+        findings = analyze_python(source_code)
+    else:
+        masked, findings = mask_code(source_code, language)
+        findings += check_bracket_balance(masked) + check_zero_division(masked)
+        if language in BRACE_LANGS:
+            findings += check_brace_language(masked, language)
+
+    # One finding per rule per line, in line order
+    unique = {(f["line"], f["rule"]): f for f in findings}
+    return {"language": language, "findings": sorted(unique.values(), key=lambda f: f["line"])}
+
+
+def merge_error_tables(local_findings: List[Dict[str, Any]], ai_table: Any,
+                       file_order: Optional[List[str]] = None) -> List[Dict[str, Any]]:
+    """AI rows tagged source=ai, local rows kept as-is, all ordered by file then line."""
+    merged = list(local_findings)
+    if isinstance(ai_table, list):
+        for row in ai_table:
+            if isinstance(row, dict):
+                merged.append({**row, "source": "ai"})
+    order = {name: idx for idx, name in enumerate(file_order or [])}
+    sort_key = lambda row: (order.get(row.get("file"), len(order)),
+                            int(row["line"]) if str(row.get("line", "")).isdigit() else 10 ** 9)
+    return sorted(merged, key=sort_key)
+
+def run_local_analysis_files(files: List[Dict[str, Any]]) -> Dict[str, Any]:
+    """Per-file local checks; each finding carries its file name."""
+    language, findings = "Unknown", []
+    for f in files:
+        result = run_local_analysis(f["code"])
+        if language == "Unknown":
+            language = result["language"]
+        findings += [{**finding, "file": f["name"]} for finding in result["findings"]]
+    return {"language": language, "findings": findings}
+
+# --------------------------------------------------------------------
+# 🔹 SIMILARITY DETECTION (FINGERPRINTING)
+# --------------------------------------------------------------------
+
+# Winnowing over normalised token k-grams (the MOSS approach): names,
+# literals and comments are erased so renaming or re-commenting a copy
+# does not hide it. Scores are the share of this submission's
+# fingerprints found in the other one. Stored submissions keep their
+# fingerprints in similarity_fingerprints, so only those sharing some
+# with the submission are loaded and compared.
+SIMILARITY_K = int(os.getenv("SIMILARITY_K", "5"))            # tokens per k-gram
+SIMILARITY_WINDOW = int(os.getenv("SIMILARITY_WINDOW", "4"))  # k-grams per winnowing window
+SIMILARITY_MIN_TOKENS = 15                                    # shorter code is not compared
+SIMILARITY_TOP_MATCHES = 5
+SIMILARITY_CANDIDATES = int(os.getenv("SIMILARITY_CANDIDATES", "200"))  # most-overlapping submissions compared in full
+SIMILARITY_LEVELS = ((60, "high"), (30, "medium"), (0, "low"))
+
+SIMILARITY_KEYWORDS = frozenset("""
+    if else elif for while do switch case default break continue return def class function fn func
+    let var const new delete try catch except finally raise throw throws import from include using
+    namespace package public private protected static final void int long short float double char
+    bool boolean string str byte true false none null nil self this super struct enum interface
+    extends implements lambda yield async await in is not and or of with as pass goto sizeof
+""".split())
+SIMILARITY_TOKEN_RE = re.compile(
+    r'"(?:\\.|[^"\\\n])*"|\'(?:\\.|[^\'\\\n])*\'|\d+(?:\.\d+)?|[A-Za-z_]\w*'
+    r'|==|!=|<=|>=|&&|\|\||->|=>|\+\+|--|::|[^\s\w]')
+SIMILARITY_COMMENT_RE = re.compile(r'/\*.*?\*/|//[^\n]*|#[^\n]*|^=== FILE: .* ===$', re.S | re.M)
+
+# Fingerprints by source hash; stored submissions rarely change
+FINGERPRINT_CACHE: Dict[str, Dict[int, List[tuple]]] = {}
+FINGERPRINT_CACHE_LIMIT = 5000
+
+def similarity_tokens(code: str) -> List[tuple]:
+    """(normalised token, line) pairs with comments and bundle headers removed."""
+    # Blank comments out but keep their newlines so line numbers hold
+    code = SIMILARITY_COMMENT_RE.sub(lambda m: "\n" * m.group(0).count("\n"), code)
+    tokens = []
+    for line_no, line in enumerate(code.split("\n"), start=1):
+        for tok in SIMILARITY_TOKEN_RE.findall(line):
+            if tok[0] in "\"'":
+                tok = "S"
+            elif tok[0].isdigit():
+                tok = "N"
+            elif tok[0].isalpha() or tok[0] == "_":
+                tok = tok.lower() if tok.lower() in SIMILARITY_KEYWORDS else "V"
+            tokens.append((tok, line_no))
+    return tokens
+
+def similarity_fingerprints(code: str) -> Dict[int, List[tuple]]:
+    """Winnowed k-gram hashes -> [(first_line, last_line)] where each occurs."""
+    key = hashlib.sha1(code.encode("utf-8", "replace")).hexdigest()
+    if key in FINGERPRINT_CACHE:
+        return FINGERPRINT_CACHE[key]
+
+    tokens = similarity_tokens(code)
+    fingerprints: Dict[int, List[tuple]] = {}
+    if len(tokens) >= SIMILARITY_MIN_TOKENS:
+        grams = [
+            (zlib.crc32(" ".join(t for t, _ in tokens[i:i + SIMILARITY_K]).encode()), tokens[i][1], tokens[i + SIMILARITY_K - 1][1])
+            for i in range(len(tokens) - SIMILARITY_K + 1)
+        ]
+        # Smallest hash per window (rightmost on ties), each position kept once
+        picked = set()
+        for start in range(max(1, len(grams) - SIMILARITY_WINDOW + 1)):
+            window = grams[start:start + SIMILARITY_WINDOW]
+            best = min(range(len(window)), key=lambda j: (window[j][0], -j))
+            picked.add(start + best)
+        for pos in sorted(picked):
+            h, first, last = grams[pos]
+            fingerprints.setdefault(h, []).append((first, last))
+
+    if len(FINGERPRINT_CACHE) >= FINGERPRINT_CACHE_LIMIT:
+        FINGERPRINT_CACHE.clear()
+    FINGERPRINT_CACHE[key] = fingerprints
+    return fingerprints
+
+def refresh_similarity_index(cur):
+    """Fingerprints projects saved since they were last indexed and assessments never indexed."""
+    cur.execute("SELECT id, code, updated_at FROM projects WHERE fingerprinted_at IS NOT updated_at")
+    stale = [("project", r["id"], r["code"], r["updated_at"]) for r in cur.fetchall()]
+    cur.execute("SELECT id, input_code FROM assessments WHERE fingerprint_count IS NULL")
+    stale += [("assessment", r["id"], r["input_code"], None) for r in cur.fetchall()]
+    for kind, source_id, code, version in stale:
+        hashes = list(similarity_fingerprints(code or ""))
+        cur.execute("DELETE FROM similarity_fingerprints WHERE kind = ? AND source_id = ?", (kind, source_id))
+        cur.executemany("INSERT OR IGNORE INTO similarity_fingerprints (kind, source_id, hash) VALUES (?, ?, ?)",
+                        [(kind, source_id, h) for h in hashes])
+        if kind == "project":
+            cur.execute("UPDATE projects SET fingerprinted_at = ?, fingerprint_count = ? WHERE id = ?",
+                        (version, len(hashes), source_id))
+        else:
+            cur.execute("UPDATE assessments SET fingerprint_count = ? WHERE id = ?", (len(hashes), source_id))
+
+def matching_regions(ours: Dict[int, List[tuple]], theirs: Dict[int, List[tuple]]) -> List[Dict[str, List[int]]]:
+    """Shared fingerprints merged into line ranges: [{a: [from, to], b: [from, to]}]."""
+    pairs = sorted((ours[h][0], theirs[h][0]) for h in ours.keys() & theirs.keys())
+    regions = []
+    for (a1, a2), (b1, b2) in pairs:
+        last = regions[-1] if regions else None
+        if last and a1 <= last["a"][1] + 1 and b1 <= last["b"][1] + 1 and b2 >= last["b"][0] - 1:
+            last["a"][1] = max(last["a"][1], a2)
+            last["b"] = [min(last["b"][0], b1), max(last["b"][1], b2)]
+        else:
+            regions.append({"a": [a1, a2], "b": [b1, b2]})
+    return regions
+
+def similarity_level(score: Optional[int]) -> Optional[str]:
+    if score is None:
+        return None
+    return next(label for floor, label in SIMILARITY_LEVELS if score >= floor)
+
+def find_similar_submissions(code: str, project_id: Optional[int] = None, candidate_id: Optional[str] = None,
+                             exclude_assessment_id: Optional[int] = None,
+                             user: Optional[Dict[str, Any]] = None) -> Dict[str, Any]:
+    """
+    Compares code with stored projects and past assessments (with a user,
+    only the projects and assessments that user can open). The index picks
+    the SIMILARITY_CANDIDATES that share the most fingerprints; only those
+    are compared in full. The submission's own project and the same
+    candidate's earlier assessments are left out, as are exact duplicates
+    in the corpus.
+    """
+    ours = similarity_fingerprints(code)
+    result = {"score": None, "level": None, "compared": 0, "fingerprints": len(ours), "matches": []}
+    if not ours:
+        return result
+    hashes = json.dumps(list(ours))
+
+    # Own connection: also called from the streamed assessment generator
+    db = sqlite3.connect(str(DB_PATH))
+    db.row_factory = sqlite3.Row
+    try:
+        cur = db.cursor()
+        refresh_similarity_index(cur)
+        db.commit()
+
+        where, params = ["p.fingerprint_count > 0", "p.id != ?"], [project_id or 0]
+        if user:
+            where.append("p.user_id = ?")
+            params.append(user["id"])
+        cur.execute(f"SELECT COUNT(*) FROM projects p WHERE {' AND '.join(where)}", params)
+        result["compared"] += cur.fetchone()[0]
+        cur.execute(f"""
+            SELECT p.id, p.project_name, p.code, p.created_at
+            FROM projects p JOIN (
+                SELECT source_id, COUNT(*) AS shared FROM similarity_fingerprints
+                WHERE kind = 'project' AND hash IN (SELECT value FROM json_each(?))
+                GROUP BY source_id
+            ) f ON f.source_id = p.id
+            WHERE {" AND ".join(where)}
+            ORDER BY f.shared DESC LIMIT ?
+        """, [hashes] + params + [SIMILARITY_CANDIDATES])
+        corpus = [{"kind": "project", "id": r["id"], "label": r["project_name"] or f"Project #{r['id']}",
+                   "candidate_id": None, "created_at": r["created_at"], "code": r["code"] or ""} for r in cur.fetchall()]
+
+        where, params = ["a.fingerprint_count > 0"], []
+        if user:
+            scope, scope_params = assessment_scope(user)
+            where.append(scope)
+            params += scope_params
+        if exclude_assessment_id:
+            where.append("a.id != ?")
+            params.append(exclude_assessment_id)
+        if project_id:
+            where.append("(a.project_id IS NULL OR a.project_id != ?)")
+            params.append(project_id)
+        if candidate_id and candidate_id != "N/A":
+            where.append("(a.candidate_id IS NULL OR a.candidate_id != ?)")
+            params.append(candidate_id)
+        cur.execute(f"SELECT COUNT(*) FROM assessments a WHERE {' AND '.join(where)}", params)
+        result["compared"] += cur.fetchone()[0]
+        cur.execute(f"""
+            SELECT a.id, a.candidate_id, a.project_id, a.input_code, a.created_at, p.project_name
+            FROM assessments a JOIN (
+                SELECT source_id, COUNT(*) AS shared FROM similarity_fingerprints
+                WHERE kind = 'assessment' AND hash IN (SELECT value FROM json_each(?))
+                GROUP BY source_id
+            ) f ON f.source_id = a.id
+            LEFT JOIN projects p ON p.id = a.project_id
+            WHERE {" AND ".join(where)}
+            ORDER BY f.shared DESC, a.id DESC LIMIT ?
+        """, [hashes] + params + [SIMILARITY_CANDIDATES])
+        corpus += [{"kind": "assessment", "id": r["id"],
+                    "label": f"Assessment #{r['id']}" + (f" ({r['project_name']})" if r["project_name"] else ""),
+                    "candidate_id": r["candidate_id"], "created_at": r["created_at"], "code": r["input_code"] or ""}
+                   for r in cur.fetchall()]
+    finally:
+        db.close()
+
+    seen, matches = set(), []
+    for item in corpus:
+        digest = hashlib.sha1(item["code"].encode("utf-8", "replace")).hexdigest()
+        if digest in seen:
+            continue
+        seen.add(digest)
+        theirs = similarity_fingerprints(item["code"])
+        shared = len(ours.keys() & theirs.keys())
+        if not shared:
+            continue
+        item.pop("code")
+        matches.append({
+            **item,
+            "score": round(100 * shared / len(ours)),
+            "their_score": round(100 * shared / len(theirs)),
+            "regions": matching_regions(ours, theirs),
+        })
+
+    matches.sort(key=lambda m: (m["score"], m["their_score"]), reverse=True)
+    result["matches"] = matches[:SIMILARITY_TOP_MATCHES]
+    result["score"] = result["matches"][0]["score"] if result["matches"] else 0
+    result["level"] = similarity_level(result["score"])
+    return result
+
+@app.post("/similarity_check")
+def similarity_check(data: SimilarityData, user: Dict[str, Any] = Depends(current_user)):
+    try:
+        files = [f.dict() for f in data.files] if data.files else None
+        code = bundle_files(files) if files else data.code
+        if not code or not code.strip():
+            raise HTTPException(status_code=400, detail="No code to compare")
+        result = find_similar_submissions(code, data.project_id, data.candidate_id, data.exclude_assessment_id, user)
+        return {"status": "success", **result}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+# --------------------------------------------------------------------
+# 🔹 SESSION RECORDING (EDIT TIMELINE)
+# --------------------------------------------------------------------
+
+# With recording switched on, the front end logs every change to the
+# submission editor as {t, k, f, p, d, i}: ms since the start, kind, file,
+# offset, characters removed and text inserted. Kinds are type / paste /
+# drop / cut / undo / load (text set by the app, e.g. opening a project) and
+# rename (f is the old name, i the new one). Pastes and drops also carry
+# o, where the text was copied from (editor, fixed, chat, page or external),
+# and r when the clipboard held rich text. The recording is stored as sent;
+# only the summary goes into the result.
+MAX_RECORDING_EVENTS = 20000
+MAX_RECORDING_BYTES = 2_000_000
+RECORDING_SEGMENT_LIMIT = 50
+LARGE_PASTE_CHARS = 120        # pastes at least this long, or this many lines, are listed
+LARGE_PASTE_LINES = 5
+BURST_GAP_MS = 1500            # shorter pauses keep a typing run going
+BURST_MIN_CHARS = 60
+BURST_MIN_CPS = 12             # ~145 words a minute, beyond sustained human typing
+IDLE_GAP_MS = 60000            # longer pauses do not count as active time
+RECORDING_LEVELS = ((50, "high"), (20, "medium"), (0, "low"))   # % of entered text pasted from outside
+
+def recording_events(recording: Dict[str, Any]) -> List[Dict[str, Any]]:
+    """Well-formed events in time order; anything else is dropped."""
+    events = []
+    raw = recording.get("events")
+    for e in raw if isinstance(raw, list) else []:
+        if not isinstance(e, dict) or e.get("k") not in ("type", "paste", "drop", "cut", "undo", "load", "rename"):
+            continue
+        try:
+            events.append({**e, "t": max(0, int(e.get("t") or 0)), "p": max(0, int(e.get("p") or 0)),
+                           "d": max(0, int(e.get("d") or 0)), "f": str(e.get("f") or ""), "i": str(e.get("i") or "")})
+        except (TypeError, ValueError):
+            continue
+    events.sort(key=lambda e: e["t"])
+    return events
+
+def recording_start(recording: Dict[str, Any]) -> Dict[str, Any]:
+    """{file name: text} when recording began."""
+    files = recording.get("files")
+    return files if isinstance(files, dict) else {}
+
+def replay_recording(recording: Dict[str, Any], events: List[Dict[str, Any]]) -> Dict[str, str]:
+    """File texts at the end of the recording."""
+    files = {str(name): str(text or "") for name, text in recording_start(recording).items()}
+    for e in events:
+        if e["k"] == "rename":
+            files[e["i"]] = files.pop(e["f"], "")
+            continue
+        text = files.get(e["f"], "")
+        files[e["f"]] = text[:e["p"]] + e["i"] + text[e["p"] + e["d"]:]
+    return files
+
+def summarize_recording(recording: Dict[str, Any], files: Optional[List[Dict[str, Any]]] = None) -> Dict[str, Any]:
+    """
+    Typed vs pasted totals, large pastes and typing bursts for an editor
+    recording. files is the submission it came with; matches_submission
+    says whether replaying the recording ends on exactly that code.
+    """
+    events = recording_events(recording)
+    totals = {"typed_chars": 0, "pasted_chars": 0, "external_paste_chars": 0, "loaded_chars": 0, "deleted_chars": 0}
+    segments, run = [], None
+    paste_count, active_ms, last_t = 0, 0, 0
+
+    def close_run():
+        if run and run["chars"] >= BURST_MIN_CHARS:
+            cps = run["chars"] / max((run["end_ms"] - run["start_ms"]) / 1000, 1)
+            if cps >= BURST_MIN_CPS:
+                segments.append({**run, "kind": "burst", "cps": round(cps, 1)})
+
+    for e in events:
+        active_ms += min(e["t"] - last_t, IDLE_GAP_MS)
+        last_t = e["t"]
+        chars = len(e["i"])
+        if e["k"] not in ("load", "rename"):
+            totals["deleted_chars"] += e["d"]
+
+        if e["k"] == "type" and chars:
+            if run and (e["t"] - run["end_ms"] > BURST_GAP_MS or e["f"] != run["file"]):
+                close_run()
+                run = None
+            run = run or {"start_ms": e["t"], "end_ms": e["t"], "file": e["f"], "chars": 0}
+            run["end_ms"] = e["t"]
+            run["chars"] += chars
+            totals["typed_chars"] += chars
+            continue
+        if e["k"] == "type":
+            continue
+        close_run()
+        run = None
+
+        if e["k"] in ("paste", "drop"):
+            paste_count += 1
+            origin = e.get("o") or "external"
+            totals["pasted_chars"] += chars
+            if origin == "external":
+                totals["external_paste_chars"] += chars
+            lines = e["i"].count("\n") + 1
+            if chars >= LARGE_PASTE_CHARS or lines >= LARGE_PASTE_LINES:
+                segments.append({"kind": "paste", "start_ms": e["t"], "end_ms": e["t"], "file": e["f"], "chars": chars,
+                                 "lines": lines, "origin": origin, "rich": bool(e.get("r")), "dropped": e["k"] == "drop"})
+        elif e["k"] == "load":
+            totals["loaded_chars"] += chars
+    close_run()
+
+    entered = totals["typed_chars"] + totals["pasted_chars"]
+    share = round(100 * totals["external_paste_chars"] / entered) if entered else 0
+    level = next(name for floor, name in RECORDING_LEVELS if share >= floor)
+    if level == "low" and any(s["kind"] == "burst" or s.get("origin") == "external" for s in segments):
+        level = "medium"
+
+    matches = None
+    if files:
+        final = replay_recording(recording, events)
+        # A lone file is compared whatever it was called
+        if len(files) == 1 and len(final) == 1 and (files[0].get("name") or "") not in final:
+            final = {files[0].get("name") or "": next(iter(final.values()))}
+        matches = all(final.get(f.get("name") or "") == (f.get("code") or "") for f in files)
+
+    segments.sort(key=lambda s: s["start_ms"])
+    try:
+        duration = max(int(recording.get("duration_ms") or 0), last_t)
+    except (TypeError, ValueError):
+        duration = last_t
+    return {
+        **totals,
+        "started_at": recording.get("started_at"),
+        "duration_ms": duration,
+        "active_ms": active_ms,
+        "events": len(events),
+        "truncated": bool(recording.get("truncated")),
+        "initial_chars": sum(len(str(t or "")) for t in recording_start(recording).values()),
+        "paste_count": paste_count,
+        "paste_share": share,
+        "level": level,
+        "segments": segments[:RECORDING_SEGMENT_LIMIT],
+        "matches_submission": matches,
+    }
+
+def format_recording_time(ms: int) -> str:
+    seconds = int(ms or 0) // 1000
+    return f"{seconds // 60:02d}:{seconds % 60:02d}"
+
+def recording_summary_lines(summary: Dict[str, Any]) -> List[str]:
+    """The summary as report text: headline figures, then one line per segment."""
+    lines = [
+        f"Recorded {format_recording_time(summary.get('duration_ms'))} "
+        f"({format_recording_time(summary.get('active_ms'))} active), {summary.get('events', 0)} edits"
+        + (" - recording was cut short at the size limit" if summary.get("truncated") else ""),
+        f"Typed {summary.get('typed_chars', 0)} chars, pasted {summary.get('pasted_chars', 0)} "
+        f"({summary.get('external_paste_chars', 0)} from outside the app, {summary.get('paste_share', 0)}% of entered text), "
+        f"deleted {summary.get('deleted_chars', 0)}",
+    ]
+    if summary.get("initial_chars") or summary.get("loaded_chars"):
+        lines.append(f"Not entered by hand: {summary.get('initial_chars', 0)} chars present at the start, "
+                     f"{summary.get('loaded_chars', 0)} loaded by the app")
+    if summary.get("matches_submission") is False:
+        lines.append("The submitted code differs from where the recording ends")
+    for s in summary.get("segments") or []:
+        where = f" in {s['file']}" if s.get("file") else ""
+        if s["kind"] == "paste":
+            lines.append(f"[{format_recording_time(s['start_ms'])}] {'Dropped' if s.get('dropped') else 'Pasted'} "
+                         f"{s['chars']} chars / {s['lines']} lines{where} from {s.get('origin') or 'external'}"
+                         + (" (rich text)" if s.get("rich") else ""))
+        else:
+            lines.append(f"[{format_recording_time(s['start_ms'])}-{format_recording_time(s['end_ms'])}] Typing burst: "
+                         f"{s['chars']} chars at {s['cps']} chars/s{where}")
+    return lines
+
+# --------------------------------------------------------------------
+# 🔹 ASSESSMENT PROFILES
+# --------------------------------------------------------------------
+
+PLAGIARISM_DISABLED = "Not checked (disabled by assessment profile)"
+
+def profile_categories(profile: Dict[str, Any]) -> List[Dict[str, Any]]:
+    """Enabled checklist categories, in checklist order."""
+    keys = set(profile.get("categories") or [])
+    return [c for c in CHECKLIST_CATEGORIES if c["key"] in keys]
+
+def load_assessment_profile(cur, profile_id: Optional[int], user: Dict[str, Any]) -> Dict[str, Any]:
+    """Stored profile as {id, name, categories, weights, ...}; DEFAULT_PROFILE when none is chosen."""
+    if not profile_id:
+        return {"id": None, "name": "Standard", **DEFAULT_PROFILE}
+    scope, params = settings_scope(user)
+    cur.execute(f"SELECT * FROM assessment_profiles s WHERE s.id = ? AND {scope}", [profile_id] + params)
+    row = cur.fetchone()
+    if not row:
+        raise HTTPException(status_code=404, detail="Assessment profile not found")
+    return {"id": row["id"], "name": row["name"], **{**DEFAULT_PROFILE, **json.loads(row["config_json"] or "{}")}}
+
+def above_threshold(rows: List[Dict[str, Any]], threshold: str) -> List[Dict[str, Any]]:
+    """Error-table rows at or above the profile's severity floor (no severity counts as error)."""
+    floor = SEVERITY_RANK.get(threshold, 0)
+    return [r for r in rows if isinstance(r, dict) and SEVERITY_RANK.get(r.get("severity") or "error", 2) >= floor]
+
+def weighted_quality_score(category_scores: Any, profile: Dict[str, Any]) -> Optional[int]:
+    """Weighted mean of the enabled categories' scores, or None if there is nothing to weigh."""
+    if not isinstance(category_scores, dict):
+        return None
+    total = weight_sum = 0
+    for c in profile_categories(profile):
+        weight = float((profile.get("weights") or {}).get(c["key"], 0) or 0)
+        score = category_scores.get(c["key"])
+        if weight > 0 and isinstance(score, (int, float)) and not isinstance(score, bool):
+            total += weight * score
+            weight_sum += weight
+    return round(total / weight_sum) if weight_sum else None
+
+@app.get("/assessment-profiles")
+def list_assessment_profiles(user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        cur = db.cursor()
+        scope, params = settings_scope(user)
+        cur.execute(f"SELECT s.id FROM assessment_profiles s WHERE {scope} ORDER BY s.id", params)
+        profiles = [load_assessment_profile(cur, row["id"], user) for row in cur.fetchall()]
+        return {"status": "success", "profiles": profiles, "categories": CHECKLIST_CATEGORIES}
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.post("/save-assessment-profile")
+def save_assessment_profile(data: AssessmentProfileData, user: Dict[str, Any] = Depends(current_user),
+                            db: sqlite3.Connection = Depends(get_db)):
+    """Edits to a built-in profile, or one the user may not change, are saved as the user's own copy."""
+    try:
+        known = {c["key"] for c in CHECKLIST_CATEGORIES}
+        categories = [key for key in data.categories if key in known]
+        if not categories:
+            raise HTTPException(status_code=400, detail="A profile needs at least one checklist category")
+        if data.severity_threshold not in SEVERITY_RANK:
+            raise HTTPException(status_code=400, detail="Severity threshold must be info, warning or error")
+        if any(w < 0 for w in data.weights.values()):
+            raise HTTPException(status_code=400, detail="Weights cannot be negative")
+        config_json = json.dumps({
+            "categories": categories,
+            "weights": {key: data.weights.get(key, 0) for key in categories},
+            "severity_threshold": data.severity_threshold,
+            "plagiarism_check": data.plagiarism_check,
+        })
+
+        cur = db.cursor()
+        if editable_setting(cur, "assessment_profiles", data.id, user):
+            cur.execute("UPDATE assessment_profiles SET name = ?, config_json = ? WHERE id = ?", (data.name, config_json, data.id))
+            profile_id = data.id
+        else:
+            cur.execute("INSERT INTO assessment_profiles (name, config_json, user_id) VALUES (?, ?, ?)",
+                        (data.name, config_json, user["id"]))
+            profile_id = cur.lastrowid
+        db.commit()
+        return {"status": "success", "id": profile_id}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.post("/delete-assessment-profile")
+def delete_assessment_profile(data: DeleteData, user: Dict[str, Any] = Depends(current_user),
+                              db: sqlite3.Connection = Depends(get_db)):
+    try:
+        cur = db.cursor()
+        if not editable_setting(cur, "assessment_profiles", data.id, user):
+            raise HTTPException(status_code=403, detail="Built-in and other accounts' profiles cannot be deleted")
+        scope, params = settings_scope(user)
+        cur.execute(f"SELECT COUNT(*) FROM assessment_profiles s WHERE {scope}", params)
+        if cur.fetchone()[0] <= 1:
+            raise HTTPException(status_code=400, detail="The last profile cannot be deleted")
+        # Past results keep their own copy of the profile they ran with
+        cur.execute("DELETE FROM assessment_profiles WHERE id = ?", (data.id,))
+        db.commit()
+        return {"status": "success"}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+# --------------------------------------------------------------------
+# 🔹 ASSESSMENT SCHEMA VALIDATION
+# --------------------------------------------------------------------
+
+# One repair re-prompt per model before its output is used as-is (cleaned)
+ASSESSMENT_REPAIR_ATTEMPTS = 1
+
+SCORE_FIELDS = ("quality_score", "maintainability_index", "readability_score")
+TEXT_FIELDS = ("integrity_check", "plagiarism_check", "target_complexity")
+SEVERITIES = ("error", "warning", "info")
+COMPLEXITY_KEYS = ("best", "average", "worst", "desc")
+
+def _is_int(value) -> bool:
+    return isinstance(value, int) and not isinstance(value, bool)
+
+def _squash(text: str) -> str:
+    return re.sub(r"\s+", " ", text).strip()
+
+def validate_assessment(result: Any, source_code: str, files: Optional[List[Dict[str, Any]]] = None,
+                        profile: Optional[Dict[str, Any]] = None) -> Dict[str, Any]:
+    """
+    Checks a parsed model reply against the assessment schema.
+    Returns {"problems": [...], "fields": {name: "missing" | "invalid"},
+    "bad_rows": {name: [index, ...]}}; no problems means the reply can be
+    used unchanged.
+    """
+    problems, fields, bad_rows = [], {}, {}
+
+    def flag(name, status, message, row=None):
+        problems.append(message if message.startswith(name) else f"{name}: {message}")
+        fields.setdefault(name, status)
+        if row is not None:
+            bad_rows.setdefault(name, set()).add(row)
+
+    if not isinstance(result, dict):
+        flag("response", "invalid", "expected a JSON object")
+        return {"problems": problems, "fields": fields, "bad_rows": bad_rows}
+
+    def present(name):
+        if result.get(name) is None:
+            flag(name, "missing", "field is missing")
+            return False
+        return True
+
+    if present("detected_language") and (not isinstance(result["detected_language"], str) or not result["detected_language"].strip()):
+        flag("detected_language", "invalid", "must be a non-empty string")
+
+    for name in SCORE_FIELDS:
+        if present(name) and not (_is_int(result[name]) and 0 <= result[name] <= 100):
+            flag(name, "invalid", f"must be an integer from 0 to 100, got {json.dumps(result[name])[:40]}")
+
+    for name in TEXT_FIELDS:
+        if present(name) and not isinstance(result[name], str):
+            flag(name, "invalid", "must be a string")
+
+    # One score per checklist category the profile enabled
+    if profile and present("category_scores"):
+        scores = result["category_scores"]
+        if not isinstance(scores, dict):
+            flag("category_scores", "invalid", "must be an object keyed by category")
+        else:
+            for c in profile_categories(profile):
+                value = scores.get(c["key"])
+                if not (_is_int(value) and 0 <= value <= 100):
+                    flag("category_scores", "invalid", f"category_scores.{c['key']} must be an integer from 0 to 100")
+
+    # Line numbers must point into the submission (per file when there are several)
+    multi_file = bool(files) and len(files) > 1
+    line_counts = {f["name"]: len(f["code"].split("\n")) for f in files} if multi_file else {}
+    source_lines = len(source_code.split("\n"))
+    if present("error_table"):
+        if not isinstance(result["error_table"], list):
+            flag("error_table", "invalid", "must be an array")
+        else:
+            for i, row in enumerate(result["error_table"]):
+                where = f"error_table[{i}]"
+                if not isinstance(row, dict):
+                    flag("error_table", "invalid", f"{where} must be an object", i)
+                    continue
+                if not isinstance(row.get("error"), str) or not row["error"].strip():
+                    flag("error_table", "invalid", f"{where}.error must be a non-empty string", i)
+                if row.get("severity") not in SEVERITIES:
+                    flag("error_table", "invalid", f"{where}.severity must be one of {', '.join(SEVERITIES)}", i)
+                limit = source_lines
+                if multi_file:
+                    if row.get("file") not in line_counts:
+                        flag("error_table", "invalid", f"{where}.file must be one of {', '.join(line_counts)}", i)
+                        continue
+                    limit = line_counts[row["file"]]
+                if not _is_int(row.get("line")) or not 1 <= row["line"] <= limit:
+                    flag("error_table", "invalid", f"{where}.line must be an integer from 1 to {limit}, got {json.dumps(row.get('line'))[:20]}", i)
+
+    if multi_file:
+        final_files = result.get("final_files")
+        if not isinstance(final_files, list) or not final_files:
+            flag("final_files", "missing" if final_files is None else "invalid", "must be a non-empty array for a multi-file submission")
+        elif not all(isinstance(f, dict) and isinstance(f.get("code"), str) and isinstance(f.get("name") or f.get("source"), str)
+                     for f in final_files):
+            flag("final_files", "invalid", "every entry needs a name and a code string")
+    elif present("final_code") and (not isinstance(result["final_code"], str) or not result["final_code"].strip()):
+        flag("final_code", "invalid", "must be a non-empty string")
+
+    # Explanations must quote the fixed code, not the original or a paraphrase
+    final_code = result.get("final_code") if isinstance(result.get("final_code"), str) else ""
+    if multi_file and isinstance(result.get("final_files"), list):
+        final_code = "\n".join(f.get("code", "") for f in result["final_files"] if isinstance(f, dict) and isinstance(f.get("code"), str))
+    final_text = _squash(final_code)
+    final_lines = len(final_code.split("\n"))
+    if present("code_explanation"):
+        if not isinstance(result["code_explanation"], list):
+            flag("code_explanation", "invalid", "must be an array")
+        else:
+            for i, row in enumerate(result["code_explanation"]):
+                where = f"code_explanation[{i}]"
+                if not isinstance(row, dict):
+                    flag("code_explanation", "invalid", f"{where} must be an object", i)
+                    continue
+                if not isinstance(row.get("explanation"), str) or not row["explanation"].strip():
+                    flag("code_explanation", "invalid", f"{where}.explanation must be a non-empty string", i)
+                if not isinstance(row.get("code"), str) or not row["code"].strip():
+                    flag("code_explanation", "invalid", f"{where}.code must be a non-empty string", i)
+                elif final_text and _squash(row["code"]) not in final_text:
+                    flag("code_explanation", "invalid", f"{where}.code {json.dumps(row['code'][:60])} does not appear in final_code", i)
+                if not multi_file and (not _is_int(row.get("line")) or not 1 <= row["line"] <= final_lines):
+                    flag("code_explanation", "invalid", f"{where}.line must be an integer from 1 to {final_lines}", i)
+
+    if present("complexity"):
+        complexity = result["complexity"]
+        if not isinstance(complexity, dict):
+            flag("complexity", "invalid", "must be an object with time and space")
+        else:
+            for part in ("time", "space"):
+                block = complexity.get(part)
+                if not isinstance(block, dict) or not all(isinstance(block.get(k), str) for k in COMPLEXITY_KEYS):
+                    flag("complexity", "invalid", f"complexity.{part} needs string fields {', '.join(COMPLEXITY_KEYS)}")
+
+    return {"problems": problems, "fields": fields, "bad_rows": bad_rows}
+
+def clean_assessment(result: Dict[str, Any], report: Dict[str, Any], local_language: str, target_lang: str):
+    """
+    Makes a reply that still fails validation safe to render: bad scalars
+    become null, bad list rows are dropped. Nothing is invented except
+    detected_language and target_lang, which are taken from the request
+    side and flagged "defaulted". Returns (cleaned, fields).
+    """
+    fields = dict(report["fields"])
+    cleaned = dict(result)
+
+    for name in SCORE_FIELDS + TEXT_FIELDS + ("complexity", "category_scores"):
+        if name in fields:
+            cleaned[name] = None
+
+    if "detected_language" in fields:
+        cleaned["detected_language"] = local_language if local_language != "Unknown" else None
+        if cleaned["detected_language"]:
+            fields["detected_language"] = "defaulted"
+
+    if not isinstance(cleaned.get("target_lang"), str) or not cleaned["target_lang"].strip():
+        cleaned["target_lang"] = target_lang
+        fields["target_lang"] = "defaulted"
+
+    # Keep only the rows that passed on their own
+    for name in ("error_table", "code_explanation"):
+        if name not in fields:
+            continue
+        rows = cleaned.get(name) if isinstance(cleaned.get(name), list) else []
+        bad = report["bad_rows"].get(name, set())
+        cleaned[name] = [row for i, row in enumerate(rows) if i not in bad]
+
+    for name in ("final_code", "final_files"):
+        if name in fields:
+            cleaned[name] = "" if name == "final_code" else None
+
+    cleaned["status"] = "success"
+    return cleaned, fields
+
+# --------------------------------------------------------------------
+# 🔹 ASSESSMENT PIPELINE (STREAMED)
+# --------------------------------------------------------------------
+
+# Streamed assessments in flight, keyed by the client's request_id, with the
+# id of the user who started them. Setting the event stops the model loop at
+# its next checkpoint.
+ACTIVE_ASSESSMENTS: Dict[str, Tuple[threading.Event, int]] = {}
+
+def build_assessment_prompt(source_code: str, target_lang: str, files: Optional[List[Dict[str, Any]]] = None,
+                            profile: Optional[Dict[str, Any]] = None) -> str:
+    number = lambda code: "\n".join([f"{i+1} | {line}" for i, line in enumerate(code.split('\n'))])
+    numbered_code = number(source_code)
+
+    # Several files: number each one from 1 and ask for per-file results
+    multi_file_note = ""
+    if files and len(files) > 1:
+        numbered_code = "\n\n".join(f"=== FILE: {f['name']} ===\n{number(f['code'])}" for f in files)
+        file_names = ", ".join(f'"{f["name"]}"' for f in files)
+        multi_file_note = f"""
+    *** MULTI-FILE SUBMISSION ***
+    The submission has {len(files)} files: {file_names}. Each starts with a "=== FILE: name ===" header
+    and its lines are numbered from 1.
+    - Every `error_table` entry MUST include "file" (exactly one of the names above); "line" is the line within that file.
+    - Return the fixed code per file in `final_files`: [ {{ "name": "file name in {target_lang}", "source": "original file name", "code": "..." }} ],
+      one entry per original file, and leave `final_code` as an empty string.
+    """
+
+    # The profile decides the checklist, the category scores asked for,
+    # the severity floor and whether the plagiarism module runs
+    profile = profile or {"name": "Standard", **DEFAULT_PROFILE}
+    enabled = profile_categories(profile)
+    checklist_items = [item for c in enabled for item in c["items"]]
+    def checklist_line(number, item):
+        title, _, detail = item.partition(" - ")
+        return f"    {number}. **{title}**" + (f"\n       - {detail}" if detail else "")
+    checklist = "\n".join(checklist_line(n, item) for n, item in enumerate(checklist_items, start=1))
+    category_list = ", ".join(f'"{c["key"]}" ({c["label"]})' for c in enabled)
+    threshold = profile.get("severity_threshold") or "info"
+    severity_note = ""
+    if threshold != "info":
+        severity_note = f'\n       - **SEVERITY THRESHOLD**: Only report issues of severity "{threshold}" or higher; leave out anything less severe.'
+
+    if profile.get("plagiarism_check", True):
+        plagiarism_module = """    ------------------------------------------------------------------------
+    MODULE 1: FORENSIC PLAGIARISM & AI DETECTION (ADVANCED SUPERVISED CHECK)
+    ------------------------------------------------------------------------
+    You are a highly supervised detection engine. Analyze the code for:
+    
+    1. **AI FINGERPRINT ANALYSIS:**
+       - **ChatGPT Style:** Look for "Here is the code", generic variable names (foo, bar, example), or overly verbose comment structures typical of GPT-3.5/4.
+       - **Gemini Style:** Look for Google-specific coding patterns, concise "solution-first" structures, or markers typical of PaLM/Gemini training data.
+       - **Perplexity/Search AI:** Look for synthesized code that combines multiple distinct styles abruptly (indicating search aggregation).
+       
+    2. **TOP PROGRAMMING PLATFORM MATCHING:**
+       - **LeetCode / HackerRank / GFG / Stack Overflow / Codeforces / CodeChef:** Check logic against the "Canonical Solutions" for known algorithms.
+       - **StackOverflow:** Check for "Copy-Paste" patterns (e.g., keeping specific, irrelevant comments or variable names from popular threads).
+       
+    **PLAGIARISM OUTPUT INSTRUCTION:**
+    In the JSON output `plagiarism_check` field, you MUST return a structured detailed string.
+    - IF AI GENERATED: "High Match (AI Detected: [Model Name] Pattern)"
+    - IF LEETCODE/GFG: "High Match (90%+ Similarity to [Site Name] Standard Solution)"
+    - IF ORIGINAL: "Low Match (Original Logic / Custom Implementation)"
+"""
+        plagiarism_step = """
+       - **Plagiarism**: SIMULATE a check against known online solutions. Set `plagiarism_check` to: "High Match (e.g., LeetCode/GFG solution)" if the code is structured like a direct copy, or "Low Match (Original Logic)" otherwise."""
+    else:
+        plagiarism_module = f"""    ------------------------------------------------------------------------
+    MODULE 1: PLAGIARISM CHECK (DISABLED)
+    ------------------------------------------------------------------------
+    The "{profile['name']}" profile skips plagiarism and AI detection.
+    Set `plagiarism_check` to exactly "{PLAGIARISM_DISABLED}".
+"""
+        plagiarism_step = ""
+
+    # --------------------------------------------------------------------------------
+    #  SUPREME CODE ARCHITECT & ADVANCED PLAGIARISM FORENSICS MODULE
+    # --------------------------------------------------------------------------------
+    return f"""
+    ACT AS: The "Supreme Code Architect" and Forensic Debugger.
+    TASK: Perform a deep-scan code audit, ruthlessly identify ALL errors, and generate a 100% CORRECT, COMPILABLE solution in {target_lang}.
+    
+    *** CRITICAL INSTRUCTION ON LINE NUMBERS ***
+    The "CANDIDATE INPUT CODE" provided below is PRE-NUMBERED (Format: "LineNumber | Code").
+    Use the EXPLICIT line number printed at the start of the line for the error table.
+    {multi_file_note}
+    CANDIDATE INPUT CODE:
+    ```{numbered_code}```
+    
+    TARGET LANGUAGE: {target_lang}
+    
+{plagiarism_module}
+    ------------------------------------------------------------------------
+    MODULE 2: {len(checklist_items)}-POINT VALIDATION PROTOCOL ({profile["name"]} profile)
+    ------------------------------------------------------------------------
+{checklist}
+    
+    INSTRUCTIONS:
+    1. **DETECT**: Identify source language.
+
+    2. **ASSESS (Forensic Scan)**: 
+       - **MENTAL COMPILATION**: Mentally compile the code. 
+       - **ERROR MAPPING**: Populate the `error_table` with EVERY SINGLE issue found.
+       - **SEVERITY**: Tag each entry "error" (will not compile/run or gives wrong results), "warning" (risky or fragile) or "info" (style/readability).
+       - **Score**: Assign a strict quality score to the *INPUT* code (likely low) from 0 to 100.
+       - **CATEGORY SCORES**: Also score the *INPUT* code from 0 to 100 in each checklist category and return them in `category_scores`: {category_list}.{severity_note}{plagiarism_step}
+    
+    3. **MANDATORY PRE-FLIGHT CHECK (Internal)**:
+       - "Does this code solve all {len(checklist_items)} checklist items?"
+       - "Is the fixed code translated correctly to {target_lang}?"
+       - "Is the score of my fixed code 95/100 or higher?"
+       -  If NO, refine it immediately until it is perfect.
+    
+    4. **FIX (Supreme Correction & TRANSLATION - Target 100/100)**: 
+       - **MANDATORY TRANSLATION**: The `final_code` MUST be written in **{target_lang}**.
+       - Rewrite the code to be **100% ERROR-FREE**.
+       - The fixed code MUST address EVERY item in the checklist above.
+       - **Guarantee**: The result must compile and run immediately without modification.
+       - Add ALL missing imports/headers.
+       - Fix ALL logic.
+    
+    5. **EXPLAIN (STRICT FILTERING)**: 
+       - Provide a line-by-line explanation of the **FIXED FINAL CODE**.
+       - **STRICT EXCLUSION RULE**: Do NOT generate an explanation object for:
+         a. Lines that are empty or whitespace only.
+         b. Lines that contain ONLY comments (starting with //, #, /*).
+         c. Lines that contain ONLY closing braces '}}' or keywords like 'end' (unless critical logic).
+       - **CRITICAL**: The 'code' field MUST contain the ACTUAL CODE SNIPPET from the 'final_code'.
+       - Explain *what* the code does and *why* specific fixes were made.
+    
+    6. **COMPLEXITY**: 
+       - Analyze Best, Average, and Worst Case Time Complexity.
+       - Analyze Best, Average, and Worst Case Space Complexity.
+       - Accuracy Check: Ensure the complexity analysis accurately reflects the efficiency of the provided solution and accounts for any recursive stacks or auxiliary structures.     
+    
+    OUTPUT FORMAT (Strict JSON):
+    {{
+        "detected_language": "String",
+        "quality_score": Integer,
+        "category_scores": {{ "<category key>": Integer }},
+        "integrity_check": "String (Summary of critical failures found in original code)",
+        "plagiarism_check": "String (DETAILED finding from Module 1)", 
+        "maintainability_index": Integer,
+        "readability_score": Integer,
+        "target_complexity": "String (e.g., O(N log N))",
+        "error_table": [ {{ "line": 5, "severity": "error", "error": "Detailed error description" }} ],
+        "final_code": "String (The 100% CORRECTED, COMPLETE, and COMPILABLE code in {target_lang})",
+        "code_explanation": [ 
+            {{ "line": 1, "code": "import os", "explanation": "Imports standard library..." }}
+        ],
+        "complexity": {{
+            "time": {{ "best": "O(1)", "average": "O(n)", "worst": "O(n)", "desc": "Explanation..." }},
+            "space": {{ "best": "O(1)", "average": "O(1)", "worst": "O(n)", "desc": "Explanation..." }}
+        }},
+        "status": "success",
+        "target_lang": "{target_lang}" 
+    }}
+    """
+
+def build_repair_prompt(problems: List[str]) -> str:
+    """Follow-up turn asking the model to fix the reply it just gave."""
+    listed = "\n".join(f"    - {p}" for p in problems[:40])
+    more = f"\n    - ...and {len(problems) - 40} more" if len(problems) > 40 else ""
+    return f"""
+    Your previous reply does not match the required OUTPUT FORMAT:
+{listed}{more}
+
+    Reply again with the COMPLETE corrected JSON object (every field, not just the broken ones).
+    - Scores are integers from 0 to 100.
+    - Every "line" must be a line that exists in the numbered submission.
+    - Every code_explanation "code" must be copied exactly from your final_code.
+    Output only the JSON object, with no commentary and no code fences.
+    """
+
+
+class AssessmentSectionScanner:
+    """
+    Pulls completed top-level members out of a JSON object while it is still
+    being streamed, so each section can be shown as soon as it is closed.
+    Anything before the opening brace (e.g. a ```json fence) is ignored.
+    """
+    def __init__(self):
+        self.buffer = ""
+        self.pos = 0
+        self.depth = 0
+        self.in_string = False
+        self.escaped = False
+        self.phase = "key"          # key -> colon -> value
+        self.key_start = None
+        self.key = None
+        self.value_start = None
+
+    def feed(self, text: str):
+        self.buffer += text
+        completed = []
+        while self.pos < len(self.buffer):
+            ch = self.buffer[self.pos]
+
+            if self.in_string:
+                if self.escaped:
+                    self.escaped = False
+                elif ch == '\\':
+                    self.escaped = True
+                elif ch == '"':
+                    self.in_string = False
+                    if self.depth == 1 and self.phase == "key" and self.key_start is not None:
+                        try:
+                            self.key = json.loads(self.buffer[self.key_start:self.pos + 1])
+                        except ValueError:
+                            self.key = None
+                        self.key_start = None
+                        self.phase = "colon"
+                self.pos += 1
+                continue
+
+            if self.depth == 0:
+                if ch == '{':
+                    self.depth = 1
+                self.pos += 1
+                continue
+
+            if self.depth == 1 and self.phase == "value" and self.value_start is None and not ch.isspace():
+                self.value_start = self.pos
+
+            if ch == '"':
+                self.in_string = True
+                if self.depth == 1 and self.phase == "key":
+                    self.key_start = self.pos
+            elif ch == ':' and self.depth == 1 and self.phase == "colon":
+                self.phase = "value"
+            elif ch in '{[':
+                self.depth += 1
+            elif ch in '}]':
+                self.depth -= 1
+                if self.depth == 0:
+                    self._close_member(completed)
+            elif ch == ',' and self.depth == 1:
+                self._close_member(completed)
+            self.pos += 1
+        return completed
+
+    def _close_member(self, completed):
+        if self.phase == "value" and self.key is not None and self.value_start is not None:
+            try:
+                completed.append((self.key, json.loads(self.buffer[self.value_start:self.pos])))
+            except ValueError:
+                pass
+        self.phase = "key"
+        self.key = None
+        self.value_start = None
+
+def run_assessment(source_code: str, target_lang: str, cancel_event: Optional[threading.Event] = None,
+                   files: Optional[List[Dict[str, Any]]] = None, profile: Optional[Dict[str, Any]] = None,
+                   project_id: Optional[int] = None, candidate_id: Optional[str] = None,
+                   user: Optional[Dict[str, Any]] = None):
+    """
+    Generator behind /process_code. Yields progress events as dicts:
+      stage / local / similarity / model / repair / fallback / section / result / error / cancelled
+    The last event is always one of result, error or cancelled.
+    A "local" event with the rule-based findings comes first.
+    The profile (default: DEFAULT_PROFILE) shapes the prompt, the error
+    table's severity floor and how quality_score is weighted.
+    """
+    profile = profile or {"id": None, "name": "Standard", **DEFAULT_PROFILE}
+    threshold = profile.get("severity_threshold") or "info"
+    cancelled = lambda: cancel_event is not None and cancel_event.is_set()
+    multi_file = bool(files) and len(files) > 1
+    file_order = [f["name"] for f in files] if multi_file else None
+
+    yield {"type": "stage", "message": "Running local checks..."}
+    try:
+        local = run_local_analysis_files(files) if multi_file else run_local_analysis(source_code)
+    except Exception as e:
+        # The pre-check is best effort; never let it block the AI pass
+        print(f"⚠️ Local analysis failed: {e}")
+        local = {"language": "Unknown", "findings": []}
+    local_findings = above_threshold(local["findings"], threshold)
+    yield {"type": "local", "language": local["language"], "findings": local_findings}
+
+    # Fingerprint match against stored submissions; the AI verdict stays a separate signal
+    yield {"type": "stage", "message": "Comparing with stored submissions..."}
+    try:
+        similarity = find_similar_submissions(source_code, project_id, candidate_id, user=user)
+        yield {"type": "similarity", "data": similarity}
+    except Exception as e:
+        print(f"⚠️ Similarity check failed: {e}")
+        similarity = None
+
+    yield {"type": "stage", "message": "Building forensic prompt..."}
+    prompt = build_assessment_prompt(source_code, target_lang, files if multi_file else None, profile)
+
+    # --- ROUND ROBIN GENERATION STRATEGY ---
+    errors = []
+    total = len(AI_ROSTER)
+    context = {"task": "assessment", "source_code": source_code, "target_lang": target_lang, "files": files,
+               "profile": profile}
+
+    for attempt, (provider, model_name) in enumerate(AI_ROSTER, start=1):
+        if cancelled():
+            yield {"type": "cancelled"}
+            return
+
+        yield {"type": "model", "provider": provider.name, "model": model_name, "attempt": attempt, "total": total}
+        try:
+            # Best reply so far and its validation report; a repair only
+            # replaces it when it parses and has fewer problems
+            json_response, report, repaired = None, None, False
+            contents = prompt
+            for repair in range(ASSESSMENT_REPAIR_ATTEMPTS + 1):
+                scanner = AssessmentSectionScanner()
+                full_text = ""
+                for text in provider_stream(provider, model_name, contents, context):
+                    if cancelled():
+                        yield {"type": "cancelled"}
+                        return
+                    full_text += text
+                    for name, value in scanner.feed(text):
+                        if name == "error_table":
+                            value = merge_error_tables(local_findings, above_threshold(value, threshold) if isinstance(value, list) else value, file_order)
+                        yield {"type": "section", "name": name, "value": value}
+
+                clean_text = full_text.replace('```json', '').replace('```', '').strip()
+                try:
+                    candidate = json.loads(clean_text)
+                    candidate_report = validate_assessment(candidate, source_code, files, profile)
+                except ValueError as parse_err:
+                    candidate, candidate_report = None, {"problems": [f"response: not valid JSON ({parse_err})"]}
+
+                if isinstance(candidate, dict) and (report is None or len(candidate_report["problems"]) < len(report["problems"])):
+                    json_response, report, repaired = candidate, candidate_report, repair > 0
+                if not candidate_report["problems"] or repair == ASSESSMENT_REPAIR_ATTEMPTS:
+                    break
+
+                problems = candidate_report["problems"]
+                print(f"⚠️ {provider.name}/{model_name} reply failed validation ({len(problems)} problems). Asking for a repair...")
+                yield {"type": "repair", "provider": provider.name, "model": model_name, "problems": problems}
+                contents = [
+                    {"role": "user", "parts": [prompt]},
+                    {"role": "model", "parts": [full_text]},
+                    {"role": "user", "parts": [build_repair_prompt(problems)]}
+                ]
+
+            if json_response is None:
+                err = ProviderError("parse", "Response was not valid JSON, even after a repair request", provider.name, model_name)
+                errors.append(err.as_dict())
+                yield {"type": "fallback", **err.as_dict()}
+                continue
+
+            # Whatever still fails is nulled or dropped, never filled with made-up numbers
+            fields = {}
+            if report["problems"]:
+                json_response, fields = clean_assessment(json_response, report, local["language"], target_lang)
+            json_response["validation"] = {"repaired": repaired, "problems": report["problems"], "fields": fields}
+
+            ai_table = json_response.get("error_table")
+            if isinstance(ai_table, list):
+                ai_table = above_threshold(ai_table, threshold)
+            json_response["error_table"] = merge_error_tables(local_findings, ai_table, file_order)
+
+            # The profile's weights turn category scores into quality_score;
+            # without usable category scores the model's own score stands
+            weighted = weighted_quality_score(json_response.get("category_scores"), profile)
+            json_response["model_quality_score"] = json_response.get("quality_score")
+            if weighted is not None:
+                json_response["quality_score"] = weighted
+            json_response["score_basis"] = "weighted" if weighted is not None else "model"
+            json_response["similarity"] = similarity
+            json_response["profile"] = {key: profile.get(key) for key in
+                                        ("id", "name", "categories", "weights", "severity_threshold", "plagiarism_check")}
+
+            # Per-file fixes also go out as one bundle for single-code consumers
+            final_files = json_response.get("final_files")
+            if multi_file and isinstance(final_files, list) and final_files:
+                final_files = [f for f in final_files if isinstance(f, dict) and "code" in f]
+                json_response["final_files"] = final_files
+                json_response["final_code"] = bundle_files(
+                    [{"name": f.get("name") or f.get("source") or "file", "code": f["code"]} for f in final_files])
+
+            print(f"✅ Success using: {provider.name}/{model_name}") 
+            yield {"type": "result", "provider": provider.name, "model": model_name, "data": json_response}
+            return
+
+        except ProviderError as e:
+            print(f"⚠️ {e.provider}/{e.model} failed ({e.reason}). Switching to next...")
+            errors.append(e.as_dict())
+            yield {"type": "fallback", **e.as_dict()}
+            continue 
+
+        except Exception as e:
+            err = ProviderError("error", str(e), provider.name, model_name)
+            errors.append(err.as_dict())
+            yield {"type": "fallback", **err.as_dict()}
+            continue
+
+    yield {"type": "error", "message": no_provider_message(errors), "errors": errors,
+           "error_table": local_findings}
+
+@app.post("/process_code")
+def process_code(data: ProcessCodeData, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        target_lang = data.target_lang
+        files = [f.dict() for f in data.files] if data.files else None
+        source_code = bundle_files(files) if files else data.code
+        
+        if not source_code or not target_lang:
+            raise HTTPException(status_code=400, detail="Missing code or target language")
+        profile = load_assessment_profile(db.cursor(), data.profile_id, user)
+        if data.project_id:
+            owned_project(db.cursor(), data.project_id, user)
+        recording = None
+        if data.recording:
+            if len(data.recording.get("events") or []) > MAX_RECORDING_EVENTS or \
+                    len(json.dumps(data.recording)) > MAX_RECORDING_BYTES:
+                raise HTTPException(status_code=413, detail="Session recording is too large to store")
+            recording = summarize_recording(data.recording, files or [{"name": "", "code": source_code}])
+
+        # --- STREAMED MODE: newline-delimited JSON events ---
+        if data.stream:
+            request_id = data.request_id or str(time.time())
+            cancel_event = threading.Event()
+            if request_id in ACTIVE_ASSESSMENTS:
+                raise HTTPException(status_code=409, detail="An assessment with this request_id is already running")
+            ACTIVE_ASSESSMENTS[request_id] = (cancel_event, user["id"])
+
+            def event_stream():
+                try:
+                    for event in run_assessment(source_code, target_lang, cancel_event, files, profile,
+                                                data.project_id, data.candidate_id, user):
+                        if event["type"] == "result":
+                            event["data"]["session_recording"] = recording
+                            event["data"]["assessment_id"] = save_assessment(data, event["model"], event["data"], user["id"])
+                        yield json.dumps(event) + "\n"
+                finally:
+                    ACTIVE_ASSESSMENTS.pop(request_id, None)
+
+            return StreamingResponse(event_stream(), media_type="application/x-ndjson")
+
+        # --- BLOCKING MODE: single JSON result ---
+        for event in run_assessment(source_code, target_lang, files=files, profile=profile,
+                                    project_id=data.project_id, candidate_id=data.candidate_id, user=user):
+            if event["type"] == "result":
+                event["data"]["session_recording"] = recording
+                event["data"]["assessment_id"] = save_assessment(data, event["model"], event["data"], user["id"])
+                return event["data"]
+            if event["type"] == "error":
+                return JSONResponse(
+                    status_code=429,
+                    content={"status": "error", "message": event["message"], "errors": event["errors"],
+                             "error_table": event["error_table"]}
+                )
+
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.post("/cancel_assessment")
+def cancel_assessment(data: CancelData, user: Dict[str, Any] = Depends(current_user)):
+    cancel_event, owner_id = ACTIVE_ASSESSMENTS.get(data.request_id, (None, None))
+    # Another account's run looks the same as one that has already finished
+    if not cancel_event or owner_id != user["id"]:
+        return {"status": "success", "cancelled": False}
+    cancel_event.set()
+    return {"status": "success", "cancelled": True}
+
+# --------------------------------------------------------------------
+# 🔹 TEST CASE RUNNER (SANDBOXED PYTHON)
+# --------------------------------------------------------------------
+# JavaScript cases run in a Web Worker in the browser; Python runs here,
+# one interpreter per case inside the sandbox below, with CPU, memory,
+# file-size and process limits.
+TEST_TIMEOUT_SECONDS = float(os.getenv("TEST_TIMEOUT_SECONDS", "5"))
+TEST_MEMORY_MB = int(os.getenv("TEST_MEMORY_MB", "256"))
+TEST_OUTPUT_LIMIT = 20000
+MAX_TEST_CASES = 50
+TEST_RUN_BUDGET_SECONDS = float(os.getenv("TEST_RUN_BUDGET_SECONDS", "30"))   # wall time for all cases of one request
+SANDBOX_RUNS_PER_USER = int(os.getenv("SANDBOX_RUNS_PER_USER", "1"))
+
+# Submitted code never runs as the server. With SANDBOX=bwrap (the default)
+# each run gets bubblewrap's own user, PID, network and mount namespaces:
+# no network, nothing of the host but the read-only interpreter and system
+# libraries, and the run's temp dir as its only writable path. SANDBOX=none
+# runs the interpreter directly and is for local development only; without
+# bwrap installed server-side runs are refused rather than left unisolated.
+SANDBOX = os.getenv("SANDBOX", "bwrap").strip().lower()
+SANDBOX_MAX_PROCESSES = int(os.getenv("SANDBOX_MAX_PROCESSES", "16"))
+SANDBOX_WORKDIR = "/work"
+SANDBOX_SYSTEM_PATHS = ["/usr", "/bin", "/sbin", "/lib", "/lib32", "/lib64", "/etc/ld.so.cache", "/etc/alternatives"]
+
+# Shared start of every runner script. The header (case or benchmark spec,
+# plus rlimits) is the first line on stdin, read unbuffered so any input
+# after it is left to the submission. Limits are set here, in the child
+# itself, before the submission's code is read.
+SANDBOX_PRELUDE = r"""
+import json, os, sys
+try:
+    import resource
+except ImportError:
+    resource = None
+def _read_header():
+    data = b""
+    while not data.endswith(b"\n"):
+        chunk = os.read(0, 1)
+        if not chunk:
+            break
+        data += chunk
+    return json.loads(data)
+header = _read_header()
+if resource:
+    for name, value in header.pop("limits").items():
+        resource.setrlimit(getattr(resource, name), (value, value))
+entry = sys.argv[1]
+sys.argv = [entry]
+sys.path.insert(0, ".")
+with open(entry, encoding="utf-8") as fh:
+    source = fh.read()
+"""
+
+# The case never appears in argv (or /proc/<pid>/cmdline). Stdin cases
+# carry no expected output at all; their output is compared on the server.
+# For assert cases the marker is taken out of the module globals before the
+# submission runs (it imports as __main__), and the server only trusts a
+# marker on the last line of output.
+TEST_RUNNER = SANDBOX_PRELUDE + r"""
+import contextlib, io
+def _run_assert(case):
+    marker = case.pop("marker")
+    namespace = {"__name__": "submission"}
+    captured = io.StringIO()
+    with contextlib.redirect_stdout(captured):
+        exec(compile(source, entry, "exec"), namespace)
+        actual = eval(case["expression"], namespace)
+        expected = eval(case["expected"], namespace)
+    sys.stdout.write(captured.getvalue())
+    sys.stdout.write("\n" + marker + json.dumps({"actual": repr(actual), "passed": bool(actual == expected)}) + "\n")
+if header["kind"] == "assert":
+    _run_assert(globals().pop("header"))
+else:
+    del header
+    exec(compile(source, entry, "exec"), {"__name__": "__main__"})
+"""
+
+def sandbox_limits(timeout: float) -> Dict[str, int]:
+    """rlimits the runner applies to itself: CPU seconds, address space, file writes and processes."""
+    memory = TEST_MEMORY_MB * 1024 * 1024
+    return {"RLIMIT_CPU": int(timeout) + 1, "RLIMIT_AS": memory, "RLIMIT_FSIZE": 1 << 20,
+            "RLIMIT_NPROC": SANDBOX_MAX_PROCESSES}
+
+def sandbox_command(workdir: str, runner: str, entry: str) -> tuple:
+    """(argv, cwd) starting a runner script on the files in workdir, or 503 when no sandbox is available."""
+    python = [sys.executable, "-I", "-c", runner, entry]
+    if SANDBOX == "none":
+        return python, workdir
+    if SANDBOX != "bwrap":
+        raise HTTPException(status_code=503, detail=f"Unknown SANDBOX setting: {SANDBOX}")
+    bwrap = shutil.which("bwrap")
+    if not bwrap:
+        raise HTTPException(status_code=503, detail="Server-side code execution is disabled: bubblewrap (bwrap) is not installed")
+
+    interpreter_paths = [sys.prefix, sys.base_prefix, os.path.dirname(os.path.realpath(sys.executable))]
+    cmd = [bwrap, "--unshare-all", "--die-with-parent", "--new-session", "--uid", "65534", "--gid", "65534"]
+    for path in dict.fromkeys(SANDBOX_SYSTEM_PATHS + interpreter_paths):
+        cmd += ["--ro-bind-try", path, path]
+    cmd += ["--proc", "/proc", "--dev", "/dev", "--tmpfs", "/tmp",
+            "--bind", workdir, SANDBOX_WORKDIR, "--chdir", SANDBOX_WORKDIR, "--"]
+    return cmd + python, None
+
+def run_sandboxed(workdir: str, runner: str, entry: str, header: Dict[str, Any], stdin: str, timeout: float) -> Dict[str, Any]:
+    """
+    Runs a runner script in its own session (process group). On timeout the
+    whole group is killed, so processes the submission started die with it.
+    Returns {returncode, stdout, stderr, timed_out}.
+    """
+    cmd, cwd = sandbox_command(workdir, runner, entry)
+    proc = subprocess.Popen(
+        cmd,
+        cwd=cwd,
+        stdin=subprocess.PIPE,
+        stdout=subprocess.PIPE,
+        stderr=subprocess.PIPE,
+        text=True,
+        env={"PATH": os.environ.get("PATH", ""), "PYTHONIOENCODING": "utf-8"},
+        start_new_session=True,
+    )
+    payload = json.dumps({**header, "limits": sandbox_limits(timeout)}) + "\n" + (stdin or "")
+    try:
+        stdout, stderr = proc.communicate(payload, timeout=timeout)
+        return {"returncode": proc.returncode, "stdout": stdout, "stderr": stderr, "timed_out": False}
+    except subprocess.TimeoutExpired:
+        try:
+            os.killpg(proc.pid, signal.SIGKILL)
+        except ProcessLookupError:
+            pass
+        try:
+            stdout, stderr = proc.communicate(timeout=5)
+        except subprocess.TimeoutExpired:
+            # A process that left the group still holds the pipes
+            proc.kill()
+            stdout, stderr = "", ""
+        return {"returncode": proc.returncode, "stdout": stdout or "", "stderr": stderr or "", "timed_out": True}
+
+# Server-side runs in flight, by user id
+ACTIVE_SANDBOX_RUNS: Dict[int, int] = {}
+SANDBOX_RUNS_LOCK = threading.Lock()
+
+@contextlib.contextmanager
+def sandbox_slot(user: Dict[str, Any]):
+    """Holds one of the user's SANDBOX_RUNS_PER_USER run slots, or 429 when they are all taken."""
+    with SANDBOX_RUNS_LOCK:
+        if ACTIVE_SANDBOX_RUNS.get(user["id"], 0) >= SANDBOX_RUNS_PER_USER:
+            raise HTTPException(status_code=429, detail="Another code run is still in progress for this account")
+        ACTIVE_SANDBOX_RUNS[user["id"]] = ACTIVE_SANDBOX_RUNS.get(user["id"], 0) + 1
+    try:
+        yield
+    finally:
+        with SANDBOX_RUNS_LOCK:
+            ACTIVE_SANDBOX_RUNS[user["id"]] -= 1
+            if not ACTIVE_SANDBOX_RUNS[user["id"]]:
+                del ACTIVE_SANDBOX_RUNS[user["id"]]
+
+def normalize_output(text: str) -> str:
+    """Compare outputs ignoring trailing whitespace and surrounding blank lines."""
+    return "\n".join(line.rstrip() for line in (text or "").strip().splitlines())
+
+def write_sandbox_files(workdir: str, files: List[Dict[str, Any]]) -> str:
+    """Writes the submission into workdir and returns the entry file's name; 400 on unusable or repeated names."""
+    names = [os.path.basename(f["name"]) or "main.py" for f in files]
+    for name in names:
+        if name in (".", ".."):
+            raise HTTPException(status_code=400, detail=f"'{name}' is not a valid file name")
+    repeated = sorted({name for name in names if names.count(name) > 1})
+    if repeated:
+        raise HTTPException(status_code=400, detail=f"Duplicate file names: {', '.join(repeated)}")
+    for name, f in zip(names, files):
+        with open(os.path.join(workdir, name), "w", encoding="utf-8") as fh:
+            fh.write(f["code"])
+    return names[0]
+
+def run_python_case(workdir: str, entry: str, case: TestCaseData, timeout: float = TEST_TIMEOUT_SECONDS) -> Dict[str, Any]:
+    marker = f"__codestatic_result_{os.urandom(6).hex()}__"
+    if case.kind == "assert":
+        header = {"kind": "assert", "expression": case.expression or "", "expected": case.expected or "", "marker": marker}
+    else:
+        header = {"kind": "stdin"}
+    started = time.monotonic()
+    proc = run_sandboxed(workdir, TEST_RUNNER, entry, header,
+                         (case.stdin or "") if case.kind == "stdin" else "", timeout)
+    duration_ms = int((time.monotonic() - started) * 1000)
+    if proc["timed_out"]:
+        return {"status": "timeout", "error": f"Timed out after {timeout:g}s",
+                "stdout": proc["stdout"][:TEST_OUTPUT_LIMIT], "duration_ms": duration_ms}
+
+    result = {
+        "stdout": proc["stdout"][:TEST_OUTPUT_LIMIT],
+        "stderr": proc["stderr"][-TEST_OUTPUT_LIMIT:],
+        "duration_ms": duration_ms,
+    }
+    if proc["returncode"] != 0:
+        # Last traceback line is the useful part; negative codes are signals (limits hit)
+        lines = proc["stderr"].strip().splitlines()
+        result["status"] = "error"
+        result["error"] = lines[-1] if lines else f"Exited with code {proc['returncode']}"
+        return result
+
+    if case.kind == "assert":
+        # Only the runner's own last line counts; a marker anywhere else was printed by the submission
+        head, _, last = proc["stdout"].rstrip("\n").rpartition("\n")
+        if not last.startswith(marker):
+            result["status"] = "error"
+            result["error"] = "The run's result line is missing or was not the last line of output"
+            return result
+        outcome = json.loads(last[len(marker):])
+        result["stdout"] = head.rstrip("\n")[:TEST_OUTPUT_LIMIT]
+        result["actual"] = outcome["actual"]
+        result["status"] = "pass" if outcome["passed"] else "fail"
+    else:
+        result["actual"] = result["stdout"]
+        result["status"] = "pass" if normalize_output(proc["stdout"]) == normalize_output(case.expected) else "fail"
+    return result
+
+@app.post("/run_tests")
+def run_tests(data: RunTestsData, user: Dict[str, Any] = Depends(current_user)):
+    """
+    Runs Python code (single file or multi-file, first file is the entry point) against each case.
+    One run per user at a time; cases left when TEST_RUN_BUDGET_SECONDS is used up come back skipped.
+    """
+    try:
+        if not data.cases:
+            raise HTTPException(status_code=400, detail="No test cases provided")
+        if len(data.cases) > MAX_TEST_CASES:
+            raise HTTPException(status_code=400, detail=f"At most {MAX_TEST_CASES} test cases per run")
+        for case in data.cases:
+            if case.kind not in ("stdin", "assert"):
+                raise HTTPException(status_code=400, detail=f"Unknown test case kind: {case.kind}")
+
+        files = [f.dict() for f in data.files] if data.files else [{"name": "main.py", "code": data.code}]
+        with sandbox_slot(user), tempfile.TemporaryDirectory(prefix="codestatic-tests-") as workdir:
+            entry = write_sandbox_files(workdir, files)
+            deadline = time.monotonic() + TEST_RUN_BUDGET_SECONDS
+            results = []
+            for case in data.cases:
+                remaining = deadline - time.monotonic()
+                if remaining < 0.5:
+                    results.append({"status": "skipped", "error": f"Not run: this run's {TEST_RUN_BUDGET_SECONDS:g}s budget was used up"})
+                    continue
+                results.append(run_python_case(workdir, entry, case, min(TEST_TIMEOUT_SECONDS, remaining)))
+
+        passed = sum(1 for r in results if r["status"] == "pass")
+        return {"status": "success", "results": results, "passed": passed, "total": len(results)}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+# --------------------------------------------------------------------
+# 🔹 EMPIRICAL COMPLEXITY (BENCHMARK RUNNER)
+# --------------------------------------------------------------------
+# Times the fixed code over inputs of growing size. Like the test runner,
+# JavaScript runs in a browser Worker and Python here, in one sandboxed
+# interpreter that counts against the user's run slot. Only raw points come back; the front end fits them to
+# growth curves and compares them with the claimed Big-O.
+BENCH_SIZES = [round(8 * 2 ** (k / 2)) for k in range(31)]   # 8 .. 262144, x1.41 per step
+BENCH_BUDGET_SECONDS = float(os.getenv("BENCH_BUDGET_SECONDS", "10"))  # no new size starts after this
+BENCH_TIMEOUT_SECONDS = BENCH_BUDGET_SECONDS + 10                       # hard stop for the child
+BENCH_MIN_SAMPLE_MS = 50         # timed calls per size add up to at least this...
+BENCH_SIZE_WALL_MS = 250         # ...unless building inputs makes the size take longer than this
+BENCH_MAX_REPS = 1000
+BENCH_SLOW_CALL_MS = 1500        # a single call this slow ends the run
+BENCH_MEMORY_CALL_MS = 500       # slower calls skip the (slower) tracemalloc pass
+MAX_BENCH_EXPRESSION = 500
+
+# Runs inside the child and prints one marked JSON line per size, so the
+# points measured before a timeout still count. Every call gets a fresh
+# input, built outside the timed region; a size reports the median call.
+# Memory is the tracemalloc peak of one more call.
+BENCH_RUNNER = SANDBOX_PRELUDE + r"""
+import contextlib, gc, random, statistics, string, time, tracemalloc
+spec = header
+out = sys.stdout
+rng = random.Random(1)
+def rand_list(n): return rng.choices(range(max(n, 1)), k=n)
+def sorted_list(n): return sorted(rand_list(n))
+def rand_string(n): return "".join(rng.choices(string.ascii_lowercase, k=n))
+namespace = {"__name__": "submission", "rand_list": rand_list, "sorted_list": sorted_list, "rand_string": rand_string}
+with open(os.devnull, "w") as sink, contextlib.redirect_stdout(sink):
+    exec(compile(source, entry, "exec"), namespace)
+    make = eval("lambda n: (" + spec["input"] + ")", namespace)
+    run = eval("lambda x: (" + spec["call"] + ")", namespace)
+    started = time.monotonic()
+    for n in spec["sizes"]:
+        if time.monotonic() - started > spec["budget"]:
+            break
+        times, size_started = [], time.monotonic()
+        while len(times) < spec["max_reps"]:
+            x = make(n)
+            gc.disable()
+            t0 = time.perf_counter()
+            run(x)
+            times.append((time.perf_counter() - t0) * 1000)
+            gc.enable()
+            if sum(times) >= spec["min_sample_ms"] or (time.monotonic() - size_started) * 1000 >= spec["size_wall_ms"]:
+                break
+        ms = statistics.median(times)
+        peak = None
+        if ms <= spec["memory_call_ms"]:
+            x = make(n)
+            tracemalloc.start()
+            run(x)
+            peak = tracemalloc.get_traced_memory()[1]
+            tracemalloc.stop()
+        out.write(spec["marker"] + json.dumps({"n": n, "ms": ms, "bytes": peak, "reps": len(times)}) + "\n")
+        out.flush()
+        if ms > spec["slow_call_ms"]:
+            break
+"""
+
+def bench_points(stdout: str, marker: str) -> List[Dict[str, Any]]:
+    return [json.loads(line[len(marker):]) for line in (stdout or "").splitlines() if line.startswith(marker)]
+
+@app.post("/run_benchmark")
+def run_benchmark(data: BenchmarkData, user: Dict[str, Any] = Depends(current_user)):
+    """Times a call over growing inputs (Python; first file is the entry point)."""
+    try:
+        if not data.call.strip() or not data.input.strip():
+            raise HTTPException(status_code=400, detail="Both the input and the call expression are required")
+        if len(data.call) > MAX_BENCH_EXPRESSION or len(data.input) > MAX_BENCH_EXPRESSION:
+            raise HTTPException(status_code=400, detail=f"Expressions are limited to {MAX_BENCH_EXPRESSION} characters")
+
+        files = [f.dict() for f in data.files] if data.files else [{"name": "main.py", "code": data.code}]
+        marker = f"__codestatic_point_{os.urandom(6).hex()}__"
+        spec = {"input": data.input, "call": data.call, "sizes": BENCH_SIZES, "budget": BENCH_BUDGET_SECONDS,
+                "min_sample_ms": BENCH_MIN_SAMPLE_MS, "size_wall_ms": BENCH_SIZE_WALL_MS, "max_reps": BENCH_MAX_REPS,
+                "slow_call_ms": BENCH_SLOW_CALL_MS, "memory_call_ms": BENCH_MEMORY_CALL_MS, "marker": marker}
+        with sandbox_slot(user), tempfile.TemporaryDirectory(prefix="codestatic-bench-") as workdir:
+            entry = write_sandbox_files(workdir, files)
+            proc = run_sandboxed(workdir, BENCH_RUNNER, entry, spec, "", BENCH_TIMEOUT_SECONDS)
+
+        points = bench_points(proc["stdout"], marker)
+        if proc["timed_out"]:
+            return {"status": "success", "points": points, "stopped": f"Timed out after {BENCH_TIMEOUT_SECONDS:g}s"}
+        stopped = None
+        if proc["returncode"] != 0:
+            # Last traceback line is the useful part; negative codes are signals (limits hit)
+            lines = proc["stderr"].strip().splitlines()
+            stopped = lines[-1] if lines else f"Exited with code {proc['returncode']}"
+            if not points:
+                raise HTTPException(status_code=400, detail=f"Benchmark failed: {stopped}")
+        return {"status": "success", "points": points, "stopped": stopped}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+# --------------------------------------------------------------------
+# 🔹 ASSESSMENT RECORDS
+# --------------------------------------------------------------------
+
+def normalize_candidate_id(candidate_id: Optional[str]) -> Optional[str]:
+    value = (candidate_id or "").strip()
+    return value if value and value.upper() != "N/A" else None
+
+def save_assessment(data: ProcessCodeData, model_name: str, result: Dict[str, Any], user_id: int) -> Optional[int]:
+    # Own connection: streamed responses outlive the request's get_db()
+    try:
+        db = sqlite3.connect(str(DB_PATH))
+        try:
+            error_table = result.get("error_table")
+            score = result.get("quality_score")
+            files_json, input_code = files_payload(data.files, data.code)
+            cur = db.cursor()
+            cur.execute("""
+                INSERT INTO assessments (candidate_id, project_id, model, target_lang, detected_language,
+                                         quality_score, error_count, input_code, input_files_json, result_json, user_id,
+                                         recording_json)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            """, (
+                normalize_candidate_id(data.candidate_id),
+                data.project_id,
+                model_name,
+                data.target_lang,
+                result.get("detected_language"),
+                int(score) if str(score).isdigit() else None,
+                len(error_table) if isinstance(error_table, list) else 0,
+                input_code,
+                files_json,
+                json.dumps(result),
+                user_id,
+                json.dumps(data.recording) if data.recording else None,
+            ))
+            db.commit()
+            return cur.lastrowid
+        finally:
+            db.close()
+    except Exception as e:
+        print(f"⚠️ Could not store assessment: {e}")
+        return None
+
+def visible_assessment(cur, assessment_id: int, user: Dict[str, Any]) -> sqlite3.Row:
+    """The assessment with its project name, or 404 when the user may not see it."""
+    scope, params = assessment_scope(user)
+    cur.execute(f"""
+        SELECT a.*, p.project_name FROM assessments a
+        LEFT JOIN projects p ON p.id = a.project_id
+        WHERE a.id = ? AND {scope}
+    """, [assessment_id] + params)
+    row = cur.fetchone()
+    if not row:
+        raise HTTPException(status_code=404, detail="Assessment not found")
+    return row
+
+def report_data_from_assessment(row: sqlite3.Row) -> ReportData:
+    """Rebuilds the PDF payload the front end would send, from a stored result."""
+    result = json.loads(row["result_json"] or "{}")
+    final_code = result.get("final_code") or ""
+
+    error_lines = []
+    for err in result.get("error_table") or []:
+        if isinstance(err, dict):
+            source = "Local" if err.get("source") == "local" else "AI"
+            where = f"{err['file']}:{err.get('line', '?')}" if err.get("file") else f"Line {err.get('line', '?')}"
+            error_lines.append(f"{where} [{source}]: {err.get('error', '')}")
+
+    def complexity_text(kind: str) -> str:
+        c = (result.get("complexity") or {}).get(kind) or {}
+        return (f"{kind.upper()} COMPLEXITY:\n"
+                f"  Best: {c.get('best', '?')} | Avg: {c.get('average', '?')} | Worst: {c.get('worst', '?')}\n"
+                f"  Notes: {c.get('desc', '')}")
+
+    explanation = "\n\n".join(
+        f"CODE: {item.get('code', '')}\n   -> EXPLANATION: {item.get('explanation', '')}"
+        for item in result.get("code_explanation") or [] if isinstance(item, dict)
+    )
+
+    return ReportData(
+        target_lang=row["target_lang"] or "N/A",
+        candidate_id=row["candidate_id"],
+        quality_score=result.get("quality_score"),
+        compliance_status="Compliance Status: UNVERIFIED (fixed code returned, no tests run)" if final_code.strip() else "Compliance Status: FAIL (Empty Output)",
+        integrity_check=result.get("integrity_check") or "N/A",
+        plagiarism_check=result.get("plagiarism_check") or "N/A",
+        original_code=row["input_code"] or "",
+        final_code=final_code,
+        error_log_text="\n".join(error_lines),
+        time_analysis=complexity_text("time"),
+        space_analysis=complexity_text("space"),
+        explanation_text=explanation,
+        files=json.loads(row["input_files_json"]) if row["input_files_json"] else None,
+        final_files=result.get("final_files"),
+        validation=result.get("validation"),
+        similarity=result.get("similarity"),
+        profile=result.get("profile"),
+        score_basis=result.get("score_basis"),
+        session_recording=result.get("session_recording"),
+    )
+
+@app.get("/assessments")
+def list_assessments(candidate_id: Optional[str] = None, project_id: Optional[int] = None,
+                     limit: int = 100, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        scope, params = assessment_scope(user)
+        where = [scope]
+        if candidate_id:
+            where.append("a.candidate_id LIKE ?")
+            params.append(f"%{candidate_id.strip()}%")
+        if project_id is not None:
+            where.append("a.project_id = ?")
+            params.append(project_id)
+        params.append(max(1, min(limit, 500)))
+
+        cur = db.cursor()
+        cur.execute(f"""
+            SELECT a.id, a.candidate_id, a.project_id, p.project_name, a.model, a.target_lang,
+                   a.detected_language, a.quality_score, a.error_count, a.created_at, u.username AS owner,
+                   a.recording_json IS NOT NULL AS has_recording
+            FROM assessments a
+            LEFT JOIN projects p ON p.id = a.project_id
+            LEFT JOIN users u ON u.id = a.user_id
+            WHERE {" AND ".join(where)}
+            ORDER BY a.id DESC
+            LIMIT ?
+        """, params)
+        return {"status": "success", "assessments": [dict(row) for row in cur.fetchall()]}
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.get("/assessments/{assessment_id}")
+def get_assessment(assessment_id: int, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        row = visible_assessment(db.cursor(), assessment_id, user)
+        assessment = with_files(row, "input_files_json", "input_files")
+        assessment["result"] = json.loads(assessment.pop("result_json") or "{}")
+        # The timeline can be large; playback fetches it separately
+        assessment["has_recording"] = bool(assessment.pop("recording_json", None))
+        return {"status": "success", "assessment": assessment}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.get("/assessments/{assessment_id}/recording")
+def get_assessment_recording(assessment_id: int, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        row = visible_assessment(db.cursor(), assessment_id, user)
+        if not row["recording_json"]:
+            raise HTTPException(status_code=404, detail="This assessment has no session recording")
+        result = json.loads(row["result_json"] or "{}")
+        return {"status": "success", "recording": json.loads(row["recording_json"]),
+                "summary": result.get("session_recording")}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.get("/assessments/{assessment_id}/pdf")
+def assessment_pdf(assessment_id: int, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    cur = db.cursor()
+    row = visible_assessment(cur, assessment_id, user)
+
+    report = report_data_from_assessment(row)
+    scope, params = assessment_scope(user, "s")
+    cur.execute(f"SELECT s.id FROM interview_sessions s WHERE s.assessment_id = ? AND {scope} ORDER BY s.id DESC LIMIT 1",
+                [assessment_id] + params)
+    session = cur.fetchone()
+    if session:
+        report.interview_session_id = session["id"]
+    return generate_pdf(report, user)
+
+# --------------------------------------------------------------------
+# 🔹 SHARED REPORT LINKS
+# --------------------------------------------------------------------
+
+# One live link per assessment: sharing again returns (and re-dates) the
+# same token; a revoked or expired link stays dead and the next share
+# gets a new token.
+SHARE_TOKEN_BYTES = 18
+SHARE_LIVE = "revoked_at IS NULL AND (expires_at IS NULL OR expires_at > datetime('now'))"
+
+def share_info(row) -> Optional[Dict[str, Any]]:
+    if not row:
+        return None
+    share = dict(row)
+    share["url"] = f"/report/{share['token']}"
+    return share
+
+def live_share(cur, assessment_id: int):
+    cur.execute(f"SELECT * FROM report_shares WHERE assessment_id = ? AND {SHARE_LIVE} ORDER BY id DESC LIMIT 1",
+                (assessment_id,))
+    return cur.fetchone()
+
+def shared_report_view(row: sqlite3.Row) -> Dict[str, Any]:
+    """Stored assessment shaped for templates/report.html."""
+    result = json.loads(row["result_json"] or "{}")
+    files = json.loads(row["input_files_json"]) if row["input_files_json"] else [{"name": "", "code": row["input_code"] or ""}]
+    final_files = result.get("final_files") if len(files) > 1 and isinstance(result.get("final_files"), list) else None
+    fixed = [{"name": f.get("name") or f.get("source") or "", "code": f.get("code") or ""} for f in final_files] if final_files \
+        else [{"name": "", "code": result.get("final_code") or ""}]
+    numbered = lambda code: list(enumerate(code.split("\n"), start=1))
+
+    similarity = result.get("similarity") or {}
+    return {
+        "id": row["id"],
+        "candidate_id": row["candidate_id"],
+        "project_name": row["project_name"],
+        "created_at": row["created_at"],
+        "detected_language": result.get("detected_language") or row["detected_language"] or "Unknown",
+        "target_lang": row["target_lang"] or result.get("target_lang") or "N/A",
+        "quality_score": result.get("quality_score"),
+        "score_basis": result.get("score_basis"),
+        "profile": (result.get("profile") or {}).get("name"),
+        "integrity_check": result.get("integrity_check"),
+        "plagiarism_check": result.get("plagiarism_check"),
+        "similarity": similarity if similarity.get("score") is not None else None,
+        "session_recording": result.get("session_recording"),
+        "recording_lines": recording_summary_lines(result["session_recording"]) if result.get("session_recording") else [],
+        "flagged": (result.get("validation") or {}).get("fields") or {},
+        "errors": [e for e in result.get("error_table") or [] if isinstance(e, dict)],
+        "files": [{"name": f.get("name") or "", "lines": numbered(f.get("code") or "")} for f in files],
+        "fixed_files": [{"name": f["name"], "lines": numbered(f["code"])} for f in fixed],
+        "explanation": [e for e in result.get("code_explanation") or [] if isinstance(e, dict)],
+        "complexity": result.get("complexity") if isinstance(result.get("complexity"), dict) else None,
+    }
+
+@app.get("/assessments/{assessment_id}/share")
+def get_assessment_share(assessment_id: int, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        cur = db.cursor()
+        visible_assessment(cur, assessment_id, user)
+        return {"status": "success", "share": share_info(live_share(cur, assessment_id))}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.post("/share-assessment")
+def share_assessment(data: ShareData, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        if data.expires_in_days is not None and data.expires_in_days <= 0:
+            raise HTTPException(status_code=400, detail="Expiry must be a positive number of days")
+        cur = db.cursor()
+        visible_assessment(cur, data.assessment_id, user)
+
+        expires = f"datetime('now', '+{int(data.expires_in_days)} days')" if data.expires_in_days else "NULL"
+        existing = live_share(cur, data.assessment_id)
+        if existing:
+            cur.execute(f"UPDATE report_shares SET expires_at = {expires} WHERE id = ?", (existing["id"],))
+            share_id = existing["id"]
+        else:
+            cur.execute(f"INSERT INTO report_shares (token, assessment_id, expires_at) VALUES (?, ?, {expires})",
+                        (secrets.token_urlsafe(SHARE_TOKEN_BYTES), data.assessment_id))
+            share_id = cur.lastrowid
+        db.commit()
+        cur.execute("SELECT * FROM report_shares WHERE id = ?", (share_id,))
+        return {"status": "success", "share": share_info(cur.fetchone())}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.post("/revoke-share")
+def revoke_share(data: ShareData, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        cur = db.cursor()
+        visible_assessment(cur, data.assessment_id, user)
+        cur.execute(f"UPDATE report_shares SET revoked_at = CURRENT_TIMESTAMP WHERE assessment_id = ? AND {SHARE_LIVE}",
+                    (data.assessment_id,))
+        db.commit()
+        return {"status": "success", "revoked": cur.rowcount}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+# --------------------------------------------------------------------
+# 🔹 INTERVIEW SESSIONS (CANDIDATES, QUESTIONS, RUBRICS)
+# --------------------------------------------------------------------
+
+def rubric_total(criteria: List[Dict[str, Any]], scores: Dict[str, Any]) -> Optional[float]:
+    """Weighted percentage (0-100) over the criteria that have been scored."""
+    scored = [c for c in criteria if scores.get(c["key"]) is not None]
+    total_weight = sum(float(c.get("weight") or 0) for c in scored)
+    if not scored or total_weight <= 0:
+        return None
+    points = sum(float(scores[c["key"]]) / RUBRIC_MAX_POINTS * float(c.get("weight") or 0) for c in scored)
+    return round(points / total_weight * 100, 1)
+
+def load_rubric(cur, rubric_id: int, user: Dict[str, Any]) -> Dict[str, Any]:
+    scope, params = settings_scope(user)
+    cur.execute(f"SELECT * FROM rubrics s WHERE s.id = ? AND {scope}", [rubric_id] + params)
+    row = cur.fetchone()
+    if not row:
+        raise HTTPException(status_code=404, detail="Rubric not found")
+    rubric = dict(row)
+    rubric["criteria"] = json.loads(rubric.pop("criteria_json") or "[]")
+    return rubric
+
+@app.get("/candidates")
+def list_candidates(user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        cur = db.cursor()
+        scope, params = assessment_scope(user, "c")
+        cur.execute(f"SELECT c.* FROM candidates c WHERE {scope} ORDER BY c.name COLLATE NOCASE, c.candidate_code", params)
+        return {"status": "success", "candidates": [dict(r) for r in cur.fetchall()]}
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.post("/save-candidate")
+def save_candidate(data: CandidateData, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        code = data.candidate_code.strip()
+        if not code:
+            raise HTTPException(status_code=400, detail="Candidate ID is required")
+        cur = db.cursor()
+        # Codes are unique per owner; a reviewer editing a member's candidate checks the member's codes
+        owner_id = visible_row(cur, "candidates", data.id, user, "Candidate")["user_id"] if data.id else user["id"]
+        cur.execute("SELECT id FROM candidates WHERE candidate_code = ? AND user_id = ? AND id != ?",
+                    (code, owner_id, data.id or 0))
+        if cur.fetchone():
+            raise HTTPException(status_code=409, detail=f"Candidate '{code}' already exists")
+        if data.id:
+            cur.execute("UPDATE candidates SET candidate_code = ?, name = ?, email = ?, notes = ? WHERE id = ?",
+                        (code, data.name, data.email, data.notes, data.id))
+            candidate_id = data.id
+        else:
+            cur.execute("INSERT INTO candidates (candidate_code, name, email, notes, user_id) VALUES (?, ?, ?, ?, ?)",
+                        (code, data.name, data.email, data.notes, user["id"]))
+            candidate_id = cur.lastrowid
+        db.commit()
+        return {"status": "success", "id": candidate_id}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.get("/questions")
+def list_questions(user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        cur = db.cursor()
+        scope, params = assessment_scope(user, "q")
+        cur.execute(f"SELECT q.* FROM interview_questions q WHERE {scope} ORDER BY q.created_at DESC", params)
+        return {"status": "success", "questions": [dict(r) for r in cur.fetchall()]}
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.post("/save-question")
+def save_question(data: QuestionData, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        cur = db.cursor()
+        if data.id:
+            visible_row(cur, "interview_questions", data.id, user, "Question")
+            cur.execute("UPDATE interview_questions SET title = ?, statement = ? WHERE id = ?",
+                        (data.title, data.statement, data.id))
+            question_id = data.id
+        else:
+            cur.execute("INSERT INTO interview_questions (title, statement, user_id) VALUES (?, ?, ?)",
+                        (data.title, data.statement, user["id"]))
+            question_id = cur.lastrowid
+        db.commit()
+        return {"status": "success", "id": question_id}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.get("/rubrics")
+def list_rubrics(user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        cur = db.cursor()
+        scope, params = settings_scope(user)
+        cur.execute(f"SELECT s.* FROM rubrics s WHERE {scope} ORDER BY s.id", params)
+        rubrics = []
+        for row in cur.fetchall():
+            rubric = dict(row)
+            rubric["criteria"] = json.loads(rubric.pop("criteria_json") or "[]")
+            rubrics.append(rubric)
+        return {"status": "success", "rubrics": rubrics, "max_points": RUBRIC_MAX_POINTS}
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.post("/save-rubric")
+def save_rubric(data: RubricData, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    """Edits to a built-in rubric, or one the user may not change, are saved as the user's own copy."""
+    try:
+        if not data.criteria:
+            raise HTTPException(status_code=400, detail="A rubric needs at least one criterion")
+        keys = [c.key for c in data.criteria]
+        if len(set(keys)) != len(keys):
+            raise HTTPException(status_code=400, detail="Criterion keys must be unique")
+        criteria_json = json.dumps([c.dict() for c in data.criteria])
+
+        cur = db.cursor()
+        if editable_setting(cur, "rubrics", data.id, user):
+            cur.execute("UPDATE rubrics SET name = ?, criteria_json = ? WHERE id = ?", (data.name, criteria_json, data.id))
+            rubric_id = data.id
+        else:
+            cur.execute("INSERT INTO rubrics (name, criteria_json, user_id) VALUES (?, ?, ?)", (data.name, criteria_json, user["id"]))
+            rubric_id = cur.lastrowid
+        db.commit()
+        return {"status": "success", "id": rubric_id}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.get("/interview-sessions")
+def list_interview_sessions(question_id: Optional[int] = None, candidate_id: Optional[int] = None,
+                            user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        scope, params = assessment_scope(user, "s")
+        where = [scope]
+        if question_id is not None:
+            where.append("s.question_id = ?")
+            params.append(question_id)
+        if candidate_id is not None:
+            where.append("s.candidate_id = ?")
+            params.append(candidate_id)
+
+        # The linked assessment only shows while the user may still see it
+        ascope, aparams = assessment_scope(user)
+        cur = db.cursor()
+        cur.execute(f"""
+            SELECT s.id, s.candidate_id, s.question_id, s.rubric_id, s.assessment_id, s.total_score, s.status,
+                   s.created_at, s.updated_at, c.candidate_code, c.name AS candidate_name, q.title AS question_title,
+                   a.quality_score, a.error_count
+            FROM interview_sessions s
+            LEFT JOIN candidates c ON c.id = s.candidate_id
+            LEFT JOIN interview_questions q ON q.id = s.question_id
+            LEFT JOIN assessments a ON a.id = s.assessment_id AND {ascope}
+            WHERE {" AND ".join(where)}
+            ORDER BY s.total_score IS NULL, s.total_score DESC, s.id DESC
+        """, aparams + params)
+        return {"status": "success", "sessions": [dict(r) for r in cur.fetchall()]}
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.get("/interview-sessions/{session_id}")
+def get_interview_session(session_id: int, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        session = dict(visible_row(db.cursor(), "interview_sessions", session_id, user, "Session"))
+        session["scores"] = json.loads(session.pop("scores_json") or "{}")
+        return {"status": "success", "session": session}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.post("/save-interview-session")
+def save_interview_session(data: InterviewSessionData, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        cur = db.cursor()
+        if data.id:
+            visible_row(cur, "interview_sessions", data.id, user, "Session")
+        visible_row(cur, "candidates", data.candidate_id, user, "Candidate")
+        if data.question_id:
+            visible_row(cur, "interview_questions", data.question_id, user, "Question")
+        if data.assessment_id:
+            visible_assessment(cur, data.assessment_id, user)
+        rubric = load_rubric(cur, data.rubric_id, user)
+        if data.status not in INTERVIEW_STATUSES:
+            raise HTTPException(status_code=400, detail=f"Status must be one of: {', '.join(INTERVIEW_STATUSES)}")
+        for key, score in data.scores.items():
+            if score is not None and not 0 <= score <= RUBRIC_MAX_POINTS:
+                raise HTTPException(status_code=400, detail=f"Score for '{key}' must be between 0 and {RUBRIC_MAX_POINTS}")
+        total = rubric_total(rubric["criteria"], data.scores)
+        values = (data.candidate_id, data.question_id, data.rubric_id, data.assessment_id,
+                  json.dumps(data.scores), total, data.notes, data.status)
+
+        if data.id:
+            cur.execute(f"""
+                UPDATE interview_sessions
+                SET candidate_id = ?, question_id = ?, rubric_id = ?, assessment_id = ?, scores_json = ?,
+                    total_score = ?, notes = ?, status = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            """, values + (data.id,))
+            session_id = data.id
+        else:
+            cur.execute("""
+                INSERT INTO interview_sessions (candidate_id, question_id, rubric_id, assessment_id, scores_json,
+                                                total_score, notes, status, user_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            """, values + (user["id"],))
+            session_id = cur.lastrowid
+        db.commit()
+        return {"status": "success", "id": session_id, "total_score": total}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+@app.post("/delete-interview-session")
+def delete_interview_session(data: DeleteData, user: Dict[str, Any] = Depends(current_user), db: sqlite3.Connection = Depends(get_db)):
+    try:
+        cur = db.cursor()
+        visible_row(cur, "interview_sessions", data.id, user, "Session")
+        cur.execute("DELETE FROM interview_sessions WHERE id = ?", (data.id,))
+        db.commit()
+        return {"status": "success"}
+    except HTTPException:
+        raise
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+def interview_report(cur, session_id: int, user: Dict[str, Any]) -> Optional[Dict[str, Any]]:
+    """Session, candidate, question and scored rubric shaped for the PDF section; None unless the user may see it."""
+    scope, params = assessment_scope(user, "s")
+    ascope, aparams = assessment_scope(user)
+    cur.execute(f"""
+        SELECT s.*, c.candidate_code, c.name AS candidate_name, q.title AS question_title,
+               q.statement AS question_statement, a.result_json
+        FROM interview_sessions s
+        LEFT JOIN candidates c ON c.id = s.candidate_id
+        LEFT JOIN interview_questions q ON q.id = s.question_id
+        LEFT JOIN assessments a ON a.id = s.assessment_id AND {ascope}
+        WHERE s.id = ? AND {scope}
+    """, aparams + [session_id] + params)
+    row = cur.fetchone()
+    if not row:
+        return None
+
+    # A rubric deleted or no longer shared still leaves the session and its total
+    try:
+        rubric = load_rubric(cur, row["rubric_id"], user)
+    except HTTPException:
+        rubric = {"name": "Rubric no longer available", "criteria": []}
+    scores = json.loads(row["scores_json"] or "{}")
+    result = json.loads(row["result_json"] or "{}")
+    return {
+        "candidate": f"{row['candidate_name'] or ''} ({row['candidate_code']})".strip(),
+        "question": row["question_title"] or "",
+        "question_statement": row["question_statement"] or "",
+        "rubric_name": rubric["name"],
+        "criteria": [
+            {"label": c["label"], "weight": c.get("weight"), "score": scores.get(c["key"]),
+             "ai_finding": ai_finding_text(c.get("source"), result)}
+            for c in rubric["criteria"]
+        ],
+        "max_points": RUBRIC_MAX_POINTS,
+        "total_score": row["total_score"],
+        "status": row["status"],
+        "notes": row["notes"] or "",
+    }
+
+def ai_finding_text(source: Optional[str], result: Dict[str, Any]) -> str:
+    # Mirrors aiFindingFor() in script.js
+    if not result or not source:
+        return ""
+    if source == "quality_score":
+        return f"{result.get('quality_score', '?')}/100"
+    if source == "error_table":
+        table = result.get("error_table") or []
+        errors = sum(1 for e in table if isinstance(e, dict) and e.get("severity", "error") == "error")
+        return f"{len(table)} issue(s), {errors} error(s)"
+    if source == "complexity":
+        c = result.get("complexity") or {}
+        return f"Time {(c.get('time') or {}).get('worst', '?')}, Space {(c.get('space') or {}).get('worst', '?')}"
+    return ""
+
 # --- TERMINAL STARTUP INSTRUCTION ---
 if __name__ == "__main__":
     import uvicorn
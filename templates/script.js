@@ -31,506 +31,5068 @@ function togglePanel(buttonId, panelId) {
     }
 }
 
+// Save generated text (CSV, JSON, ...) as a file download
+function downloadBlob(content, filename, type) {
+    const url = window.URL.createObjectURL(new Blob([content], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    window.URL.revokeObjectURL(url);
+}
+
+// Read a newline-delimited JSON response, calling onEvent per line
+async function readNdjsonStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        let newline;
+        while ((newline = buffer.indexOf('\n')) >= 0) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+            if (line) onEvent(JSON.parse(line));
+        }
+    }
+    if (buffer.trim()) onEvent(JSON.parse(buffer));
+}
+
+// ==========================================
+// 2. EDITOR LAYER (Gutter, Markers, Highlights)
+// ==========================================
+
+// One state object per textarea: gutter element, overlay for line bands,
+// the last known value (to work out how an edit shifted lines) and markers.
+const editors = {};
+
+const SEVERITY_RANK = { info: 1, warning: 2, error: 3 };
+
+// Escape text before it goes into innerHTML
+function escapeHtml(text) {
+    return String(text ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+function initEditor(textareaId, linesId) {
+    const textarea = document.getElementById(textareaId);
+    const gutterEl = document.getElementById(linesId);
+    if (!textarea || !gutterEl) return null;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'editor-overlay';
+    textarea.parentElement.insertBefore(overlay, textarea);
+
+    const editor = {
+        textarea,
+        gutter: gutterEl,
+        overlay,
+        lastValue: textarea.value,
+        markers: [],          // [{ line, severity, messages: [] }]
+        highlightLine: null
+    };
+    editors[textareaId] = editor;
+
+    textarea.addEventListener('input', () => {
+        shiftMarkersForEdit(editor, editor.lastValue, textarea.value);
+        editor.lastValue = textarea.value;
+        renderEditor(textareaId);
+    });
+    textarea.addEventListener('scroll', () => syncEditorScroll(textareaId));
+
+    gutterEl.addEventListener('mouseover', (e) => {
+        const marker = e.target.closest('.gutter-marker');
+        if (marker) showMarkerTooltip(editor, marker);
+    });
+    gutterEl.addEventListener('mouseout', (e) => {
+        if (e.target.closest('.gutter-marker')) hideMarkerTooltip();
+    });
+
+    renderEditor(textareaId);
+    return editor;
+}
+
+function getEditorLineHeight(textarea) {
+    const lh = parseFloat(getComputedStyle(textarea).lineHeight);
+    return isNaN(lh) ? 19.5 : lh;
+}
+
+function getEditorPaddingTop(textarea) {
+    return parseFloat(getComputedStyle(textarea).paddingTop) || 0;
+}
+
+// Redraw gutter numbers, severity markers and marker line bands
+function renderEditor(textareaId) {
+    const editor = editors[textareaId];
+    if (!editor) return;
+    const { textarea, gutter: gutterEl, overlay } = editor;
+
+    // Programmatic writes (textarea.value = ...) don't fire input events
+    if (editor.lastValue !== textarea.value) {
+        shiftMarkersForEdit(editor, editor.lastValue, textarea.value);
+        editor.lastValue = textarea.value;
+    }
+
+    const lineCount = textarea.value.split('\n').length;
+    const byLine = {};
+    editor.markers.forEach(m => { byLine[m.line] = m; });
+
+    let html = "";
+    for (let i = 1; i <= lineCount; i++) {
+        const m = byLine[i];
+        const marker = m
+            ? `<span class="gutter-marker sev-${m.severity}" data-line="${i}"></span>`
+            : "";
+        html += `<div class="gutter-line">${marker}${i}</div>`;
+    }
+    gutterEl.innerHTML = html;
+
+    const lineHeight = getEditorLineHeight(textarea);
+    const padTop = getEditorPaddingTop(textarea);
+    let bands = editor.markers.map(m =>
+        `<div class="line-band sev-${m.severity}" style="top:${padTop + (m.line - 1) * lineHeight}px; height:${lineHeight}px;"></div>`
+    ).join("");
+    if (editor.highlightLine) {
+        bands += `<div class="line-band line-focus" style="top:${padTop + (editor.highlightLine - 1) * lineHeight}px; height:${lineHeight}px;"></div>`;
+    }
+    overlay.innerHTML = bands;
+
+    syncEditorScroll(textareaId);
+}
+
+function syncEditorScroll(textareaId) {
+    const editor = editors[textareaId];
+    if (!editor) return;
+    editor.gutter.scrollTop = editor.textarea.scrollTop;
+    editor.overlay.style.transform = `translate(${-editor.textarea.scrollLeft}px, ${-editor.textarea.scrollTop}px)`;
+}
+
+// Replace all markers. Entries are error_table rows: { line, error, severity }.
+// Several errors on one line collapse into one marker at the worst severity.
+// baseValue is the text the line numbers refer to (defaults to the buffer).
+function setEditorMarkers(textareaId, entries, baseValue) {
+    const editor = editors[textareaId];
+    if (!editor) return;
+
+    const base = baseValue ?? editor.textarea.value;
+    editor.markers = buildEditorMarkers(entries, base);
+    editor.highlightLine = null;
+    editor.lastValue = base;
+    renderEditor(textareaId);
+}
+
+function buildEditorMarkers(entries, base) {
+    const lineCount = base.split('\n').length;
+    const byLine = {};
+    (entries || []).forEach(entry => {
+        const line = parseInt(entry.line, 10);
+        if (!line || line < 1 || line > lineCount) return;
+        const severity = SEVERITY_RANK[entry.severity] ? entry.severity : 'error';
+        if (!byLine[line]) byLine[line] = { line, severity, messages: [] };
+        const m = byLine[line];
+        m.messages.push(entry.source === 'local' ? `[Local] ${entry.error}` : entry.error);
+        if (SEVERITY_RANK[severity] > SEVERITY_RANK[m.severity]) m.severity = severity;
+    });
+    return Object.values(byLine).sort((a, b) => a.line - b.line);
+}
+
+function clearEditorMarkers(textareaId) {
+    setEditorMarkers(textareaId, []);
+}
+
+// Keep markers attached to their lines as the reviewer types.
+// Unchanged lines above and below the edit keep (or shift) their markers;
+// a marked line that was itself edited loses its marker.
+function shiftMarkersForEdit(editor, oldValue, newValue) {
+    if (oldValue === newValue) return;
+    if (!editor.markers.length && !editor.highlightLine) return;
+
+    const oldLines = oldValue.split('\n');
+    const newLines = newValue.split('\n');
+
+    let top = 0;
+    while (top < oldLines.length && top < newLines.length && oldLines[top] === newLines[top]) top++;
+
+    let bottom = 0;
+    while (bottom < oldLines.length - top && bottom < newLines.length - top &&
+           oldLines[oldLines.length - 1 - bottom] === newLines[newLines.length - 1 - bottom]) bottom++;
+
+    const delta = newLines.length - oldLines.length;
+    const regionEnd = oldLines.length - bottom; // first unchanged line (0-based) after the edit
+
+    const mapLine = (line) => {
+        const idx = line - 1;
+        if (idx < top) return line;
+        if (idx >= regionEnd) return line + delta;
+        return null;
+    };
+
+    editor.markers = editor.markers
+        .map(m => ({ ...m, line: mapLine(m.line) }))
+        .filter(m => m.line !== null);
+    editor.highlightLine = editor.highlightLine ? mapLine(editor.highlightLine) : null;
+}
+
+// Scroll the editor to a line, select it and paint the focus band
+function revealEditorLine(textareaId, line) {
+    const editor = editors[textareaId];
+    if (!editor) return;
+    const { textarea } = editor;
+
+    const lines = textarea.value.split('\n');
+    const target = Math.min(Math.max(parseInt(line, 10) || 1, 1), lines.length);
+
+    let start = 0;
+    for (let i = 0; i < target - 1; i++) start += lines[i].length + 1;
+    const end = start + lines[target - 1].length;
+
+    const lineHeight = getEditorLineHeight(textarea);
+    textarea.focus({ preventScroll: true });
+    textarea.setSelectionRange(start, end);
+    textarea.scrollTop = Math.max(0, (target - 1) * lineHeight - textarea.clientHeight / 2);
+
+    editor.highlightLine = target;
+    renderEditor(textareaId);
+}
+
+// --- Marker Tooltip ---
+
+function showMarkerTooltip(editor, markerEl) {
+    const line = parseInt(markerEl.dataset.line, 10);
+    const marker = editor.markers.find(m => m.line === line);
+    if (!marker) return;
+
+    let tip = document.getElementById('markerTooltip');
+    if (!tip) {
+        tip = document.createElement('div');
+        tip.id = 'markerTooltip';
+        tip.className = 'marker-tooltip';
+        document.body.appendChild(tip);
+    }
+    tip.innerHTML = `<div class="marker-tooltip-title sev-${marker.severity}">Line ${line} · ${marker.severity.toUpperCase()}</div>` +
+        marker.messages.map(msg => `<div>${escapeHtml(msg)}</div>`).join("");
+
+    const rect = markerEl.getBoundingClientRect();
+    tip.style.left = `${rect.right + 8}px`;
+    tip.style.top = `${rect.top - 4}px`;
+    tip.style.display = 'block';
+}
+
+function hideMarkerTooltip() {
+    const tip = document.getElementById('markerTooltip');
+    if (tip) tip.style.display = 'none';
+}
+
+// --- File Tabs ---
+// A submission is a set of files. The input textarea shows the active one;
+// the others keep their text and markers here until switched back to.
+const DEFAULT_FILE_NAME = "main";
+
+const workspace = {
+    files: [{ name: DEFAULT_FILE_NAME, code: "", markers: [] }],
+    active: 0
+};
+
+// Write the textarea (and its markers) back into the active file
+function syncActiveFile() {
+    const editor = editors['inputCode'];
+    const file = workspace.files[workspace.active];
+    if (!editor || !file) return;
+    file.code = editor.textarea.value;
+    file.markers = editor.markers;
+}
+
+function loadActiveFile() {
+    const editor = editors['inputCode'];
+    const file = workspace.files[workspace.active];
+    if (!editor || !file) return;
+    editor.textarea.value = file.code;
+    editor.lastValue = file.code;
+    editor.markers = file.markers || [];
+    editor.highlightLine = null;
+    renderEditor('inputCode');
+    renderFileTabs();
+}
+
+function renderFileTabs() {
+    const strip = document.getElementById('fileTabs');
+    if (!strip) return;
+    const closable = workspace.files.length > 1;
+    strip.innerHTML = workspace.files.map((f, i) => {
+        const marks = i === workspace.active && editors['inputCode'] ? editors['inputCode'].markers.length : (f.markers || []).length;
+        return `<div class="file-tab${i === workspace.active ? ' active' : ''}" onclick="switchFile(${i})" ondblclick="renameFile(${i})" title="Double-click to rename">
+            <span>${escapeHtml(f.name)}</span>
+            ${marks ? `<span class="file-tab-marks">${marks}</span>` : ''}
+            ${closable ? `<button class="file-tab-close" onclick="event.stopPropagation(); closeFile(${i})" title="Close file">×</button>` : ''}
+        </div>`;
+    }).join("") + `<button class="file-tab-add" onclick="addFile()" title="Add file"><i class="fas fa-plus"></i></button>`;
+}
+
+function switchFile(index) {
+    if (index === workspace.active || !workspace.files[index]) return;
+    syncActiveFile();
+    workspace.active = index;
+    loadActiveFile();
+}
+
+function validFileName(name, exceptIndex) {
+    name = (name || "").trim();
+    if (!name) return null;
+    if (workspace.files.some((f, i) => i !== exceptIndex && f.name === name)) {
+        alert(`A file named "${name}" already exists.`);
+        return null;
+    }
+    return name;
+}
+
+function addFile() {
+    const name = validFileName(prompt("New file name:", `file${workspace.files.length + 1}`), -1);
+    if (!name) return;
+    syncActiveFile();
+    workspace.files.push({ name, code: "", markers: [] });
+    workspace.active = workspace.files.length - 1;
+    loadActiveFile();
+    scheduleAutoSave();
+}
+
+function renameFile(index) {
+    const file = workspace.files[index];
+    if (!file) return;
+    const name = validFileName(prompt("Rename file:", file.name), index);
+    if (!name || name === file.name) return;
+    recordFileRename(file.name, name);
+    file.name = name;
+    renderFileTabs();
+    scheduleAutoSave();
+}
+
+function closeFile(index) {
+    const file = workspace.files[index];
+    if (!file || workspace.files.length < 2) return;
+    if (file.code.trim() && !confirm(`Close "${file.name}"? Its code will be removed from the submission.`)) return;
+    syncActiveFile();
+    workspace.files.splice(index, 1);
+    if (workspace.active >= workspace.files.length || workspace.active > index) workspace.active = Math.max(0, workspace.active - 1);
+    loadActiveFile();
+    scheduleAutoSave();
+}
+
+// Replace the whole file set, e.g. when loading a project. Falls back to
+// one default file for rows saved before multi-file support.
+function setWorkspaceFiles(files, code) {
+    const list = Array.isArray(files) && files.length ? files : [{ name: DEFAULT_FILE_NAME, code: code || "" }];
+    workspace.files = list.map(f => ({ name: f.name, code: f.code || "", markers: [] }));
+    workspace.active = 0;
+    loadActiveFile();
+    // Same path as typing: line numbers and auto-save
+    const codeInput = document.getElementById('inputCode');
+    if (codeInput) codeInput.dispatchEvent(new Event('input'));
+}
+
+function getWorkspaceFiles() {
+    syncActiveFile();
+    return workspace.files.map(f => ({ name: f.name, code: f.code }));
+}
+
+// Mirrors bundle_files() on the server: a single file is just its code
+function bundleFiles(files) {
+    if (files.length === 1) return files[0].code;
+    return files.map(f => `=== FILE: ${f.name} ===\n${f.code}`).join("\n\n");
+}
+
+// Spread error_table entries over the files they name. baseFiles is the
+// file set that was assessed; markers shift onto what has been typed since.
+function setWorkspaceMarkers(entries, baseFiles) {
+    syncActiveFile();
+    const single = workspace.files.length === 1;
+    workspace.files.forEach((file, i) => {
+        const base = (baseFiles || []).find(f => f.name === file.name);
+        const own = (entries || []).filter(e => e.file ? e.file === file.name : single);
+        if (i === workspace.active) {
+            setEditorMarkers('inputCode', own, base ? base.code : undefined);
+            file.markers = editors['inputCode'] ? editors['inputCode'].markers : [];
+            return;
+        }
+        const baseCode = base ? base.code : file.code;
+        const tracker = { markers: buildEditorMarkers(own, baseCode), highlightLine: null };
+        shiftMarkersForEdit(tracker, baseCode, file.code);
+        file.markers = tracker.markers;
+    });
+    renderFileTabs();
+}
+
+// Open the named file (if any) and jump to the line
+function revealFileLine(fileName, line) {
+    const index = workspace.files.findIndex(f => f.name === fileName);
+    if (fileName && index >= 0) switchFile(index);
+    revealEditorLine('inputCode', line);
+}
+
+// ==========================================
+// 3. PROJECT MANAGEMENT & DATABASE (New)
+// ==========================================
+
+// --- Offline Store & Sync Queue (IndexedDB) ---
+// Edits and project operations are written locally first, then replayed
+// against the backend in order. If IndexedDB is unavailable (private
+// browsing, old browsers) the same queue lives in memory instead.
+
+const OFFLINE_DB_NAME = "codestatic-offline";
+const OFFLINE_DB_VERSION = 1;
+const SYNC_RETRY_MIN_MS = 3000;
+const SYNC_RETRY_MAX_MS = 60000;
+
+let offlineDbPromise = null;
+const memoryStore = { drafts: new Map(), queue: [], nextSeq: 1 };
+const syncState = { running: false, rerun: false, online: true, conflict: false, retryTimer: null, retryDelay: SYNC_RETRY_MIN_MS, pending: 0 };
+
+function openOfflineDB() {
+    if (!offlineDbPromise) {
+        offlineDbPromise = new Promise((resolve) => {
+            if (!window.indexedDB) return resolve(null);
+            const req = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                db.createObjectStore("drafts");
+                db.createObjectStore("queue", { keyPath: "seq", autoIncrement: true });
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => {
+                console.warn("IndexedDB unavailable, queueing in memory", req.error);
+                resolve(null);
+            };
+        });
+    }
+    return offlineDbPromise;
+}
+
+// Run one request against a store; resolves with its result
+async function idbRun(storeName, mode, makeRequest) {
+    const db = await openOfflineDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = makeRequest(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+async function getDraft(key) {
+    if (!(await openOfflineDB())) return memoryStore.drafts.get(key);
+    return idbRun("drafts", "readonly", store => store.get(key));
+}
+
+async function putDraft(key, value) {
+    if (!(await openOfflineDB())) return memoryStore.drafts.set(key, value);
+    return idbRun("drafts", "readwrite", store => store.put(value, key));
+}
+
+async function getQueue() {
+    if (!(await openOfflineDB())) return [...memoryStore.queue];
+    return idbRun("queue", "readonly", store => store.getAll());
+}
+
+async function putQueueItem(item) {
+    if (!(await openOfflineDB())) {
+        if (!item.seq) item.seq = memoryStore.nextSeq++;
+        const idx = memoryStore.queue.findIndex(q => q.seq === item.seq);
+        if (idx >= 0) memoryStore.queue[idx] = item;
+        else memoryStore.queue.push(item);
+        return item.seq;
+    }
+    return idbRun("queue", "readwrite", store => store.put(item));
+}
+
+async function removeQueueItem(seq) {
+    if (!(await openOfflineDB())) {
+        memoryStore.queue = memoryStore.queue.filter(q => q.seq !== seq);
+        return;
+    }
+    return idbRun("queue", "readwrite", store => store.delete(seq));
+}
+
+// Drop every draft and queued call, e.g. when another account signs in
+async function clearOfflineStore() {
+    if (!(await openOfflineDB())) {
+        memoryStore.drafts.clear();
+        memoryStore.queue = [];
+        return;
+    }
+    await idbRun("drafts", "readwrite", store => store.clear());
+    await idbRun("queue", "readwrite", store => store.clear());
+}
+
+// Add a server call to the queue and kick off a replay.
+// item: { op, url, body, label }
+async function queueServerCall(item) {
+    const queue = await getQueue();
+
+    // Only the newest auto-save matters; fold it into a pending one
+    const pendingSave = item.op === "save-code" && queue.find(q => q.op === "save-code");
+    if (pendingSave) {
+        pendingSave.body = item.body;
+        await putQueueItem(pendingSave);
+    } else {
+        await putQueueItem({ ...item, createdAt: Date.now(), attempts: 0 });
+    }
+
+    processSyncQueue();
+}
+
+// Point queued calls at a project's new id / updated_at, e.g. once a
+// project created offline gets its server id, or after a successful update
+async function rewriteQueuedProject(oldId, newId, updatedAt) {
+    const queue = await getQueue();
+    for (const q of queue) {
+        if (!q.body || q.body.id !== oldId) continue;
+        q.body.id = newId;
+        if (q.op === "update-project" && updatedAt !== undefined) q.body.base_updated_at = updatedAt;
+        await putQueueItem(q);
+    }
+    if (currentProject && currentProject.id === oldId) {
+        currentProject.id = newId;
+        if (updatedAt !== undefined) currentProject.updatedAt = updatedAt;
+    }
+}
+
+function isLocalProjectId(id) {
+    return typeof id === "string" && id.startsWith("local-");
+}
+
+async function processSyncQueue() {
+    if (syncState.running) {
+        syncState.rerun = true;
+        return;
+    }
+    syncState.running = true;
+    clearTimeout(syncState.retryTimer);
+
+    try {
+        let queue = await getQueue();
+        syncState.pending = queue.length;
+        updateSyncIndicator();
+
+        while (queue.length) {
+            const outcome = await replayQueueItem(queue[0]);
+            if (outcome === "retry") {
+                scheduleSyncRetry();
+                break;
+            }
+            await removeQueueItem(queue[0].seq);
+            queue = await getQueue();
+            syncState.pending = queue.length;
+            updateSyncIndicator();
+            if (!queue.length) loadProjects();
+        }
+    } catch (err) {
+        console.error("Sync queue failed", err);
+        scheduleSyncRetry();
+    } finally {
+        syncState.running = false;
+        updateSyncIndicator();
+        if (syncState.rerun) {
+            syncState.rerun = false;
+            processSyncQueue();
+        }
+    }
+}
+
+function scheduleSyncRetry() {
+    clearTimeout(syncState.retryTimer);
+    syncState.retryTimer = setTimeout(processSyncQueue, syncState.retryDelay);
+    syncState.retryDelay = Math.min(syncState.retryDelay * 2, SYNC_RETRY_MAX_MS);
+}
+
+// Send one queued call. Returns "done" (drop it) or "retry" (keep it, stop)
+async function replayQueueItem(item) {
+    // Waiting on the create that gives this project a server id; if that
+    // create is gone (e.g. dropped in a conflict) the call can never run
+    if (item.body && isLocalProjectId(item.body.id)) {
+        const queue = await getQueue();
+        return queue.some(q => q.op === "create-project" && q.localId === item.body.id) ? "retry" : "done";
+    }
+
+    let res, data;
+    try {
+        res = await fetch(item.url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(item.body)
+        });
+        data = await res.json().catch(() => ({}));
+    } catch (err) {
+        // Backend unreachable
+        syncState.online = false;
+        return "retry";
+    }
+
+    syncState.online = true;
+    syncState.retryDelay = SYNC_RETRY_MIN_MS;
+
+    // Signed out: keep the call until someone signs back in
+    if (res.status === 401) return "retry";
+    if (res.status >= 500) {
+        item.attempts = (item.attempts || 0) + 1;
+        await putQueueItem(item);
+        return "retry";
+    }
+    if (res.status === 409 || (res.status === 404 && item.op === "update-project")) {
+        return resolveSyncConflict(item, data.project || null);
+    }
+    if (res.ok) await applySyncResult(item, data);
+    // Other 4xx (e.g. deleting something already gone) can't succeed later
+    return "done";
+}
+
+async function applySyncResult(item, data) {
+    switch (item.op) {
+        case "save-code":
+            autoSaveState.lastSavedCode = item.body.code;
+            autoSaveState.lastSavedLanguage = item.body.language;
+            await putDraft("buffer", { ...item.body, savedAt: Date.now(), synced: true });
+            break;
+        case "create-project":
+            await rewriteQueuedProject(item.localId, data.id, data.updated_at);
+            break;
+        case "update-project":
+            await rewriteQueuedProject(item.body.id, item.body.id, data.updated_at);
+            break;
+    }
+}
+
+// --- Conflict Handling ---
+// The server copy changed (or vanished) since this edit was queued.
+// The reviewer picks: overwrite it, take the server copy, or fork.
+let pendingConflict = null;
+
+function resolveSyncConflict(item, serverProject) {
+    syncState.conflict = true;
+    updateSyncIndicator();
+
+    return new Promise((resolve) => {
+        pendingConflict = { item, serverProject, resolve };
+        const modal = document.getElementById("conflictModal");
+        const text = document.getElementById("conflictText");
+        if (text) {
+            text.innerText = serverProject
+                ? `"${serverProject.project_name}" was changed on the server (${formatTimestamp(serverProject.updated_at)}) after your edit was made offline.`
+                : `"${item.label || "This project"}" no longer exists on the server.`;
+        }
+        document.getElementById("conflictKeepServer").style.display = serverProject ? "" : "none";
+        document.getElementById("conflictKeepMine").style.display = serverProject ? "" : "none";
+        document.getElementById("conflictDiff").style.display = serverProject ? "" : "none";
+        if (modal) modal.style.display = "flex";
+    });
+}
+
+function showConflictDiff() {
+    if (!pendingConflict || !pendingConflict.serverProject) return;
+    showDiffModal("Server copy → your queued edit",
+        computeLineDiff(pendingConflict.serverProject.code || "", pendingConflict.item.body.code || ""), "line");
+}
+
+// choice: 'mine' | 'server' | 'copy'
+async function chooseConflictResolution(choice) {
+    if (!pendingConflict) return;
+    const { item, serverProject, resolve } = pendingConflict;
+    pendingConflict = null;
+    document.getElementById("conflictModal").style.display = "none";
+    syncState.conflict = false;
+
+    const queue = await getQueue();
+    const laterUpdates = queue.filter(q => q.seq !== item.seq && q.op === "update-project" && q.body.id === item.body.id);
+
+    if (choice === "mine") {
+        // Rebase on the server's current version. A later queued save of
+        // the same project already carries newer code, so only re-queue
+        // this one if it is the last.
+        await rewriteQueuedProject(item.body.id, item.body.id, serverProject.updated_at);
+        if (!laterUpdates.length) {
+            const requeued = { ...item, body: { ...item.body, base_updated_at: serverProject.updated_at } };
+            delete requeued.seq;
+            await putQueueItem(requeued);
+        }
+    } else if (choice === "server") {
+        for (const q of laterUpdates) await removeQueueItem(q.seq);
+        if (currentProject && currentProject.id === serverProject.id) applyProjectToEditor(serverProject);
+    } else if (choice === "copy") {
+        // The copy starts from the newest queued edit of this project
+        const latest = laterUpdates.length ? laterUpdates[laterUpdates.length - 1] : item;
+        for (const q of laterUpdates) await removeQueueItem(q.seq);
+
+        const localId = `local-${Date.now()}`;
+        const name = `${item.label || "Project"} (my copy)`;
+        await putQueueItem({
+            op: "create-project", url: "/save-project", localId, label: name,
+            body: { projectName: name, code: latest.body.code, language: latest.body.language, files: latest.body.files },
+            createdAt: Date.now(), attempts: 0
+        });
+        if (currentProject && currentProject.id === item.body.id) setCurrentProject({ id: localId, project_name: name });
+    }
+    // The conflicting call itself is dropped; anything re-queued runs next
+    resolve("done");
+    syncState.rerun = true;
+}
+
+function updateSyncIndicator() {
+    const el = document.getElementById("syncStatus");
+    if (!el) return;
+
+    let state, text;
+    if (syncState.conflict) {
+        state = "conflict"; text = "Conflict";
+    } else if (!syncState.online) {
+        state = "offline"; text = syncState.pending ? `Offline · ${syncState.pending} queued` : "Offline";
+    } else if (syncState.pending) {
+        state = "syncing"; text = `Syncing ${syncState.pending}...`;
+    } else {
+        state = "synced"; text = "Synced";
+    }
+    el.className = `sync-status sync-${state}`;
+    el.innerHTML = `<i class="fas ${{ conflict: "fa-triangle-exclamation", offline: "fa-cloud-arrow-up", syncing: "fa-rotate fa-spin", synced: "fa-cloud" }[state]}"></i> ${escapeHtml(text)}`;
+}
+
+// SQLite saving (frontend calls API)
+async function saveCodeToDB() {
+    const { code, language, files } = getEditorCodeAndLanguage();
+
+    if (!code) return;
+    if (code === autoSaveState.lastSavedCode && language === autoSaveState.lastSavedLanguage) return;
+
+    try {
+        // Local copy first, so nothing is lost if the backend is down
+        await putDraft("buffer", { code, language, files, savedAt: Date.now(), synced: false });
+        await queueServerCall({ op: "save-code", url: "/save-code", body: { code, language, files } });
+    } catch (err) {
+        console.error("Auto-save failed", err);
+    }
+}
+
+// --- Debounced Auto-Save ---
+// Saves once typing pauses; the server folds saves inside its coalesce
+// window into one snapshot, so history holds meaningful states only.
+const AUTO_SAVE_DELAY_MS = 2000;
+const autoSaveState = { timer: null, lastSavedCode: null, lastSavedLanguage: null };
+
+function scheduleAutoSave() {
+    clearTimeout(autoSaveState.timer);
+    autoSaveState.timer = setTimeout(saveCodeToDB, AUTO_SAVE_DELAY_MS);
+}
+
+// Save right away (e.g. when leaving the editor or the page)
+function flushAutoSave() {
+    if (!autoSaveState.timer) return;
+    clearTimeout(autoSaveState.timer);
+    autoSaveState.timer = null;
+    saveCodeToDB();
+}
+
+// Load last saved code
+async function loadLastSavedCode() {
+    const applySaved = (saved) => {
+        // reconcile IDs
+        const langSelect = document.getElementById("languageSelect") || document.getElementById("targetLang");
+        
+        setWorkspaceFiles(saved.files, saved.code);
+        if(langSelect) {
+            langSelect.value = saved.language;
+        }
+    };
+
+    // Unsynced local work beats whatever the server has
+    const draft = await getDraft("buffer").catch(() => null);
+    if (draft && !draft.synced) {
+        applySaved(draft);
+        return;
+    }
+
+    try {
+        const res = await fetch("/load-last-code");
+        const data = await res.json();
+
+        if (data.status === "success" && data.data) {
+            applySaved(data.data);
+            // Already stored; don't let the input event above re-save it
+            autoSaveState.lastSavedCode = data.data.code;
+            autoSaveState.lastSavedLanguage = data.data.language;
+        }
+    } catch (err) {
+        console.error("Error loading last code", err);
+        if (draft) applySaved(draft);
+    }
+}
+
+// --- Local History Drawer ---
+
+let selectedSnapshot = null;
+
+function toggleHistoryDrawer() {
+    const drawer = document.getElementById('historyDrawer');
+    if (!drawer) return;
+    const open = drawer.classList.toggle('open');
+    if (open) {
+        flushAutoSave();
+        loadHistorySnapshots();
+    }
+}
+
+async function loadHistorySnapshots() {
+    const list = document.getElementById('historyList');
+    if (!list) return;
+
+    try {
+        const res = await fetch("/code-history");
+        const data = await res.json();
+
+        if (!data.snapshots.length) {
+            list.innerHTML = `<div class="history-empty">No snapshots yet. Start typing and they will appear here.</div>`;
+            return;
+        }
+        list.innerHTML = data.snapshots.map(snap => {
+            const firstLine = (snap.preview || "").split('\n')[0] || "(blank)";
+            const selected = selectedSnapshot && selectedSnapshot.id === snap.id ? " selected" : "";
+            return `<div class="history-item${selected}" onclick="previewSnapshot(${snap.id})">
+                <div class="history-item-top">
+                    <span>${escapeHtml(formatTimestamp(snap.updated_at || snap.created_at))}</span>
+                    <span class="history-item-meta">${escapeHtml(snap.language)} · ${snap.line_count} lines</span>
+                </div>
+                <div class="history-item-preview">${escapeHtml(firstLine)}</div>
+            </div>`;
+        }).join("");
+    } catch (err) {
+        list.innerHTML = `<div class="history-empty">Could not load history.</div>`;
+        console.error("Error loading history", err);
+    }
+}
+
+async function previewSnapshot(id) {
+    const preview = document.getElementById('historyPreview');
+    try {
+        const res = await fetch(`/code-history/${id}`);
+        const data = await res.json();
+        selectedSnapshot = data.snapshot;
+
+        document.querySelectorAll('.history-item').forEach(el => el.classList.remove('selected'));
+        const item = document.querySelector(`.history-item[onclick="previewSnapshot(${id})"]`);
+        if (item) item.classList.add('selected');
+
+        if (preview) {
+            preview.style.display = 'flex';
+            document.getElementById('historyPreviewCode').textContent = selectedSnapshot.code;
+            document.getElementById('historyPreviewTitle').innerText =
+                `${formatTimestamp(selectedSnapshot.updated_at || selectedSnapshot.created_at)} · ${selectedSnapshot.language}`;
+        }
+    } catch (err) {
+        console.error("Error loading snapshot", err);
+    }
+}
+
+function diffSelectedSnapshot() {
+    if (!selectedSnapshot) return;
+    const buffer = bundleFiles(getWorkspaceFiles());
+    showDiffModal(`Snapshot from ${formatTimestamp(selectedSnapshot.updated_at || selectedSnapshot.created_at)} → current buffer`,
+        computeLineDiff(selectedSnapshot.code || "", buffer), 'line');
+}
+
+function restoreSelectedSnapshot() {
+    if (!selectedSnapshot) return;
+    const langSelect = document.getElementById("languageSelect") || document.getElementById("targetLang");
+
+    // Keep the state being replaced as a snapshot of its own
+    flushAutoSave();
+    setWorkspaceFiles(selectedSnapshot.files, selectedSnapshot.code);
+    if (langSelect && selectedSnapshot.language) langSelect.value = selectedSnapshot.language;
+    showProjectToast("Snapshot restored into the editor");
+}
+
+// The project currently open in the editor (null = unsaved scratch buffer)
+let currentProject = null;
+
+function setCurrentProject(project) {
+    currentProject = project
+        ? { id: project.id, name: project.project_name, updatedAt: project.updated_at ?? null }
+        : null;
+    const label = document.getElementById('currentProjectName');
+    if (label) {
+        label.innerText = currentProject ? currentProject.name : "Unsaved";
+        label.title = !currentProject ? "Not saved as a project yet"
+            : isLocalProjectId(currentProject.id) ? "Waiting to sync" : `Project #${currentProject.id}`;
+    }
+    refreshChatScope();
+}
+
+// SQLite stores UTC "YYYY-MM-DD HH:MM:SS"
+function formatTimestamp(ts) {
+    if (!ts) return "";
+    const date = new Date(ts.replace(' ', 'T') + 'Z');
+    return isNaN(date) ? ts : date.toLocaleString();
+}
+
+function getEditorCodeAndLanguage() {
+    const files = getWorkspaceFiles();
+    const code = bundleFiles(files).trim();
+    const language = document.getElementById("languageSelect") ? document.getElementById("languageSelect").value : document.getElementById("targetLang").value;
+    return { code, language, files };
+}
+
+function showProjectToast(message) {
+    if(typeof showCopyToast === 'function') showCopyToast(message);
+    else alert(message);
+}
+
+// Save the open project as a new revision, or create one if nothing is open
+async function saveProject() {
+    if (!currentProject) return saveProjectAs();
+
+    const { code, language, files } = getEditorCodeAndLanguage();
+    await queueServerCall({
+        op: "update-project",
+        url: "/update-project",
+        label: currentProject.name,
+        body: { id: currentProject.id, code, language, files, base_updated_at: currentProject.updatedAt }
+    });
+
+    showProjectToast(syncState.online
+        ? `Saved new revision of "${currentProject.name}"`
+        : `Saved "${currentProject.name}" locally; it will sync when the server is back`);
+}
+
+// Prompt user to name a project and save it
+async function saveProjectAs() {
+    const name = prompt("Enter project name:");
+    if (!name) return;
+
+    const { code, language, files } = getEditorCodeAndLanguage();
+
+    // Gets its real id once the create replays (see rewriteQueuedProject)
+    const localId = `local-${Date.now()}`;
+    setCurrentProject({ id: localId, project_name: name });
+    await queueServerCall({
+        op: "create-project",
+        url: "/save-project",
+        localId,
+        label: name,
+        body: { projectName: name, code, language, files }
+    });
+
+    showProjectToast(syncState.online ? "Project saved!" : "Project saved locally; it will sync when the server is back");
+    loadProjects();
+}
+
+// --- Project List (search, filters, sorting) ---
+// Filtering runs over the fetched (or cached) list, so it works offline too.
+
+const PROJECT_BUNDLE_FORMAT = "codestatic-projects";
+const PROJECT_IMPORT_LIMIT = 200;
+const projectState = { projects: [], pending: [], cached: false, favoritesOnly: false, selected: new Set(), searchTimer: null };
+
+const projectTime = (p) => p.updated_at || p.created_at || "";
+const PROJECT_SORTS = {
+    favorites: (a, b) => (b.is_favorite ? 1 : 0) - (a.is_favorite ? 1 : 0) || projectTime(b).localeCompare(projectTime(a)),
+    updated: (a, b) => projectTime(b).localeCompare(projectTime(a)),
+    created: (a, b) => (b.created_at || "").localeCompare(a.created_at || ""),
+    name: (a, b) => (a.project_name || "").localeCompare(b.project_name || "", undefined, { sensitivity: 'base', numeric: true })
+};
+
+// Load all saved projects
+async function loadProjects() {
+    if (!document.getElementById("projectList")) return;
+
+    try {
+        const res = await fetch("/projects");
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.detail || res.statusText);
+        projectState.projects = data.projects;
+        projectState.cached = false;
+        putDraft("projects", data.projects);
+    } catch (err) {
+        // Offline: fall back to the last list we saw
+        projectState.projects = (await getDraft("projects").catch(() => null)) || [];
+        projectState.cached = true;
+    }
+
+    // Creates still waiting in the sync queue
+    projectState.pending = (await getQueue().catch(() => [])).filter(q => q.op === "create-project");
+
+    const ids = new Set(projectState.projects.map(p => p.id));
+    projectState.selected.forEach(id => { if (!ids.has(id)) projectState.selected.delete(id); });
+    renderProjectFilters();
+    renderProjectList();
+}
+
+// Language and tag options come from the projects themselves
+function renderProjectFilters() {
+    const fill = (id, values, allLabel) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        const current = select.value;
+        select.innerHTML = `<option value="">${allLabel}</option>` +
+            values.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`).join("");
+        select.value = values.includes(current) ? current : "";
+    };
+    const byName = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' });
+    const languages = [...new Set(projectState.projects.map(p => p.language).filter(Boolean))].sort(byName);
+    const tags = [...new Set(projectState.projects.flatMap(p => p.tags || []))].sort(byName);
+    fill('projectLanguage', languages, "All languages");
+    fill('projectTag', tags, "All tags");
+}
+
+// Where the query matches: {} for name/tag, {file, line, text} for code, null for no match
+function projectSearchHit(project, query) {
+    if (!query) return {};
+    const q = query.toLowerCase();
+    if ((project.project_name || "").toLowerCase().includes(q)) return {};
+    if ((project.tags || []).some(t => t.toLowerCase().includes(q))) return {};
+
+    const files = project.files && project.files.length ? project.files : [{ name: "", code: project.code || "" }];
+    for (const f of files) {
+        const lines = (f.code || "").split('\n');
+        const idx = lines.findIndex(line => line.toLowerCase().includes(q));
+        if (idx >= 0) return { file: f.name, line: idx + 1, text: lines[idx].trim() };
+    }
+    return null;
+}
+
+function scheduleProjectSearch() {
+    clearTimeout(projectState.searchTimer);
+    projectState.searchTimer = setTimeout(renderProjectList, 200);
+}
+
+function toggleFavoritesFilter() {
+    projectState.favoritesOnly = !projectState.favoritesOnly;
+    const btn = document.getElementById('projectFavFilter');
+    if (btn) {
+        btn.classList.toggle('active', projectState.favoritesOnly);
+        btn.textContent = projectState.favoritesOnly ? "★" : "☆";
+    }
+    renderProjectList();
+}
+
+function filterProjectsByTag(tag) {
+    const select = document.getElementById('projectTag');
+    if (select) select.value = select.value === tag ? "" : tag;
+    renderProjectList();
+}
+
+function renderProjectList() {
+    const list = document.getElementById("projectList");
+    if (!list) return;
+    const value = (id) => (document.getElementById(id) || {}).value || "";
+    const query = value('projectSearch').trim();
+    const language = value('projectLanguage');
+    const tag = value('projectTag');
+    const sorter = PROJECT_SORTS[value('projectSort')] || PROJECT_SORTS.favorites;
+
+    const visible = [];
+    projectState.projects.forEach(p => {
+        if (projectState.favoritesOnly && !p.is_favorite) return;
+        if (language && p.language !== language) return;
+        if (tag && !(p.tags || []).includes(tag)) return;
+        const hit = projectSearchHit(p, query);
+        if (hit) visible.push({ project: p, hit });
+    });
+    visible.sort((a, b) => sorter(a.project, b.project));
+    projectState.visible = visible.map(v => v.project.id);
+
+    let html = projectState.cached ? `<div class="revision-empty">Offline · showing the last synced list</div>` : "";
+
+    html += projectState.pending.map(q => `
+        <div class="project-item project-pending">
+            <strong>${escapeHtml(q.body.projectName)}</strong>
+            <span class="project-meta"><i class="fas fa-cloud-arrow-up"></i> Waiting to sync</span>
+        </div>`).join("");
+
+    // Render each project in the sidebar
+    html += visible.map(({ project: p, hit }) => {
+        const isOpen = currentProject && currentProject.id === p.id;
+        const where = hit.line ? `${hit.file ? hit.file + ":" : "Line "}${hit.line}` : "";
+        return `
+            <div class="project-item${isOpen ? " project-open" : ""}">
+                <label class="project-title">
+                    <input type="checkbox" ${projectState.selected.has(p.id) ? "checked" : ""} onchange="toggleProjectSelection(${p.id}, this.checked)" title="Select for export">
+                    <strong>${escapeHtml(p.project_name)}</strong>
+                </label>
+                <span class="project-meta">${isOpen ? "Open · " : ""}${p.language ? escapeHtml(p.language) + " · " : ""}Updated ${escapeHtml(formatTimestamp(projectTime(p)))}</span>
+                ${where ? `<span class="project-meta project-hit">${escapeHtml(where)}: <code>${escapeHtml(hit.text.slice(0, 80))}</code></span>` : ""}
+                ${(p.tags || []).length ? `<div class="project-tags">${p.tags.map(t =>
+                    `<span class="project-tag${t === tag ? " active" : ""}" data-tag="${escapeHtml(t)}" onclick="filterProjectsByTag(this.dataset.tag)">${escapeHtml(t)}</span>`).join("")}</div>` : ""}
+                <div style="margin-top:5px;">
+                    <button onclick="loadProject(${p.id})">Load</button>
+                    <button onclick="favoriteProject(${p.id}, ${p.is_favorite ? 0 : 1})">
+                        ${p.is_favorite ? "★" : "☆"}
+                    </button>
+                    <button onclick="deleteProject(${p.id})" style="color:red;">Del</button>
+                    <button onclick="toggleRevisions(${p.id})">History</button>
+                    <button onclick="editProjectTags(${p.id})" title="Edit tags"><i class="fas fa-tags"></i></button>
+                </div>
+                <div class="revision-list" id="revisions-${p.id}" style="display:none;"></div>
+            </div>`;
+    }).join("");
+
+    if (!visible.length) {
+        html += `<div class="revision-empty">${projectState.projects.length ? "No projects match these filters." : "No saved projects yet."}</div>`;
+    }
+    list.innerHTML = html;
+    renderProjectSelection();
+}
+
+// --- Tags, Selection & Bundles ---
+
+async function editProjectTags(id) {
+    const project = projectState.projects.find(p => p.id === id);
+    if (!project) return;
+    const answer = prompt(`Tags for "${project.project_name}" (comma-separated):`, (project.tags || []).join(", "));
+    if (answer === null) return;
+
+    // Same clean-up as the server: single spaces, no case-insensitive repeats
+    const seen = new Set();
+    const tags = answer.split(',').map(t => t.replace(/\s+/g, ' ').trim()).filter(t => {
+        if (!t || seen.has(t.toLowerCase())) return false;
+        seen.add(t.toLowerCase());
+        return true;
+    });
+
+    project.tags = tags;
+    putDraft("projects", projectState.projects);
+    renderProjectFilters();
+    renderProjectList();
+    await queueServerCall({ op: "tag-project", url: "/tag-project", label: project.project_name, body: { id, tags } });
+}
+
+function toggleProjectSelection(id, checked) {
+    if (checked) projectState.selected.add(id);
+    else projectState.selected.delete(id);
+    renderProjectSelection();
+}
+
+// Select-all acts on what the filters currently show
+function selectVisibleProjects(checked) {
+    (projectState.visible || []).forEach(id => checked ? projectState.selected.add(id) : projectState.selected.delete(id));
+    renderProjectList();
+}
+
+function renderProjectSelection() {
+    const count = document.getElementById('projectSelectionCount');
+    const all = document.getElementById('projectSelectAll');
+    const visible = projectState.visible || [];
+    if (count) count.textContent = `${projectState.selected.size} selected`;
+    if (all) all.checked = visible.length > 0 && visible.every(id => projectState.selected.has(id));
+}
+
+function exportProjects() {
+    const chosen = projectState.projects.filter(p => projectState.selected.has(p.id));
+    if (!chosen.length) return alert("Tick the projects to export first.");
+
+    const bundle = {
+        format: PROJECT_BUNDLE_FORMAT,
+        version: 1,
+        exported_at: new Date().toISOString(),
+        projects: chosen.map(p => ({
+            project_name: p.project_name,
+            language: p.language,
+            code: p.code || "",
+            files: p.files || null,
+            tags: p.tags || [],
+            is_favorite: p.is_favorite ? 1 : 0
+        }))
+    };
+    downloadBlob(JSON.stringify(bundle, null, 2), `CodeStatic_Projects_${Date.now()}.json`, 'application/json');
+}
+
+async function importProjects(input) {
+    const file = input.files[0];
+    input.value = "";
+    if (!file) return;
+
+    let bundle;
+    try {
+        bundle = JSON.parse(await file.text());
+    } catch (err) {
+        return alert(`"${file.name}" is not valid JSON.`);
+    }
+    if (!bundle || bundle.format !== PROJECT_BUNDLE_FORMAT || !Array.isArray(bundle.projects)) {
+        return alert(`"${file.name}" is not a CodeStatic project bundle.`);
+    }
+
+    const projects = bundle.projects
+        .filter(p => p && typeof p.project_name === 'string' && (typeof p.code === 'string' || Array.isArray(p.files)))
+        .map(p => ({
+            project_name: p.project_name,
+            language: typeof p.language === 'string' ? p.language : null,
+            code: typeof p.code === 'string' ? p.code : "",
+            files: Array.isArray(p.files) ? p.files.filter(f => f && typeof f.name === 'string' && typeof f.code === 'string') : null,
+            tags: Array.isArray(p.tags) ? p.tags.filter(t => typeof t === 'string') : [],
+            is_favorite: p.is_favorite ? 1 : 0
+        }));
+    if (!projects.length) return alert("The bundle has no usable projects.");
+    if (projects.length > PROJECT_IMPORT_LIMIT) return alert(`Import at most ${PROJECT_IMPORT_LIMIT} projects at a time.`);
+    const skipped = bundle.projects.length - projects.length;
+    if (!confirm(`Import ${projects.length} project(s)${skipped ? ` (${skipped} unreadable entry/entries skipped)` : ""}? Names already in use get a number added.`)) return;
+
+    await queueServerCall({ op: "import-projects", url: "/import-projects", label: `${projects.length} imported project(s)`, body: { projects } });
+    showProjectToast(syncState.online
+        ? `Imported ${projects.length} project(s)`
+        : `Import of ${projects.length} project(s) saved locally; it will sync when the server is back`);
+}
+
+function applyProjectToEditor(project) {
+    const langSelect = document.getElementById("languageSelect") || document.getElementById("targetLang");
+
+    setWorkspaceFiles(project.files, project.code);
+    if(langSelect) langSelect.value = project.language;
+    setCurrentProject(project);
+}
+
+// Load a specific project into editor
+async function loadProject(id) {
+    let project;
+    try {
+        const res = await fetch(`/projects/${id}`);
+        if (!res.ok) return;
+        project = (await res.json()).project;
+    } catch (err) {
+        // Offline: open the cached copy
+        const cached = (await getDraft("projects").catch(() => null)) || [];
+        project = cached.find(p => p.id === id);
+        if (!project) return;
+    }
+
+    applyProjectToEditor(project);
+    loadProjects();
+}
+
+// --- Revision History ---
+
+async function toggleRevisions(projectId) {
+    const container = document.getElementById(`revisions-${projectId}`);
+    if (!container) return;
+    if (container.style.display !== 'none') {
+        container.style.display = 'none';
+        return;
+    }
+    container.style.display = 'block';
+    container.innerHTML = `<div class="revision-empty">Loading history...</div>`;
+
+    try {
+        const res = await fetch(`/projects/${projectId}/revisions`);
+        const data = await res.json();
+        container._revisions = data.revisions;
+
+        if (!data.revisions.length) {
+            container.innerHTML = `<div class="revision-empty">No revisions yet.</div>`;
+            return;
+        }
+        container.innerHTML = data.revisions.map((r, idx) => `
+            <div class="revision-row">
+                <span class="revision-time">${idx === 0 ? "Latest · " : ""}${escapeHtml(formatTimestamp(r.created_at))}</span>
+                <span class="revision-lang">${escapeHtml(r.language)}</span>
+                <button onclick="showRevisionDiff(${projectId}, ${r.id})" title="Compare with the editor buffer">Diff</button>
+                <button onclick="restoreRevision(${projectId}, ${r.id})" title="Restore this revision">Restore</button>
+            </div>`).join("");
+    } catch (err) {
+        container.innerHTML = `<div class="revision-empty">Could not load history.</div>`;
+        console.error("Error loading revisions", err);
+    }
+}
+
+function showRevisionDiff(projectId, revisionId) {
+    const container = document.getElementById(`revisions-${projectId}`);
+    const revision = (container && container._revisions || []).find(r => r.id === revisionId);
+    if (!revision) return;
+
+    const buffer = bundleFiles(getWorkspaceFiles());
+    const rows = computeLineDiff(revision.code || "", buffer);
+    showDiffModal(`Revision from ${formatTimestamp(revision.created_at)} → current buffer`, rows, 'line');
+}
+
+async function restoreRevision(projectId, revisionId) {
+    const res = await fetch("/restore-revision", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ project_id: projectId, revision_id: revisionId })
+    });
+    const data = await res.json();
+
+    if (data.status === "success") {
+        applyProjectToEditor(data.project);
+        showProjectToast(`Restored "${data.project.project_name}"`);
+        loadProjects();
+    }
+}
+
+// Mark/unmark project as favorite
+async function favoriteProject(id, fav) {
+    await queueServerCall({ op: "favorite-project", url: "/favorite-project", body: { id, fav } });
+    loadProjects();
+}
+
+// Delete project
+async function deleteProject(id) {
+    if(!confirm("Are you sure you want to delete this project?")) return;
+    
+    await queueServerCall({ op: "delete-project", url: "/delete-project", body: { id } });
+
+    if (currentProject && currentProject.id === id) setCurrentProject(null);
+    loadProjects();
+}
+
+// ==========================================
+// 4. CHAT SYSTEM
+// ==========================================
+
+// Markdown -> sanitised HTML. Falls back to escaped text if the CDN
+// libraries didn't load, so a message never reaches innerHTML raw.
+function renderMarkdown(text) {
+    if (typeof marked === 'undefined' || typeof DOMPurify === 'undefined') {
+        return escapeHtml(text).replace(/\n/g, '<br>');
+    }
+    const html = marked.parse(String(text ?? ""), { gfm: true, breaks: true });
+    return DOMPurify.sanitize(html);
+}
+
+// Highlight fenced code blocks and give each a language label + copy button;
+// blocks in replies can also be applied to the editor as a patch
+function decorateCodeBlocks(container) {
+    const patchable = container.classList.contains('ai-msg');
+    container.querySelectorAll('pre > code').forEach(code => {
+        const pre = code.parentElement;
+        if (pre.parentElement.classList.contains('chat-code-block')) return;
+
+        const langClass = Array.from(code.classList).find(c => c.startsWith('language-'));
+        const lang = langClass ? langClass.replace('language-', '') : '';
+        if (typeof hljs !== 'undefined') {
+            if (lang && !hljs.getLanguage(lang)) code.classList.remove(langClass);
+            hljs.highlightElement(code);
+        }
+
+        const block = document.createElement('div');
+        block.className = 'chat-code-block';
+        block.innerHTML = `<div class="chat-code-header">
+                <span>${escapeHtml(lang || 'code')}</span>
+                <span class="chat-code-actions">
+                    ${patchable ? `<span class="chat-patch-status"></span>
+                    <button class="chat-code-btn chat-patch-apply" onclick="previewChatPatch(this)" title="Review the change against the editor, then apply it"><i class="fas fa-code-compare"></i> Apply</button>
+                    <button class="chat-code-btn chat-patch-undo" onclick="undoChatPatch(this)" style="display:none;"><i class="fas fa-rotate-left"></i> Undo</button>` : ''}
+                    <button class="chat-code-btn" onclick="copyChatCode(this)"><i class="fas fa-copy"></i> Copy</button>
+                </span>
+            </div>`;
+        pre.replaceWith(block);
+        block.appendChild(pre);
+    });
+}
+
+function copyChatCode(btn) {
+    const code = btn.closest('.chat-code-block').querySelector('code');
+    noteAppCopy(code.innerText, 'chat');
+    navigator.clipboard.writeText(code.innerText).then(() => {
+        btn.innerHTML = `<i class="fas fa-check"></i> Copied`;
+        setTimeout(() => { btn.innerHTML = `<i class="fas fa-copy"></i> Copy`; }, 1500);
+    });
+}
+
+// Append a chat bubble. role: 'user' | 'ai'
+function appendChatMessage(text, role, isError = false) {
+    const chatBody = document.getElementById('chatBody');
+    if (!chatBody) return null;
+
+    const div = document.createElement('div');
+    div.className = `chat-msg ${role}-msg chat-markdown`;
+    if (isError) {
+        div.style.color = 'red';
+        div.innerText = text;
+    } else {
+        div.innerHTML = renderMarkdown(text);
+        decorateCodeBlocks(div);
+    }
+    chatBody.appendChild(div);
+    chatBody.scrollTop = chatBody.scrollHeight;
+    return div;
+}
+
+// --- Threads ---
+// Conversations belong to the open project and/or the assessment on
+// screen; switching either swaps the thread list.
+const CHAT_GREETING = "Hello! I am your AI coding assistant. How can I help you optimize your code today?";
+const chatState = { threads: [], threadId: null, scopeKey: null, selection: null };
+
+function chatScope() {
+    return {
+        project_id: currentProject && !isLocalProjectId(currentProject.id) ? currentProject.id : null,
+        assessment_id: lastReportData.assessment_id ?? null
+    };
+}
+
+// Reload the thread list when the project or assessment has changed
+function refreshChatScope() {
+    const scope = chatScope();
+    const key = `${scope.project_id}|${scope.assessment_id}`;
+    if (key === chatState.scopeKey) return;
+    chatState.scopeKey = key;
+    chatState.threadId = null;
+    loadChatThreads();
+}
+
+async function postChatThread(url, body) {
+    const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.detail || res.statusText);
+    return data;
+}
+
+// selectId: thread to open (defaults to the current one, else the newest)
+async function loadChatThreads(selectId, reloadMessages = true) {
+    const scope = chatScope();
+    const params = new URLSearchParams();
+    if (scope.project_id !== null) params.set('project_id', scope.project_id);
+    if (scope.assessment_id !== null) params.set('assessment_id', scope.assessment_id);
+
+    try {
+        const res = await fetch(`/chat-threads?${params}`);
+        const data = await res.json();
+        chatState.threads = data.threads || [];
+    } catch (err) {
+        console.error("Chat threads load failed", err);
+        chatState.threads = [];
+    }
+
+    const wanted = selectId ?? chatState.threadId;
+    chatState.threadId = chatState.threads.some(t => t.id === wanted) ? wanted
+        : (chatState.threads.length ? chatState.threads[0].id : null);
+    renderChatThreadSelect();
+    if (reloadMessages) await loadSavedChat();
+}
+
+function renderChatThreadSelect() {
+    const select = document.getElementById('chatThreadSelect');
+    if (!select) return;
+    if (!chatState.threads.length) {
+        select.innerHTML = `<option value="">New conversation</option>`;
+        return;
+    }
+    select.innerHTML = chatState.threads.map(t => {
+        const label = (t.title || "New thread") + (t.assessment_id ? ` · assessment #${t.assessment_id}` : "");
+        return `<option value="${t.id}"${t.id === chatState.threadId ? " selected" : ""}>${escapeHtml(label)}</option>`;
+    }).join("");
+}
+
+function selectChatThread(id) {
+    chatState.threadId = id ? parseInt(id, 10) : null;
+    loadSavedChat();
+}
+
+async function newChatThread() {
+    try {
+        const data = await postChatThread('/save-chat-thread', chatScope());
+        await loadChatThreads(data.thread.id);
+        const input = document.getElementById('chatInput');
+        if (input) input.focus();
+    } catch (err) {
+        alert(`Could not create thread: ${err.message}`);
+    }
+}
+
+async function renameChatThread() {
+    const thread = chatState.threads.find(t => t.id === chatState.threadId);
+    if (!thread) return;
+    const title = prompt("Thread name:", thread.title || "");
+    if (title === null || !title.trim()) return;
+    try {
+        await postChatThread('/save-chat-thread', { id: thread.id, title: title.trim() });
+        await loadChatThreads(thread.id, false);
+    } catch (err) {
+        alert(`Could not rename thread: ${err.message}`);
+    }
+}
+
+async function clearChatThread() {
+    if (!chatState.threadId || !confirm("Clear every message in this thread?")) return;
+    try {
+        await postChatThread('/clear-chat-thread', { id: chatState.threadId });
+        await loadSavedChat();
+    } catch (err) {
+        alert(`Could not clear thread: ${err.message}`);
+    }
+}
+
+async function deleteChatThread() {
+    if (!chatState.threadId || !confirm("Delete this thread and its messages?")) return;
+    try {
+        await postChatThread('/delete-chat-thread', { id: chatState.threadId });
+        chatState.threadId = null;
+        await loadChatThreads();
+    } catch (err) {
+        alert(`Could not delete thread: ${err.message}`);
+    }
+}
+
+// Load the open thread's messages
+async function loadSavedChat() {
+    const chatBody = document.getElementById('chatBody');
+    if (!chatBody) return;
+    chatBody.innerHTML = "";
+    appendChatMessage(CHAT_GREETING, 'ai');
+
+    const threadId = chatState.threadId;
+    if (!threadId) return;
+    try {
+        const res = await fetch(`/load-chat?thread_id=${threadId}`);
+        const data = await res.json();
+        // Another thread was opened while this one loaded
+        if (threadId !== chatState.threadId) return;
+
+        if (data.status === "success") {
+            data.chat.forEach(msg => {
+                if(msg.user_message) appendChatMessage(msg.user_message, 'user');
+                if(msg.ai_response) appendChatMessage(msg.ai_response, 'ai');
+            });
+            chatBody.scrollTop = chatBody.scrollHeight;
+        }
+    } catch (err) {
+        console.error("Chat load failed", err);
+    }
+}
+
+function toggleChat() {
+    const widget = document.getElementById('chatWidget');
+    if (widget.style.display === 'flex') {
+        widget.style.display = 'none';
+    } else {
+        widget.style.display = 'flex';
+        document.getElementById('chatInput').focus();
+    }
+}
+
+async function sendChatMessage() {
+    const input = document.getElementById('chatInput');
+    const msg = input.value.trim();
+    const chatBody = document.getElementById('chatBody');
+    const currentCode = bundleFiles(getWorkspaceFiles());
+    const selection = chatState.selection;
+
+    if (!msg) return;
+
+    // Add User Message
+    const userDiv = appendChatMessage(msg, 'user');
+    if (userDiv && selection) {
+        const note = document.createElement('div');
+        note.className = 'chat-selection-note';
+        note.innerText = `About ${selectionLabel(selection)}`;
+        userDiv.prepend(note);
+    }
+    input.value = '';
+    clearChatSelection();
+
+    // Loading State (replaced by the reply as tokens arrive)
+    const replyDiv = document.createElement('div');
+    replyDiv.className = 'chat-msg ai-msg chat-markdown';
+    // Suggestions in the reply default to replacing the selection
+    if (selection) replyDiv.dataset.selection = JSON.stringify(selection);
+    replyDiv.innerText = 'Thinking...';
+    chatBody.appendChild(replyDiv);
+    chatBody.scrollTop = chatBody.scrollHeight;
+
+    let reply = "";
+    let threadId = null;
+    let renderQueued = false;
+    const renderReply = () => {
+        renderQueued = false;
+        const atBottom = chatBody.scrollHeight - chatBody.scrollTop - chatBody.clientHeight < 40;
+        replyDiv.innerHTML = renderMarkdown(reply);
+        if (atBottom) chatBody.scrollTop = chatBody.scrollHeight;
+    };
+    const showError = (message) => {
+        replyDiv.remove();
+        appendChatMessage(message, 'ai', true);
+    };
+
+    try {
+        const response = await fetch('/ai_chat', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ message: msg, code_context: currentCode, selection, stream: true, thread_id: chatState.threadId, ...chatScope() })
+        });
+
+        if (!response.ok || !response.body) {
+            const data = await response.json().catch(() => ({}));
+            return showError(`Error: ${data.message || data.detail || response.statusText}`);
+        }
+
+        await readNdjsonStream(response, (evt) => {
+            if (evt.type === 'thread') {
+                // A first message starts the thread
+                threadId = evt.thread_id;
+                if (!chatState.threadId) chatState.threadId = threadId;
+            } else if (evt.type === 'token') {
+                reply += evt.text;
+                // Re-render at most once per frame
+                if (!renderQueued) {
+                    renderQueued = true;
+                    requestAnimationFrame(() => { if (renderQueued) renderReply(); });
+                }
+            } else if (evt.type === 'done') {
+                renderReply();
+                decorateCodeBlocks(replyDiv);
+            } else if (evt.type === 'error') {
+                if (reply) {
+                    renderReply();
+                    appendChatMessage(`Error: ${evt.message}`, 'ai', true);
+                } else {
+                    showError(`Error: ${evt.message}`);
+                }
+            }
+        });
+    } catch(err) {
+        showError("Network Error");
+    }
+    chatBody.scrollTop = chatBody.scrollHeight;
+    // Picks up the title and ordering the server gave the thread
+    if (threadId && threadId === chatState.threadId) loadChatThreads(threadId, false);
+}
+
+function handleChatEnter(e) {
+    if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault(); 
+        sendChatMessage();
+    }
+}
+
+// --- Ask About Selection ---
+// The highlighted lines of the editor go with the next message as
+// focused context; suggestions in the reply default to replacing them.
+function askAboutSelection() {
+    const editor = editors['inputCode'];
+    if (!editor) return;
+    const { value, selectionStart, selectionEnd } = editor.textarea;
+    const code = value.slice(selectionStart, selectionEnd);
+    if (!code.trim()) return alert("Select some code in the editor first.");
+
+    const startLine = value.slice(0, selectionStart).split('\n').length;
+    // A selection ending at a line break stops on the line before it
+    const endLine = value.slice(0, code.endsWith('\n') ? selectionEnd - 1 : selectionEnd).split('\n').length;
+    chatState.selection = { file: workspace.files[workspace.active].name, start_line: startLine, end_line: endLine, code };
+    renderChatSelection();
+
+    const widget = document.getElementById('chatWidget');
+    if (widget && widget.style.display !== 'flex') toggleChat();
+    else document.getElementById('chatInput').focus();
+}
+
+function selectionLabel(selection) {
+    const lines = selection.start_line === selection.end_line
+        ? `line ${selection.start_line}` : `lines ${selection.start_line}–${selection.end_line}`;
+    return workspace.files.length > 1 ? `${selection.file}, ${lines}` : lines;
+}
+
+function renderChatSelection() {
+    const chip = document.getElementById('chatSelection');
+    if (!chip) return;
+    const selection = chatState.selection;
+    chip.style.display = selection ? 'flex' : 'none';
+    chip.innerHTML = selection
+        ? `<span><i class="fas fa-crosshairs"></i> Asking about ${escapeHtml(selectionLabel(selection))}</span>
+           <button onclick="clearChatSelection()" title="Ask about the whole code instead"><i class="fas fa-times"></i></button>`
+        : "";
+}
+
+function clearChatSelection() {
+    chatState.selection = null;
+    renderChatSelection();
+}
+
+// --- Applying Suggestions ---
+// A code block in a reply is turned into a patch by finding the lines of
+// the buffer it rewrites, then always shown as a diff to accept or reject.
+// Accepted patches can be undone from the block they came from.
+const patchState = { pending: null, applied: {}, nextId: 1 };
+const PATCH_MIN_MATCH = 0.3;     // share of the block's lines that must match the region it replaces
+const PATCH_CONTEXT_LINES = 3;
+const PATCH_ALIGN_SLACK = 20;    // extra buffer lines an alignment may span beyond the block's length
+const PATCH_MAX_LINES = 400;     // block lines used for alignment; longer suggestions align on their head
+const PATCH_MAX_STARTS = 40;     // candidate regions aligned per file
+
+// "def area(" and "def area(w, h):" open the same definition, and
+// "total = a" and "total = b" assign the same name
+function declarationKey(line) {
+    const m = line.trim().match(/^(?:export\s+)?(?:default\s+)?(?:(?:public|private|protected|static)\s+)*(?:async\s+)?(def|function|class|fn|func|fun|const|let|var)\s+([\w$]+)/);
+    if (m) return `${m[1]} ${m[2]}`;
+    const assign = line.trim().match(/^([\w$.]+)\s*=(?!=)/);
+    return assign ? `= ${assign[1]}` : null;
+}
+
+function patchLinesMatch(a, b) {
+    if (!a.trim()) return false;
+    if (a.trim() === b.trim()) return true;
+    const key = declarationKey(a);
+    return !!key && key === declarationKey(b);
+}
+
+// Longest common subsequence of the block's lines and the buffer from
+// start on: how many lines match, and the last buffer line matched.
+// The buffer window and the block are both capped, so one alignment costs
+// at most PATCH_MAX_LINES × (PATCH_MAX_LINES + PATCH_ALIGN_SLACK) steps.
+function alignSnippet(snippet, buf, start) {
+    const a = snippet.slice(0, PATCH_MAX_LINES);
+    const b = buf.slice(start, start + a.length + PATCH_ALIGN_SLACK);
+    const n = a.length, m = b.length, w = m + 1;
+    const dp = new Int32Array((n + 1) * w);
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            dp[i * w + j] = patchLinesMatch(a[i], b[j]) ? dp[(i + 1) * w + j + 1] + 1 : Math.max(dp[(i + 1) * w + j], dp[i * w + j + 1]);
+        }
+    }
+    let i = 0, j = 0, last = 0;
+    while (i < n && j < m) {
+        if (patchLinesMatch(a[i], b[j]) && dp[i * w + j] === dp[(i + 1) * w + j + 1] + 1) {
+            last = j;
+            i++; j++;
+        } else if (dp[(i + 1) * w + j] >= dp[i * w + j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return { matched: dp[0], end: start + last };
+}
+
+// Last line of the block opened at buf[start]: matching brace, or the
+// indented body after a trailing colon
+function blockEnd(buf, start) {
+    const opener = buf[start];
+    if (opener.includes('{')) {
+        let depth = 0;
+        for (let i = start; i < buf.length; i++) {
+            depth += (buf[i].match(/{/g) || []).length - (buf[i].match(/}/g) || []).length;
+            if (depth <= 0) return i;
+        }
+        return start;
+    }
+    if (!/:\s*(#.*)?$/.test(opener)) return start;
+    const indent = opener.match(/^\s*/)[0].length;
+    let end = start;
+    for (let i = start + 1; i < buf.length; i++) {
+        if (!buf[i].trim()) continue;
+        if (buf[i].match(/^\s*/)[0].length <= indent) break;
+        end = i;
+    }
+    return end;
+}
+
+// Best region of any workspace file for the block, or null
+function locateSuggestion(lines, files, selection) {
+    const heads = lines.map((line, k) => [line, k]).filter(([line]) => line.trim()).slice(0, 3);
+    const needed = Math.max(1, Math.ceil(lines.slice(0, PATCH_MAX_LINES).filter(l => l.trim()).length * PATCH_MIN_MATCH));
+    let best = null;
+    files.forEach((file, index) => {
+        const buf = file.code.split('\n');
+        // Starts where one of the block's first lines lines up
+        const starts = new Set();
+        heads.forEach(([line, k]) => buf.forEach((b, i) => { if (i >= k && patchLinesMatch(line, b)) starts.add(i - k); }));
+        // A line repeated all over the file (a closing brace, "return") would
+        // otherwise mean aligning at nearly every line; prefer exact first-line hits
+        const exact = start => (buf[start] || "").trim() === lines[0].trim();
+        const ranked = [...starts].sort((x, y) => exact(y) - exact(x) || x - y);
+        ranked.slice(0, PATCH_MAX_STARTS).forEach(start => {
+            const aligned = alignSnippet(lines, buf, start);
+            if (aligned.matched < needed) return;
+            // A rewritten definition replaces all of the old one, even lines it dropped
+            const end = patchLinesMatch(lines[0], buf[start]) ? Math.max(aligned.end, blockEnd(buf, start)) : aligned.end;
+            const inSelection = selection && selection.file === file.name &&
+                start < selection.end_line && end >= selection.start_line - 1;
+            const score = aligned.matched / Math.max(lines.length, end - start + 1) +
+                (inSelection ? 0.5 : 0) + (index === workspace.active ? 0.01 : 0);
+            if (!best || score > best.score) best = { index, start, end, score };
+        });
+    });
+    return best;
+}
+
+// Shift the block right when it was quoted with less indentation than the
+// lines it replaces (e.g. a method shown outside its class)
+function reindentSnippet(lines, bufLine) {
+    const first = lines.find(l => l.trim()) || "";
+    const have = first.match(/^\s*/)[0];
+    const want = (bufLine || "").match(/^\s*/)[0];
+    if (want.length <= have.length || !want.endsWith(have)) return lines;
+    const pad = want.slice(0, want.length - have.length);
+    return lines.map(l => l.trim() ? pad + l : l);
+}
+
+// Regions the block could replace: the matched one, the selection it was
+// asked about, and the whole active file
+function patchTargets(lines, selection) {
+    const files = getWorkspaceFiles();
+    const targets = [];
+    const add = (kind, index, start, end) => {
+        if (index < 0 || targets.some(t => t.index === index && t.start === start && t.end === end)) return;
+        const name = files[index].name;
+        const where = kind === 'file' ? `whole file` : start === end ? `line ${start + 1}` : `lines ${start + 1}–${end + 1}`;
+        targets.push({ kind, index, start, end, label: `${kind === 'selection' ? 'Selection' : kind === 'match' ? 'Matched' : 'All'}: ${files.length > 1 ? name + ', ' : ''}${where}` });
+    };
+    const found = locateSuggestion(lines, files, selection);
+    if (found) add('match', found.index, found.start, found.end);
+    if (selection) add('selection', files.findIndex(f => f.name === selection.file), selection.start_line - 1, selection.end_line - 1);
+    add('file', workspace.active, 0, files[workspace.active].code.split('\n').length - 1);
+    return targets;
+}
+
+function buildPatch(lines, target) {
+    const file = getWorkspaceFiles()[target.index];
+    const buf = file.code.split('\n');
+    let inserted = target.kind === 'file' ? lines : reindentSnippet(lines, buf[target.start]);
+    let after = [...buf.slice(0, target.start), ...inserted, ...buf.slice(target.end + 1)].join('\n');
+    if (target.kind === 'file' && file.code.endsWith('\n') && !after.endsWith('\n')) after += '\n';
+    return {
+        file: file.name,
+        index: target.index,
+        before: file.code,
+        after
+    };
+}
+
+function suggestionFromBlock(block) {
+    const text = block.querySelector('code').textContent.replace(/\n+$/, '');
+    const lines = text.split('\n');
+    while (lines.length && !lines[0].trim()) lines.shift();
+    const msg = block.closest('.chat-msg');
+    const selection = msg && msg.dataset.selection ? JSON.parse(msg.dataset.selection) : null;
+    return { lines, selection };
+}
+
+function previewChatPatch(btn) {
+    const block = btn.closest('.chat-code-block');
+    const { lines, selection } = suggestionFromBlock(block);
+    if (!lines.length) return;
+    const targets = patchTargets(lines, selection);
+    patchState.pending = { block, lines, targets };
+
+    const select = document.getElementById('patchTarget');
+    select.innerHTML = targets.map((t, i) => `<option value="${i}">${escapeHtml(t.label)}</option>`).join("");
+    renderPatchPreview();
+    document.getElementById('patchPanel').style.display = 'flex';
+}
+
+// Changed rows plus a few lines around them; long unchanged runs fold into a marker
+function foldDiffRows(rows) {
+    const keep = rows.map(() => false);
+    rows.forEach((r, i) => {
+        if (r.type === 'equal') return;
+        for (let k = Math.max(0, i - PATCH_CONTEXT_LINES); k <= Math.min(rows.length - 1, i + PATCH_CONTEXT_LINES); k++) keep[k] = true;
+    });
+    const folded = [];
+    rows.forEach((r, i) => {
+        if (keep[i]) folded.push(r);
+        else if (i === 0 || keep[i - 1]) folded.push({ type: 'header', left: '⋯', right: '⋯' });
+    });
+    return folded;
+}
+
+function renderPatchPreview() {
+    const pending = patchState.pending;
+    if (!pending) return;
+    const target = pending.targets[parseInt(document.getElementById('patchTarget').value, 10) || 0];
+    const patch = buildPatch(pending.lines, target);
+    const rows = computeLineDiff(patch.before, patch.after);
+    const body = document.querySelector('#patchTable tbody');
+    const stats = { added: 0, removed: 0, modified: 0 };
+    rows.forEach(r => { if (stats[r.type] !== undefined) stats[r.type]++; });
+
+    document.getElementById('patchStats').innerText = `+${stats.added} −${stats.removed} ~${stats.modified}`;
+    document.getElementById('patchNote').innerText = target.kind === 'match' ? ""
+        : pending.targets[0].kind !== 'match'
+            ? "Couldn't find the lines this suggestion rewrites; check the region it should replace."
+            : "";
+    if (patch.before === patch.after) {
+        body.innerHTML = `<tr><td colspan="4" style="text-align:center; opacity:0.6; padding: 20px;">Already applied: the code matches the suggestion.</td></tr>`;
+    } else {
+        renderDiffRows(body, { mode: 'line', rows: foldDiffRows(rows) });
+    }
+}
+
+function closePatchPreview() {
+    patchState.pending = null;
+    document.getElementById('patchPanel').style.display = 'none';
+}
+
+function acceptChatPatch() {
+    const pending = patchState.pending;
+    if (!pending) return;
+    const target = pending.targets[parseInt(document.getElementById('patchTarget').value, 10) || 0];
+    commitChatPatch(pending.block, buildPatch(pending.lines, target), target);
+    closePatchPreview();
+}
+
+function rejectChatPatch() {
+    const pending = patchState.pending;
+    if (pending) setPatchStatus(pending.block, 'rejected', "Rejected");
+    closePatchPreview();
+}
+
+// Write one file the way other app edits do; the recorder logs a patch as
+// a paste from the chat, since that is what it replaces
+function writeWorkspaceFile(index, code, kind, extra = {}) {
+    syncActiveFile();
+    recordChanges('load');
+    workspace.files[index].code = code;
+    workspace.active = index;
+    loadActiveFile();
+    recordChanges(kind, extra);
+    const codeInput = document.getElementById('inputCode');
+    if (codeInput) codeInput.dispatchEvent(new Event('input'));
+}
+
+function commitChatPatch(block, patch, target) {
+    if (patch.before === patch.after) return setPatchStatus(block, 'applied', "Already applied");
+    writeWorkspaceFile(patch.index, patch.after, 'paste', { o: 'chat' });
+    const id = patchState.nextId++;
+    patchState.applied[id] = patch;
+    block.dataset.patchId = id;
+    setPatchStatus(block, 'applied', `Applied to ${target.kind === 'file' ? patch.file : target.label.replace(/^\w+: /, '')}`);
+}
+
+function undoChatPatch(btn) {
+    const block = btn.closest('.chat-code-block');
+    const patch = patchState.applied[block.dataset.patchId];
+    if (!patch) return;
+    const files = getWorkspaceFiles();
+    const index = files.findIndex(f => f.name === patch.file);
+    if (index < 0) return alert(`"${patch.file}" is no longer in the submission.`);
+
+    // Undo puts back the file exactly as it was before the patch
+    if (files[index].code !== patch.after &&
+        !confirm(`"${patch.file}" has been edited since this patch was applied. Undoing restores the file as it was before the patch and drops those edits. Undo anyway?`)) return;
+
+    writeWorkspaceFile(index, patch.before, 'undo');
+    delete patchState.applied[block.dataset.patchId];
+    delete block.dataset.patchId;
+    setPatchStatus(block, null, "");
+}
+
+function setPatchStatus(block, state, text) {
+    const status = block.querySelector('.chat-patch-status');
+    const apply = block.querySelector('.chat-patch-apply');
+    const undo = block.querySelector('.chat-patch-undo');
+    block.classList.toggle('patch-applied', state === 'applied');
+    block.classList.toggle('patch-rejected', state === 'rejected');
+    if (status) status.innerText = text;
+    const undoable = state === 'applied' && !!block.dataset.patchId;
+    if (apply) apply.style.display = undoable ? 'none' : '';
+    if (undo) undo.style.display = undoable ? '' : 'none';
+}
+
+// ==========================================
+// 5. LAYOUT RESIZER
+// ==========================================
+
+const gutter = document.getElementById('resizeHandle');
+const colLeft = document.getElementById('colLeft');
+const container = document.getElementById('mainContainer');
+let isResizing = false;
+
+if (gutter && colLeft && container) {
+    gutter.addEventListener('mousedown', (e) => {
+        isResizing = true;
+        document.body.style.cursor = 'col-resize';
+    });
+
+    document.addEventListener('mousemove', (e) => {
+        if (!isResizing) return;
+        
+        // Calculate percentage
+        const containerWidth = container.offsetWidth;
+        const newLeftWidth = (e.clientX / containerWidth) * 100;
+        
+        // Limits (10% to 90%)
+        if (newLeftWidth > 10 && newLeftWidth < 90) {
+            colLeft.style.width = `${newLeftWidth}%`;
+        }
+    });
+
+    document.addEventListener('mouseup', () => {
+        if(isResizing) {
+            isResizing = false;
+            document.body.style.cursor = 'default';
+        }
+    });
+}
+
+// ==========================================
+// 6. CODE ASSESSMENT & ANALYSIS API
+// ==========================================
+
+let lastReportData = {};
+
+// The in-flight assessment: { controller, requestId }
+let currentAssessment = null;
+
+// --- Panel Rendering (one function per streamed section) ---
+
+function resetAssessmentPanels() {
+    const outputBox = document.getElementById('outputCode');
+    const errorTableBody = document.querySelector('#errorTable tbody');
+    const explanationTableBody = document.querySelector('#explanationTable tbody');
+    const complianceStatus = document.getElementById('complianceStatus');
+    const plagiarismCheck = document.getElementById('plagiarismCheck');
+    const qualityScoreDisplay = document.getElementById('qualityScoreDisplay');
+    const integrityBadge = document.getElementById('integrityCheck');
+    const detectedBadge = document.getElementById('detectedLang');
+
+    if (outputBox) outputBox.value = "";
+    renderFinalFiles(null);
+    renderEditor('outputCode');
+    renderValidationNotice(null);
+    renderRecordingSummary(null);
+    testState.results = null;
+    renderTestCases();
+    benchState.result = null;
+    renderEmpiricalCheck();
+    setWorkspaceMarkers([], []);
+    if (detectedBadge) detectedBadge.innerText = "--";
+    if (integrityBadge) integrityBadge.innerText = "Integrity: Analyzing...";
+    if (errorTableBody) errorTableBody.innerHTML = `<tr><td colspan="2" style="text-align:center; opacity:0.5; padding: 20px;">Scanning for errors...</td></tr>`;
+    if (explanationTableBody) explanationTableBody.innerHTML = `<tr><td colspan="2" style="text-align:center; padding:20px;">Generating detailed explanation...</td></tr>`;
+    
+    // Reset status elements
+    if(complianceStatus) {
+        complianceStatus.innerHTML = `<i class="fas fa-clipboard-check"></i> Compliance Status: PENDING`;
+        complianceStatus.classList.remove('compliance-pass', 'compliance-fail');
+    }
+    
+    if (plagiarismCheck) plagiarismCheck.innerHTML = `<i class="fas fa-robot"></i> AI verdict: Analyzing...`;
+    renderSimilarity(undefined, "");
+    
+    // Reset Quality Score
+    if(qualityScoreDisplay) qualityScoreDisplay.innerHTML = `<i class="fas fa-star-half-stroke"></i> Quality Score: --/100`;
+    
+    ['timeBest', 'timeAvg', 'timeWorst', 'spaceBest', 'spaceAvg', 'spaceWorst'].forEach(id => {
+        const el = document.getElementById(id);
+        if(el) el.innerText = "--";
+    });
+    const timeDesc = document.getElementById('timeDesc');
+    const spaceDesc = document.getElementById('spaceDesc');
+    if(timeDesc) timeDesc.innerText = "Analyzing...";
+    if(spaceDesc) spaceDesc.innerText = "Analyzing...";
+}
+
+function renderErrorTable(errorTable, inputFiles) {
+    const errorTableBody = document.querySelector('#errorTable tbody');
+    if (errorTableBody) {
+        errorTableBody.innerHTML = "";
+        if (errorTable && errorTable.length > 0) {
+            const localCount = errorTable.filter(err => err.source === 'local').length;
+            const breakdown = localCount ? ` (${localCount} local, ${errorTable.length - localCount} AI)` : "";
+            errorTableBody.innerHTML = `<tr class="error-summary"><td colspan="2" style="text-align:center; color:var(--accent-color); padding:10px;">${errorTable.length} Errors Found in Original Code${breakdown}.</td></tr>`;
+            errorTable.forEach(err => {
+                const severity = SEVERITY_RANK[err.severity] ? err.severity : 'error';
+                const source = err.source === 'local' ? 'local' : 'ai';
+                const row = `<tr class="error-row sev-${severity}" data-line="${parseInt(err.line, 10) || ''}" data-file="${escapeHtml(err.file || '')}" data-source="${source}" onclick="revealFileLine(this.dataset.file, this.dataset.line)" title="Jump to line in submission">
+                    <td>${err.file ? `<span class="error-file">${escapeHtml(err.file)}</span>` : ''}${escapeHtml(err.line)}</td>
+                    <td><span class="source-badge source-${source}" title="${source === 'local' ? 'Rule-based check: ' + escapeHtml(err.rule || '') : 'AI assessment'}">${source === 'local' ? 'Local' : 'AI'}</span><span class="error-text">${escapeHtml(err.error)}</span></td>
+                </tr>`;
+                errorTableBody.innerHTML += row;
+            });
+        } else {
+            errorTableBody.innerHTML = `<tr><td colspan="2" style="text-align:center; color:var(--success-color); padding:20px;">No critical errors found in Original Code.</td></tr>`;
+        }
+    }
+
+    // Markers are placed against the files that were assessed, then
+    // shifted onto whatever the reviewer typed while waiting
+    setWorkspaceMarkers(errorTable, inputFiles);
+}
+
+function renderExplanation(codeExplanation) {
+    const explanationTableBody = document.querySelector('#explanationTable tbody');
+    if (!explanationTableBody) return;
+
+    explanationTableBody.innerHTML = "";
+    if (codeExplanation && Array.isArray(codeExplanation)) {
+        codeExplanation.forEach(item => {
+            const row = `<tr>
+                <td class="code-cell">${escapeHtml(item.code)}</td>
+                <td>${escapeHtml(item.explanation)}</td>
+            </tr>`;
+            explanationTableBody.innerHTML += row;
+        });
+    } else {
+        explanationTableBody.innerHTML = `<tr><td colspan="2" style="text-align:center;">No explanation provided.</td></tr>`;
+    }
+}
+
+function renderComplexity(complexity) {
+    if (!complexity) return;
+    const set = (id, value) => {
+        const el = document.getElementById(id);
+        if (el) el.innerText = value;
+    };
+    if (complexity.time) {
+        set('timeBest', complexity.time.best || "?");
+        set('timeAvg', complexity.time.average || "?");
+        set('timeWorst', complexity.time.worst || "?");
+        set('timeDesc', complexity.time.desc || "");
+    }
+    if (complexity.space) {
+        set('spaceBest', complexity.space.best || "?");
+        set('spaceAvg', complexity.space.average || "?");
+        set('spaceWorst', complexity.space.worst || "?");
+        set('spaceDesc', complexity.space.desc || "");
+    }
+}
+
+// The model's own plagiarism opinion; shown beside the similarity score, never colours it
+function renderPlagiarism(verdict) {
+    const plagiarismCheck = document.getElementById('plagiarismCheck');
+    if (!plagiarismCheck) return;
+    plagiarismCheck.innerHTML = `<i class="fas fa-robot"></i> AI verdict: ${escapeHtml(verdict || 'Data Missing')}`;
+}
+
+function renderFinalCode(finalCode) {
+    const outputBox = document.getElementById('outputCode');
+    // Per-file output owns the panel once it has arrived
+    if (outputBox && outputState.files.length < 2) {
+        outputBox.value = finalCode || "";
+        renderEditor('outputCode');
+    }
+}
+
+// Fixed code per file: { name, source, code }, shown one tab at a time
+const outputState = { files: [], active: 0 };
+
+function renderFinalFiles(files) {
+    outputState.files = Array.isArray(files) ? files.filter(f => f && typeof f.code === 'string') : [];
+    outputState.active = 0;
+    if (outputState.files.length > 1) showOutputFile(0);
+    else renderOutputTabs();
+}
+
+function showOutputFile(index) {
+    const file = outputState.files[index];
+    const outputBox = document.getElementById('outputCode');
+    if (!file || !outputBox) return;
+    outputState.active = index;
+    outputBox.value = file.code;
+    renderEditor('outputCode');
+    renderOutputTabs();
+}
+
+function renderOutputTabs() {
+    const strip = document.getElementById('outputTabs');
+    if (!strip) return;
+    if (outputState.files.length < 2) {
+        strip.style.display = 'none';
+        strip.innerHTML = "";
+        return;
+    }
+    strip.style.display = 'flex';
+    strip.innerHTML = outputState.files.map((f, i) => {
+        const name = f.name || f.source || `file${i + 1}`;
+        const renamed = f.source && f.source !== name ? `<span class="file-tab-source">← ${escapeHtml(f.source)}</span>` : '';
+        return `<div class="file-tab${i === outputState.active ? ' active' : ''}" onclick="showOutputFile(${i})"><span>${escapeHtml(name)}</span>${renamed}</div>`;
+    }).join("");
+}
+
+// Fill the panel for one top-level field of the assessment JSON
+function renderAssessmentSection(name, value, inputFiles) {
+    switch (name) {
+        case 'detected_language': {
+            const detectedBadge = document.getElementById('detectedLang');
+            if (detectedBadge) detectedBadge.innerText = value || "Unknown";
+            break;
+        }
+        case 'quality_score': {
+            const qualityScoreDisplay = document.getElementById('qualityScoreDisplay');
+            if (qualityScoreDisplay) qualityScoreDisplay.innerHTML = value === null || value === undefined
+                ? `<i class="fas fa-star-half-stroke"></i> Quality Score: --/100 <span class="field-flag">not provided</span>`
+                : `<i class="fas fa-star"></i> Quality Score: ${escapeHtml(value)}/100`;
+            break;
+        }
+        case 'integrity_check': {
+            const integrityBadge = document.getElementById('integrityCheck');
+            if (integrityBadge) integrityBadge.innerText = "Integrity: " + (value || "--");
+            break;
+        }
+        case 'plagiarism_check':
+            renderPlagiarism(value);
+            break;
+        case 'similarity':
+            renderSimilarity(value, bundleFiles(inputFiles));
+            break;
+        case 'error_table':
+            renderErrorTable(value, inputFiles);
+            break;
+        case 'final_code':
+            renderFinalCode(value);
+            break;
+        case 'final_files':
+            renderFinalFiles(value);
+            break;
+        case 'code_explanation':
+            renderExplanation(value);
+            break;
+        case 'complexity':
+            renderComplexity(value);
+            break;
+    }
+}
+
+function renderAssessmentFailure(message, reason) {
+    const outputBox = document.getElementById('outputCode');
+    const explanationTableBody = document.querySelector('#explanationTable tbody');
+    const complianceStatus = document.getElementById('complianceStatus');
+
+    renderFinalFiles(null);
+    if (outputBox) outputBox.value = message;
+    renderEditor('outputCode');
+    if (explanationTableBody) explanationTableBody.innerHTML = `<tr><td colspan="2" style="color:var(--accent-color); text-align:center;">Analysis failed.</td></tr>`;
+    
+    if(complianceStatus) {
+        complianceStatus.innerHTML = `<i class="fas fa-times-circle"></i> Compliance Status: FAILED (${reason})`;
+        complianceStatus.classList.add('compliance-fail');
+    }
+}
+
+// Final pass once the whole, validated JSON is in
+function finalizeAssessment(data, inputFiles) {
+    const complianceStatus = document.getElementById('complianceStatus');
+
+    ['detected_language', 'quality_score', 'integrity_check', 'plagiarism_check', 'similarity',
+     'error_table', 'final_files', 'final_code', 'code_explanation', 'complexity'].forEach(name => {
+        renderAssessmentSection(name, data[name], inputFiles);
+    });
+    renderValidationNotice(data.validation);
+    renderProfileNote(data);
+    renderRecordingSummary(data.session_recording);
+
+    if(complianceStatus) {
+        // Only test cases can show the fix works (see applyTestCompliance)
+        if (data.final_code && data.final_code.trim().length > 0) {
+             complianceStatus.innerHTML = `<i class="fas fa-circle-question"></i> Compliance Status: UNVERIFIED (fixed code returned, no tests run)`;
+        } else {
+             complianceStatus.innerHTML = `<i class="fas fa-exclamation-triangle"></i> Compliance Status: FAIL (Empty Output)`;
+             complianceStatus.classList.add('compliance-fail');
+        }
+    }
+    
+    lastReportData = {
+        ...data,
+        original_code: bundleFiles(inputFiles),
+        files: inputFiles,
+        compliance_status: complianceStatus ? complianceStatus.innerText : "N/A",
+        time_analysis: getComplexityText(),
+        error_log_text: getErrorLogText(),
+        explanation_text: getExplanationTableText(),
+        maintainability_index: data.maintainability_index ?? '--',
+        readability_score: data.readability_score ?? '--',
+    };
+
+    const diffPanel = document.getElementById('diffPanel');
+    if (diffPanel && diffPanel.style.display !== 'none') renderDiffView();
+    refreshChatScope();
+}
+
+// Which profile produced the score, next to the score itself
+function renderProfileNote(data) {
+    const qualityScoreDisplay = document.getElementById('qualityScoreDisplay');
+    if (!qualityScoreDisplay || !data.profile) return;
+    const basis = data.score_basis === 'weighted' ? 'weighted' : 'model score';
+    qualityScoreDisplay.innerHTML += ` <span class="field-flag" title="Severity threshold: ${escapeHtml(data.profile.severity_threshold || 'info')}">${escapeHtml(data.profile.name || 'Profile')} · ${basis}</span>`;
+}
+
+const VALIDATION_LABELS = {
+    ...SECTION_LABELS,
+    maintainability_index: "Maintainability index",
+    readability_score: "Readability score",
+    target_complexity: "Target complexity",
+    final_files: "Fixed files",
+    target_lang: "Target language"
+};
+
+// Fields the server nulled, trimmed or filled in because the AI reply broke the schema
+function renderValidationNotice(validation) {
+    const notice = document.getElementById('validationNotice');
+    if (!notice) return;
+    const fields = Object.entries((validation && validation.fields) || {});
+
+    if (!fields.length) {
+        notice.style.display = validation && validation.repaired ? 'block' : 'none';
+        notice.className = 'validation-bar validation-ok';
+        notice.innerHTML = `<i class="fas fa-wrench"></i> AI response passed schema checks after a repair request`;
+        return;
+    }
+
+    const describe = { missing: "missing", invalid: "invalid, not shown", defaulted: "not given, filled from the request" };
+    notice.className = 'validation-bar';
+    notice.style.display = 'block';
+    notice.innerHTML = `<i class="fas fa-triangle-exclamation"></i> AI response check: ` +
+        fields.map(([name, status]) => `<span class="field-flag" title="${escapeHtml((validation.problems || []).filter(p => p.startsWith(name)).join('\n'))}">${escapeHtml(VALIDATION_LABELS[name] || name)}: ${escapeHtml(describe[status] || status)}</span>`).join(' ');
+}
+
+// --- Progress Card ---
+
+function showAssessmentProgress() {
+    const card = document.getElementById('assessmentProgress');
+    const log = document.getElementById('progressLog');
+    const cancelBtn = document.getElementById('cancelAssessmentBtn');
+    if (!card) return;
+
+    clearTimeout(card._hideTimer);
+    if (log) log.innerHTML = "";
+    if (cancelBtn) cancelBtn.style.display = "";
+    card.classList.remove('progress-done', 'progress-failed');
+    setAssessmentStage("Preparing assessment...");
+    card.style.display = "flex";
+}
+
+function setAssessmentStage(text) {
+    const stage = document.getElementById('progressStage');
+    if (stage) stage.innerText = text;
+}
+
+// kind: 'info' | 'warn' | 'error' | 'ok'
+function logAssessmentProgress(text, kind = 'info') {
+    const log = document.getElementById('progressLog');
+    if (!log) return;
+    log.innerHTML += `<div class="progress-entry progress-${kind}">${escapeHtml(text)}</div>`;
+    log.scrollTop = log.scrollHeight;
+}
+
+function finishAssessmentProgress(text, failed) {
+    const card = document.getElementById('assessmentProgress');
+    const cancelBtn = document.getElementById('cancelAssessmentBtn');
+    if (!card) return;
+
+    setAssessmentStage(text);
+    if (cancelBtn) cancelBtn.style.display = "none";
+    card.classList.add(failed ? 'progress-failed' : 'progress-done');
+    card._hideTimer = setTimeout(() => { card.style.display = "none"; }, failed ? 6000 : 2500);
+}
+
+const SECTION_LABELS = {
+    detected_language: "Detected language",
+    quality_score: "Quality score",
+    integrity_check: "Integrity check",
+    plagiarism_check: "Plagiarism check",
+    error_table: "Error table",
+    final_code: "Fixed code",
+    code_explanation: "Line-by-line explanation",
+    complexity: "Complexity analysis"
+};
+
+// "gemini-2.0-flash", or "mock/mock-1" for non-Gemini providers
+function modelLabel(evt) {
+    const model = String(evt.model || '').replace('models/', '');
+    return evt.provider && evt.provider !== 'gemini' ? `${evt.provider}/${model}` : model;
+}
+
+// Abort the fetch and tell the server to stop trying models
+async function cancelAssessment() {
+    if (!currentAssessment) return;
+    const { controller, requestId } = currentAssessment;
+    setAssessmentStage("Cancelling...");
+    try {
+        await fetch('/cancel_assessment', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ request_id: requestId })
+        });
+    } catch (err) {
+        console.error("Cancel request failed", err);
+    }
+    controller.abort();
+}
+
+async function handleAssessment() {
+    // Snapshot of the file set; markers and the report refer to this
+    const inputFiles = getWorkspaceFiles();
+    const inputCode = bundleFiles(inputFiles);
+    const targetLang = document.getElementById('targetLang') ? document.getElementById('targetLang').value : document.getElementById('languageSelect').value;
+    
+    // Safety check for candidateId - if element doesn't exist, use 'N/A'
+    const candidateIdEl = document.getElementById('candidateId');
+    const candidateId = candidateIdEl ? candidateIdEl.value.trim() : 'N/A';
+
+    const runBtn = document.getElementById('convertBtn');
+
+    if (!inputCode.trim()) return alert("Please input candidate code.");
+    if (currentAssessment) return;
+
+    const requestId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    currentAssessment = { controller: new AbortController(), requestId };
+
+    if (runBtn) runBtn.disabled = true;
+    resetAssessmentPanels();
+    showAssessmentProgress();
+
+    let finished = false;
+
+    try {
+        const response = await fetch('/process_code', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ 
+                code: inputCode, 
+                files: inputFiles,
+                target_lang: targetLang,
+                candidate_id: candidateId,
+                project_id: currentProject && !isLocalProjectId(currentProject.id) ? currentProject.id : null,
+                profile_id: selectedProfileId(),
+                recording: sessionRecordingPayload(),
+                stream: true,
+                request_id: requestId
+            }),
+            signal: currentAssessment.controller.signal
+        });
+
+        if (!response.ok || !response.body) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || data.detail || response.statusText);
+        }
+
+        await readNdjsonStream(response, (evt) => {
+            switch (evt.type) {
+                case 'stage':
+                    setAssessmentStage(evt.message);
+                    break;
+                case 'model':
+                    setAssessmentStage(`Trying ${modelLabel(evt)} (${evt.attempt}/${evt.total})`);
+                    logAssessmentProgress(`→ ${modelLabel(evt)}`);
+                    break;
+                case 'fallback':
+                    logAssessmentProgress(`${modelLabel(evt)} [${evt.reason}]: ${evt.message}`, evt.reason === 'parse' ? 'error' : 'warn');
+                    break;
+                case 'similarity':
+                    renderSimilarity(evt.data, bundleFiles(inputFiles));
+                    logAssessmentProgress(evt.data.score === null
+                        ? `✓ Similarity: too little code to fingerprint`
+                        : `✓ Similarity: ${evt.data.score}% against ${evt.data.compared} stored submission(s)`, 'ok');
+                    break;
+                case 'repair':
+                    setAssessmentStage(`Repairing ${modelLabel(evt)} reply...`);
+                    logAssessmentProgress(`${modelLabel(evt)} reply failed ${evt.problems.length} schema check(s); asking for a repair`, 'warn');
+                    break;
+                case 'local':
+                    // Rule-based findings land before the model has answered
+                    renderErrorTable(evt.findings, inputFiles);
+                    if (evt.language !== 'Unknown') renderAssessmentSection('detected_language', evt.language, inputFiles);
+                    logAssessmentProgress(`✓ Local checks: ${evt.findings.length} finding(s)`, 'ok');
+                    break;
+                case 'section':
+                    renderAssessmentSection(evt.name, evt.value, inputFiles);
+                    if (SECTION_LABELS[evt.name]) logAssessmentProgress(`✓ ${SECTION_LABELS[evt.name]}`, 'ok');
+                    break;
+                case 'result':
+                    finished = true;
+                    finalizeAssessment(evt.data, inputFiles);
+                    lastReportData.candidate_id = candidateId;
+                    if (testState.cases.length) runTestCases();
+                    attachAssessmentToSession(evt.data.assessment_id);
+                    finishAssessmentProgress(`Done · ${modelLabel(evt)}`, false);
+                    break;
+                case 'cancelled':
+                    finished = true;
+                    renderAssessmentFailure("Assessment cancelled.", "Cancelled");
+                    finishAssessmentProgress("Assessment cancelled", true);
+                    break;
+                case 'error':
+                    finished = true;
+                    renderAssessmentFailure("Error: " + evt.message, "Backend Error");
+                    logAssessmentProgress(evt.message, 'error');
+                    finishAssessmentProgress("Assessment failed", true);
+                    break;
+            }
+        });
+
+        if (!finished) throw new Error("Stream ended before a result was received.");
+    } catch (err) {
+        if (err.name === 'AbortError') {
+            renderAssessmentFailure("Assessment cancelled.", "Cancelled");
+            finishAssessmentProgress("Assessment cancelled", true);
+        } else if (!finished) {
+            renderAssessmentFailure("System Connection Error. Ensure backend is running.\n\n" + err, "System Error");
+            finishAssessmentProgress("Connection error", true);
+        }
+    } finally {
+        currentAssessment = null;
+        if (runBtn) runBtn.disabled = false;
+    }
+}
+
+// --- Code Similarity ---
+
+// result: server similarity payload; code: the submission it was computed for;
+// selected: index into result.matches; theirCode: that match's source
+const similarityState = { result: null, code: "", selected: null, theirCode: "" };
+const SIMILARITY_REGION_COLORS = 6;
+
+// Fingerprint score colours the bar; the AI verdict next to it is a secondary signal.
+// undefined = still running, null = not checked
+function renderSimilarity(similarity, code) {
+    const bar = document.getElementById('plagiarismBar');
+    const label = document.getElementById('similarityCheck');
+    const matchesBtn = document.getElementById('similarityMatchesBtn');
+    similarityState.result = similarity || null;
+    if (code !== undefined) similarityState.code = code;
+    similarityState.selected = null;
+    if (!bar || !label) return;
+
+    bar.classList.remove('plagiarism-high', 'plagiarism-medium', 'plagiarism-low');
+    if (matchesBtn) matchesBtn.style.display = similarity && similarity.matches && similarity.matches.length ? '' : 'none';
+
+    if (similarity === undefined) {
+        label.innerHTML = `<i class="fas fa-fingerprint"></i> Similarity: Analyzing...`;
+    } else if (!similarity || similarity.score === null || similarity.score === undefined) {
+        label.innerHTML = `<i class="fas fa-fingerprint"></i> Similarity: not checked${similarity ? ' (too little code to fingerprint)' : ''}`;
+    } else {
+        const top = similarity.matches[0];
+        label.innerHTML = `<i class="fas fa-fingerprint"></i> Similarity: ${similarity.score}%` +
+            (top ? ` · top match: ${escapeHtml(top.label)}` : ` · no overlap with ${similarity.compared} stored submission(s)`);
+        bar.classList.add(`plagiarism-${similarity.level || 'low'}`);
+    }
+}
+
+function toggleSimilarityPanel() {
+    const panel = document.getElementById('similarityPanel');
+    if (!panel) return;
+    const open = panel.style.display !== 'flex';
+    panel.style.display = open ? 'flex' : 'none';
+    if (open) {
+        renderSimilarityMatches();
+        if (similarityState.result && similarityState.result.matches.length && similarityState.selected === null) selectSimilarityMatch(0);
+    }
+}
+
+// Compare whatever is in the editor now, without an AI run
+async function recheckSimilarity() {
+    const { code, files } = getEditorCodeAndLanguage();
+    if (!code.trim()) return alert("Please input candidate code.");
+    const candidateIdEl = document.getElementById('candidateId');
+    try {
+        const res = await fetch('/similarity_check', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                code,
+                files,
+                project_id: currentProject && !isLocalProjectId(currentProject.id) ? currentProject.id : null,
+                candidate_id: candidateIdEl ? candidateIdEl.value.trim() : null
+            })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.detail || res.statusText);
+        similarityState.result = data;
+        similarityState.code = code;
+        similarityState.selected = null;
+        renderSimilarityMatches();
+        if (data.matches.length) selectSimilarityMatch(0);
+    } catch (err) {
+        alert(`Similarity check failed: ${err.message}`);
+    }
+}
+
+function renderSimilarityMatches() {
+    const body = document.querySelector('#similarityTable tbody');
+    const summary = document.getElementById('similaritySummary');
+    const result = similarityState.result;
+    if (summary) {
+        summary.innerText = result && result.score !== null
+            ? `${result.score}% (${result.level}) · ${result.compared} stored submission(s) compared · ${result.fingerprints} fingerprints`
+            : "";
+    }
+    if (!body) return;
+
+    if (!result || !result.matches || !result.matches.length) {
+        body.innerHTML = `<tr><td colspan="6" style="text-align:center; opacity:0.5; padding: 20px;">${result ? 'No matching submissions.' : 'Run an assessment or re-check the editor code.'}</td></tr>`;
+        renderSimilarityCompare();
+        return;
+    }
+    body.innerHTML = result.matches.map((m, i) => `
+        <tr class="${i === similarityState.selected ? 'sim-selected' : ''}" onclick="selectSimilarityMatch(${i})" style="cursor:pointer;">
+            <td>${escapeHtml(m.label)}</td>
+            <td>${m.kind === 'project' ? 'Project' : 'Assessment'}</td>
+            <td>${escapeHtml(m.candidate_id || '--')}</td>
+            <td>${escapeHtml(formatTimestamp(m.created_at))}</td>
+            <td><span class="sim-score sim-${similarityLevelOf(m.score)}">${m.score}%</span></td>
+            <td>${m.their_score}%</td>
+        </tr>`).join("");
+}
+
+// Mirrors SIMILARITY_LEVELS in run.py
+function similarityLevelOf(score) {
+    return score >= 60 ? 'high' : score >= 30 ? 'medium' : 'low';
+}
+
+async function selectSimilarityMatch(index) {
+    const match = similarityState.result && similarityState.result.matches[index];
+    if (!match) return;
+    similarityState.selected = index;
+    similarityState.theirCode = null;
+    renderSimilarityMatches();
+    renderSimilarityCompare();
+
+    try {
+        const url = match.kind === 'project' ? `/projects/${match.id}` : `/assessments/${match.id}`;
+        const res = await fetch(url);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.detail || res.statusText);
+        if (similarityState.selected !== index) return;
+        similarityState.theirCode = match.kind === 'project' ? (data.project.code || "") : (data.assessment.input_code || "");
+    } catch (err) {
+        similarityState.theirCode = `// Could not load this submission: ${err.message}`;
+    }
+    renderSimilarityCompare();
+}
+
+// Side by side, each matching region in its own colour on both sides
+function renderSimilarityCompare() {
+    const ours = document.getElementById('similarityOurs');
+    const theirs = document.getElementById('similarityTheirs');
+    const regionsBar = document.getElementById('similarityRegions');
+    const match = similarityState.result && similarityState.selected !== null ? similarityState.result.matches[similarityState.selected] : null;
+    if (!ours || !theirs) return;
+
+    if (!match) {
+        ours.innerHTML = theirs.innerHTML = "";
+        if (regionsBar) regionsBar.innerHTML = "";
+        return;
+    }
+
+    const pane = (code, side) => {
+        const color = {};
+        match.regions.forEach((r, i) => {
+            for (let line = r[side][0]; line <= r[side][1]; line++) if (color[line] === undefined) color[line] = i % SIMILARITY_REGION_COLORS;
+        });
+        return String(code).split('\n').map((text, i) => {
+            const n = i + 1;
+            const cls = color[n] !== undefined ? ` sim-hit sim-hit-${color[n]}` : '';
+            return `<div class="sim-line${cls}" data-line="${n}"><span class="sim-ln">${n}</span>${escapeHtml(text) || ' '}</div>`;
+        }).join("");
+    };
+
+    ours.innerHTML = pane(similarityState.code, 'a');
+    theirs.innerHTML = similarityState.theirCode === null ? `<div class="batch-note">Loading...</div>` : pane(similarityState.theirCode, 'b');
+    if (regionsBar) {
+        regionsBar.innerHTML = match.regions.map((r, i) =>
+            `<button class="copy-btn sim-region sim-hit-${i % SIMILARITY_REGION_COLORS}" onclick="jumpToSimilarityRegion(${i})">Lines ${r.a[0]}-${r.a[1]} ↔ ${r.b[0]}-${r.b[1]}</button>`
+        ).join("");
+    }
+}
+
+function jumpToSimilarityRegion(index) {
+    const match = similarityState.result.matches[similarityState.selected];
+    const region = match && match.regions[index];
+    if (!region) return;
+    [['similarityOurs', region.a[0]], ['similarityTheirs', region.b[0]]].forEach(([id, line]) => {
+        const pane = document.getElementById(id);
+        const row = pane && pane.querySelector(`[data-line="${line}"]`);
+        if (row) pane.scrollTop = row.offsetTop - pane.offsetTop - 20;
+    });
+}
+
+// --- Assessment Profiles ---
+
+// profiles: [{ id, name, categories: [key], weights: { key: n }, severity_threshold, plagiarism_check }]
+// categories: checklist catalogue from the server; draft: profile being edited
+const profileState = { profiles: [], categories: [], draft: null };
+
+async function loadAssessmentProfiles() {
+    try {
+        const res = await fetch('/assessment-profiles');
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.detail || res.statusText);
+        profileState.profiles = data.profiles || [];
+        profileState.categories = data.categories || [];
+    } catch (err) {
+        console.error("Profile load failed:", err);
+    }
+    const saved = await getDraft("assessmentProfile").catch(() => null);
+    renderProfileSelect(saved);
+}
+
+function renderProfileSelect(selectId) {
+    const select = document.getElementById('assessmentProfile');
+    if (!select) return;
+    const current = selectId ?? select.value;
+    select.innerHTML = profileState.profiles.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join("");
+    if (profileState.profiles.some(p => String(p.id) === String(current))) select.value = current;
+}
+
+function selectedProfileId() {
+    const select = document.getElementById('assessmentProfile');
+    const id = parseInt(select && select.value, 10);
+    return Number.isFinite(id) ? id : null;
+}
+
+function rememberProfile() {
+    putDraft("assessmentProfile", selectedProfileId()).catch(() => {});
+}
+
+function toggleProfilesPanel() {
+    const panel = document.getElementById('profilesPanel');
+    if (!panel) return;
+    const open = panel.style.display !== 'flex';
+    panel.style.display = open ? 'flex' : 'none';
+    if (open) editProfile(selectedProfileId());
+}
+
+// id null starts a new profile from the catalogue with every category on
+function editProfile(id) {
+    const profile = profileState.profiles.find(p => String(p.id) === String(id));
+    profileState.draft = profile
+        ? { ...profile, categories: [...profile.categories], weights: { ...profile.weights } }
+        : {
+            id: null,
+            name: "New profile",
+            categories: profileState.categories.map(c => c.key),
+            weights: Object.fromEntries(profileState.categories.map(c => [c.key, 10])),
+            severity_threshold: "info",
+            plagiarism_check: true
+        };
+    renderProfileEditor();
+}
+
+function renderProfileEditor() {
+    const draft = profileState.draft;
+    const select = document.getElementById('profileEditorSelect');
+    const body = document.querySelector('#profileCategoryTable tbody');
+    if (!draft || !body) return;
+
+    if (select) {
+        select.innerHTML = profileState.profiles.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join("") +
+            (draft.id ? "" : `<option value="" selected>(new profile)</option>`);
+        if (draft.id) select.value = draft.id;
+    }
+    document.getElementById('profileName').value = draft.name;
+    document.getElementById('profileThreshold').value = draft.severity_threshold;
+    document.getElementById('profilePlagiarism').checked = draft.plagiarism_check !== false;
+
+    body.innerHTML = profileState.categories.map(c => {
+        const on = draft.categories.includes(c.key);
+        return `<tr class="${on ? '' : 'profile-off'}">
+            <td><input type="checkbox" ${on ? 'checked' : ''} onchange="toggleProfileCategory('${c.key}', this.checked)"></td>
+            <td>${escapeHtml(c.label)}</td>
+            <td class="profile-items">${c.items.map(escapeHtml).join('<br>')}</td>
+            <td><input class="candidate-input rubric-weight" type="number" min="0" value="${escapeHtml(draft.weights[c.key] ?? 0)}" ${on ? '' : 'disabled'}
+                oninput="profileState.draft.weights['${c.key}'] = Number(this.value)"></td>
+        </tr>`;
+    }).join("");
+}
+
+function toggleProfileCategory(key, on) {
+    const draft = profileState.draft;
+    draft.categories = on ? [...draft.categories, key] : draft.categories.filter(k => k !== key);
+    if (on && !draft.weights[key]) draft.weights[key] = 10;
+    renderProfileEditor();
+}
+
+async function saveProfile() {
+    const draft = profileState.draft;
+    if (!draft) return;
+    draft.name = document.getElementById('profileName').value.trim() || draft.name;
+    draft.severity_threshold = document.getElementById('profileThreshold').value;
+    draft.plagiarism_check = document.getElementById('profilePlagiarism').checked;
+    if (!draft.categories.length) return alert("Pick at least one checklist category.");
+
+    try {
+        const res = await fetch('/save-assessment-profile', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(draft)
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.detail || res.statusText);
+        await loadAssessmentProfiles();
+        renderProfileSelect(data.id);
+        rememberProfile();
+        editProfile(data.id);
+        showProjectToast(`Profile "${draft.name}" saved`);
+    } catch (err) {
+        alert(`Could not save profile: ${err.message}`);
+    }
+}
+
+async function deleteProfile() {
+    const draft = profileState.draft;
+    if (!draft || !draft.id) return;
+    if (!confirm(`Delete profile "${draft.name}"? Past assessments keep the settings they ran with.`)) return;
+
+    try {
+        const res = await fetch('/delete-assessment-profile', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id: draft.id })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.detail || res.statusText);
+        await loadAssessmentProfiles();
+        rememberProfile();
+        editProfile(selectedProfileId());
+    } catch (err) {
+        alert(`Could not delete profile: ${err.message}`);
+    }
+}
+
+// --- Session Recording ---
+
+// While recording, every change to the submission editor is logged as
+// { t, k, f, p, d, i } (ms since start, kind, file, offset, chars removed,
+// text inserted); see SESSION RECORDING in run.py. files is what each file
+// held at the last logged event, so the next change can be diffed against it.
+const RECORDING_MAX_EVENTS = 20000;      // mirrors MAX_RECORDING_EVENTS
+const RECORDING_MAX_CHARS = 1500000;     // inserted text; keeps the upload under MAX_RECORDING_BYTES
+const RECORDING_COPY_MEMORY = 20;        // in-app copies remembered to tell where a paste came from
+
+const recorder = {
+    on: false, startedAt: null, start: 0, stoppedAt: 0,
+    initial: {}, files: {}, events: [], chars: 0, truncated: false,
+    pending: null,      // { origin, rich } of the paste/drop the next input event applies
+    copies: [],         // [{ text, origin }] newest first
+    dragFromEditor: false
+};
+
+// Where a copy made in the app came from: the submission, the fixed code, chat or anywhere else
+function copyOrigin(el) {
+    if (!el || !el.closest) return 'page';
+    if (el.closest('#inputCode')) return 'editor';
+    if (el.closest('#outputCode, #outputTabs')) return 'fixed';
+    if (el.closest('#chatWidget')) return 'chat';
+    return 'page';
+}
+
+function normalizeClipText(text) {
+    return String(text || "").replace(/\r\n/g, '\n').trim();
+}
+
+function noteAppCopy(text, origin) {
+    text = normalizeClipText(text);
+    if (!text) return;
+    recorder.copies = [{ text, origin }, ...recorder.copies.filter(c => c.text !== text)].slice(0, RECORDING_COPY_MEMORY);
+}
+
+// Selection copies anywhere on the page (copy buttons call noteAppCopy themselves)
+function noteSelectionCopy(event) {
+    const target = event.target instanceof Element ? event.target : null;
+    const text = target && (target.tagName === 'TEXTAREA' || target.tagName === 'INPUT')
+        ? target.value.slice(target.selectionStart, target.selectionEnd)
+        : String(window.getSelection() || "");
+    noteAppCopy(text, copyOrigin(target));
+}
+
+function pasteOrigin(text) {
+    const match = recorder.copies.find(c => c.text === normalizeClipText(text));
+    return match ? match.origin : 'external';
+}
+
+function recordingKind(inputType) {
+    if (!inputType) return 'load';      // synthetic input events come from the app itself
+    if (inputType.startsWith('insertFromPaste')) return 'paste';
+    if (inputType === 'insertFromDrop') return 'drop';
+    if (inputType === 'deleteByCut') return 'cut';
+    if (inputType.startsWith('history')) return 'undo';
+    return 'type';
+}
+
+// Smallest single replacement turning before into after
+function diffText(before, after) {
+    const max = Math.min(before.length, after.length);
+    let start = 0;
+    while (start < max && before[start] === after[start]) start++;
+    let end = 0;
+    while (end < max - start && before[before.length - 1 - end] === after[after.length - 1 - end]) end++;
+    return { p: start, d: before.length - start - end, i: after.slice(start, after.length - end) };
+}
+
+function pushRecordingEvent(event) {
+    if (recorder.events.length >= RECORDING_MAX_EVENTS || recorder.chars + event.i.length > RECORDING_MAX_CHARS) {
+        recorder.truncated = true;
+        stopRecording();
+        showProjectToast("Recording stopped: the session reached the size limit.");
+        return false;
+    }
+    recorder.events.push(event);
+    recorder.chars += event.i.length;
+    return true;
+}
+
+// Log whatever differs from what the recorder last saw, file by file.
+// Typing only touches the active file; app writes (opening a project,
+// restoring a snapshot) can change any of them.
+function recordChanges(kind, extra = {}) {
+    if (!recorder.on) return;
+    syncActiveFile();
+    const t = Date.now() - recorder.start;
+    for (const file of workspace.files) {
+        const before = recorder.files[file.name] ?? "";
+        if (before === file.code) continue;
+        if (!pushRecordingEvent({ t, k: kind, f: file.name, ...diffText(before, file.code), ...extra })) return;
+        recorder.files[file.name] = file.code;
+    }
+}
+
+function recordFileRename(oldName, newName) {
+    if (!recorder.on) return;
+    recordChanges('load');
+    if (!pushRecordingEvent({ t: Date.now() - recorder.start, k: 'rename', f: oldName, p: 0, d: 0, i: newName })) return;
+    recorder.files[newName] = recorder.files[oldName] ?? "";
+    delete recorder.files[oldName];
+}
+
+function initSessionRecorder() {
+    const textarea = document.getElementById('inputCode');
+    if (!textarea) return;
+    document.addEventListener('copy', noteSelectionCopy);
+    document.addEventListener('cut', noteSelectionCopy);
+
+    textarea.addEventListener('paste', (e) => {
+        const data = e.clipboardData;
+        recorder.pending = {
+            o: pasteOrigin(data ? data.getData('text/plain') : ""),
+            r: data && Array.from(data.types || []).includes('text/html') ? 1 : undefined
+        };
+    });
+    textarea.addEventListener('dragstart', () => { recorder.dragFromEditor = true; });
+    textarea.addEventListener('dragend', () => { recorder.dragFromEditor = false; });
+    textarea.addEventListener('drop', (e) => {
+        const data = e.dataTransfer;
+        recorder.pending = { o: recorder.dragFromEditor ? 'editor' : pasteOrigin(data ? data.getData('text/plain') : "") };
+    });
+    // Anything the app wrote since the last edit is logged before the edit itself
+    textarea.addEventListener('beforeinput', () => recordChanges('load'));
+    textarea.addEventListener('input', (e) => {
+        const kind = recordingKind(e.inputType);
+        const extra = (kind === 'paste' || kind === 'drop') && recorder.pending ? recorder.pending : {};
+        recorder.pending = null;
+        recordChanges(kind, extra);
+        renderRecordingControls();
+    });
+    renderRecordingControls();
+}
+
+function toggleRecording() {
+    if (recorder.on) return stopRecording();
+    if (recorder.events.length && !confirm("Discard the current recording and start a new one?")) return;
+
+    syncActiveFile();
+    Object.assign(recorder, {
+        on: true,
+        startedAt: new Date().toISOString(),
+        start: Date.now(),
+        stoppedAt: 0,
+        initial: Object.fromEntries(workspace.files.map(f => [f.name, f.code])),
+        events: [],
+        chars: 0,
+        truncated: false
+    });
+    recorder.files = { ...recorder.initial };
+    renderRecordingControls();
+}
+
+function stopRecording() {
+    if (!recorder.on) return;
+    recordChanges('load');
+    recorder.on = false;
+    recorder.stoppedAt = Date.now();
+    renderRecordingControls();
+}
+
+function renderRecordingControls() {
+    const btn = document.getElementById('recordBtn');
+    const replay = document.getElementById('replayBtn');
+    if (btn) {
+        btn.classList.toggle('recording', recorder.on);
+        btn.innerHTML = recorder.on ? `<i class="fas fa-stop"></i> Stop` : `<i class="fas fa-circle"></i> Record`;
+        btn.title = recorder.on
+            ? `Recording since ${new Date(recorder.startedAt).toLocaleTimeString()} · ${recorder.events.length} edit(s)`
+            : "Record edits and pastes for integrity review";
+    }
+    if (replay) replay.style.display = recorder.startedAt ? '' : 'none';
+}
+
+// Sent with /process_code; the recording keeps running after a submission
+function sessionRecordingPayload() {
+    if (!recorder.startedAt) return null;
+    recordChanges('load');
+    return {
+        version: 1,
+        started_at: recorder.startedAt,
+        duration_ms: (recorder.on ? Date.now() : recorder.stoppedAt) - recorder.start,
+        files: recorder.initial,
+        events: recorder.events.slice(),
+        truncated: recorder.truncated
+    };
+}
+
+function formatRecordingTime(ms) {
+    const seconds = Math.floor((ms || 0) / 1000);
+    return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Mirrors recording_summary_lines() in run.py, one segment at a time
+function recordingSegmentText(s) {
+    const where = s.file ? ` in ${s.file}` : '';
+    if (s.kind === 'paste') {
+        return `[${formatRecordingTime(s.start_ms)}] ${s.dropped ? 'Dropped' : 'Pasted'} ${s.chars} chars / ${s.lines} lines${where} from ${s.origin || 'external'}` +
+            (s.rich ? ' (rich text)' : '');
+    }
+    return `[${formatRecordingTime(s.start_ms)}-${formatRecordingTime(s.end_ms)}] Typing burst: ${s.chars} chars at ${s.cps} chars/s${where}`;
+}
+
+function recordingText(summary) {
+    if (!summary) return null;
+    const segments = summary.segments || [];
+    return `${summary.paste_share}% pasted from outside the app (${summary.level}), ` +
+        `${segments.filter(s => s.kind === 'paste').length} large paste(s), ${segments.filter(s => s.kind === 'burst').length} typing burst(s)` +
+        (summary.matches_submission === false ? ', submission differs from the recording' : '');
+}
+
+// Summary bar under the similarity score; segments open playback at that moment
+function renderRecordingSummary(summary) {
+    const bar = document.getElementById('recordingBar');
+    if (!bar) return;
+    bar.classList.remove('plagiarism-high', 'plagiarism-medium', 'plagiarism-low');
+    if (!summary) {
+        bar.style.display = 'none';
+        bar.innerHTML = "";
+        return;
+    }
+    bar.style.display = 'flex';
+    bar.classList.add(`plagiarism-${summary.level || 'low'}`);
+    bar.innerHTML = `<span><i class="fas fa-keyboard"></i> Session: ${escapeHtml(recordingText(summary))}</span>
+        <button class="copy-btn similarity-btn" onclick="openPlayback()" title="Replay the recorded session"><i class="fas fa-play"></i> Replay</button>
+        ${(summary.segments || []).length ? `<div class="recording-segments">${summary.segments.map(s =>
+            `<span class="field-flag recording-flag" onclick="openPlayback(${s.start_ms})" title="Replay from here">${escapeHtml(recordingSegmentText(s))}</span>`).join("")}</div>` : ''}`;
+}
+
+// --- Session Playback ---
+
+// Replays a recording into a read-only view. checkpoints hold copies of
+// the file map every PLAYBACK_CHECKPOINT events so scrubbing stays cheap.
+const PLAYBACK_CHECKPOINT = 250;
+const PLAYBACK_TICK_MS = 100;
+const PLAYBACK_IDLE_MS = 3000;        // longer pauses are skipped when "Skip pauses" is on
+
+const playback = { recording: null, summary: null, events: [], checkpoints: [], duration: 0, time: 0, timer: null };
+
+// Same rules as replay_recording() in run.py
+function applyRecordingEvent(files, e) {
+    if (e.k === 'rename') {
+        files[e.i] = files[e.f] ?? "";
+        delete files[e.f];
+        return;
+    }
+    const text = files[e.f] ?? "";
+    files[e.f] = text.slice(0, e.p) + e.i + text.slice(e.p + e.d);
+}
+
+// start: ms into the session to open at. Unless live is set, the stored
+// recording of the open assessment is used when there is one.
+async function openPlayback(start = 0, live = false) {
+    const assessmentId = live ? null : lastReportData.assessment_id;
+    let recording = null, summary = null;
+    if (assessmentId && lastReportData.session_recording) {
+        try {
+            const res = await fetch(`/assessments/${assessmentId}/recording`);
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.detail || res.statusText);
+            recording = data.recording;
+            summary = data.summary;
+        } catch (err) {
+            return alert(`Could not load the recording: ${err.message}`);
+        }
+    } else {
+        recording = sessionRecordingPayload();
+    }
+    if (!recording) return alert("Nothing has been recorded yet.");
+    showPlayback(recording, summary, start, summary ? `Assessment #${assessmentId}` : "Current session");
+}
+
+async function openAssessmentPlayback(id) {
+    try {
+        const res = await fetch(`/assessments/${id}/recording`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.detail || res.statusText);
+        showPlayback(data.recording, data.summary, 0, `Assessment #${id}`);
+    } catch (err) {
+        alert(`Could not load the recording: ${err.message}`);
+    }
+}
+
+function showPlayback(recording, summary, start, title) {
+    const events = (Array.isArray(recording.events) ? recording.events : []).slice().sort((a, b) => a.t - b.t);
+    const files = { ...(recording.files || {}) };
+    const checkpoints = [{ ...files }];
+    events.forEach((e, i) => {
+        applyRecordingEvent(files, e);
+        if ((i + 1) % PLAYBACK_CHECKPOINT === 0) checkpoints.push({ ...files });
+    });
+    Object.assign(playback, {
+        recording, summary, events, checkpoints,
+        duration: Math.max(recording.duration_ms || 0, events.length ? events[events.length - 1].t : 0)
+    });
+
+    const panel = document.getElementById('playbackPanel');
+    const titleEl = document.getElementById('playbackTitle');
+    const scrubber = document.getElementById('playbackScrubber');
+    const summaryEl = document.getElementById('playbackSummary');
+    if (!panel) return;
+    if (titleEl) titleEl.innerText = title;
+    if (scrubber) scrubber.max = playback.duration;
+    if (summaryEl) {
+        summaryEl.innerText = summary ? recordingText(summary)
+            : `${events.length} edit(s) · ${formatRecordingTime(playback.duration)} recorded · not assessed yet`;
+    }
+    renderPlaybackSegments();
+    panel.style.display = 'flex';
+    seekPlayback(start);
+}
+
+function closePlayback() {
+    pausePlayback();
+    const panel = document.getElementById('playbackPanel');
+    if (panel) panel.style.display = 'none';
+}
+
+// Paste and burst segments as marks above the scrubber
+function renderPlaybackSegments() {
+    const bar = document.getElementById('playbackSegments');
+    if (!bar) return;
+    const span = Math.max(playback.duration, 1);
+    bar.innerHTML = ((playback.summary && playback.summary.segments) || []).map(s => {
+        const left = 100 * s.start_ms / span;
+        const width = Math.max(0.6, 100 * (s.end_ms - s.start_ms) / span);
+        return `<span class="playback-seg seg-${s.kind}" style="left:${left}%; width:${width}%;" title="${escapeHtml(recordingSegmentText(s))}" onclick="seekPlayback(${s.start_ms})"></span>`;
+    }).join("");
+}
+
+// Number of events at or before time
+function playbackIndexAt(time) {
+    let lo = 0, hi = playback.events.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (playback.events[mid].t <= time) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+function seekPlayback(time) {
+    playback.time = Math.max(0, Math.min(Number(time) || 0, playback.duration));
+    renderPlaybackFrame();
+}
+
+function renderPlaybackFrame() {
+    const count = playbackIndexAt(playback.time);
+    const base = Math.floor(count / PLAYBACK_CHECKPOINT);
+    const files = { ...playback.checkpoints[base] };
+    for (let i = base * PLAYBACK_CHECKPOINT; i < count; i++) applyRecordingEvent(files, playback.events[i]);
+
+    const last = count ? playback.events[count - 1] : null;
+    const fileName = last ? (last.k === 'rename' ? last.i : last.f) : Object.keys(files)[0];
+    const text = files[fileName] ?? "";
+
+    const scrubber = document.getElementById('playbackScrubber');
+    const clock = document.getElementById('playbackClock');
+    const fileEl = document.getElementById('playbackFile');
+    const code = document.getElementById('playbackCode');
+    if (scrubber) scrubber.value = playback.time;
+    if (clock) clock.innerText = `${formatRecordingTime(playback.time)} / ${formatRecordingTime(playback.duration)}`;
+    if (fileEl) {
+        fileEl.innerText = `${fileName || DEFAULT_FILE_NAME} · ${count}/${playback.events.length} edits` +
+            (last ? ` · last: ${last.k}${last.o ? ` from ${last.o}` : ''}` : '');
+    }
+    if (!code) return;
+
+    // The latest edit is marked; a deletion shows as a caret
+    if (last && last.k !== 'rename') {
+        const end = last.p + last.i.length;
+        code.innerHTML = escapeHtml(text.slice(0, last.p)) +
+            `<mark class="playback-edit pb-${last.k}">${escapeHtml(last.i) || '<span class="playback-caret"></span>'}</mark>` +
+            escapeHtml(text.slice(end));
+        const mark = code.querySelector('mark');
+        if (mark) code.scrollTop = Math.max(0, mark.offsetTop - code.offsetTop - code.clientHeight / 2);
+    } else {
+        code.textContent = text;
+    }
+}
+
+function togglePlayback() {
+    if (playback.timer) return pausePlayback();
+    if (playback.time >= playback.duration) playback.time = 0;
+    const btn = document.getElementById('playbackPlayBtn');
+    if (btn) btn.innerHTML = `<i class="fas fa-pause"></i>`;
+    playback.timer = setInterval(stepPlayback, PLAYBACK_TICK_MS);
+}
+
+function pausePlayback() {
+    clearInterval(playback.timer);
+    playback.timer = null;
+    const btn = document.getElementById('playbackPlayBtn');
+    if (btn) btn.innerHTML = `<i class="fas fa-play"></i>`;
+}
+
+function stepPlayback() {
+    const speed = Number((document.getElementById('playbackSpeed') || {}).value) || 1;
+    const skipIdle = (document.getElementById('playbackSkipIdle') || {}).checked;
+    let next = playback.time + PLAYBACK_TICK_MS * speed;
+
+    const upcoming = playback.events[playbackIndexAt(playback.time)];
+    if (skipIdle && upcoming && upcoming.t - playback.time > PLAYBACK_IDLE_MS) next = Math.max(next, upcoming.t - PLAYBACK_TICK_MS);
+    seekPlayback(next);
+    if (playback.time >= playback.duration) pausePlayback();
+}
+
+// ==========================================
+// 7. DIFF VIEW (ORIGINAL vs FIXED)
+// ==========================================
+
+// Line-level diff via LCS. Runs of removed lines followed by added lines
+// are paired up as "modified" so the two sides stay aligned.
+function computeLineDiff(oldText, newText) {
+    const a = oldText.split('\n');
+    const b = newText.split('\n');
+    const n = a.length, m = b.length;
+    const same = (i, j) => a[i].trimEnd() === b[j].trimEnd();
+
+    // lcs[i][j] = LCS length of a[i..] and b[j..], flattened
+    const lcs = new Int32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i * (m + 1) + j] = same(i, j)
+                ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+                : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+        }
+    }
+
+    const rows = [];
+    let removed = [], added = [];
+    const flush = () => {
+        const pairs = Math.max(removed.length, added.length);
+        for (let k = 0; k < pairs; k++) {
+            const l = removed[k], r = added[k];
+            rows.push({
+                type: l && r ? 'modified' : (l ? 'removed' : 'added'),
+                leftNo: l ? l.no : null, left: l ? l.text : "",
+                rightNo: r ? r.no : null, right: r ? r.text : ""
+            });
+        }
+        removed = []; added = [];
+    };
+
+    let i = 0, j = 0;
+    while (i < n || j < m) {
+        if (i < n && j < m && same(i, j)) {
+            flush();
+            rows.push({ type: 'equal', leftNo: i + 1, left: a[i], rightNo: j + 1, right: b[j] });
+            i++; j++;
+        } else if (j < m && (i >= n || lcs[i * (m + 1) + j + 1] >= lcs[(i + 1) * (m + 1) + j])) {
+            added.push({ no: j + 1, text: b[j] });
+            j++;
+        } else {
+            removed.push({ no: i + 1, text: a[i] });
+            i++;
+        }
+    }
+    flush();
+    return rows;
+}
+
+// Function/method headers across the languages in #targetLang
+const FUNCTION_PATTERNS = [
+    /^\s*(?:async\s+)?def\s+([A-Za-z_]\w*[?!]?)/,                         // Python, Ruby, Elixir
+    /^\s*(?:export\s+)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$.:]*)/, // JS, TS, PHP, Lua, R-ish
+    /^\s*(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s*)?(?:function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)/,
+    /^\s*([A-Za-z_]\w*)\s*(?:<-|=)\s*function\s*\(/,                      // R, MATLAB-style assignment
+    /^\s*func\s+(?:\([^)]*\)\s*)?([A-Za-z_]\w*)/,                           // Go, Swift
+    /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:async\s+)?fn\s+([A-Za-z_]\w*)/,        // Rust
+    /^\s*(?:[\w@]+\s+)*fun\s+(?:<[^>]*>\s*)?(?:[\w.]+\.)?([A-Za-z_]\w*)/,  // Kotlin
+    /^\s*sub\s+([A-Za-z_]\w*)/,                                             // Perl
+    /^\s*(?:[\w<>\[\],*&:~]+\s+)+\**&?([A-Za-z_~]\w*)\s*\([^;]*$/            // C, C++, Java, C#, Dart
+];
+const NOT_FUNCTIONS = new Set(['if', 'for', 'while', 'switch', 'catch', 'return', 'else', 'new', 'sizeof']);
+
+function findFunctionName(line) {
+    for (const re of FUNCTION_PATTERNS) {
+        const match = line.match(re);
+        if (match && !NOT_FUNCTIONS.has(match[1])) return match[1];
+    }
+    return null;
+}
+
+// Split code into top-level chunk + one block per function header
+function extractFunctionBlocks(code) {
+    const lines = code.split('\n');
+    const blocks = [{ name: null, start: 1, lines: [] }];
+    lines.forEach((line, idx) => {
+        const name = findFunctionName(line);
+        if (name) blocks.push({ name, start: idx + 1, lines: [] });
+        blocks[blocks.length - 1].lines.push(line);
+    });
+    return blocks.filter(b => b.name || b.lines.some(l => l.trim()));
+}
+
+// find_max, findMax and FindMax all pair up
+function normalizeFunctionName(name) {
+    return (name || "").split(/[.:]/).pop().replace(/_/g, "").toLowerCase();
+}
+
+// Structural diff for translated output: functions are paired by name
+// and shown side by side, since a line diff across languages is noise.
+function computeStructuralDiff(oldText, newText) {
+    const left = extractFunctionBlocks(oldText);
+    const right = extractFunctionBlocks(newText);
+    const used = new Set();
+    const pairs = [];
+
+    left.forEach(lb => {
+        const key = normalizeFunctionName(lb.name);
+        const idx = right.findIndex((rb, k) => !used.has(k) && normalizeFunctionName(rb.name) === key);
+        if (idx >= 0) used.add(idx);
+        pairs.push([lb, idx >= 0 ? right[idx] : null]);
+    });
+    right.forEach((rb, k) => { if (!used.has(k)) pairs.push([null, rb]); });
+
+    const rows = [];
+    pairs.forEach(([lb, rb]) => {
+        const label = (b) => b ? (b.name || "(top level)") : "—";
+        rows.push({ type: 'header', left: label(lb), right: label(rb), leftNo: null, rightNo: null });
+        const type = lb && rb ? 'modified' : (lb ? 'removed' : 'added');
+        const count = Math.max(lb ? lb.lines.length : 0, rb ? rb.lines.length : 0);
+        for (let k = 0; k < count; k++) {
+            const hasLeft = lb && k < lb.lines.length;
+            const hasRight = rb && k < rb.lines.length;
+            rows.push({
+                type: hasLeft && hasRight ? type : (hasLeft ? 'removed' : 'added'),
+                leftNo: hasLeft ? lb.start + k : null, left: hasLeft ? lb.lines[k] : "",
+                rightNo: hasRight ? rb.start + k : null, right: hasRight ? rb.lines[k] : ""
+            });
+        }
+    });
+    return rows;
+}
+
+// "Python 3" and "python" are the same language; target_lang is canonical
+function isTranslated(detectedLang, targetLang) {
+    if (!detectedLang || !targetLang) return false;
+    const d = detectedLang.toLowerCase();
+    const t = targetLang.toLowerCase();
+    if (d === t) return false;
+    // "java" is a prefix of "javascript", so compare whole words
+    return !d.split(/[^a-z+#]+/).includes(t);
+}
+
+// Diff for the current report. mode: 'auto' | 'line' | 'structural'
+function buildDiffReport(mode) {
+    const original = lastReportData.original_code || "";
+    const fixed = lastReportData.final_code || "";
+    const resolved = mode && mode !== 'auto'
+        ? mode
+        : (isTranslated(lastReportData.detected_language, lastReportData.target_lang) ? 'structural' : 'line');
+    const rows = resolved === 'structural'
+        ? computeStructuralDiff(original, fixed)
+        : computeLineDiff(original, fixed);
+
+    const stats = { added: 0, removed: 0, modified: 0 };
+    rows.forEach(r => { if (stats[r.type] !== undefined) stats[r.type]++; });
+    return { mode: resolved, rows, stats };
+}
+
+// Wrap the differing middle of a modified pair in <mark>
+function highlightInlineChange(left, right) {
+    let start = 0;
+    while (start < left.length && start < right.length && left[start] === right[start]) start++;
+    let end = 0;
+    while (end < left.length - start && end < right.length - start &&
+           left[left.length - 1 - end] === right[right.length - 1 - end]) end++;
+    const mark = (s) => escapeHtml(s.slice(0, start)) +
+        (s.length - end > start ? `<mark>${escapeHtml(s.slice(start, s.length - end))}</mark>` : "") +
+        escapeHtml(s.slice(s.length - end));
+    return [mark(left), mark(right)];
+}
+
+// Fill a 4-column diff table body from a { mode, rows } diff
+function renderDiffRows(body, diff) {
+    body.innerHTML = diff.rows.map(r => {
+        if (r.type === 'header') {
+            return `<tr class="diff-header"><td colspan="2">${escapeHtml(r.left)}</td><td colspan="2">${escapeHtml(r.right)}</td></tr>`;
+        }
+        let [left, right] = [escapeHtml(r.left), escapeHtml(r.right)];
+        if (r.type === 'modified' && diff.mode === 'line') [left, right] = highlightInlineChange(r.left, r.right);
+        return `<tr class="diff-${r.type}">
+            <td class="diff-ln">${r.leftNo ?? ""}</td><td class="diff-code diff-left">${left}</td>
+            <td class="diff-ln">${r.rightNo ?? ""}</td><td class="diff-code diff-right">${right}</td>
+        </tr>`;
+    }).join("");
+}
+
+function renderDiffView() {
+    const body = document.querySelector('#diffTable tbody');
+    const stats = document.getElementById('diffStats');
+    const modeSelect = document.getElementById('diffMode');
+    if (!body) return;
+
+    if (!lastReportData.final_code) {
+        body.innerHTML = `<tr><td colspan="4" style="text-align:center; opacity:0.5; padding: 20px;">Run assessment to compare original and fixed code.</td></tr>`;
+        if (stats) stats.innerText = "";
+        return;
+    }
+
+    const diff = buildDiffReport(modeSelect ? modeSelect.value : 'auto');
+    if (stats) {
+        stats.innerText = `${diff.mode === 'structural' ? 'Per-function' : 'Line'} · +${diff.stats.added} −${diff.stats.removed} ~${diff.stats.modified}`;
+    }
+    renderDiffRows(body, diff);
+}
+
+// Pop-up diff for comparisons outside the report (e.g. project history)
+function showDiffModal(title, rows, mode) {
+    const modal = document.getElementById('diffModal');
+    const body = document.querySelector('#diffModalTable tbody');
+    if (!modal || !body) return;
+
+    document.getElementById('diffModalTitle').innerText = title;
+    if (rows.every(r => r.type === 'equal')) {
+        body.innerHTML = `<tr><td colspan="4" style="text-align:center; opacity:0.6; padding: 20px;">No differences.</td></tr>`;
+    } else {
+        renderDiffRows(body, { mode, rows });
+    }
+    modal.style.display = 'flex';
+}
+
+function closeDiffModal() {
+    const modal = document.getElementById('diffModal');
+    if (modal) modal.style.display = 'none';
+}
+
+function toggleDiffView() {
+    const panel = document.getElementById('diffPanel');
+    if (!panel) return;
+    const show = panel.style.display === 'none';
+    panel.style.display = show ? 'flex' : 'none';
+    if (show) {
+        renderDiffView();
+        panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+// ==========================================
+// 8. BATCH ASSESSMENT
+// ==========================================
+
+// Source files we pick out of an uploaded folder or zip
+const BATCH_EXTENSIONS = ['py', 'js', 'mjs', 'ts', 'java', 'c', 'h', 'cpp', 'cc', 'hpp', 'cs', 'go', 'rs', 'swift',
+    'kt', 'rb', 'r', 'pl', 'ex', 'exs', 'dart', 'sh', 'php', 'sql', 'lua', 'm'];
+const BATCH_MAX_FILE_BYTES = 200 * 1024;
+const BATCH_MAX_ATTEMPTS = 3;
+const BATCH_RETRY_BASE_MS = 2000;
+
+// item: { id, candidateId, fileName, code, status, attempts, result, error }
+// status: 'queued' | 'running' | 'done' | 'failed'
+const batchState = { items: [], running: false, controller: null, sort: { key: 'candidateId', dir: 1 }, nextId: 1 };
+
+function toggleBatchPanel() {
+    const panel = document.getElementById('batchPanel');
+    if (!panel) return;
+    panel.style.display = panel.style.display === 'flex' ? 'none' : 'flex';
+    if (panel.style.display === 'flex') renderBatchTable();
+}
+
+function isBatchSourceFile(path) {
+    const name = path.split('/').pop();
+    if (!name || name.startsWith('.') || path.includes('__MACOSX/')) return false;
+    const ext = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    return BATCH_EXTENSIONS.includes(ext);
+}
+
+// "alice/solution.py" -> alice; "bob_task1.py" -> bob_task1
+function candidateIdFromPath(parts) {
+    if (parts.length >= 2) return parts[0];
+    return parts[0].replace(/\.[^.]+$/, '');
+}
+
+// Drop a wrapper folder shared by every path (zips and folder uploads both have one)
+function stripCommonRoot(paths) {
+    const split = paths.map(p => p.split('/').filter(Boolean));
+    const root = split.length && split[0].length > 1 ? split[0][0] : null;
+    if (root && split.every(parts => parts.length > 1 && parts[0] === root)) {
+        return split.map(parts => parts.slice(1));
+    }
+    return split;
+}
+
+function addBatchEntries(entries) {
+    const parts = stripCommonRoot(entries.map(e => e.path));
+    entries.forEach((entry, idx) => {
+        batchState.items.push({
+            id: batchState.nextId++,
+            candidateId: candidateIdFromPath(parts[idx]),
+            fileName: parts[idx].join('/'),
+            code: entry.code,
+            status: 'queued',
+            attempts: 0,
+            result: null,
+            error: null
+        });
+    });
+    renderBatchTable();
+}
+
+// <input type="file" multiple> / webkitdirectory / .zip
+async function handleBatchFiles(input) {
+    const files = Array.from(input.files || []);
+    input.value = "";
+    const entries = [];
+    let skipped = 0;
+
+    for (const file of files) {
+        if (file.name.toLowerCase().endsWith('.zip')) {
+            if (typeof JSZip === 'undefined') {
+                alert("Zip support failed to load. Upload a folder instead.");
+                continue;
+            }
+            const zip = await JSZip.loadAsync(file);
+            const zipEntries = [];
+            zip.forEach((path, entry) => { if (!entry.dir) zipEntries.push({ path, entry }); });
+            for (const { path, entry } of zipEntries) {
+                if (!isBatchSourceFile(path)) { skipped++; continue; }
+                const code = await entry.async('string');
+                if (code.length > BATCH_MAX_FILE_BYTES) { skipped++; continue; }
+                entries.push({ path: `${file.name.replace(/\.zip$/i, '')}/${path}`, code });
+            }
+            continue;
+        }
+
+        const path = file.webkitRelativePath || file.name;
+        if (!isBatchSourceFile(path) || file.size > BATCH_MAX_FILE_BYTES) { skipped++; continue; }
+        entries.push({ path, code: await file.text() });
+    }
+
+    addBatchEntries(entries);
+    const status = document.getElementById('batchStatus');
+    if (status) status.innerText = `Added ${entries.length} file(s)` + (skipped ? `, skipped ${skipped} non-source or oversized file(s)` : "");
+}
+
+function updateBatchCandidate(id, value) {
+    const item = batchState.items.find(i => i.id === id);
+    if (item) item.candidateId = value.trim() || item.candidateId;
+}
+
+function removeBatchItem(id) {
+    if (batchState.running) return;
+    batchState.items = batchState.items.filter(i => i.id !== id);
+    renderBatchTable();
+}
+
+function clearBatch() {
+    if (batchState.running) return;
+    batchState.items = [];
+    renderBatchTable();
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// One submission through /process_code, retrying busy/5xx/network failures
+async function assessBatchItem(item, targetLang, signal) {
+    for (let attempt = 1; attempt <= BATCH_MAX_ATTEMPTS; attempt++) {
+        item.status = 'running';
+        item.attempts = attempt;
+        renderBatchTable();
+
+        try {
+            const res = await fetch('/process_code', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ code: item.code, target_lang: targetLang, candidate_id: item.candidateId, profile_id: selectedProfileId() }),
+                signal
+            });
+            const data = await res.json().catch(() => ({}));
+            if (res.ok && data.status !== 'error') {
+                item.result = data;
+                item.error = null;
+                item.status = 'done';
+                renderBatchTable();
+                return;
+            }
+            item.error = data.message || data.detail || res.statusText;
+            // Bad input won't get better on retry
+            if (res.status < 500 && res.status !== 429) break;
+        } catch (err) {
+            if (err.name === 'AbortError') {
+                item.status = 'queued';
+                renderBatchTable();
+                return;
+            }
+            item.error = String(err);
+        }
+        if (attempt < BATCH_MAX_ATTEMPTS) await sleep(BATCH_RETRY_BASE_MS * 2 ** (attempt - 1));
+        if (signal.aborted) break;
+    }
+    item.status = signal.aborted ? 'queued' : 'failed';
+    renderBatchTable();
+}
+
+async function runBatch() {
+    if (batchState.running) return;
+    const pending = batchState.items.filter(i => i.status !== 'done');
+    if (!pending.length) return alert("Nothing to assess. Add files first.");
+
+    const targetLang = document.getElementById('targetLang').value;
+    const concurrencyInput = document.getElementById('batchConcurrency');
+    const concurrency = Math.min(Math.max(parseInt(concurrencyInput ? concurrencyInput.value : 3, 10) || 3, 1), 6);
+
+    batchState.running = true;
+    batchState.controller = new AbortController();
+    pending.forEach(i => { i.status = 'queued'; i.error = null; });
+    renderBatchTable();
+
+    // Fixed pool of workers pulling from a shared cursor
+    let cursor = 0;
+    const worker = async () => {
+        while (cursor < pending.length && !batchState.controller.signal.aborted) {
+            const item = pending[cursor++];
+            await assessBatchItem(item, targetLang, batchState.controller.signal);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+
+    batchState.running = false;
+    batchState.controller = null;
+    renderBatchTable();
+}
+
+function cancelBatch() {
+    if (batchState.controller) batchState.controller.abort();
+}
+
+// --- Dashboard ---
+
+function batchSummary(item) {
+    const r = item.result || {};
+    const complexity = r.complexity || {};
+    return {
+        candidateId: item.candidateId,
+        fileName: item.fileName,
+        status: item.status,
+        score: typeof r.quality_score === 'number' ? r.quality_score : (parseInt(r.quality_score, 10) || null),
+        errors: Array.isArray(r.error_table) ? r.error_table.length : null,
+        similarity: r.similarity && typeof r.similarity.score === 'number' ? r.similarity.score : null,
+        plagiarism: r.plagiarism_check || "",
+        timeWorst: (complexity.time && complexity.time.worst) || "",
+        spaceWorst: (complexity.space && complexity.space.worst) || "",
+        detectedLanguage: r.detected_language || "",
+        error: item.error || ""
+    };
+}
+
+function sortBatch(key) {
+    const sort = batchState.sort;
+    sort.dir = sort.key === key ? -sort.dir : 1;
+    sort.key = key;
+    renderBatchTable();
+}
+
+function renderBatchTable() {
+    const body = document.querySelector('#batchTable tbody');
+    if (!body) return;
+
+    const { key, dir } = batchState.sort;
+    const rows = batchState.items.map(item => ({ item, s: batchSummary(item) }));
+    rows.sort((a, b) => {
+        const x = a.s[key], y = b.s[key];
+        if (x === y) return 0;
+        if (x === null || x === "") return 1;   // blanks last either way
+        if (y === null || y === "") return -1;
+        return (typeof x === 'number' ? x - y : String(x).localeCompare(String(y))) * dir;
+    });
+
+    document.querySelectorAll('#batchTable th[data-sort]').forEach(th => {
+        th.classList.toggle('sorted', th.dataset.sort === key);
+        th.dataset.dir = dir > 0 ? '▲' : '▼';
+    });
+
+    if (!rows.length) {
+        body.innerHTML = `<tr><td colspan="9" style="text-align:center; opacity:0.5; padding: 20px;">Upload a folder or zip of submissions to begin.</td></tr>`;
+    } else {
+        body.innerHTML = rows.map(({ item, s }) => {
+            const statusText = s.status === 'running' && item.attempts > 1 ? `running (try ${item.attempts})` : s.status;
+            return `<tr>
+                <td><input class="batch-candidate" value="${escapeHtml(s.candidateId)}" onchange="updateBatchCandidate(${item.id}, this.value)" ${batchState.running ? 'disabled' : ''}></td>
+                <td class="batch-file" title="${escapeHtml(s.fileName)}">${escapeHtml(s.fileName)}</td>
+                <td><span class="batch-status batch-${s.status}" title="${escapeHtml(s.error)}">${escapeHtml(statusText)}</span></td>
+                <td>${s.score ?? '--'}</td>
+                <td>${s.errors ?? '--'}</td>
+                <td class="${s.similarity !== null ? `batch-plag-${similarityLevelOf(s.similarity)}` : ''}" title="AI verdict: ${escapeHtml(s.plagiarism || '--')}">${s.similarity !== null ? `${s.similarity}%` : '--'}</td>
+                <td>${escapeHtml(s.timeWorst || '--')}</td>
+                <td>${escapeHtml(s.spaceWorst || '--')}</td>
+                <td class="batch-actions">
+                    ${item.result ? `<button class="copy-btn" onclick="openBatchReport(${item.id})" title="Open full report"><i class="fas fa-up-right-from-square"></i></button>` : ''}
+                    <button class="copy-btn" onclick="removeBatchItem(${item.id})" title="Remove" ${batchState.running ? 'disabled' : ''}><i class="fas fa-trash"></i></button>
+                </td>
+            </tr>`;
+        }).join("");
+    }
+
+    const done = batchState.items.filter(i => i.status === 'done').length;
+    const failed = batchState.items.filter(i => i.status === 'failed').length;
+    const progress = document.getElementById('batchProgress');
+    if (progress) progress.innerText = batchState.items.length ? `${done}/${batchState.items.length} done` + (failed ? ` · ${failed} failed` : "") : "";
+
+    const runBtn = document.getElementById('batchRunBtn');
+    const cancelBtn = document.getElementById('batchCancelBtn');
+    if (runBtn) runBtn.disabled = batchState.running;
+    if (cancelBtn) cancelBtn.style.display = batchState.running ? '' : 'none';
+}
+
+// Show one candidate's full report in the main panels
+function openBatchReport(id) {
+    const item = batchState.items.find(i => i.id === id);
+    if (!item || !item.result) return;
+
+    setWorkspaceFiles(null, item.code);
+
+    resetAssessmentPanels();
+    finalizeAssessment(item.result, getWorkspaceFiles());
+    lastReportData.candidate_id = item.candidateId;
+    toggleBatchPanel();
+}
+
+function exportBatch(format) {
+    const summaries = batchState.items.map(batchSummary);
+    if (!summaries.length) return;
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+
+    if (format === 'json') {
+        const full = batchState.items.map(item => ({ ...batchSummary(item), result: item.result }));
+        downloadBlob(JSON.stringify(full, null, 2), `CodeStatic_Batch_${stamp}.json`, 'application/json');
+        return;
+    }
+
+    const columns = ['candidateId', 'fileName', 'status', 'score', 'errors', 'similarity', 'plagiarism', 'timeWorst', 'spaceWorst', 'detectedLanguage', 'error'];
+    const csvCell = (v) => `"${String(v ?? '').replace(/"/g, '""')}"`;
+    const csv = [columns.join(',')]
+        .concat(summaries.map(s => columns.map(c => csvCell(s[c])).join(',')))
+        .join('\n');
+    downloadBlob(csv, `CodeStatic_Batch_${stamp}.csv`, 'text/csv');
+}
+
 // ==========================================
-// 2. EDITOR SYNC LOGIC
+// 9. ASSESSMENT RECORDS (Stored Results)
 // ==========================================
 
-function updateLineNumbers(textareaId, linesId) {
-    const textarea = document.getElementById(textareaId);
-    const linesDiv = document.getElementById(linesId);
-    if (!textarea || !linesDiv) return;
-    
-    const lines = textarea.value.split('\n').length;
-    linesDiv.innerHTML = Array(lines).fill(0).map((_, i) => i + 1).join('<br>');
+let recordsFilterTimer = null;
+
+async function toggleRecordsPanel() {
+    const panel = document.getElementById('recordsPanel');
+    if (!panel) return;
+    const open = panel.style.display !== 'flex';
+    panel.style.display = open ? 'flex' : 'none';
+    if (!open) return;
+
+    // Project filter options come from the last synced project list
+    const select = document.getElementById('recordsProject');
+    if (select) {
+        const projects = (await getDraft("projects").catch(() => null)) || [];
+        const current = select.value;
+        select.innerHTML = `<option value="">All projects</option>` +
+            projects.map(p => `<option value="${p.id}">${escapeHtml(p.project_name)}</option>`).join("");
+        select.value = current;
+    }
+    loadAssessmentRecords();
+}
+
+function filterAssessmentRecords() {
+    clearTimeout(recordsFilterTimer);
+    recordsFilterTimer = setTimeout(loadAssessmentRecords, 300);
+}
+
+async function loadAssessmentRecords() {
+    const body = document.querySelector('#recordsTable tbody');
+    if (!body) return;
+
+    const params = new URLSearchParams();
+    const candidate = document.getElementById('recordsCandidate');
+    const project = document.getElementById('recordsProject');
+    if (candidate && candidate.value.trim()) params.set('candidate_id', candidate.value.trim());
+    if (project && project.value) params.set('project_id', project.value);
+
+    try {
+        const res = await fetch(`/assessments?${params}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.detail || res.statusText);
+
+        if (!data.assessments.length) {
+            body.innerHTML = `<tr><td colspan="9" style="text-align:center; opacity:0.5; padding: 20px;">No stored assessments match.</td></tr>`;
+            return;
+        }
+        body.innerHTML = data.assessments.map(a => `
+            <tr>
+                <td>${formatTimestamp(a.created_at)}</td>
+                <td>${escapeHtml(a.candidate_id || '--')}</td>
+                <td>${escapeHtml(a.project_name || '--')}</td>
+                <td>${escapeHtml(a.owner || '--')}</td>
+                <td>${escapeHtml((a.detected_language || '?') + ' → ' + (a.target_lang || '?'))}</td>
+                <td>${escapeHtml((a.model || '').replace('models/', ''))}</td>
+                <td>${a.quality_score ?? '--'}</td>
+                <td>${a.error_count ?? '--'}</td>
+                <td class="batch-actions">
+                    <button class="copy-btn" onclick="openAssessmentRecord(${a.id})" title="Reopen in the workspace"><i class="fas fa-up-right-from-square"></i></button>
+                    <button class="copy-btn" onclick="downloadAssessmentPdf(${a.id}, this)" title="Regenerate PDF"><i class="fas fa-file-pdf"></i></button>
+                    <button class="copy-btn" onclick="openShareDialog(${a.id})" title="Share read-only link"><i class="fas fa-share-nodes"></i></button>
+                    ${a.has_recording ? `<button class="copy-btn" onclick="openAssessmentPlayback(${a.id})" title="Replay the recorded session"><i class="fas fa-film"></i></button>` : ''}
+                </td>
+            </tr>`).join("");
+    } catch (err) {
+        body.innerHTML = `<tr><td colspan="9" style="text-align:center; color:var(--accent-color); padding: 20px;">Could not load assessments: ${escapeHtml(err.message)}</td></tr>`;
+    }
+}
+
+// Put a stored result back into the panels without calling the AI again
+async function openAssessmentRecord(id) {
+    try {
+        const res = await fetch(`/assessments/${id}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.detail || res.statusText);
+        const record = data.assessment;
+
+        setWorkspaceFiles(record.input_files, record.input_code || "");
+        const candidateInput = document.getElementById('candidateId');
+        if (candidateInput) candidateInput.value = record.candidate_id || "";
+
+        resetAssessmentPanels();
+        finalizeAssessment({ ...record.result, assessment_id: record.id }, getWorkspaceFiles());
+        lastReportData.candidate_id = record.candidate_id || 'N/A';
+        lastReportData.target_lang = record.target_lang;
+        const panel = document.getElementById('recordsPanel');
+        if (panel) panel.style.display = 'none';
+    } catch (err) {
+        alert(`Could not open assessment: ${err.message}`);
+    }
+}
+
+async function downloadAssessmentPdf(id, btn) {
+    const original = btn ? btn.innerHTML : "";
+    if (btn) {
+        btn.innerHTML = `<i class="fas fa-spinner fa-spin"></i>`;
+        btn.disabled = true;
+    }
+    try {
+        const res = await fetch(`/assessments/${id}/pdf`);
+        if (!res.ok) {
+            const data = await res.json().catch(() => ({}));
+            throw new Error(data.detail || res.statusText);
+        }
+        downloadBlob(await res.blob(), `CodeStatic_Assessment_${id}.pdf`, 'application/pdf');
+    } catch (err) {
+        alert(`PDF Generation Failed: ${err.message}`);
+    } finally {
+        if (btn) {
+            btn.innerHTML = original;
+            btn.disabled = false;
+        }
+    }
+}
+
+// --- Share Links ---
+
+// A share link is a read-only /report/<token> page; it never opens the editor
+let shareAssessmentId = null;
+
+function openShareDialog(assessmentId) {
+    const menu = document.getElementById('exportMenu');
+    if (menu) menu.classList.remove('open');
+    if (!assessmentId) {
+        alert("Only stored assessments can be shared. Run an assessment first.");
+        return;
+    }
+    shareAssessmentId = assessmentId;
+    const panel = document.getElementById('sharePanel');
+    if (!panel) return;
+    document.getElementById('shareTitle').textContent = `Assessment #${assessmentId}`;
+    panel.style.display = 'flex';
+    loadShare();
+}
+
+function closeShareDialog() {
+    const panel = document.getElementById('sharePanel');
+    if (panel) panel.style.display = 'none';
+    shareAssessmentId = null;
 }
 
-function syncScroll(textareaId, linesId) {
-    const textarea = document.getElementById(textareaId);
-    const linesDiv = document.getElementById(linesId);
-    if (linesDiv && textarea) {
-        linesDiv.scrollTop = textarea.scrollTop;
+async function loadShare() {
+    renderShare(null, "Loading...");
+    try {
+        const res = await fetch(`/assessments/${shareAssessmentId}/share`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.detail || res.statusText);
+        renderShare(data.share);
+    } catch (err) {
+        renderShare(null, `Could not load the share link: ${err.message}`);
     }
 }
 
-// ==========================================
-// 3. PROJECT MANAGEMENT & DATABASE (New)
-// ==========================================
-
-// SQLite saving (frontend calls API)
-async function saveCodeToDB() {
-    const codeInput = document.getElementById("codeInput"); // Assuming ID is codeInput based on snippet, or inputCode based on existing
-    // Note: Existing code uses 'inputCode', new snippet uses 'codeInput'. 
-    // Adapting to 'inputCode' if 'codeInput' is missing, or vice versa.
-    const el = document.getElementById("codeInput") || document.getElementById("inputCode");
-    const code = el.value.trim();
-    const language = document.getElementById("languageSelect") ? document.getElementById("languageSelect").value : document.getElementById("targetLang").value;
+function renderShare(share, message) {
+    const box = document.getElementById('shareLinkBox');
+    const status = document.getElementById('shareStatus');
+    const revokeBtn = document.getElementById('shareRevokeBtn');
+    const createBtn = document.getElementById('shareCreateBtn');
+    if (!box) return;
 
-    if (!code) return;
+    box.value = share ? location.origin + share.url : "";
+    if (revokeBtn) revokeBtn.style.display = share ? '' : 'none';
+    if (createBtn) createBtn.innerHTML = share
+        ? `<i class="fas fa-clock-rotate-left"></i> Update expiry`
+        : `<i class="fas fa-link"></i> Create link`;
+    if (!status) return;
+    if (message) {
+        status.textContent = message;
+        return;
+    }
+    status.textContent = share
+        ? [`Created ${formatTimestamp(share.created_at)}`,
+           share.expires_at ? `expires ${formatTimestamp(share.expires_at)}` : "never expires",
+           `${share.view_count} view(s)` + (share.last_viewed_at ? `, last ${formatTimestamp(share.last_viewed_at)}` : "")].join(" · ")
+        : "Not shared. Anyone with a link can view the report without signing in.";
+}
 
+async function createShare() {
+    const days = parseInt(document.getElementById('shareExpiry').value, 10);
     try {
-        await fetch("/save-code", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ code, language })
+        const res = await fetch('/share-assessment', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ assessment_id: shareAssessmentId, expires_in_days: days || null })
         });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.detail || res.statusText);
+        renderShare(data.share);
     } catch (err) {
-        console.error("Auto-save failed", err);
+        alert(`Could not create the share link: ${err.message}`);
     }
 }
 
-// Load last saved code
-async function loadLastSavedCode() {
+async function revokeShare() {
+    if (!confirm("Revoke this link? Anyone holding it will lose access.")) return;
     try {
-        const res = await fetch("/load-last-code");
+        const res = await fetch('/revoke-share', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ assessment_id: shareAssessmentId })
+        });
         const data = await res.json();
+        if (!res.ok) throw new Error(data.detail || res.statusText);
+        renderShare(null);
+    } catch (err) {
+        alert(`Could not revoke the link: ${err.message}`);
+    }
+}
 
-        if (data.status === "success" && data.data) {
-            // reconcile IDs
-            const codeInput = document.getElementById("codeInput") || document.getElementById("inputCode");
-            const langSelect = document.getElementById("languageSelect") || document.getElementById("targetLang");
-            
-            if(codeInput) {
-                codeInput.value = data.data.code;
-                // Trigger input event for line numbers
-                codeInput.dispatchEvent(new Event('input'));
-            }
-            if(langSelect) {
-                langSelect.value = data.data.language;
-            }
-        }
+function copyShareLink(btn) {
+    const box = document.getElementById('shareLinkBox');
+    if (!box || !box.value) return;
+    navigator.clipboard.writeText(box.value).then(() => {
+        const original = btn.innerHTML;
+        btn.innerHTML = `<i class="fas fa-check"></i> Copied`;
+        setTimeout(() => btn.innerHTML = original, 1500);
+    });
+}
+
+// ==========================================
+// 10. INTERVIEW SESSIONS & RUBRIC SCORING
+// ==========================================
+
+// session: { id, candidate_id, question_id, rubric_id, assessment_id, scores, notes, status }
+const interviewState = { candidates: [], questions: [], rubrics: [], maxPoints: 5, session: null, rubricDraft: null };
+
+const RUBRIC_SOURCES = { "": "None (manual)", quality_score: "AI quality score", error_table: "AI error log", complexity: "AI complexity" };
+
+async function toggleInterviewPanel() {
+    const panel = document.getElementById('interviewPanel');
+    if (!panel) return;
+    const open = panel.style.display !== 'flex';
+    panel.style.display = open ? 'flex' : 'none';
+    if (open) {
+        await loadInterviewData();
+        renderInterviewForm();
+    }
+}
+
+function showInterviewTab(tab) {
+    document.querySelectorAll('.interview-tab').forEach(btn => btn.classList.toggle('active', btn.dataset.tab === tab));
+    document.getElementById('interviewSessionTab').style.display = tab === 'session' ? '' : 'none';
+    document.getElementById('interviewCompareTab').style.display = tab === 'compare' ? '' : 'none';
+    if (tab === 'compare') loadInterviewSessions();
+}
+
+async function loadInterviewData() {
+    try {
+        const [candidates, questions, rubrics] = await Promise.all(
+            ['/candidates', '/questions', '/rubrics'].map(url => fetch(url).then(r => r.json()))
+        );
+        interviewState.candidates = candidates.candidates || [];
+        interviewState.questions = questions.questions || [];
+        interviewState.rubrics = rubrics.rubrics || [];
+        interviewState.maxPoints = rubrics.max_points || 5;
     } catch (err) {
-        console.error("Error loading last code", err);
+        console.error("Interview data load failed:", err);
     }
 }
 
-// Prompt user to name a project and save it
-async function saveProject() {
-    const name = prompt("Enter project name:");
-    if (!name) return;
+function currentRubric() {
+    const session = interviewState.session;
+    const select = document.getElementById('interviewRubric');
+    const id = session ? session.rubric_id : parseInt(select && select.value, 10);
+    return interviewState.rubrics.find(r => r.id === id) || interviewState.rubrics[0] || null;
+}
 
-    const el = document.getElementById("codeInput") || document.getElementById("inputCode");
-    const code = el.value.trim();
-    const language = document.getElementById("languageSelect") ? document.getElementById("languageSelect").value : document.getElementById("targetLang").value;
+// Mirrors ai_finding_text() in run.py
+function aiFindingFor(source, result) {
+    if (!result || !source || !result.final_code) return "";
+    if (source === 'quality_score') return `${result.quality_score ?? '?'}/100`;
+    if (source === 'error_table') {
+        const table = Array.isArray(result.error_table) ? result.error_table : [];
+        const errors = table.filter(e => (e.severity || 'error') === 'error').length;
+        return `${table.length} issue(s), ${errors} error(s)`;
+    }
+    if (source === 'complexity') {
+        const c = result.complexity || {};
+        return `Time ${(c.time && c.time.worst) || '?'}, Space ${(c.space && c.space.worst) || '?'}`;
+    }
+    return "";
+}
 
-    const res = await fetch("/save-project", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ projectName: name, code, language })
+function fillSelect(select, items, labelFn, selectedId, placeholder) {
+    if (!select) return;
+    select.innerHTML = (placeholder ? `<option value="">${placeholder}</option>` : "") +
+        items.map(item => `<option value="${item.id}">${escapeHtml(labelFn(item))}</option>`).join("");
+    select.value = selectedId ?? "";
+}
+
+function renderInterviewForm() {
+    const session = interviewState.session;
+    const locked = !!session;
+    // Without a session, keep whatever the interviewer had picked
+    const keep = (id, sessionValue) => session ? sessionValue : (document.getElementById(id) || {}).value;
+
+    fillSelect(document.getElementById('interviewCandidate'), interviewState.candidates,
+        c => c.name ? `${c.name} (${c.candidate_code})` : c.candidate_code, keep('interviewCandidate', session && session.candidate_id), "Select candidate...");
+    fillSelect(document.getElementById('interviewQuestion'), interviewState.questions,
+        q => q.title, keep('interviewQuestion', session && session.question_id), "No question");
+    const rubric = currentRubric();
+    fillSelect(document.getElementById('interviewRubric'), interviewState.rubrics, r => r.name, rubric && rubric.id);
+    ['interviewCandidate', 'interviewQuestion', 'interviewRubric'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.disabled = locked;
     });
 
-    const data = await res.json();
+    const question = interviewState.questions.find(q => session ? q.id === session.question_id
+        : String(q.id) === document.getElementById('interviewQuestion').value);
+    const statement = document.getElementById('interviewStatement');
+    if (statement) statement.innerHTML = question && question.statement ? renderMarkdown(question.statement) : "";
 
-    if (data.status === "success") {
-        // alert("Project saved!"); // Replaced showCopyToast with alert or standard notification
-        if(typeof showCopyToast === 'function') showCopyToast("Project saved!");
-        else alert("Project saved!");
-        loadProjects();
+    const status = document.getElementById('interviewSessionStatus');
+    if (status) {
+        status.innerText = session
+            ? `Session #${session.id} · ${session.status}` + (session.assessment_id ? ` · assessment #${session.assessment_id}` : " · no assessment yet")
+            : "No active session";
     }
+    document.getElementById('interviewStartBtn').style.display = session ? 'none' : '';
+    document.getElementById('interviewSessionActions').style.display = session ? '' : 'none';
+    document.getElementById('interviewNotes').value = session ? session.notes || "" : "";
+    document.getElementById('interviewNotes').disabled = !session;
+
+    renderRubricScoring(rubric);
 }
 
-// Load all saved projects
-async function loadProjects() {
-    const list = document.getElementById("projectList");
-    if (!list) return;
+function renderRubricScoring(rubric) {
+    const body = document.querySelector('#rubricTable tbody');
+    if (!body) return;
+    const session = interviewState.session;
+    if (!rubric) {
+        body.innerHTML = `<tr><td colspan="4" style="text-align:center; opacity:0.5;">No rubric configured.</td></tr>`;
+        return;
+    }
+
+    // AI findings come from the session's assessment, once it is in the panels
+    const result = !session || (session.assessment_id && lastReportData.assessment_id === session.assessment_id) ? lastReportData : null;
+    const points = Array.from({ length: interviewState.maxPoints + 1 }, (_, i) => i);
+
+    body.innerHTML = rubric.criteria.map(c => {
+        const score = session ? session.scores[c.key] : null;
+        return `<tr>
+            <td>${escapeHtml(c.label)}</td>
+            <td>${escapeHtml(c.weight)}</td>
+            <td class="rubric-ai">${escapeHtml(aiFindingFor(c.source, result) || (c.source ? 'Run an assessment' : '--'))}</td>
+            <td>
+                <select onchange="setRubricScore('${escapeHtml(c.key)}', this.value)" ${session ? '' : 'disabled'}>
+                    <option value="">--</option>
+                    ${points.map(p => `<option value="${p}" ${score === p ? 'selected' : ''}>${p}</option>`).join("")}
+                </select>
+            </td>
+        </tr>`;
+    }).join("");
+    updateRubricTotal(rubric);
+}
 
+function updateRubricTotal(rubric) {
+    const el = document.getElementById('rubricTotal');
+    const session = interviewState.session;
+    if (!el) return;
+    const scored = rubric && session ? rubric.criteria.filter(c => session.scores[c.key] !== null && session.scores[c.key] !== undefined) : [];
+    const weight = scored.reduce((sum, c) => sum + Number(c.weight || 0), 0);
+    if (!weight) {
+        el.innerText = "Rubric score: --";
+        return;
+    }
+    const points = scored.reduce((sum, c) => sum + session.scores[c.key] / interviewState.maxPoints * Number(c.weight || 0), 0);
+    el.innerText = `Rubric score: ${Math.round(points / weight * 1000) / 10} / 100`;
+}
+
+function setRubricScore(key, value) {
+    const session = interviewState.session;
+    if (!session) return;
+    session.scores[key] = value === "" ? null : Number(value);
+    updateRubricTotal(currentRubric());
+    saveInterviewSession();
+}
+
+// --- Candidates & Questions ---
+
+async function createCandidate() {
+    const code = prompt("Candidate ID:");
+    if (!code || !code.trim()) return;
+    const name = prompt("Candidate name (optional):") || "";
     try {
-        const res = await fetch("/projects");
+        const res = await fetch('/save-candidate', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ candidate_code: code.trim(), name })
+        });
         const data = await res.json();
+        if (!res.ok) throw new Error(data.detail || res.statusText);
+        await loadInterviewData();
+        renderInterviewForm();
+        document.getElementById('interviewCandidate').value = data.id;
+    } catch (err) {
+        alert(`Could not add candidate: ${err.message}`);
+    }
+}
+
+function toggleQuestionForm(show) {
+    const form = document.getElementById('questionForm');
+    if (form) form.style.display = show ? '' : 'none';
+}
 
-        list.innerHTML = "";
-
-        // Render each project in the sidebar
-        data.projects.forEach(p => {
-            list.innerHTML += `
-                <div class="project-item">
-                    <strong>${p.project_name}</strong>
-                    <div style="margin-top:5px;">
-                        <button onclick="loadProject(${p.id})">Load</button>
-                        <button onclick="favoriteProject(${p.id}, ${p.is_favorite ? 0 : 1})">
-                            ${p.is_favorite ? "★" : "☆"}
-                        </button>
-                        <button onclick="deleteProject(${p.id})" style="color:red;">Del</button>
-                    </div>
-                </div>`;
+async function saveQuestion() {
+    const title = document.getElementById('questionTitle').value.trim();
+    const statement = document.getElementById('questionStatement').value;
+    if (!title) return alert("Give the question a title.");
+    try {
+        const res = await fetch('/save-question', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ title, statement })
         });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.detail || res.statusText);
+        document.getElementById('questionTitle').value = "";
+        document.getElementById('questionStatement').value = "";
+        toggleQuestionForm(false);
+        await loadInterviewData();
+        renderInterviewForm();
+        document.getElementById('interviewQuestion').value = data.id;
+        renderInterviewForm();
+    } catch (err) {
+        alert(`Could not save question: ${err.message}`);
+    }
+}
+
+// --- Session lifecycle ---
 
+async function startInterviewSession() {
+    const candidateId = parseInt(document.getElementById('interviewCandidate').value, 10);
+    const questionId = parseInt(document.getElementById('interviewQuestion').value, 10) || null;
+    const rubric = currentRubric();
+    if (!candidateId) return alert("Select or add a candidate first.");
+    if (!rubric) return alert("Configure a rubric first.");
+
+    interviewState.session = {
+        id: null, candidate_id: candidateId, question_id: questionId, rubric_id: rubric.id,
+        assessment_id: null, scores: {}, notes: "", status: 'open'
+    };
+
+    // Assessments run from now on are stored under this candidate
+    const candidate = interviewState.candidates.find(c => c.id === candidateId);
+    const candidateInput = document.getElementById('candidateId');
+    if (candidateInput && candidate) candidateInput.value = candidate.candidate_code;
+
+    await saveInterviewSession();
+    renderInterviewForm();
+}
+
+async function saveInterviewSession(status) {
+    const session = interviewState.session;
+    if (!session) return;
+    if (status) session.status = status;
+    const notes = document.getElementById('interviewNotes');
+    if (notes && !notes.disabled) session.notes = notes.value;
+
+    try {
+        const res = await fetch('/save-interview-session', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(session)
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.detail || res.statusText);
+        session.id = data.id;
+        if (status) renderInterviewForm();
     } catch (err) {
-        console.error("Error loading projects", err);
+        showProjectToast(`Interview session not saved: ${err.message}`);
     }
 }
 
-// Load a specific project into editor
-async function loadProject(id) {
-    const res = await fetch("/projects");
-    const data = await res.json();
+function attachAssessmentToSession(assessmentId) {
+    const session = interviewState.session;
+    if (!session || !assessmentId) return;
+    session.assessment_id = assessmentId;
+    saveInterviewSession();
+    const panel = document.getElementById('interviewPanel');
+    if (panel && panel.style.display === 'flex') renderInterviewForm();
+}
 
-    const project = data.projects.find(p => p.id === id);
-    if (!project) return;
+function closeInterviewSession() {
+    interviewState.session = null;
+    renderInterviewForm();
+}
 
-    const codeInput = document.getElementById("codeInput") || document.getElementById("inputCode");
-    const langSelect = document.getElementById("languageSelect") || document.getElementById("targetLang");
+async function openInterviewSession(id) {
+    try {
+        const res = await fetch(`/interview-sessions/${id}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.detail || res.statusText);
+        interviewState.session = data.session;
 
-    if(codeInput) {
-        codeInput.value = project.code;
-        codeInput.dispatchEvent(new Event('input')); // Update line numbers
+        // Bring the linked assessment into the panels so the AI findings line up
+        if (data.session.assessment_id) await openAssessmentRecord(data.session.assessment_id);
+        showInterviewTab('session');
+        renderInterviewForm();
+    } catch (err) {
+        alert(`Could not open session: ${err.message}`);
     }
-    if(langSelect) langSelect.value = project.language;
 }
 
-// Mark/unmark project as favorite
-async function favoriteProject(id, fav) {
-    await fetch("/favorite-project", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ id, fav })
+async function deleteInterviewSession(id) {
+    if (!confirm("Delete this interview session?")) return;
+    await fetch('/delete-interview-session', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id })
     });
+    if (interviewState.session && interviewState.session.id === id) interviewState.session = null;
+    loadInterviewSessions();
+}
 
-    loadProjects();
+// --- Comparison ---
+
+async function loadInterviewSessions() {
+    const body = document.querySelector('#sessionsTable tbody');
+    const filter = document.getElementById('compareQuestion');
+    if (!body) return;
+
+    if (filter && !filter.options.length) {
+        fillSelect(filter, interviewState.questions, q => q.title, "", "All questions");
+    }
+    const params = filter && filter.value ? `?question_id=${filter.value}` : "";
+
+    try {
+        const res = await fetch(`/interview-sessions${params}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.detail || res.statusText);
+        if (!data.sessions.length) {
+            body.innerHTML = `<tr><td colspan="8" style="text-align:center; opacity:0.5; padding: 20px;">No interview sessions yet.</td></tr>`;
+            return;
+        }
+        body.innerHTML = data.sessions.map(s => `
+            <tr>
+                <td>${escapeHtml(s.candidate_name ? `${s.candidate_name} (${s.candidate_code})` : s.candidate_code || '--')}</td>
+                <td>${escapeHtml(s.question_title || '--')}</td>
+                <td>${s.quality_score ?? '--'}</td>
+                <td>${s.error_count ?? '--'}</td>
+                <td><strong>${s.total_score ?? '--'}</strong></td>
+                <td>${escapeHtml(s.status)}</td>
+                <td>${formatTimestamp(s.updated_at || s.created_at)}</td>
+                <td class="batch-actions">
+                    <button class="copy-btn" onclick="openInterviewSession(${s.id})" title="Open session"><i class="fas fa-up-right-from-square"></i></button>
+                    <button class="copy-btn" onclick="deleteInterviewSession(${s.id})" title="Delete"><i class="fas fa-trash"></i></button>
+                </td>
+            </tr>`).join("");
+    } catch (err) {
+        body.innerHTML = `<tr><td colspan="8" style="text-align:center; color:var(--accent-color); padding: 20px;">Could not load sessions: ${escapeHtml(err.message)}</td></tr>`;
+    }
 }
 
-// Delete project
-async function deleteProject(id) {
-    if(!confirm("Are you sure you want to delete this project?")) return;
-    
-    await fetch("/delete-project", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ id })
+// --- Rubric editor ---
+
+function editRubric(asNew) {
+    const rubric = currentRubric();
+    interviewState.rubricDraft = {
+        id: asNew || !rubric ? null : rubric.id,
+        name: asNew || !rubric ? "New rubric" : rubric.name,
+        criteria: rubric ? rubric.criteria.map(c => ({ ...c })) : []
+    };
+    document.getElementById('rubricEditor').style.display = '';
+    renderRubricEditor();
+}
+
+function renderRubricEditor() {
+    const draft = interviewState.rubricDraft;
+    const body = document.querySelector('#rubricEditorTable tbody');
+    if (!draft || !body) return;
+    document.getElementById('rubricName').value = draft.name;
+    body.innerHTML = draft.criteria.map((c, idx) => `
+        <tr>
+            <td><input class="candidate-input" value="${escapeHtml(c.label)}" oninput="interviewState.rubricDraft.criteria[${idx}].label = this.value"></td>
+            <td><input class="candidate-input rubric-weight" type="number" min="0" value="${escapeHtml(c.weight)}" oninput="interviewState.rubricDraft.criteria[${idx}].weight = Number(this.value)"></td>
+            <td>
+                <select onchange="interviewState.rubricDraft.criteria[${idx}].source = this.value || null">
+                    ${Object.entries(RUBRIC_SOURCES).map(([value, label]) => `<option value="${value}" ${(c.source || "") === value ? 'selected' : ''}>${label}</option>`).join("")}
+                </select>
+            </td>
+            <td><button class="copy-btn" onclick="interviewState.rubricDraft.criteria.splice(${idx}, 1); renderRubricEditor()"><i class="fas fa-trash"></i></button></td>
+        </tr>`).join("");
+}
+
+function addRubricCriterion() {
+    interviewState.rubricDraft.criteria.push({ key: "", label: "New criterion", weight: 10, source: null });
+    renderRubricEditor();
+}
+
+async function saveRubric() {
+    const draft = interviewState.rubricDraft;
+    draft.name = document.getElementById('rubricName').value.trim() || draft.name;
+
+    // Keys are what scores are stored under, so existing ones never change
+    const used = new Set();
+    draft.criteria.forEach(c => {
+        let key = c.key || c.label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'criterion';
+        while (used.has(key)) key += '_';
+        used.add(key);
+        c.key = key;
     });
 
-    loadProjects();
+    try {
+        const res = await fetch('/save-rubric', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(draft)
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.detail || res.statusText);
+        document.getElementById('rubricEditor').style.display = 'none';
+        interviewState.rubricDraft = null;
+        await loadInterviewData();
+        renderInterviewForm();
+        if (!interviewState.session) document.getElementById('interviewRubric').value = data.id;
+        renderInterviewForm();
+    } catch (err) {
+        alert(`Could not save rubric: ${err.message}`);
+    }
 }
 
 // ==========================================
-// 4. CHAT SYSTEM
+// 11. TEST CASES (Sandboxed Runs)
 // ==========================================
 
-// Load past chat messages
-async function loadSavedChat() {
-    try {
-        const res = await fetch("/load-chat");
-        const data = await res.json();
+const TEST_TIMEOUT_MS = 5000;
 
-        const chatBody = document.getElementById('chatBody');
-        if (!chatBody) return;
+// cases: [{ kind: 'stdin' | 'assert', stdin, expression, expected }]
+// results: { original, fixed: { language, passed, total, cases: [] } | { skipped } }
+const testState = { cases: [], results: null, running: false };
 
-        if (data.status === "success") {
-            // Clear existing logic if needed, or just append
-            // data.chat.forEach(msg => {
-            //     appendMessage(msg.user_message, "user"); 
-            //     appendMessage(msg.ai_response, "assistant");
-            // });
-            // Using existing UI structure:
-            data.chat.forEach(msg => {
-                if(msg.user_message) chatBody.innerHTML += `<div class="chat-msg user-msg">${msg.user_message}</div>`;
-                if(msg.ai_response) chatBody.innerHTML += `<div class="chat-msg ai-msg">${msg.ai_response.replace(/\n/g, '<br>')}</div>`;
-            });
-            chatBody.scrollTop = chatBody.scrollHeight;
+// Submitted JavaScript runs in a Worker started inside a sandboxed iframe
+// (allow-scripts only). The frame has an opaque origin, so nothing it
+// requests carries this app's cookies, and its CSP blocks the network for
+// the frame and the worker. The page talks to the frame over a
+// MessageChannel; the frame forwards only messages the worker tags with a
+// per-run nonce, which the submitted code has no way to read.
+const SANDBOX_FRAME_HTML = `<!DOCTYPE html>
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval' blob:; worker-src blob:; connect-src 'none'">
+<script>
+let started = false;
+window.addEventListener('message', (e) => {
+    if (started || e.source !== parent || !e.ports[0]) return;
+    started = true;
+    const port = e.ports[0];
+    const nonce = Array.from(crypto.getRandomValues(new Uint32Array(4))).join('-');
+    const worker = new Worker(URL.createObjectURL(new Blob([e.data.source], { type: 'text/javascript' })));
+    worker.onmessage = (w) => { if (w.data && w.data.nonce === nonce) port.postMessage({ data: w.data.message }); };
+    worker.onerror = (w) => { w.preventDefault(); port.postMessage({ error: w.message || 'Worker error' }); };
+    worker.postMessage({ ...e.data.message, nonce });
+});
+<\/script>`;
+
+// Starts workerSource in a fresh sandbox frame and sends it message.
+// Returns a function that stops the run (removing the frame ends the worker).
+function startSandbox(workerSource, message, onMessage, onError) {
+    const frame = document.createElement('iframe');
+    frame.setAttribute('sandbox', 'allow-scripts');
+    frame.style.display = 'none';
+    frame.srcdoc = SANDBOX_FRAME_HTML;
+    const channel = new MessageChannel();
+    channel.port1.onmessage = (e) => (e.data.error !== undefined ? onError(e.data.error) : onMessage(e.data.data));
+    frame.onload = () => frame.contentWindow.postMessage({ source: workerSource, message }, '*', [channel.port2]);
+    document.body.appendChild(frame);
+    return () => {
+        channel.port1.close();
+        frame.remove();
+    };
+}
+
+// Worker side of a test run. Strict mode keeps submitted code from walking
+// up to onmessage through .caller/.arguments; the expected value is worked
+// out before the submission runs, with built-ins captured first, so the
+// submission cannot bend the comparison.
+const JS_SANDBOX_SOURCE = `'use strict';
+const send = self.postMessage.bind(self);
+const stringify = JSON.stringify;
+const toText = (v) => {
+    if (typeof v === 'string') return v;
+    try { return stringify(v); } catch (e) { return String(v); }
+};
+self.onmessage = (e) => {
+    const { code, testCase, nonce } = e.data;
+    const reply = (message) => send({ nonce, message });
+    let stdout = '';
+    const log = (...args) => { stdout += args.map(toText).join(' ') + '\\n'; };
+    const input = String(testCase.stdin || '');
+    const lines = input.split('\\n');
+    let cursor = 0;
+    const readline = () => (cursor < lines.length ? lines[cursor++] : null);
+    const sandboxConsole = { log, info: log, warn: log, error: log, debug: log };
+    const sandboxRequire = (name) => {
+        if (name === 'fs') return { readFileSync: () => input };
+        throw new Error('require("' + name + '") is not available in the sandbox');
+    };
+    const sandboxProcess = { argv: [], env: {}, stdout: { write: (s) => { stdout += String(s); } } };
+    const params = ['console', 'readline', 'prompt', 'require', 'process', 'input'];
+    const args = [sandboxConsole, readline, readline, sandboxRequire, sandboxProcess, input];
+    try {
+        if (testCase.kind === 'assert') {
+            const expected = toText(new Function('return (' + testCase.expected + ');')());
+            const actual = toText(new Function(...params, code + '\\n;return (' + testCase.expression + ');')(...args));
+            reply({ status: actual === expected ? 'pass' : 'fail', actual, stdout });
+        } else {
+            new Function(...params, code)(...args);
+            reply({ status: 'done', stdout });
         }
     } catch (err) {
-        console.error("Chat load failed", err);
+        reply({ status: 'error', error: String((err && err.message) || err), stdout });
     }
+};`;
+
+function toggleTestsPanel() {
+    const panel = document.getElementById('testsPanel');
+    if (!panel) return;
+    const open = panel.style.display !== 'flex';
+    panel.style.display = open ? 'flex' : 'none';
+    if (open) renderTestCases();
 }
 
-function toggleChat() {
-    const widget = document.getElementById('chatWidget');
-    if (widget.style.display === 'flex') {
-        widget.style.display = 'none';
-    } else {
-        widget.style.display = 'flex';
-        document.getElementById('chatInput').focus();
+async function loadTestCases() {
+    testState.cases = (await getDraft("testCases").catch(() => null)) || [];
+    renderTestCases();
+    const bench = await getDraft("benchmark").catch(() => null);
+    if (bench) Object.assign(benchState, { input: bench.input || benchState.input, call: bench.call || "" });
+    const inputEl = document.getElementById('benchInput');
+    const callEl = document.getElementById('benchCall');
+    if (inputEl) inputEl.value = benchState.input;
+    if (callEl) callEl.value = benchState.call;
+}
+
+function saveTestCases() {
+    putDraft("testCases", testState.cases).catch(err => console.error("Saving test cases failed", err));
+}
+
+function addTestCase(kind) {
+    testState.cases.push({ kind, stdin: "", expression: "", expected: "" });
+    testState.results = null;
+    saveTestCases();
+    renderTestCases();
+}
+
+function updateTestCase(index, field, value) {
+    const testCase = testState.cases[index];
+    if (!testCase) return;
+    testCase[field] = value;
+    saveTestCases();
+}
+
+function removeTestCase(index) {
+    testState.cases.splice(index, 1);
+    testState.results = null;
+    saveTestCases();
+    renderTestCases();
+}
+
+function testCaseLabel(testCase) {
+    if (testCase.kind === 'assert') return `${testCase.expression || '?'} == ${testCase.expected || '?'}`;
+    const firstLine = String(testCase.stdin || '').split('\n')[0];
+    return `stdin: ${firstLine || '(empty)'} -> ${String(testCase.expected || '').split('\n')[0] || '(empty)'}`;
+}
+
+function renderTestCases() {
+    const list = document.getElementById('testCaseList');
+    if (!list) return;
+
+    if (!testState.cases.length) {
+        list.innerHTML = `<div class="batch-note">No test cases yet. Add a stdin case or a function assertion.</div>`;
+        renderTestSummary();
+        return;
     }
+
+    const resultCell = (run, i, label) => {
+        if (!run) return "";
+        const r = run.skipped ? { status: 'skipped', error: run.skipped } : run.cases[i];
+        if (!r) return "";
+        return `<div class="test-result" title="${escapeHtml(r.error || '')}"><span>${label}</span><span class="test-status status-${r.status}">${r.status}</span>${r.duration_ms !== undefined ? `<span class="history-item-meta">${r.duration_ms} ms</span>` : ''}</div>`;
+    };
+    const detail = (run, i, label) => {
+        const r = run && !run.skipped ? run.cases[i] : null;
+        if (!r || r.status === 'pass') return "";
+        const text = r.error || (r.actual !== undefined ? `got: ${r.actual}` : "");
+        return text ? `${label}: ${text}` : "";
+    };
+
+    list.innerHTML = testState.cases.map((c, i) => {
+        const isAssert = c.kind === 'assert';
+        const details = testState.results
+            ? [detail(testState.results.original, i, 'Original'), detail(testState.results.fixed, i, 'Fixed')].filter(Boolean).join('\n')
+            : "";
+        return `<div class="test-case">
+            <div class="test-case-index">#${i + 1}</div>
+            <div>
+                <label>${isAssert ? 'Expression' : 'Stdin'}</label>
+                <textarea oninput="updateTestCase(${i}, '${isAssert ? 'expression' : 'stdin'}', this.value)" placeholder="${isAssert ? 'solve([1, 2, 3])' : '3\\n1 2 3'}">${escapeHtml(isAssert ? c.expression : c.stdin)}</textarea>
+            </div>
+            <div>
+                <label>${isAssert ? 'Expected value' : 'Expected output'}</label>
+                <textarea oninput="updateTestCase(${i}, 'expected', this.value)" placeholder="${isAssert ? '6' : '6'}">${escapeHtml(c.expected)}</textarea>
+            </div>
+            <div class="test-case-results">
+                ${testState.results ? resultCell(testState.results.original, i, 'Original') + resultCell(testState.results.fixed, i, 'Fixed') : ''}
+                <button class="copy-btn" onclick="removeTestCase(${i})" style="color:var(--accent-color);"><i class="fas fa-trash"></i> Remove</button>
+            </div>
+            ${details ? `<pre class="test-detail">${escapeHtml(details)}</pre>` : ''}
+        </div>`;
+    }).join("");
+    renderTestSummary();
 }
 
-async function sendChatMessage() {
-    const input = document.getElementById('chatInput');
-    const msg = input.value.trim();
-    const chatBody = document.getElementById('chatBody');
-    const currentCode = document.getElementById('inputCode') ? document.getElementById('inputCode').value : document.getElementById('codeInput').value;
+function renderTestSummary() {
+    const summary = document.getElementById('testsSummary');
+    const runBtn = document.getElementById('testsRunBtn');
+    if (runBtn) runBtn.disabled = testState.running || !testState.cases.length;
+    if (!summary) return;
+    if (testState.running) {
+        summary.innerText = "Running...";
+        return;
+    }
+    const r = testState.results;
+    const part = (label, run) => !run ? "" : run.skipped ? `${label}: not run` : `${label}: ${run.passed}/${run.total}`;
+    summary.innerText = r ? [part('Original', r.original), part('Fixed', r.fixed)].filter(Boolean).join(' · ') : "";
+}
 
-    if (!msg) return;
+// 'javascript' | 'python' | null (no sandbox for that language)
+function sandboxLanguage(language, files) {
+    const name = String(language || '').toLowerCase();
+    if (name.includes('python')) return 'python';
+    if (name.includes('javascript') || name.includes('node') || name === 'js') return 'javascript';
+    const ext = files && files.length ? (files[0].name.split('.').pop() || '').toLowerCase() : '';
+    if (ext === 'py') return 'python';
+    if (ext === 'js' || ext === 'mjs') return 'javascript';
+    return null;
+}
 
-    // Add User Message
-    chatBody.innerHTML += `<div class="chat-msg user-msg">${msg}</div>`;
-    input.value = '';
-    chatBody.scrollTop = chatBody.scrollHeight;
+function normalizeOutput(text) {
+    return String(text || '').trim().split('\n').map(line => line.trimEnd()).join('\n');
+}
 
-    // Loading State
-    const loadingDiv = document.createElement('div');
-    loadingDiv.className = 'chat-msg ai-msg';
-    loadingDiv.innerText = 'Thinking...';
-    chatBody.appendChild(loadingDiv);
+function runJsCase(code, testCase) {
+    return new Promise((resolve) => {
+        const started = performance.now();
+        const finish = (result) => {
+            clearTimeout(timer);
+            stop();
+            resolve({ ...result, duration_ms: Math.round(performance.now() - started) });
+        };
+        const timer = setTimeout(() => finish({ status: 'timeout', error: `Timed out after ${TEST_TIMEOUT_MS / 1000}s` }), TEST_TIMEOUT_MS);
 
-    try {
-        const response = await fetch('/ai_chat', {
+        // Stdin cases are compared here; the worker never sees the expected output
+        const sent = testCase.kind === 'assert'
+            ? { kind: 'assert', expression: testCase.expression, expected: testCase.expected }
+            : { kind: 'stdin', stdin: testCase.stdin };
+        const stop = startSandbox(JS_SANDBOX_SOURCE, { code, testCase: sent }, (result) => {
+            if (result.status === 'done') {
+                result.actual = result.stdout;
+                result.status = normalizeOutput(result.stdout) === normalizeOutput(testCase.expected) ? 'pass' : 'fail';
+            }
+            finish(result);
+        }, (error) => finish({ status: 'error', error }));
+    });
+}
+
+// One side (original or fixed) against every case
+async function runTestSide(files, language) {
+    const sandbox = sandboxLanguage(language, files);
+    if (!files.length || !files.some(f => f.code.trim())) return { skipped: "no code" };
+    if (!sandbox) return { skipped: `no sandbox for ${language || 'this language'}` };
+
+    let cases;
+    if (sandbox === 'javascript') {
+        // No module system in the worker: files run as one script, in order
+        const code = files.map(f => f.code).join('\n');
+        cases = [];
+        for (const testCase of testState.cases) cases.push(await runJsCase(code, testCase));
+    } else {
+        const res = await fetch('/run_tests', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ message: msg, code_context: currentCode })
+            body: JSON.stringify({ files, cases: testState.cases })
         });
-        const data = await response.json();
-        
-        // Remove loading
-        chatBody.removeChild(loadingDiv);
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.detail || res.statusText);
+        cases = data.results;
+    }
+    return {
+        language: sandbox === 'python' ? 'Python' : 'JavaScript',
+        passed: cases.filter(c => c.status === 'pass').length,
+        total: cases.length,
+        cases
+    };
+}
 
-        if(data.status === 'success') {
-            const reply = data.reply.replace(/\n/g, '<br>');
-            chatBody.innerHTML += `<div class="chat-msg ai-msg">${reply}</div>`;
-        } else {
-            chatBody.innerHTML += `<div class="chat-msg ai-msg" style="color:red">Error: ${data.message}</div>`;
-        }
-    } catch(err) {
-        chatBody.removeChild(loadingDiv);
-        chatBody.innerHTML += `<div class="chat-msg ai-msg" style="color:red">Network Error</div>`;
+// The assessed submission and its fixed code (or just the editor before any assessment)
+function testTargets() {
+    const hasReport = Object.keys(lastReportData).length > 0;
+    const original = hasReport && Array.isArray(lastReportData.files) ? lastReportData.files : getWorkspaceFiles();
+    let fixed = null;
+    if (hasReport && lastReportData.final_code) {
+        fixed = Array.isArray(lastReportData.final_files) && lastReportData.final_files.length > 1
+            ? lastReportData.final_files.map((f, i) => ({ name: f.name || f.source || `file${i + 1}`, code: f.code || "" }))
+            : [{ name: DEFAULT_FILE_NAME, code: lastReportData.final_code }];
     }
-    chatBody.scrollTop = chatBody.scrollHeight;
+    const targetSelect = document.getElementById('targetLang') || document.getElementById('languageSelect');
+    return {
+        original,
+        originalLanguage: hasReport ? lastReportData.detected_language : null,
+        fixed,
+        fixedLanguage: lastReportData.target_lang || (targetSelect ? targetSelect.value : null)
+    };
 }
 
-function handleChatEnter(e) {
-    if (e.key === 'Enter' && !e.shiftKey) {
-        e.preventDefault(); 
-        sendChatMessage();
+async function runTestCases() {
+    if (testState.running) return;
+    if (!testState.cases.length) return alert("Add at least one test case first.");
+
+    const targets = testTargets();
+    testState.running = true;
+    renderTestSummary();
+    try {
+        const original = await runTestSide(targets.original, targets.originalLanguage);
+        const fixed = targets.fixed ? await runTestSide(targets.fixed, targets.fixedLanguage) : null;
+        testState.results = { original, fixed };
+    } catch (err) {
+        alert(`Test run failed: ${err.message}`);
+    } finally {
+        testState.running = false;
     }
+    renderTestCases();
+    applyTestCompliance();
 }
 
-// ==========================================
-// 5. LAYOUT RESIZER
-// ==========================================
+// The fixed code's test results decide the compliance badge
+function applyTestCompliance() {
+    const results = testState.results;
+    if (!results || !results.fixed || Object.keys(lastReportData).length === 0) return;
 
-const gutter = document.getElementById('resizeHandle');
-const colLeft = document.getElementById('colLeft');
-const container = document.getElementById('mainContainer');
-let isResizing = false;
+    const complianceStatus = document.getElementById('complianceStatus');
+    const fixed = results.fixed;
+    if (complianceStatus) {
+        complianceStatus.classList.remove('compliance-pass', 'compliance-fail');
+        if (fixed.skipped) {
+            complianceStatus.innerHTML = `<i class="fas fa-circle-question"></i> Compliance Status: UNVERIFIED (tests ${escapeHtml(fixed.skipped)})`;
+        } else if (fixed.passed === fixed.total) {
+            complianceStatus.innerHTML = `<i class="fas fa-check-circle"></i> Compliance Status: PASS (${fixed.passed}/${fixed.total} tests passed)`;
+            complianceStatus.classList.add('compliance-pass');
+        } else {
+            complianceStatus.innerHTML = `<i class="fas fa-times-circle"></i> Compliance Status: FAIL (${fixed.passed}/${fixed.total} tests passed)`;
+            complianceStatus.classList.add('compliance-fail');
+        }
+        lastReportData.compliance_status = complianceStatus.innerText;
+    }
+
+    const summarize = (run) => !run ? null : run.skipped ? { skipped: run.skipped } : { language: run.language, passed: run.passed, total: run.total };
+    const status = (run, i) => !run ? null : run.skipped ? 'skipped' : (run.cases[i] || {}).status;
+    lastReportData.test_results = {
+        original: summarize(results.original),
+        fixed: summarize(fixed),
+        cases: testState.cases.map((c, i) => ({
+            label: testCaseLabel(c),
+            original: status(results.original, i),
+            fixed: status(fixed, i)
+        }))
+    };
+}
 
-if (gutter && colLeft && container) {
-    gutter.addEventListener('mousedown', (e) => {
-        isResizing = true;
-        document.body.style.cursor = 'col-resize';
-    });
+// --- Empirical Complexity ---
 
-    document.addEventListener('mousemove', (e) => {
-        if (!isResizing) return;
-        
-        // Calculate percentage
-        const containerWidth = container.offsetWidth;
-        const newLeftWidth = (e.clientX / containerWidth) * 100;
-        
-        // Limits (10% to 90%)
-        if (newLeftWidth > 10 && newLeftWidth < 90) {
-            colLeft.style.width = `${newLeftWidth}%`;
+// Times the fixed code over inputs of growing size and fits the points
+// to common growth curves. Python runs on the server (/run_benchmark);
+// JavaScript runs in the same sandbox frame as the test cases.
+const BENCH_SIZES = Array.from({ length: 31 }, (_, k) => Math.round(8 * 2 ** (k / 2)));   // mirrors run.py
+const BENCH_BUDGET_MS = 10000;
+const BENCH_TIMEOUT_MS = 20000;
+const BENCH_MIN_SAMPLE_MS = 50;
+const BENCH_SIZE_WALL_MS = 250;
+const BENCH_SLOW_CALL_MS = 1500;
+const BENCH_MAX_BATCH_ITEMS = 2000000;
+const BENCH_MIN_POINTS = 5;
+const BENCH_TIME_FLOOR_MS = 0.01;         // timings below this are mostly timer noise
+const BENCH_MEMORY_FLOOR_BYTES = 1024;
+
+// input builds the argument x for size n (not timed); call is timed
+const benchState = { input: "rand_list(n)", call: "", running: false, progress: 0, result: null };
+
+// Timer resolution in workers is coarse, so small calls are timed in
+// batches: reps inputs are built first, then run back to back. The clock is
+// captured before the submission runs, so it cannot fake the timings.
+const BENCH_SANDBOX_SOURCE = `'use strict';
+const send = self.postMessage.bind(self);
+const now = performance.now.bind(performance);
+let seed = 1;
+const random = () => { seed = (seed * 1664525 + 1013904223) % 4294967296; return seed / 4294967296; };
+const rand_list = (n) => Array.from({ length: n }, () => Math.floor(random() * Math.max(n, 1)));
+const sorted_list = (n) => rand_list(n).sort((a, b) => a - b);
+const rand_string = (n) => Array.from({ length: n }, () => String.fromCharCode(97 + Math.floor(random() * 26))).join('');
+self.onmessage = (e) => {
+    const { code, input, call, sizes, budgetMs, minSampleMs, sizeWallMs, slowCallMs, maxBatch, nonce } = e.data;
+    const reply = (message) => send({ nonce, message });
+    const quiet = () => {};
+    const sandboxConsole = { log: quiet, info: quiet, warn: quiet, error: quiet, debug: quiet };
+    const noInput = () => null;
+    const sandboxRequire = (name) => { throw new Error('require("' + name + '") is not available in the sandbox'); };
+    const sandboxProcess = { argv: [], env: {}, stdout: { write: quiet } };
+    const params = ['console', 'readline', 'prompt', 'require', 'process', 'rand_list', 'sorted_list', 'rand_string'];
+    try {
+        const bench = new Function(...params, code + '\\n;return { make: (n) => (' + input + '), run: (x) => (' + call + ') };')(
+            sandboxConsole, noInput, noInput, sandboxRequire, sandboxProcess, rand_list, sorted_list, rand_string);
+        const started = now();
+        for (const n of sizes) {
+            if (now() - started > budgetMs) break;
+            const sizeStarted = now();
+            let reps = 1, elapsed = 0;
+            while (true) {
+                const inputs = Array.from({ length: reps }, () => bench.make(n));
+                const t0 = now();
+                for (const x of inputs) bench.run(x);
+                elapsed = now() - t0;
+                if (elapsed >= minSampleMs || reps * 4 * n > maxBatch || now() - sizeStarted >= sizeWallMs) break;
+                reps *= 4;
+            }
+            reply({ n, ms: elapsed / reps, bytes: null, reps });
+            if (elapsed / reps > slowCallMs) break;
         }
+        reply({ done: true });
+    } catch (err) {
+        reply({ error: String((err && err.message) || err) });
+    }
+};`;
+
+// Resolves { points, stopped } like /run_benchmark; points measured
+// before an error or the timeout are kept
+function runJsBenchmark(code, input, call, onPoint) {
+    return new Promise((resolve, reject) => {
+        const points = [];
+        let done = false;
+        const finish = (stopped) => {
+            if (done) return;
+            done = true;
+            clearTimeout(timer);
+            stop();
+            if (stopped && !points.length) reject(new Error(stopped));
+            else resolve({ points, stopped: stopped || null });
+        };
+        const timer = setTimeout(() => finish(`Timed out after ${BENCH_TIMEOUT_MS / 1000}s`), BENCH_TIMEOUT_MS);
+
+        const stop = startSandbox(BENCH_SANDBOX_SOURCE, {
+            code, input, call, sizes: BENCH_SIZES, budgetMs: BENCH_BUDGET_MS, minSampleMs: BENCH_MIN_SAMPLE_MS,
+            sizeWallMs: BENCH_SIZE_WALL_MS, slowCallMs: BENCH_SLOW_CALL_MS, maxBatch: BENCH_MAX_BATCH_ITEMS
+        }, (msg) => {
+            if (msg.error) return finish(msg.error);
+            if (msg.done) return finish(null);
+            points.push(msg);
+            onPoint(points.length);
+        }, finish);
     });
+}
 
-    document.addEventListener('mouseup', () => {
-        if(isResizing) {
-            isResizing = false;
-            document.body.style.cursor = 'default';
-        }
+const GROWTH_CURVES = [
+    { key: '1', label: 'O(1)', f: () => 1 },
+    { key: 'log n', label: 'O(log n)', f: n => Math.log2(n) },
+    { key: 'n', label: 'O(n)', f: n => n },
+    { key: 'n log n', label: 'O(n log n)', f: n => n * Math.log2(n) },
+    { key: 'n^2', label: 'O(n^2)', f: n => n * n },
+    { key: 'n^3', label: 'O(n^3)', f: n => n * n * n },
+    { key: '2^n', label: 'O(2^n)', f: n => Math.pow(2, n) }
+];
+// Pairs too close to tell apart over the sizes measured
+const GROWTH_NEIGHBOURS = [['1', 'log n'], ['n', 'n log n']];
+
+// y ~ a + b * f(n) with a, b >= 0, least squares on the relative error
+// (y floored, so timer noise near zero does not dominate)
+function fitGrowthCurve(points, curve, floor) {
+    const xs = points.map(p => curve.f(p.n));
+    if (xs.some(x => !isFinite(x))) return null;
+    const ws = points.map(p => 1 / Math.max(p.y, floor) ** 2);
+    let sw = 0, sx = 0, sy = 0, sxx = 0, sxy = 0;
+    points.forEach((p, i) => {
+        const w = ws[i], x = xs[i];
+        sw += w; sx += w * x; sy += w * p.y; sxx += w * x * x; sxy += w * x * p.y;
     });
+    const den = sw * sxx - sx * sx;
+    let b = den > 1e-12 * sw * sxx ? (sw * sxy - sx * sy) / den : 0;
+    let a = (sy - b * sx) / sw;
+    if (b < 0) { b = 0; a = sy / sw; }
+    if (a < 0) { a = 0; b = sxy / sxx; }
+    const error = points.reduce((sum, p, i) => sum + ws[i] * (p.y - a - b * xs[i]) ** 2, 0) / points.length;
+    return { key: curve.key, label: curve.label, a, b, error };
 }
 
-// ==========================================
-// 6. CODE ASSESSMENT & ANALYSIS API
-// ==========================================
+// Best fit, except that a simpler curve nearly as good wins
+function bestGrowthCurve(points, floor) {
+    const fits = GROWTH_CURVES.map(c => fitGrowthCurve(points, c, floor)).filter(Boolean);
+    const best = fits.reduce((m, f) => f.error < m.error ? f : m);
+    return fits.find(f => f.error <= best.error * 1.3 + 0.002);
+}
 
-let lastReportData = {};
+// "O(n log n)", "Θ(N^2)", "O(log(n))" -> a GROWTH_CURVES key, or null (e.g. "O(V + E)")
+function parseComplexityClaim(text) {
+    const s = String(text || '').toLowerCase().replace(/\s+/g, '')
+        .replace(/²/g, '^2').replace(/³/g, '^3').replace(/ⁿ/g, '^n').replace(/\*\*/g, '^').replace(/[·*×]/g, '');
+    const m = s.match(/^(?:o|θ|theta|ω|big-?o)\((.*)\)$/);
+    const body = (m ? m[1] : s).replace(/log_?\d*|lg|ln/g, 'log').replace(/log\((\w+)\)/g, 'log$1');
+    const keys = { '1': '1', 'logn': 'log n', 'n': 'n', 'nlogn': 'n log n', 'lognn': 'n log n', 'n^2': 'n^2', 'nn': 'n^2', 'n^3': 'n^3', '2^n': '2^n' };
+    return keys[body] || null;
+}
 
-async function handleAssessment() {
-    const inputCode = document.getElementById('inputCode') ? document.getElementById('inputCode').value : document.getElementById('codeInput').value;
-    const targetLang = document.getElementById('targetLang') ? document.getElementById('targetLang').value : document.getElementById('languageSelect').value;
-    
-    // Safety check for candidateId - if element doesn't exist, use 'N/A'
-    const candidateIdEl = document.getElementById('candidateId');
-    const candidateId = candidateIdEl ? candidateIdEl.value.trim() : 'N/A';
+// points: [{ n, y }]; claim: the model's { best, average, worst } for this resource
+function compareGrowth(points, floor, claim) {
+    const claimed = claim ? (parseComplexityClaim(claim.average) ? claim.average : claim.worst) : null;
+    const claimedKey = parseComplexityClaim(claimed);
+    const ns = points.map(p => p.n);
+    if (points.length < BENCH_MIN_POINTS || Math.max(...ns) / Math.min(...ns) < 16) {
+        return { points, fit: null, claimed, claimFit: null, verdict: 'inconclusive', note: "Too few sizes finished to fit a curve" };
+    }
 
-    const outputBox = document.getElementById('outputCode');
-    const errorTableBody = document.querySelector('#errorTable tbody');
-    const explanationTableBody = document.querySelector('#explanationTable tbody');
-    
-    // UI Elements
-    const integrityBadge = document.getElementById('integrityCheck');
-    const detectedBadge = document.getElementById('detectedLang');
-    const plagiarismCheck = document.getElementById('plagiarismCheck');
-    const complianceStatus = document.getElementById('complianceStatus');
-    const qualityScoreDisplay = document.getElementById('qualityScoreDisplay'); 
-    
-    const timeBest = document.getElementById('timeBest');
-    const timeAvg = document.getElementById('timeAvg');
-    const timeWorst = document.getElementById('timeWorst');
-    const timeDesc = document.getElementById('timeDesc');
+    const tooSmall = Math.max(...points.map(p => p.y)) < floor * 2;
+    const fit = tooSmall ? fitGrowthCurve(points, GROWTH_CURVES[0], floor) : bestGrowthCurve(points, floor);
+    const curve = GROWTH_CURVES.find(c => c.key === claimedKey);
+    const claimFit = curve ? fitGrowthCurve(points, curve, floor) : null;
+    const otherCases = claim ? [claim.best, claim.worst].map(parseComplexityClaim) : [];
 
-    const spaceBest = document.getElementById('spaceBest');
-    const spaceAvg = document.getElementById('spaceAvg');
-    const spaceWorst = document.getElementById('spaceWorst');
-    const spaceDesc = document.getElementById('spaceDesc');
+    let verdict = 'unknown', note = tooSmall ? "Below measurement resolution at every size" : "";
+    if (claimedKey === fit.key) {
+        verdict = 'agree';
+    } else if (claimedKey && otherCases.includes(fit.key)) {
+        verdict = 'close';
+        note = "Matches another claimed case (best/worst), not the average";
+    } else if (claimedKey && GROWTH_NEIGHBOURS.some(pair => pair.includes(fit.key) && pair.includes(claimedKey))) {
+        verdict = 'close';
+        note = note || "These two are hard to tell apart by measurement";
+    } else if (claimedKey) {
+        verdict = 'disagree';
+    } else {
+        note = claimed ? `Claim "${claimed}" is not a single-variable class` : "No claim to compare with";
+    }
+    return { points, fit, claimed, claimFit, verdict, note };
+}
 
-    const overlay = document.getElementById('loadingOverlay');
-    const navbar = document.getElementById('mainNav');
-    const containerDiv = document.getElementById('mainContainer');
+function toggleEmpiricalControls() {
+    const controls = document.getElementById('empiricalControls');
+    if (!controls) return;
+    const open = controls.style.display !== 'flex';
+    controls.style.display = open ? 'flex' : 'none';
+    if (!open) return;
+    const callInput = document.getElementById('benchCall');
+    const targets = testTargets();
+    if (callInput && !callInput.value && targets.fixed) {
+        callInput.value = benchState.call || guessBenchmarkCall(targets.fixed.map(f => f.code).join('\n'));
+    }
+}
 
-    if (!inputCode.trim()) return alert("Please input candidate code.");
+// First top-level function of the fixed code, called on the generated input
+function guessBenchmarkCall(code) {
+    const m = code.match(/^def\s+(\w+)\s*\(/m) ||
+        code.match(/function\s+(\w+)\s*\(/) ||
+        code.match(/(?:const|let|var)\s+(\w+)\s*=\s*(?:async\s*)?(?:function\b|\([^)]*\)\s*=>|\w+\s*=>)/);
+    return m ? `${m[1]}(x)` : "";
+}
 
-    if (overlay) overlay.style.display = "flex";
-    if (navbar) navbar.classList.add('blur-filter');
-    if (containerDiv) containerDiv.classList.add('blur-filter');
+async function runEmpiricalCheck() {
+    if (benchState.running) return;
+    const targets = testTargets();
+    if (!targets.fixed) return alert("Run an assessment first: the check times the fixed code.");
+    const language = sandboxLanguage(targets.fixedLanguage, targets.fixed);
+    if (!language) return alert(`The empirical check runs JavaScript and Python only, not ${targets.fixedLanguage || 'this language'}.`);
 
-    if (outputBox) outputBox.value = "";
-    updateLineNumbers('outputCode', 'outputLines');
-    if (explanationTableBody) explanationTableBody.innerHTML = `<tr><td colspan="2" style="text-align:center; padding:20px;">Generating detailed explanation...</td></tr>`;
-    
-    // Reset status elements
-    if(complianceStatus) {
-        complianceStatus.innerHTML = `<i class="fas fa-clipboard-check"></i> Compliance Status: PENDING`;
-        complianceStatus.classList.remove('compliance-pass', 'compliance-fail');
-    }
-    
-    if (plagiarismCheck) {
-        plagiarismCheck.innerHTML = `<i class="fas fa-shield-alt"></i> Plagiarism Check: Analyzing...`;
-        plagiarismCheck.className = "plagiarism-bar";
-    }
-    
-    // Reset Quality Score
-    if(qualityScoreDisplay) qualityScoreDisplay.innerHTML = `<i class="fas fa-star-half-stroke"></i> Quality Score: --/100`;
-    
-    [timeBest, timeAvg, timeWorst, spaceBest, spaceAvg, spaceWorst].forEach(el => {
-        if(el) el.innerText = "--";
-    });
-    if(timeDesc) timeDesc.innerText = "Analyzing...";
-    if(spaceDesc) spaceDesc.innerText = "Analyzing...";
+    const inputEl = document.getElementById('benchInput');
+    const callEl = document.getElementById('benchCall');
+    benchState.input = (inputEl ? inputEl.value : benchState.input).trim() || "rand_list(n)";
+    benchState.call = (callEl ? callEl.value : benchState.call).trim();
+    if (!benchState.call) return alert("Enter the call to time, e.g. solve(x).");
+    putDraft("benchmark", { input: benchState.input, call: benchState.call }).catch(() => {});
 
+    benchState.running = true;
+    benchState.progress = 0;
+    benchState.result = null;
+    renderEmpiricalCheck();
     try {
-        const response = await fetch('/process_code', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ 
-                code: inputCode, 
-                target_lang: targetLang,
-                candidate_id: candidateId 
-            })
-        });
-        const data = await response.json();
-
-        if (data.status === "error") {
-            if (outputBox) outputBox.value = "Error: " + data.message;
-            if (explanationTableBody) explanationTableBody.innerHTML = `<tr><td colspan="2" style="color:var(--accent-color); text-align:center;">Analysis failed.</td></tr>`;
-            
-            if(complianceStatus) {
-                complianceStatus.innerHTML = `<i class="fas fa-times-circle"></i> Compliance Status: FAILED (Backend Error)`;
-                complianceStatus.classList.add('compliance-fail');
-            }
-
+        let run;
+        if (language === 'javascript') {
+            run = await runJsBenchmark(targets.fixed.map(f => f.code).join('\n'), benchState.input, benchState.call, (count) => {
+                benchState.progress = count;
+                renderEmpiricalStatus();
+            });
         } else {
-            if (detectedBadge) detectedBadge.innerText = data.detected_language || "Unknown";
-            if (integrityBadge) integrityBadge.innerText = "Integrity: " + (data.integrity_check || "--");
-            
-            // NEW: Update Quality Score
-            if(qualityScoreDisplay) {
-                const score = data.quality_score || 0;
-                qualityScoreDisplay.innerHTML = `<i class="fas fa-star"></i> Quality Score: ${score}/100`;
-            }
+            const res = await fetch('/run_benchmark', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ files: targets.fixed, input: benchState.input, call: benchState.call })
+            });
+            run = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(run.detail || res.statusText);
+        }
+        const complexity = lastReportData.complexity || {};
+        const points = run.points;
+        benchState.result = {
+            language: language === 'python' ? 'Python' : 'JavaScript',
+            stopped: run.stopped,
+            time: compareGrowth(points.map(p => ({ n: p.n, y: p.ms })), BENCH_TIME_FLOOR_MS, complexity.time),
+            // Workers have no heap measurement; memory comes from tracemalloc on the server
+            space: language === 'python'
+                ? compareGrowth(points.filter(p => p.bytes !== null).map(p => ({ n: p.n, y: p.bytes })), BENCH_MEMORY_FLOOR_BYTES, complexity.space)
+                : null
+        };
+        const part = (r) => r && { measured: r.fit ? r.fit.label : null, claimed: r.claimed, verdict: r.verdict };
+        lastReportData.empirical_complexity = {
+            language: benchState.result.language,
+            input: benchState.input,
+            call: benchState.call,
+            n_min: points.length ? points[0].n : null,
+            n_max: points.length ? points[points.length - 1].n : null,
+            time: part(benchState.result.time),
+            space: part(benchState.result.space)
+        };
+    } catch (err) {
+        benchState.result = { error: err.message };
+    } finally {
+        benchState.running = false;
+    }
+    renderEmpiricalCheck();
+}
 
-            if (plagiarismCheck) {
-                if (data.plagiarism_check) {
-                    plagiarismCheck.innerHTML = `<i class="fas fa-shield-alt"></i> Plagiarism Check: ${data.plagiarism_check}`;
-                    if (data.plagiarism_check.toLowerCase().includes("high match")) {
-                        plagiarismCheck.classList.add('plagiarism-high');
-                        plagiarismCheck.classList.remove('plagiarism-low');
-                    } else {
-                        plagiarismCheck.classList.add('plagiarism-low');
-                        plagiarismCheck.classList.remove('plagiarism-high');
-                    }
-                } else {
-                    plagiarismCheck.innerHTML = `<i class="fas fa-shield-alt"></i> Plagiarism Check: Data Missing`;
-                    plagiarismCheck.classList.add('plagiarism-high');
-                }
-            }
-            
-            if(complianceStatus) {
-                if (data.final_code && data.final_code.trim().length > 0) {
-                     complianceStatus.innerHTML = `<i class="fas fa-check-circle"></i> Compliance Status: PASS (100% Fixed)`;
-                     complianceStatus.classList.add('compliance-pass');
-                } else {
-                     complianceStatus.innerHTML = `<i class="fas fa-exclamation-triangle"></i> Compliance Status: FAIL (Empty Output)`;
-                     complianceStatus.classList.add('compliance-fail');
-                }
-            }
+function renderEmpiricalStatus() {
+    const status = document.getElementById('benchStatus');
+    const btn = document.getElementById('benchRunBtn');
+    if (btn) btn.disabled = benchState.running;
+    if (!status) return;
+    const r = benchState.result;
+    status.innerText = benchState.running ? `Measuring... ${benchState.progress ? `${benchState.progress} size(s) done` : ''}`
+        : r && r.error ? `Failed: ${r.error}`
+        : r ? `${r.language} · ${r.time.points.length} size(s)${r.stopped ? ` · stopped: ${r.stopped}` : ''}`
+        : "";
+}
 
-            if (outputBox) {
-                outputBox.value = data.final_code;
-                updateLineNumbers('outputCode', 'outputLines');
-            }
+function renderEmpiricalCheck() {
+    renderEmpiricalStatus();
+    const r = benchState.result && !benchState.result.error ? benchState.result : null;
+    renderEmpiricalPart('timeEmpirical', r && r.time, 'ms', r ? null : "");
+    renderEmpiricalPart('spaceEmpirical', r && r.space, 'bytes', r && !r.space ? "Memory is only measured for Python (the browser exposes no per-call heap figures)." : "");
+}
 
-            if (explanationTableBody) {
-                explanationTableBody.innerHTML = "";
-                if (data.code_explanation && Array.isArray(data.code_explanation)) {
-                    data.code_explanation.forEach(item => {
-                        const row = `<tr>
-                            <td class="code-cell">${item.code.replace(/</g, "&lt;").replace(/>/g, "&gt;")}</td>
-                            <td>${item.explanation}</td>
-                        </tr>`;
-                        explanationTableBody.innerHTML += row;
-                    });
-                } else {
-                    explanationTableBody.innerHTML = `<tr><td colspan="2" style="text-align:center;">No explanation provided.</td></tr>`;
-                }
-            }
+const EMPIRICAL_VERDICTS = {
+    agree: ['fa-check-circle', 'matches the claim'],
+    close: ['fa-circle-info', 'close to the claim'],
+    disagree: ['fa-triangle-exclamation', 'disagrees with the claim'],
+    unknown: ['fa-circle-question', 'not compared'],
+    inconclusive: ['fa-circle-question', 'inconclusive']
+};
 
-            if (errorTableBody) {
-                errorTableBody.innerHTML = "";
-                if (data.error_table && data.error_table.length > 0) {
-                    errorTableBody.innerHTML = `<tr><td colspan="2" style="text-align:center; color:var(--accent-color); padding:10px;">${data.error_table.length} Errors Found in Original Code.</td></tr>`;
-                    data.error_table.forEach(err => {
-                        const row = `<tr>
-                            <td>${err.line}</td>
-                            <td>${err.error}</td>
-                        </tr>`;
-                        errorTableBody.innerHTML += row;
-                    });
-                } else {
-                    errorTableBody.innerHTML = `<tr><td colspan="2" style="text-align:center; color:var(--success-color); padding:20px;">No critical errors found in Original Code.</td></tr>`;
-                }
-            }
-            
-            if (data.complexity) {
-                if (data.complexity.time) {
-                    if (timeBest) timeBest.innerText = data.complexity.time.best || "?";
-                    if (timeAvg) timeAvg.innerText = data.complexity.time.average || "?";
-                    if (timeWorst) timeWorst.innerText = data.complexity.time.worst || "?";
-                    if (timeDesc) timeDesc.innerText = data.complexity.time.desc || "";
-                }
-                if (data.complexity.space) {
-                    if (spaceBest) spaceBest.innerText = data.complexity.space.best || "?";
-                    if (spaceAvg) spaceAvg.innerText = data.complexity.space.average || "?";
-                    if (spaceWorst) spaceWorst.innerText = data.complexity.space.worst || "?";
-                    if (spaceDesc) spaceDesc.innerText = data.complexity.space.desc || "";
-                }
-            }
-            
-            lastReportData = {
-                ...data,
-                original_code: inputCode,
-                compliance_status: complianceStatus ? complianceStatus.innerText : "N/A",
-                time_analysis: getComplexityText(),
-                error_log_text: getErrorLogText(),
-                explanation_text: getExplanationTableText(),
-                maintainability_index: data.maintainability_index || '--',
-                readability_score: data.readability_score || '--',
-            };
-        }
-    } catch (err) {
-        if (outputBox) outputBox.value = "System Connection Error. Ensure backend is running.\n\n" + err;
-         if(complianceStatus) {
-            complianceStatus.innerHTML = `<i class="fas fa-times-circle"></i> Compliance Status: FAILED (System Error)`;
-            complianceStatus.classList.add('compliance-fail');
-         }
-    } finally {
-        if (overlay) overlay.style.display = "none";
-        if (navbar) navbar.classList.remove('blur-filter');
-        if (containerDiv) containerDiv.classList.remove('blur-filter');
+function renderEmpiricalPart(id, part, unit, emptyText) {
+    const box = document.getElementById(id);
+    if (!box) return;
+    if (!part) {
+        box.style.display = emptyText ? 'block' : 'none';
+        box.innerHTML = emptyText ? `<div class="batch-note">${escapeHtml(emptyText)}</div>` : "";
+        return;
     }
+    const [icon, text] = EMPIRICAL_VERDICTS[part.verdict];
+    box.style.display = 'block';
+    box.innerHTML = `<div class="empirical-verdict verdict-${part.verdict}">
+            <i class="fas ${icon}"></i> Measured ${escapeHtml(part.fit ? part.fit.label : '?')} · claimed ${escapeHtml(part.claimed || '?')} · ${text}
+        </div>
+        ${part.note ? `<div class="batch-note">${escapeHtml(part.note)}</div>` : ''}
+        ${part.fit ? growthChartSvg(part, unit) : ''}`;
+}
+
+// Log-log plot: measured points, the best-fit curve and the claimed curve fitted to the same points
+function growthChartSvg(part, unit) {
+    const W = 300, H = 130, L = 46, R = 8, T = 8, B = 20;
+    const floor = unit === 'ms' ? BENCH_TIME_FLOOR_MS / 10 : 1;
+    const ns = part.points.map(p => p.n);
+    const nMin = Math.min(...ns), nMax = Math.max(...ns);
+    const samples = Array.from({ length: 40 }, (_, i) => nMin * Math.pow(nMax / nMin, i / 39));
+    const curveYs = (fit) => fit ? samples.map(n => fit.a + fit.b * GROWTH_CURVES.find(c => c.key === fit.key).f(n)) : [];
+    const fitYs = curveYs(part.fit), claimYs = curveYs(part.claimFit);
+    const ys = [...part.points.map(p => p.y), ...fitYs, ...claimYs].map(y => Math.max(y, floor)).filter(isFinite);
+    const yMin = Math.min(...ys), yMax = Math.max(...ys) * 1.05;
+
+    const x = (n) => L + (W - L - R) * Math.log(n / nMin) / Math.log(nMax / nMin);
+    const y = (v) => T + (H - T - B) * (1 - Math.log(Math.max(v, floor) / yMin) / Math.log(Math.max(yMax / yMin, 1.0001)));
+    const line = (vals, cls) => vals.length
+        ? `<polyline class="${cls}" points="${samples.map((n, i) => `${x(n).toFixed(1)},${Math.max(T, y(vals[i])).toFixed(1)}`).join(' ')}"/>` : '';
+    const fmt = (v) => unit === 'ms' ? `${v < 1 ? v.toPrecision(2) : Math.round(v)} ms` : v >= 1048576 ? `${(v / 1048576).toFixed(1)} MB` : v >= 1024 ? `${Math.round(v / 1024)} KB` : `${Math.round(v)} B`;
+
+    return `<svg class="growth-chart" viewBox="0 0 ${W} ${H}" role="img" aria-label="Measured growth">
+        <line class="axis" x1="${L}" y1="${H - B}" x2="${W - R}" y2="${H - B}"/><line class="axis" x1="${L}" y1="${T}" x2="${L}" y2="${H - B}"/>
+        <text x="${L}" y="${H - 6}">n=${nMin}</text><text x="${W - R}" y="${H - 6}" text-anchor="end">n=${nMax}</text>
+        <text x="${L - 4}" y="${T + 8}" text-anchor="end">${fmt(yMax)}</text><text x="${L - 4}" y="${H - B}" text-anchor="end">${fmt(yMin)}</text>
+        ${line(claimYs, 'claim-line')}${line(fitYs, 'fit-line')}
+        ${part.points.map(p => `<circle cx="${x(p.n).toFixed(1)}" cy="${y(p.y).toFixed(1)}" r="2.5"><title>n=${p.n}: ${fmt(p.y)}</title></circle>`).join('')}
+    </svg>
+    <div class="growth-legend"><span class="legend-fit">— fit ${escapeHtml(part.fit.label)}</span>${part.claimFit ? `<span class="legend-claim">- - claimed ${escapeHtml(part.claimFit.label)}</span>` : ''}<span>● measured</span></div>`;
+}
+
+// One line for exports and the PDF: "time O(n) (claimed O(n), agree)"
+function empiricalText(check) {
+    if (!check) return null;
+    const part = (label, r) => !r ? `${label} not measured` : `${label} ${r.measured || 'inconclusive'} (claimed ${r.claimed || '?'}, ${r.verdict})`;
+    return `${check.language}, n = ${check.n_min}..${check.n_max}: ${part('time', check.time)}; ${part('space', check.space)}`;
 }
 
 // ==========================================
-// 7. REPORTING & PDF GENERATION
+// 12. REPORTING & PDF GENERATION
 // ==========================================
 
 async function downloadPdf() {
@@ -547,11 +5109,25 @@ async function downloadPdf() {
         downloadButton.disabled = true;
     }
 
+    // Optional side-by-side diff section
+    const includeDiff = document.getElementById('diffInPdf');
+    const reportPayload = { ...lastReportData };
+    if (includeDiff && includeDiff.checked) {
+        const modeSelect = document.getElementById('diffMode');
+        reportPayload.diff = buildDiffReport(modeSelect ? modeSelect.value : 'auto');
+    }
+
+    // Interview rubric scores and notes, saved first so the report has the latest
+    if (interviewState.session) {
+        await saveInterviewSession();
+        if (interviewState.session.id) reportPayload.interview_session_id = interviewState.session.id;
+    }
+
     try {
         const response = await fetch('/generate_pdf', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(lastReportData)
+            body: JSON.stringify(reportPayload)
         });
 
         if (response.ok) {
@@ -590,12 +5166,14 @@ async function downloadPdf() {
 // --- Helper Functions for Data Extraction ---
 
 function getErrorLogText() {
-    const rows = document.querySelectorAll('#errorTable tbody tr');
+    const rows = document.querySelectorAll('#errorTable tbody tr.error-row');
     let text = "";
     rows.forEach(row => {
         const cols = row.querySelectorAll('td');
+        const message = row.querySelector('.error-text');
         if(cols.length >= 2) {
-            text += `Line ${cols[0].innerText}: ${cols[1].innerText}\n`;
+            const where = row.dataset.file ? `${row.dataset.file}:${row.dataset.line || '?'}` : `Line ${cols[0].innerText}`;
+            text += `${where} [${row.dataset.source === 'local' ? 'Local' : 'AI'}]: ${message ? message.innerText : cols[1].innerText}\n`;
         }
     });
     return text.trim() || "No critical errors found.";
@@ -633,12 +5211,345 @@ SPACE COMPLEXITY:
   Notes: ${sDesc}`;
 }
 
+// --- Structured Exports (JSON / Markdown / HTML / SARIF) ---
+
+const LANGUAGE_EXTENSIONS = {
+    python: 'py', javascript: 'js', typescript: 'ts', java: 'java', c: 'c', 'c++': 'cpp', 'c#': 'cs', go: 'go',
+    rust: 'rs', swift: 'swift', kotlin: 'kt', ruby: 'rb', r: 'r', perl: 'pl', elixir: 'ex', dart: 'dart',
+    shell: 'sh', bash: 'sh', php: 'php', sql: 'sql', lua: 'lua', matlab: 'm'
+};
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+function toggleExportMenu(event) {
+    event.stopPropagation();
+    const menu = document.getElementById('exportMenu');
+    if (menu) menu.classList.toggle('open');
+}
+
+// Files of a multi-file submission (null for a single file)
+function submissionFiles(report) {
+    return Array.isArray(report.files) && report.files.length > 1 ? report.files : null;
+}
+
+// Lines are only kept when they point inside the original submission
+// (inside the named file, for multi-file submissions)
+function exportFindings(report) {
+    const files = submissionFiles(report);
+    return (Array.isArray(report.error_table) ? report.error_table : []).map(err => {
+        const file = files ? files.find(f => f.name === err.file) : null;
+        const code = files ? (file ? file.code : null) : (report.original_code || "");
+        const lineCount = code === null ? 0 : code.split('\n').length;
+        const line = parseInt(err.line, 10);
+        return {
+            file: file ? file.name : null,
+            line: line >= 1 && line <= lineCount ? line : null,
+            severity: SEVERITY_RANK[err.severity] ? err.severity : 'error',
+            source: err.source === 'local' ? 'local' : 'ai',
+            rule: err.rule || null,
+            message: String(err.error || "")
+        };
+    });
+}
+
+function submissionFileName(report) {
+    const ext = LANGUAGE_EXTENSIONS[String(report.detected_language || "").toLowerCase()] || 'txt';
+    const stem = String(report.candidate_id && report.candidate_id !== 'N/A' ? report.candidate_id : 'submission').replace(/[^\w.-]+/g, '_');
+    return `${stem}.${ext}`;
+}
+
+function similarityText(similarity) {
+    if (!similarity || similarity.score === null || similarity.score === undefined) return null;
+    const top = similarity.matches && similarity.matches[0];
+    return `${similarity.score}% (${similarity.level})` + (top ? `, top match: ${top.label}` : '');
+}
+
+function buildJsonReport(report) {
+    return {
+        format: "codestatic-report",
+        version: 1,
+        generated_at: new Date().toISOString(),
+        assessment_id: report.assessment_id ?? null,
+        candidate_id: report.candidate_id && report.candidate_id !== 'N/A' ? report.candidate_id : null,
+        file: submissionFileName(report),
+        detected_language: report.detected_language || null,
+        target_language: report.target_lang || null,
+        scores: {
+            quality: report.quality_score ?? null,
+            maintainability: report.maintainability_index ?? null,
+            readability: report.readability_score ?? null
+        },
+        compliance: report.compliance_status || null,
+        integrity: report.integrity_check || null,
+        plagiarism: report.plagiarism_check || null,
+        similarity: report.similarity || null,
+        session_recording: report.session_recording || null,
+        validation: report.validation || null,
+        profile: report.profile || null,
+        findings: exportFindings(report),
+        complexity: report.complexity || null,
+        empirical_complexity: report.empirical_complexity || null,
+        explanation: Array.isArray(report.code_explanation) ? report.code_explanation : [],
+        original_code: report.original_code || "",
+        fixed_code: report.final_code || "",
+        files: submissionFiles(report),
+        fixed_files: submissionFiles(report) && Array.isArray(report.final_files) ? report.final_files : null
+    };
+}
+
+function buildMarkdownReport(report) {
+    const json = buildJsonReport(report);
+    const cell = (v) => String(v ?? '--').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    const fence = (code, lang) => {
+        const ticks = '`'.repeat(Math.max(3, ...(String(code).match(/`+/g) || []).map(t => t.length + 1)));
+        return `${ticks}${lang}\n${code}\n${ticks}`;
+    };
+    const c = json.complexity || {};
+    const fixedLang = String(json.target_language || '').toLowerCase();
+    const lines = [
+        `# CodeStatic Assessment Report`,
+        ``,
+        `| Field | Value |`,
+        `| --- | --- |`,
+        `| Candidate | ${cell(json.candidate_id)} |`,
+        `| File | ${cell(json.file)} |`,
+        `| Language | ${cell(json.detected_language)} → ${cell(json.target_language)} |`,
+        `| Quality score | ${cell(json.scores.quality)}/100 |`,
+        `| Compliance | ${cell(json.compliance)} |`,
+        `| Integrity | ${cell(json.integrity)} |`,
+        `| Similarity | ${cell(similarityText(json.similarity))} |`,
+        `| Session recording | ${cell(recordingText(json.session_recording))} |`,
+        `| AI plagiarism verdict | ${cell(json.plagiarism)} |`,
+        ``,
+        `## Findings (${json.findings.length})`,
+        ``
+    ];
+    if (json.findings.length && json.files) {
+        lines.push(`| File | Line | Severity | Source | Message |`, `| --- | --- | --- | --- | --- |`);
+        json.findings.forEach(f => lines.push(`| ${cell(f.file)} | ${cell(f.line)} | ${f.severity} | ${f.source === 'local' ? 'Local' : 'AI'} | ${cell(f.message)} |`));
+    } else if (json.findings.length) {
+        lines.push(`| Line | Severity | Source | Message |`, `| --- | --- | --- | --- |`);
+        json.findings.forEach(f => lines.push(`| ${cell(f.line)} | ${f.severity} | ${f.source === 'local' ? 'Local' : 'AI'} | ${cell(f.message)} |`));
+    } else {
+        lines.push(`No critical errors found.`);
+    }
+    const segments = json.session_recording ? json.session_recording.segments || [] : [];
+    if (segments.length) {
+        lines.push(``, `## Session Recording`, ``);
+        segments.forEach(s => lines.push(`- ${recordingSegmentText(s)}`));
+    }
+    lines.push(
+        ``,
+        `## Complexity`,
+        ``,
+        `| | Best | Average | Worst |`,
+        `| --- | --- | --- | --- |`,
+        `| Time | ${cell(c.time && c.time.best)} | ${cell(c.time && c.time.average)} | ${cell(c.time && c.time.worst)} |`,
+        `| Space | ${cell(c.space && c.space.best)} | ${cell(c.space && c.space.average)} | ${cell(c.space && c.space.worst)} |`,
+        ``
+    );
+    if (c.time && c.time.desc) lines.push(`**Time:** ${c.time.desc}`, ``);
+    if (c.space && c.space.desc) lines.push(`**Space:** ${c.space.desc}`, ``);
+    if (json.empirical_complexity) lines.push(`**Empirical check:** ${empiricalText(json.empirical_complexity)}`, ``);
+    const sourceLang = String(json.detected_language || '').toLowerCase();
+    if (json.files) {
+        lines.push(`## Original Submission`, ``);
+        json.files.forEach(f => lines.push(`### ${f.name}`, ``, fence(f.code, sourceLang), ``));
+    } else {
+        lines.push(`## Original Submission`, ``, fence(json.original_code, sourceLang), ``);
+    }
+    if (json.fixed_files) {
+        lines.push(`## Fixed Code`, ``);
+        json.fixed_files.forEach(f => lines.push(`### ${f.name || f.source}`, ``, fence(f.code, fixedLang), ``));
+    } else {
+        lines.push(`## Fixed Code`, ``, fence(json.fixed_code, fixedLang), ``);
+    }
+    if (json.explanation.length) {
+        lines.push(`## Line-by-Line Explanation`, ``, `| Code | Explanation |`, `| --- | --- |`);
+        json.explanation.forEach(e => lines.push(`| \`${cell(e.code).replace(/`/g, "'")}\` | ${cell(e.explanation)} |`));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Self-contained: inline styles, no scripts or external assets
+function buildHtmlReport(report) {
+    const json = buildJsonReport(report);
+    const c = json.complexity || {};
+    // Line anchors: "L12" for one file, "F2L12" per file otherwise
+    const anchor = (fileName) => json.files ? `F${json.files.findIndex(f => f.name === fileName)}` : '';
+    const marksFor = (fileName) => {
+        const byLine = {};
+        json.findings.forEach(f => {
+            if (!f.line || f.file !== fileName) return;
+            if (!byLine[f.line] || SEVERITY_RANK[f.severity] > SEVERITY_RANK[byLine[f.line]]) byLine[f.line] = f.severity;
+        });
+        return byLine;
+    };
+    const codeRows = (code, marks, prefix = '') => String(code).split('\n').map((text, i) =>
+        `<tr class="${marks && marks[i + 1] ? 'mark-' + marks[i + 1] : ''}" id="${marks ? prefix + 'L' + (i + 1) : ''}"><td class="ln">${i + 1}</td><td><pre>${escapeHtml(text)}</pre></td></tr>`).join("");
+    const row = (label, value) => `<tr><th>${label}</th><td>${escapeHtml(value ?? '--')}</td></tr>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>CodeStatic Report - ${escapeHtml(json.candidate_id || json.file)}</title>
+<style>
+    body { font-family: -apple-system, Segoe UI, Roboto, sans-serif; margin: 0 auto; max-width: 1000px; padding: 24px; color: #1f2937; }
+    h1 { border-bottom: 3px solid #dc3545; padding-bottom: 8px; }
+    h2 { margin-top: 32px; font-size: 1.1rem; background: #f0f0f0; padding: 6px 10px; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+    th, td { border: 1px solid #e5e7eb; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f9fafb; width: 180px; }
+    .code td { border: none; padding: 0 8px; }
+    .code pre { margin: 0; font-family: Consolas, Monaco, monospace; font-size: 0.8rem; white-space: pre-wrap; }
+    .code .ln { color: #9ca3af; text-align: right; width: 40px; user-select: none; }
+    .mark-error { background: #fde2e2; } .mark-warning { background: #fef3c7; } .mark-info { background: #dbeafe; }
+    .sev-error { color: #dc2626; font-weight: 600; } .sev-warning { color: #d97706; font-weight: 600; } .sev-info { color: #2563eb; }
+    .badge { display: inline-block; padding: 1px 6px; border-radius: 4px; font-size: 0.7rem; font-weight: 700; background: #e0e7ff; color: #4338ca; }
+    .badge.local { background: #ccfbf1; color: #0f766e; }
+    a { color: inherit; }
+</style>
+</head>
+<body>
+<h1>CodeStatic Assessment Report</h1>
+<table>
+    ${row('Candidate', json.candidate_id)}
+    ${row('File', json.file)}
+    ${row('Language', `${json.detected_language || '?'} → ${json.target_language || '?'}`)}
+    ${row('Quality score', `${json.scores.quality ?? '--'} / 100`)}
+    ${row('Compliance', json.compliance)}
+    ${row('Integrity', json.integrity)}
+    ${row('Similarity', similarityText(json.similarity))}
+    ${row('Session recording', recordingText(json.session_recording))}
+    ${row('AI plagiarism verdict', json.plagiarism)}
+    ${row('Generated', new Date(json.generated_at).toLocaleString())}
+</table>
+
+<h2>Findings (${json.findings.length})</h2>
+${json.findings.length ? `<table>
+    <tr>${json.files ? '<th style="width:140px">File</th>' : ''}<th style="width:60px">Line</th><th style="width:80px">Severity</th><th style="width:60px">Source</th><th style="width:auto">Message</th></tr>
+    ${json.findings.map(f => `<tr>
+        ${json.files ? `<td>${escapeHtml(f.file || '--')}</td>` : ''}
+        <td>${f.line ? `<a href="#${anchor(f.file)}L${f.line}">${f.line}</a>` : '--'}</td>
+        <td class="sev-${f.severity}">${f.severity}</td>
+        <td><span class="badge ${f.source}">${f.source === 'local' ? 'Local' : 'AI'}</span></td>
+        <td>${escapeHtml(f.message)}</td>
+    </tr>`).join("")}
+</table>` : '<p>No critical errors found.</p>'}
+
+<h2>Complexity</h2>
+<table>
+    <tr><th></th><th>Best</th><th>Average</th><th>Worst</th><th>Notes</th></tr>
+    ${['time', 'space'].map(k => `<tr><th>${k === 'time' ? 'Time' : 'Space'}</th>
+        <td>${escapeHtml((c[k] && c[k].best) || '--')}</td><td>${escapeHtml((c[k] && c[k].average) || '--')}</td>
+        <td>${escapeHtml((c[k] && c[k].worst) || '--')}</td><td>${escapeHtml((c[k] && c[k].desc) || '')}</td></tr>`).join("")}
+</table>
+${json.empirical_complexity ? `<p><strong>Empirical check:</strong> ${escapeHtml(empiricalText(json.empirical_complexity))}</p>` : ''}
+
+<h2>Original Submission</h2>
+${json.files
+    ? json.files.map(f => `<h3>${escapeHtml(f.name)}</h3>\n<table class="code">${codeRows(f.code, marksFor(f.name), anchor(f.name))}</table>`).join("\n")
+    : `<table class="code">${codeRows(json.original_code, marksFor(null))}</table>`}
+
+<h2>Fixed Code</h2>
+${json.fixed_files
+    ? json.fixed_files.map(f => `<h3>${escapeHtml(f.name || f.source)}</h3>\n<table class="code">${codeRows(f.code, null)}</table>`).join("\n")
+    : `<table class="code">${codeRows(json.fixed_code, null)}</table>`}
+
+${json.explanation.length ? `<h2>Line-by-Line Explanation</h2>
+<table>
+    <tr><th>Code</th><th style="width:auto">Explanation</th></tr>
+    ${json.explanation.map(e => `<tr><td><pre>${escapeHtml(e.code)}</pre></td><td>${escapeHtml(e.explanation)}</td></tr>`).join("")}
+</table>` : ''}
+</body>
+</html>
+`;
+}
+
+// SARIF 2.1.0, one result per error_table entry
+function buildSarifReport(report) {
+    const json = buildJsonReport(report);
+    // One artifact per submitted file
+    const artifacts = json.files
+        ? json.files.map(f => ({ uri: f.name, text: f.code }))
+        : [{ uri: json.file, text: json.original_code }];
+    const ruleIds = [];
+    const results = json.findings.map(f => {
+        const ruleId = f.source === 'local' ? `local/${f.rule || 'check'}` : 'ai/finding';
+        if (!ruleIds.includes(ruleId)) ruleIds.push(ruleId);
+        const index = json.files ? Math.max(0, artifacts.findIndex(a => a.uri === f.file)) : 0;
+        const location = { artifactLocation: { uri: artifacts[index].uri, index } };
+        if (f.line) location.region = { startLine: f.line, snippet: { text: artifacts[index].text.split('\n')[f.line - 1] } };
+        return {
+            ruleId,
+            ruleIndex: ruleIds.indexOf(ruleId),
+            level: SARIF_LEVELS[f.severity],
+            message: { text: f.message },
+            locations: [{ physicalLocation: location }],
+            properties: { source: f.source }
+        };
+    });
+
+    return {
+        $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+        version: "2.1.0",
+        runs: [{
+            tool: {
+                driver: {
+                    name: "CodeStatic",
+                    rules: ruleIds.map(id => ({
+                        id,
+                        shortDescription: { text: id === 'ai/finding' ? 'Issue reported by the AI assessment' : `Rule-based check: ${id.slice(6)}` }
+                    }))
+                }
+            },
+            artifacts: artifacts.map(a => ({
+                location: { uri: a.uri },
+                sourceLanguage: json.detected_language || undefined,
+                contents: { text: a.text }
+            })),
+            results,
+            properties: {
+                assessmentId: json.assessment_id,
+                candidateId: json.candidate_id,
+                qualityScore: json.scores.quality
+            }
+        }]
+    };
+}
+
+function exportReport(format) {
+    const menu = document.getElementById('exportMenu');
+    if (menu) menu.classList.remove('open');
+    if (Object.keys(lastReportData).length === 0 || !lastReportData.final_code) {
+        alert("Please run an assessment first to generate the report data.");
+        return;
+    }
+
+    const stem = `CodeStatic_Report_${submissionFileName(lastReportData).replace(/\.[^.]+$/, '')}_${Date.now()}`;
+    switch (format) {
+        case 'json':
+            downloadBlob(JSON.stringify(buildJsonReport(lastReportData), null, 2), `${stem}.json`, 'application/json');
+            break;
+        case 'markdown':
+            downloadBlob(buildMarkdownReport(lastReportData), `${stem}.md`, 'text/markdown');
+            break;
+        case 'html':
+            downloadBlob(buildHtmlReport(lastReportData), `${stem}.html`, 'text/html');
+            break;
+        case 'sarif':
+            downloadBlob(JSON.stringify(buildSarifReport(lastReportData), null, 2), `${stem}.sarif`, 'application/sarif+json');
+            break;
+    }
+}
+
 // --- Copy Utilities ---
 
 function copyContent(elementId) {
     const copyText = document.getElementById(elementId);
     if (!copyText.value) return; 
     copyText.select();
+    noteAppCopy(copyText.value, copyOrigin(copyText));
     navigator.clipboard.writeText(copyText.value).then(() => {
         const originalBg = copyText.style.background;
         copyText.style.background = "#22c55e22"; 
@@ -682,21 +5593,275 @@ function copyComplexity() {
 }
 
 // ==========================================
-// 8. INITIALIZATION
+// 13. ACCOUNTS & TEAMS
+// ==========================================
+// The session lives in an HttpOnly cookie, so calls need nothing extra.
+// Offline drafts and the sync queue belong to whoever signed in last on
+// this browser; a different account starts from an empty store.
+
+const TEAM_ROLES = ['member', 'reviewer'];
+let currentUser = null;
+
+// Any 401 mid-session (expired or revoked cookie) brings back the sign-in form
+const nativeFetch = window.fetch.bind(window);
+window.fetch = async (...args) => {
+    const res = await nativeFetch(...args);
+    if (res.status === 401 && currentUser) showAuthPanel("Your session has ended. Sign in again to keep syncing.");
+    return res;
+};
+
+async function loadCurrentUser() {
+    let res;
+    try {
+        res = await fetch('/me');
+    } catch (err) {
+        // Backend unreachable: keep working offline as the last account seen here
+        currentUser = (await getDraft("account").catch(() => null)) || null;
+        if (!currentUser) showAuthPanel("The server is unreachable. Sign in once it is back.");
+        renderAccountButton();
+        return currentUser;
+    }
+    if (!res.ok) {
+        showAuthPanel();
+        return null;
+    }
+    currentUser = (await res.json()).user;
+    await claimOfflineStore(currentUser);
+    renderAccountButton();
+    return currentUser;
+}
+
+async function claimOfflineStore(user) {
+    const owner = await getDraft("account").catch(() => null);
+    if (owner && owner.id !== user.id) await clearOfflineStore();
+    await putDraft("account", user);
+}
+
+function renderAccountButton() {
+    const btn = document.getElementById('accountBtn');
+    const name = document.getElementById('accountName');
+    if (!btn || !name) return;
+    btn.style.display = currentUser ? '' : 'none';
+    name.textContent = currentUser ? currentUser.username : "";
+    btn.title = currentUser && currentUser.team_name
+        ? `${currentUser.username} · ${currentUser.team_name} (${currentUser.role})`
+        : "Account & team";
+}
+
+// --- Sign in / out ---
+
+function showAuthPanel(message) {
+    const panel = document.getElementById('authPanel');
+    if (!panel) return;
+    const wasOpen = panel.style.display === 'flex';
+    panel.style.display = 'flex';
+    setAuthMessage(message || "");
+    if (!wasOpen) document.getElementById('authUsername').focus();
+}
+
+function setAuthMessage(text) {
+    const el = document.getElementById('authMessage');
+    if (el) el.textContent = text;
+}
+
+// mode: 'login' | 'register'
+async function submitAuth(mode) {
+    const username = document.getElementById('authUsername').value.trim();
+    const password = document.getElementById('authPassword').value;
+    if (!username || !password) return setAuthMessage("Enter a username and a password.");
+
+    try {
+        const res = await fetch(`/${mode}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.detail || res.statusText);
+
+        document.getElementById('authPassword').value = "";
+        // Same account after an expired session: carry on without reloading
+        if (currentUser && currentUser.id === data.user.id) {
+            currentUser = data.user;
+            document.getElementById('authPanel').style.display = 'none';
+            processSyncQueue();
+            return;
+        }
+        await claimOfflineStore(data.user);
+        location.reload();
+    } catch (err) {
+        setAuthMessage(err.message);
+    }
+}
+
+async function signOut() {
+    flushAutoSave();
+    await processSyncQueue();
+    const pending = (await getQueue()).length;
+    if (pending && !confirm(`${pending} change(s) have not reached the server yet and will be lost. Sign out anyway?`)) return;
+
+    await fetch('/logout', { method: 'POST' }).catch(() => {});
+    await clearOfflineStore();
+    location.reload();
+}
+
+// --- Team ---
+
+function toggleAccountPanel() {
+    const panel = document.getElementById('accountPanel');
+    if (!panel) return;
+    const open = panel.style.display !== 'flex';
+    panel.style.display = open ? 'flex' : 'none';
+    if (open) loadTeam();
+}
+
+async function loadTeam() {
+    const body = document.getElementById('teamBody');
+    if (!body) return;
+    document.getElementById('accountTitle').textContent = currentUser ? currentUser.username : "";
+    body.innerHTML = `<div class="batch-note">Loading...</div>`;
+    try {
+        const res = await fetch('/team');
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.detail || res.statusText);
+        renderTeam(data.team, data.members);
+    } catch (err) {
+        body.innerHTML = `<div class="batch-note">Could not load your team: ${escapeHtml(err.message)}</div>`;
+    }
+}
+
+function renderTeam(team, members) {
+    const body = document.getElementById('teamBody');
+    if (!team) {
+        body.innerHTML = `
+            <p class="batch-note">Your projects, history and chat are private to your account. In a team, reviewers can also open every member's assessments.</p>
+            <div class="batch-controls">
+                <input type="text" id="teamName" class="candidate-input" placeholder="New team name">
+                <button class="copy-btn" onclick="createTeam()"><i class="fas fa-users"></i> Create team</button>
+            </div>
+            <div class="batch-controls">
+                <input type="text" id="teamInvite" class="candidate-input" placeholder="Invite code">
+                <button class="copy-btn" onclick="joinTeam()"><i class="fas fa-user-plus"></i> Join team</button>
+            </div>`;
+        return;
+    }
+
+    const reviewer = currentUser.role === 'reviewer';
+    const roleCell = (m) => reviewer
+        ? `<select onchange="setTeamRole(${m.id}, this.value)">${TEAM_ROLES.map(r =>
+            `<option value="${r}" ${r === m.role ? 'selected' : ''}>${r}</option>`).join("")}</select>`
+        : escapeHtml(m.role);
+    body.innerHTML = `
+        <p class="batch-note">Team <strong>${escapeHtml(team.name)}</strong> · you are a ${escapeHtml(currentUser.role)}.
+            ${reviewer ? "You can open every member's assessments." : "The team's reviewers can open your assessments."}</p>
+        ${reviewer ? `
+        <div class="batch-controls">
+            <label class="batch-note">Invite code</label>
+            <input type="text" class="candidate-input share-link" value="${escapeHtml(team.invite_code)}" readonly onclick="this.select()">
+        </div>` : ""}
+        <table class="batch-table">
+            <thead><tr><th>Member</th><th>Role</th><th></th></tr></thead>
+            <tbody>${members.map(m => `
+                <tr>
+                    <td>${escapeHtml(m.username)}${m.id === currentUser.id ? " (you)" : ""}</td>
+                    <td>${roleCell(m)}</td>
+                    <td class="batch-actions">${reviewer && m.id !== currentUser.id
+                        ? `<button class="copy-btn" onclick="setTeamRole(${m.id}, 'none')" title="Remove from team"><i class="fas fa-user-minus"></i></button>`
+                        : ""}</td>
+                </tr>`).join("")}
+            </tbody>
+        </table>
+        <div class="batch-controls">
+            <span class="batch-spacer"></span>
+            <button class="copy-btn" onclick="setTeamRole(${currentUser.id}, 'none')"><i class="fas fa-door-open"></i> Leave team</button>
+        </div>`;
+}
+
+// POST a team change, then refresh who we are (team and role may have moved)
+async function postTeamChange(url, body) {
+    try {
+        const res = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.detail || res.statusText);
+
+        const me = await fetch('/me');
+        if (me.ok) {
+            currentUser = (await me.json()).user;
+            await putDraft("account", currentUser);
+            renderAccountButton();
+        }
+    } catch (err) {
+        alert(`Team update failed: ${err.message}`);
+    }
+    loadTeam();
+}
+
+function createTeam() {
+    const name = document.getElementById('teamName').value.trim();
+    if (!name) return alert("Give the team a name.");
+    postTeamChange('/save-team', { name });
+}
+
+function joinTeam() {
+    const code = document.getElementById('teamInvite').value.trim();
+    if (!code) return alert("Paste the invite code a reviewer gave you.");
+    postTeamChange('/join-team', { invite_code: code });
+}
+
+function setTeamRole(userId, role) {
+    if (role === 'none') {
+        const question = userId === currentUser.id ? "Leave the team?" : "Remove this member from the team?";
+        if (!confirm(question)) return loadTeam();
+    }
+    postTeamChange('/team-role', { user_id: userId, role });
+}
+
+// ==========================================
+// 14. INITIALIZATION
 // ==========================================
 
 // Enable project sidebar toggle
 togglePanel("projectsButton", "projectsPanel");
 
 // Load data on startup
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    initEditor('inputCode', 'inputLines');
+    initEditor('outputCode', 'outputLines');
+    renderFileTabs();
+    initSessionRecorder();
+
+    document.addEventListener('click', () => {
+        const menu = document.getElementById('exportMenu');
+        if (menu) menu.classList.remove('open');
+    });
+
+    // Everything below reads or writes the signed-in user's data
+    if (!(await loadCurrentUser())) return;
+
+    // Replay anything queued while the backend was unreachable
+    updateSyncIndicator();
+    processSyncQueue();
+    window.addEventListener('online', processSyncQueue);
+
     loadLastSavedCode();
     loadProjects();
-    loadSavedChat();
+    loadTestCases();
+    loadAssessmentProfiles();
+    refreshChatScope();
     
-    // Auto-save listener on keyup (debounced ideally, but direct for now)
+    // Debounced auto-save; flush when focus or the page goes away
     const codeInput = document.getElementById("codeInput") || document.getElementById("inputCode");
+    const langSelect = document.getElementById("languageSelect") || document.getElementById("targetLang");
     if (codeInput) {
-        codeInput.addEventListener('keyup', saveCodeToDB);
+        codeInput.addEventListener('input', scheduleAutoSave);
+        codeInput.addEventListener('blur', flushAutoSave);
     }
+    if (langSelect) langSelect.addEventListener('change', scheduleAutoSave);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushAutoSave();
+    });
 });
\ No newline at end of file